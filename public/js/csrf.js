@@ -0,0 +1,49 @@
+/**
+ * Adds the session's CSRF token to every state-changing same-origin fetch.
+ *
+ * Wraps window.fetch once per page so page scripts keep calling fetch() as
+ * normal. The token comes from /auth/csrf-token and is refetched (and the
+ * request retried once) if the server reports it as invalid, e.g. after
+ * signing in again in another tab. The login page has no token until the
+ * password is accepted, so a missing token is asked for again next time.
+ */
+(function () {
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+  const originalFetch = window.fetch.bind(window);
+  let tokenPromise = null;
+
+  function getToken(refresh) {
+    if (!tokenPromise || refresh) {
+      const promise = originalFetch('/auth/csrf-token', { headers: { Accept: 'application/json' } })
+        .then(res => res.json())
+        .then(data => data.csrfToken || null)
+        .catch(() => null);
+      promise.then(token => {
+        if (!token && tokenPromise === promise) tokenPromise = null;
+      });
+      tokenPromise = promise;
+    }
+    return tokenPromise;
+  }
+
+  async function withToken(input, init, refresh) {
+    const token = await getToken(refresh);
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    if (token) headers.set('X-CSRF-Token', token);
+    return originalFetch(input, { ...init, headers });
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const method = (init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    const url = new URL(input instanceof Request ? input.url : String(input), window.location.href);
+    if (SAFE_METHODS.includes(method) || url.origin !== window.location.origin) {
+      return originalFetch(input, init);
+    }
+
+    const res = await withToken(input, init, false);
+    if (res.status === 403 && res.headers.get('X-CSRF-Invalid')) {
+      return withToken(input, init, true);
+    }
+    return res;
+  };
+})();
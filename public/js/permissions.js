@@ -0,0 +1,39 @@
+/**
+ * Role-aware UI helper shared by every dashboard page.
+ *
+ * Loads the signed-in admin's role and permissions from /auth/status and hides
+ * any element tagged with data-permission="<permission>" that the role does not
+ * hold. Hiding is done with a generated stylesheet so buttons rendered later by
+ * page scripts are covered too. The server enforces the same permissions; this
+ * only keeps forbidden actions out of sight.
+ */
+(function () {
+  window.adminRole = null;
+  window.adminPermissions = [];
+
+  window.can = function (permission) {
+    return window.adminPermissions.includes(permission);
+  };
+
+  function applyPermissionStyles(permissions) {
+    const allowed = permissions.map(p => `:not([data-permission="${p}"])`).join('');
+    const style = document.createElement('style');
+    style.id = 'permission-styles';
+    style.textContent = `[data-permission]${allowed} { display: none !important; }`;
+    document.head.appendChild(style);
+  }
+
+  window.adminReady = fetch('/auth/status', { headers: { Accept: 'application/json' } })
+    .then(res => res.json())
+    .then(status => {
+      if (!status.authenticated) return status;
+      window.adminRole = status.role;
+      window.adminPermissions = status.permissions || [];
+      applyPermissionStyles(window.adminPermissions);
+      document.documentElement.dataset.adminRole = status.role;
+      return status;
+    })
+    .catch(err => {
+      console.error('Failed to load admin permissions:', err);
+    });
+})();
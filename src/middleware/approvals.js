@@ -0,0 +1,310 @@
+/**
+ * Two-Person Approval for High-Risk Actions
+ *
+ * Requests matching an approval rule don't run straight away. The first call
+ * records a pending request in admin_approval_requests and returns 202; a second
+ * admin approves it from the approvals inbox, and the requester then re-sends the
+ * identical request with an `X-Approval-Id` header, which lets it through to the
+ * real handler exactly once.
+ *
+ * Which action types need approval is configurable with APPROVAL_REQUIRED_ACTIONS
+ * (comma-separated action names, 'all' (default) or 'none'). Requests expire after
+ * APPROVAL_EXPIRY_HOURS (default 24) whether or not they were approved.
+ *
+ * admin_approval_requests columns:
+ *   id, created_at, action, summary, method, path, body (jsonb), body_hash,
+ *   organisation_id, requested_by_email, requested_by_admin_id, status
+ *   ('pending' | 'approved' | 'rejected' | 'cancelled' | 'executed'), expires_at,
+ *   decided_by_email, decided_by_admin_id, decided_at, decision_note,
+ *   executed_at, execution_status (HTTP status the handler returned)
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../services/supabase.js';
+import { sendAlert } from '../services/email.js';
+import { recordAudit } from '../services/audit.js';
+import { compilePath } from './permissions.js';
+import { validateRefund } from '../services/customer-billing.js';
+
+/**
+ * Action types that can require approval. `when` narrows a rule to the risky
+ * form of the request (e.g. only immediate cancellations) and may be async.
+ * `validate` rejects a malformed request with a 400 before it is put to an
+ * approver. `organisationId` names the customer when it isn't in the path.
+ */
+export const APPROVAL_RULES = [
+  {
+    action: 'cancel_subscription_immediately',
+    method: 'POST',
+    path: '/api/customers/:id/cancel-subscription',
+    when: (req) => !!req.body?.immediately,
+    describe: () => 'Cancel subscription immediately',
+  },
+  {
+    action: 'deduct_credits_large',
+    method: 'POST',
+    path: '/api/customers/:id/deduct-credits',
+    when: (req) => Number(req.body?.credits) >= getLargeDeductionThreshold(),
+    describe: (req) => `Deduct ${req.body?.credits} credits${req.body?.reason ? ` (${req.body.reason})` : ''}`,
+  },
+  {
+    // Reversing a gift or purchase takes its credits back off the balance
+    action: 'deduct_credits_large',
+    method: 'POST',
+    path: '/api/credit-ledger/entries/:entryId/reverse',
+    when: async (req) => Number((await getReversedEntry(req))?.credits) >= getLargeDeductionThreshold(),
+    organisationId: (req) => req.reversedLedgerEntry?.organisation_id || null,
+    describe: (req) => {
+      const entry = req.reversedLedgerEntry;
+      return `Reverse ${entry.entry_type} of ${Number(entry.credits)} credits${req.body?.reason ? ` (${req.body.reason})` : ''}`;
+    },
+  },
+  {
+    action: 'refund_charge',
+    method: 'POST',
+    path: '/api/customers/:id/charges/:chargeId/refund',
+    validate: (req) => validateRefund(req.body || {}),
+    describe: (req) => {
+      const amount = req.body?.amount ? `£${(Number(req.body.amount) / 100).toFixed(2)}` : 'in full';
+      const clawback = Number(req.body?.clawbackCredits) > 0 ? `, clawing back ${req.body.clawbackCredits} credits` : '';
+      return `Refund ${amount}${clawback}${req.body?.note ? ` (${req.body.note})` : ''}`;
+    },
+  },
+  {
+    action: 'erase_organisation',
+    method: 'POST',
+    path: '/api/customers/:id/erase',
+    describe: (req) => `Erase all personal data (GDPR)${req.body?.reason ? ` - ${req.body.reason}` : ''}`,
+  },
+  {
+    action: 'merge_organisations',
+    method: 'POST',
+    path: '/api/customer-merges',
+    describe: (req) => `Merge organisation ${req.body?.sourceId} into ${req.body?.targetId}${req.body?.reason ? ` - ${req.body.reason}` : ''}`,
+  },
+  {
+    action: 'delete_enterprise_user',
+    method: 'DELETE',
+    path: '/api/customers/:id/enterprise-users/:userId',
+    describe: (req) => `Delete enterprise user ${req.path.split('/').pop()} and their login`,
+  },
+  {
+    action: 'execute_price_migration',
+    method: 'POST',
+    path: '/api/price-migration/:id/execute',
+    describe: () => 'Execute price migration (updates live Stripe subscriptions)',
+  },
+  {
+    action: 'delete_pricing_tier',
+    method: 'DELETE',
+    path: '/api/pricing/:id',
+    describe: () => 'Disable pricing tier',
+  },
+];
+
+const compiledRules = APPROVAL_RULES.map(rule => ({ ...rule, regex: compilePath(rule.path) }));
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function getLargeDeductionThreshold() {
+  return parseInt(process.env.APPROVAL_DEDUCT_CREDITS_THRESHOLD) || 500;
+}
+
+export function getApprovalExpiryMs() {
+  return (parseFloat(process.env.APPROVAL_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Action types currently requiring approval
+ */
+export function getEnabledActions() {
+  const setting = (process.env.APPROVAL_REQUIRED_ACTIONS || 'all').trim().toLowerCase();
+  if (setting === 'none') return [];
+  if (setting === 'all') return APPROVAL_RULES.map(r => r.action);
+  return setting.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// The ledger entry a reversal request would undo, loaded once per request
+async function getReversedEntry(req) {
+  if (req.reversedLedgerEntry === undefined) {
+    const entryId = (req.baseUrl + req.path).split('/')[4];
+    const { data, error } = await supabase
+      .from('credit_ledger')
+      .select('id, organisation_id, entry_type, credits')
+      .eq('id', entryId)
+      .maybeSingle();
+    if (error) throw error;
+    req.reversedLedgerEntry = data;
+  }
+  return req.reversedLedgerEntry;
+}
+
+/**
+ * Find the approval rule for a request, if approval is needed
+ */
+export async function matchApprovalRule(req) {
+  const fullPath = req.baseUrl + req.path;
+  const enabled = getEnabledActions();
+  for (const rule of compiledRules) {
+    if (!enabled.includes(rule.action) || rule.method !== req.method || !rule.regex.test(fullPath)) continue;
+    if (!rule.when || await rule.when(req)) return rule;
+  }
+  return null;
+}
+
+// Key order independent, so the replayed body hashes the same as the original
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hashBody(body) {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+/**
+ * Whether an approval request is past its expiry
+ */
+export function isExpired(approval) {
+  return approval.expires_at && new Date(approval.expires_at) <= new Date();
+}
+
+async function createApprovalRequest(req, rule) {
+  const fullPath = req.baseUrl + req.path;
+  const organisationId = rule.organisationId
+    ? rule.organisationId(req)
+    : rule.path.startsWith('/api/customers/:id') ? fullPath.split('/')[3] : null;
+
+  const { data, error } = await supabase
+    .from('admin_approval_requests')
+    .insert({
+      action: rule.action,
+      summary: rule.describe(req),
+      method: req.method,
+      path: fullPath,
+      body: req.body || {},
+      body_hash: hashBody(req.body),
+      organisation_id: organisationId,
+      requested_by_email: req.session.email,
+      requested_by_admin_id: req.session.adminId,
+      status: 'pending',
+      expires_at: new Date(Date.now() + getApprovalExpiryMs()).toISOString(),
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  await recordAudit(req, {
+    action: 'approval.request',
+    organisationId,
+    targetType: 'approval_request',
+    targetId: data.id,
+    details: { approvalAction: rule.action, summary: data.summary, path: fullPath, body: req.body || {} },
+  });
+
+  const dashboardUrl = process.env.DASHBOARD_URL || 'https://openword-dashboard.onrender.com';
+  sendAlert(
+    'Approval needed',
+    `<p><strong>${escapeHtml(req.session.email)}</strong> has requested: <strong>${escapeHtml(data.summary)}</strong></p>
+     <p><code>${req.method} ${escapeHtml(fullPath)}</code></p>
+     <p>A second admin must approve this before it runs. <a href="${dashboardUrl}/approvals">Open the approvals inbox</a></p>`
+  ).catch(err => console.error('Failed to send approval alert:', err.message));
+
+  return data;
+}
+
+/**
+ * Claim an approved request for execution. The status update is conditional so
+ * two concurrent replays can't both run the handler.
+ */
+async function claimApproval(req, approvalId) {
+  const { data: approval, error } = await supabase
+    .from('admin_approval_requests')
+    .select('*')
+    .eq('id', approvalId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!approval) return { error: 'Approval request not found' };
+  if (approval.status !== 'approved') return { error: `Approval request is ${approval.status}` };
+  if (isExpired(approval)) return { error: 'Approval request has expired' };
+  if (approval.requested_by_admin_id !== req.session.adminId) {
+    return { error: 'Only the admin who requested this action can execute it' };
+  }
+  if (approval.method !== req.method || approval.path !== req.baseUrl + req.path || approval.body_hash !== hashBody(req.body)) {
+    return { error: 'Request does not match what was approved' };
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('admin_approval_requests')
+    .update({ status: 'executed', executed_at: new Date().toISOString() })
+    .eq('id', approval.id)
+    .eq('status', 'approved')
+    .select('*')
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return { error: 'Approval request has already been used' };
+  return { approval: claimed };
+}
+
+/**
+ * Middleware: hold high-risk requests for a second admin's approval.
+ * Mount after requireAuth and authorize.
+ */
+export async function requireApproval(req, res, next) {
+  try {
+    const rule = await matchApprovalRule(req);
+    if (!rule) return next();
+
+    const approvalId = req.get('X-Approval-Id');
+    if (approvalId) {
+      const { approval, error } = await claimApproval(req, approvalId);
+      if (error) {
+        return res.status(409).json({ error, approvalId });
+      }
+
+      // Keep the handler's outcome on the approval record
+      res.on('finish', () => {
+        supabase
+          .from('admin_approval_requests')
+          .update({ execution_status: res.statusCode })
+          .eq('id', approval.id)
+          .then(({ error: updateError }) => {
+            if (updateError) console.error('Failed to record approval execution:', updateError.message);
+          });
+      });
+
+      console.log(`✅ Executing approved ${rule.action} (${approval.id}) for ${req.session.email}, approved by ${approval.decided_by_email}`);
+      return next();
+    }
+
+    const validationError = rule.validate?.(req);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const approval = await createApprovalRequest(req, rule);
+    console.log(`⏸️ ${rule.action} by ${req.session.email} held for approval (${approval.id})`);
+
+    return res.status(202).json({
+      success: false,
+      approvalRequired: true,
+      approvalId: approval.id,
+      action: rule.action,
+      expiresAt: approval.expires_at,
+      message: `This action needs a second admin's approval. Request sent to the approvals inbox; once approved you can run it from there.`,
+    });
+  } catch (error) {
+    console.error('Approval check error:', error);
+    res.status(500).json({ error: 'Failed to check approval requirements' });
+  }
+}
+
+export default { requireApproval, matchApprovalRule, getEnabledActions, hashBody, isExpired, APPROVAL_RULES };
@@ -0,0 +1,60 @@
+/**
+ * CSRF Protection
+ *
+ * Every signed-in session gets a random token (issued at login and available from
+ * GET /auth/csrf-token). So does a session part-way through login, waiting on its
+ * second factor, so /auth/2fa/verify, /auth/2fa/setup and /auth/2fa/enable are
+ * checked too. State-changing requests from such a session must echo the token
+ * back in the X-CSRF-Token header; public/js/csrf.js does this for every fetch
+ * the dashboard pages make, including the login page and the password reset
+ * page, which an admin may open while still signed in.
+ *
+ * Exempt: safe methods, requests with no signed-in or pending-login session
+ * (the password step of login, password reset - nothing to ride on), and bearer
+ * API token requests, which never carry a cookie.
+ */
+
+import crypto from 'crypto';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Whether the session has anything a forged request could ride on: a signed-in
+ * admin, or a login waiting on its second factor
+ */
+export function needsCsrfToken(session) {
+  return !!(session?.authenticated || session?.pendingLogin);
+}
+
+/**
+ * Get the session's CSRF token, creating one if needed
+ */
+export function issueCsrfToken(session) {
+  if (!session.csrfToken) {
+    session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return session.csrfToken;
+}
+
+function tokensMatch(expected, provided) {
+  if (!expected || !provided || expected.length !== provided.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+}
+
+/**
+ * Middleware: reject state-changing session requests without a valid CSRF token
+ */
+export function csrfProtection(req, res, next) {
+  if (SAFE_METHODS.includes(req.method)) return next();
+  if (!needsCsrfToken(req.session) || req.session.apiTokenId) return next();
+
+  if (tokensMatch(req.session.csrfToken, req.get('X-CSRF-Token'))) {
+    return next();
+  }
+
+  console.log(`🛡️ CSRF check failed for ${req.session.email || req.session.pendingLogin.email}: ${req.method} ${req.originalUrl}`);
+  res.set('X-CSRF-Invalid', '1');
+  return res.status(403).json({ error: 'Invalid or missing CSRF token. Refresh the page and try again.', csrfInvalid: true });
+}
+
+export default { csrfProtection, issueCsrfToken, needsCsrfToken };
@@ -0,0 +1,285 @@
+/**
+ * Dashboard Role Permissions
+ *
+ * Maps dashboard_admins.role to a set of permissions and enforces them against
+ * a single per-route permission map, so every API router is covered from one place
+ * rather than each handler checking the role itself.
+ *
+ * Roles (least to most privileged):
+ *   viewer     - read-only access to every page
+ *   support    - + customer account actions, support replies and communications
+ *   billing    - + credits, discounts, subscriptions, pricing and price migrations
+ *   superadmin - + system settings, charity register imports and admin management
+ */
+
+export const PERMISSIONS = {
+  READ: 'read',
+  CUSTOMERS_WRITE: 'customers:write',
+  SUPPORT_WRITE: 'support:write',
+  COMMUNICATIONS_SEND: 'communications:send',
+  CREDITS_WRITE: 'credits:write',
+  BILLING_WRITE: 'billing:write',
+  SYSTEM_ADMIN: 'system:admin',
+  ADMINS_MANAGE: 'admins:manage',
+};
+
+const P = PERMISSIONS;
+
+export const ROLES = ['viewer', 'support', 'billing', 'superadmin'];
+
+const ROLE_PERMISSIONS = {
+  viewer: [P.READ],
+  support: [P.READ, P.CUSTOMERS_WRITE, P.SUPPORT_WRITE, P.COMMUNICATIONS_SEND],
+  billing: [P.READ, P.CUSTOMERS_WRITE, P.SUPPORT_WRITE, P.COMMUNICATIONS_SEND, P.CREDITS_WRITE, P.BILLING_WRITE],
+  superadmin: Object.values(P),
+};
+
+// Role names used in dashboard_admins before the permission model existed
+const LEGACY_ROLES = {
+  admin: 'superadmin',
+  super_admin: 'superadmin',
+  owner: 'superadmin',
+  read_only: 'viewer',
+  readonly: 'viewer',
+};
+
+/**
+ * Per-route permission map. Paths are full mount paths with Express-style
+ * `:params`. The first matching entry wins. Requests that match nothing fall
+ * back to READ for GET/HEAD and SYSTEM_ADMIN for anything else, so a new
+ * mutation route is superadmin-only until it is added here.
+ */
+const ROUTE_PERMISSIONS = [
+  // Customers - saved list views belong to the admin who saved them
+  { method: 'POST', path: '/api/customers/views', permission: P.READ },
+  { method: 'DELETE', path: '/api/customers/views/:id', permission: P.READ },
+
+  // Customers - bulk jobs need the permission of the chosen action (checked in the route)
+  { method: 'POST', path: '/api/customers/bulk', permission: P.READ },
+
+  // Customers - tags and custom fields (definitions and per-customer values)
+  { method: 'POST', path: '/api/customers/:id/attributes', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customer-attributes/tags', permission: P.CUSTOMERS_WRITE },
+  { method: 'DELETE', path: '/api/customer-attributes/tags/:id', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customer-attributes/fields', permission: P.CUSTOMERS_WRITE },
+  { method: 'PATCH', path: '/api/customer-attributes/fields/:id', permission: P.CUSTOMERS_WRITE },
+
+  // Customers - GDPR data export bundles all of a customer's personal data
+  { method: 'GET', path: '/api/customers/:id/data-export', permission: P.CUSTOMERS_WRITE },
+  // Erasure can't be undone, so it stays with superadmins (and needs approval)
+  { method: 'POST', path: '/api/customers/:id/erase', permission: P.SYSTEM_ADMIN },
+
+  // Customers - merging duplicates archives one organisation and moves its balance
+  // and history, so it stays with superadmins (and needs approval)
+  { method: 'POST', path: '/api/customer-merges', permission: P.SYSTEM_ADMIN },
+
+  // Customers - health scores
+  { method: 'POST', path: '/api/dashboard/health-scores/recalculate', permission: P.CUSTOMERS_WRITE },
+
+  // Customers - account actions
+  { method: 'POST', path: '/api/customers/:id/pause', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/unpause', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/reset-pin', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/send-enterprise-credentials', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/send-enterprise-password', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-users', permission: P.CUSTOMERS_WRITE },
+  { method: 'PATCH', path: '/api/customers/:id/enterprise-users/:userId', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-users/:userId/deactivate', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-users/:userId/reactivate', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-users/:userId/resend-invite', permission: P.CUSTOMERS_WRITE },
+  { method: 'DELETE', path: '/api/customers/:id/enterprise-users/:userId', permission: P.CUSTOMERS_WRITE },
+
+  // Customers - credits
+  { method: 'POST', path: '/api/customers/:id/add-credits', permission: P.CREDITS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/deduct-credits', permission: P.CREDITS_WRITE },
+  { method: 'POST', path: '/api/credit-ledger/entries/:id/reverse', permission: P.CREDITS_WRITE },
+  { method: 'POST', path: '/api/credit-ledger/open', permission: P.CREDITS_WRITE },
+
+  // Customers - billing, discounts and subscriptions
+  { method: 'POST', path: '/api/customers/:id/end-trial', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/cancel-subscription', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/charges/:chargeId/refund', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/charges/:chargeId/resend-receipt', permission: P.CUSTOMERS_WRITE },
+  { method: 'POST', path: '/api/customers/:id/grant-charity-discount', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/deny-charity-review', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/set-discount', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/remove-discount', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/deny-discount-request', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/revoke-charity-discount', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enable-enterprise', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/update-enterprise-config', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-billing-runs', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-billing-runs/:runId/finalise', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-billing-runs/:runId/discard', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/:id/enterprise-billing-runs/:runId/regenerate', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/customers/create-enterprise', permission: P.BILLING_WRITE },
+
+  // Pricing and price migrations
+  { method: 'POST', path: '/api/pricing', permission: P.BILLING_WRITE },
+  { method: 'PUT', path: '/api/pricing/:id', permission: P.BILLING_WRITE },
+  { method: 'DELETE', path: '/api/pricing/:id', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/price-migration', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/price-migration/:id/send-emails', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/price-migration/:id/execute', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/price-migration/:id/cancel', permission: P.BILLING_WRITE },
+
+  // Charity registers - review decisions grant discounts, imports replace register data
+  { method: 'POST', path: '/api/charity-registers/reviews/:id/approve', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/charity-registers/reviews/:id/reject', permission: P.BILLING_WRITE },
+  { method: 'POST', path: '/api/charity-registers/scotland/sync', permission: P.SYSTEM_ADMIN },
+  { method: 'POST', path: '/api/charity-registers/scotland', permission: P.SYSTEM_ADMIN },
+  { method: 'POST', path: '/api/charity-registers/northern-ireland', permission: P.SYSTEM_ADMIN },
+  { method: 'POST', path: '/api/charity-registers/ireland', permission: P.SYSTEM_ADMIN },
+
+  // Communications and in-app notifications
+  { method: 'POST', path: '/api/communications/send-bulk', permission: P.COMMUNICATIONS_SEND },
+  { method: 'POST', path: '/api/communications/send-individual/:id', permission: P.COMMUNICATIONS_SEND },
+  { method: 'POST', path: '/api/communications/send-direct', permission: P.COMMUNICATIONS_SEND },
+  { method: 'POST', path: '/api/notifications/send', permission: P.COMMUNICATIONS_SEND },
+  { method: 'DELETE', path: '/api/notifications/:id', permission: P.COMMUNICATIONS_SEND },
+
+  // Support requests
+  { method: 'PATCH', path: '/api/support/:id', permission: P.SUPPORT_WRITE },
+  { method: 'POST', path: '/api/support/:id/notes', permission: P.SUPPORT_WRITE },
+  { method: 'POST', path: '/api/support/:id/reply', permission: P.SUPPORT_WRITE },
+
+  // Monitoring and logs
+  { method: 'POST', path: '/api/monitoring/run', permission: P.READ },
+  { method: 'POST', path: '/api/monitoring/test-email', permission: P.SYSTEM_ADMIN },
+  { method: 'POST', path: '/api/logs/settings', permission: P.SYSTEM_ADMIN },
+  { method: 'POST', path: '/api/logs/entry', permission: P.READ },
+  { method: 'DELETE', path: '/api/logs/clear', permission: P.SYSTEM_ADMIN },
+
+  // Dashboard admin management (reads included - the list exposes every admin)
+  { method: 'GET', path: '/api/admins', permission: P.ADMINS_MANAGE },
+  { method: 'GET', path: '/api/admins/login-history', permission: P.ADMINS_MANAGE },
+  { method: 'POST', path: '/api/admins', permission: P.ADMINS_MANAGE },
+  { method: 'PATCH', path: '/api/admins/:id', permission: P.ADMINS_MANAGE },
+  { method: 'POST', path: '/api/admins/:id/deactivate', permission: P.ADMINS_MANAGE },
+  { method: 'POST', path: '/api/admins/:id/reactivate', permission: P.ADMINS_MANAGE },
+
+  // API tokens - every admin manages their own; scopes are checked against the role on issue
+  { method: 'POST', path: '/api/tokens', permission: P.READ },
+  { method: 'POST', path: '/api/tokens/:id/revoke', permission: P.READ },
+
+  // Sessions - every admin can sign out their own other sessions
+  { method: 'POST', path: '/api/sessions/:id/revoke', permission: P.READ },
+
+  // Approvals - deciding also needs the permission of the action being approved (checked in the route)
+  { method: 'POST', path: '/api/approvals/:id/approve', permission: P.READ },
+  { method: 'POST', path: '/api/approvals/:id/reject', permission: P.READ },
+  { method: 'POST', path: '/api/approvals/:id/cancel', permission: P.READ },
+];
+
+/**
+ * Compile an Express-style path into an anchored regex (":id" matches one segment)
+ */
+export function compilePath(routePath) {
+  const pattern = routePath
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${pattern}/?$`);
+}
+
+const compiledRoutes = ROUTE_PERMISSIONS.map(rule => ({ ...rule, regex: compilePath(rule.path) }));
+
+/**
+ * Normalise a dashboard_admins.role value to one of ROLES (unknown roles get viewer)
+ */
+export function normaliseRole(role) {
+  const value = String(role || '').trim().toLowerCase();
+  if (ROLE_PERMISSIONS[value]) return value;
+  return LEGACY_ROLES[value] || 'viewer';
+}
+
+/**
+ * Get the permissions granted to a role
+ * @returns {string[]}
+ */
+export function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[normaliseRole(role)];
+}
+
+/**
+ * Check whether a role holds a permission
+ */
+export function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+/**
+ * Permissions held by the current request: the role's, or for an API token
+ * request the token's scopes already narrowed to the issuing admin's role
+ * @returns {string[]}
+ */
+export function getSessionPermissions(session) {
+  if (session?.apiTokenId) return session.tokenPermissions || [];
+  return getRolePermissions(session?.role);
+}
+
+/**
+ * Resolve the permission required for a request
+ * @returns {{ permission: string, path: string }}
+ */
+export function getRequiredPermission(method, fullPath) {
+  const upperMethod = method.toUpperCase();
+  const rule = compiledRoutes.find(r => r.method === upperMethod && r.regex.test(fullPath));
+  if (rule) {
+    return { permission: rule.permission, path: rule.path };
+  }
+  const readOnly = upperMethod === 'GET' || upperMethod === 'HEAD' || upperMethod === 'OPTIONS';
+  return { permission: readOnly ? P.READ : P.SYSTEM_ADMIN, path: fullPath };
+}
+
+function forbidden(res, role, permission, method, routePath) {
+  const reason = `Your role (${role}) does not have the '${permission}' permission required for ${method} ${routePath}`;
+  return res.status(403).json({
+    error: `Forbidden: ${reason}`,
+    reason,
+    requiredPermission: permission,
+    role,
+  });
+}
+
+/**
+ * Middleware: enforce the route permission map for the current session's role.
+ * Mount after requireAuth.
+ */
+export function authorize(req, res, next) {
+  const role = normaliseRole(req.session?.role);
+  const fullPath = req.baseUrl + req.path;
+  const { permission, path: routePath } = getRequiredPermission(req.method, fullPath);
+
+  if (getSessionPermissions(req.session).includes(permission)) {
+    return next();
+  }
+
+  if (req.session?.apiTokenId) {
+    const reason = `API token '${req.session.apiTokenName}' does not have the '${permission}' permission required for ${req.method} ${routePath}`;
+    console.log(`🚫 API token ${req.session.apiTokenName} (${req.session.email}) denied ${req.method} ${fullPath} - needs ${permission}`);
+    return res.status(403).json({ error: `Forbidden: ${reason}`, reason, requiredPermission: permission, role });
+  }
+
+  console.log(`🚫 ${req.session?.email || 'unknown'} (${role}) denied ${req.method} ${fullPath} - needs ${permission}`);
+  return forbidden(res, role, permission, req.method, routePath);
+}
+
+/**
+ * Middleware factory: require a specific permission regardless of the route map.
+ * Used for page routes that should not be visible to every role.
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    const role = normaliseRole(req.session?.role);
+    if (getSessionPermissions(req.session).includes(permission)) {
+      return next();
+    }
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return forbidden(res, role, permission, req.method, req.baseUrl + req.path);
+    }
+    res.status(403).send('Forbidden: your dashboard role does not have access to this page.');
+  };
+}
+
+export default { authorize, requirePermission, hasPermission, getRolePermissions, getSessionPermissions, normaliseRole };
@@ -0,0 +1,360 @@
+/**
+ * Dashboard Admin Management Routes (superadmin only)
+ *
+ * Invite, re-role, deactivate and reactivate the people who can sign in to this
+ * dashboard, instead of editing dashboard_admins by hand. Access is gated by the
+ * admins:manage permission in middleware/permissions.js.
+ *
+ * dashboard_admins columns used:
+ *   id, user_id, email, name, role, is_active, created_at,
+ *   last_login_at, invited_by, invited_at, deactivated_at, deactivated_by
+ */
+
+import express from 'express';
+import supabase from '../services/supabase.js';
+import { ROLES, normaliseRole } from '../middleware/permissions.js';
+import { recordAudit } from '../services/audit.js';
+import { revokeAdminSessions } from '../services/session-store.js';
+import { getLoginHistory } from '../services/login-security.js';
+
+const router = express.Router();
+
+const ADMIN_FIELDS = 'id, user_id, email, name, role, is_active, created_at, last_login_at, invited_by, invited_at, deactivated_at, deactivated_by, totp_enabled';
+
+function dashboardUrl() {
+  return process.env.DASHBOARD_URL || 'https://open-word-dashboard-development.onrender.com';
+}
+
+/**
+ * Find an existing Supabase auth user by email (e.g. a staff member who is also a customer)
+ */
+async function findAuthUserByEmail(email) {
+  const target = email.toLowerCase();
+  const perPage = 1000;
+  for (let page = 1; page <= 50; page++) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage });
+    if (error) throw error;
+    const users = data?.users || [];
+    const match = users.find(u => (u.email || '').toLowerCase() === target);
+    if (match) return match;
+    if (users.length < perPage) break;
+  }
+  return null;
+}
+
+/**
+ * Count active superadmins other than the given admin, so the last one can't be removed
+ */
+async function countOtherActiveSuperadmins(excludeId) {
+  const { data, error } = await supabase
+    .from('dashboard_admins')
+    .select('id, role')
+    .eq('is_active', true)
+    .neq('id', excludeId);
+  if (error) throw error;
+  return (data || []).filter(a => normaliseRole(a.role) === 'superadmin').length;
+}
+
+async function getAdmin(id) {
+  const { data, error } = await supabase
+    .from('dashboard_admins')
+    .select(ADMIN_FIELDS)
+    .eq('id', id)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+/**
+ * GET /api/admins
+ * List every dashboard admin with role, status and last login
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('dashboard_admins')
+      .select(ADMIN_FIELDS)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: (data || []).map(a => ({ ...a, role: normaliseRole(a.role), isSelf: a.id === req.session.adminId })),
+      roles: ROLES,
+    });
+  } catch (error) {
+    console.error('Error fetching dashboard admins:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard admins' });
+  }
+});
+
+/**
+ * GET /api/admins/login-history?email=&outcome=success|failure|locked&limit=100
+ * Recent dashboard sign-in attempts (successful, failed and locked out)
+ */
+router.get('/login-history', async (req, res) => {
+  try {
+    const data = await getLoginHistory({
+      email: req.query.email || null,
+      outcome: req.query.outcome || null,
+      limit: parseInt(req.query.limit) || 100,
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching login history:', error);
+    res.status(500).json({ error: 'Failed to fetch login history' });
+  }
+});
+
+/**
+ * POST /api/admins
+ * Invite a new admin by email. Creates (or reuses) the Supabase auth user and
+ * the dashboard_admins row; Supabase emails new users a link to set a password.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const name = String(req.body.name || '').trim() || null;
+    const role = req.body.role || 'viewer';
+
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const { data: existing } = await supabase
+      .from('dashboard_admins')
+      .select('id, is_active')
+      .ilike('email', email)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        error: existing.is_active
+          ? 'This email is already a dashboard admin'
+          : 'This email belongs to a deactivated admin - reactivate them instead',
+        adminId: existing.id,
+      });
+    }
+
+    // Reuse an existing auth account, otherwise send a Supabase invite
+    let authUser = await findAuthUserByEmail(email);
+    let invited = false;
+
+    if (!authUser) {
+      const { data: inviteData, error: inviteError } = await supabase.auth.admin.inviteUserByEmail(email, {
+        redirectTo: `${dashboardUrl()}/reset-password`,
+        data: { name, dashboard_admin: true },
+      });
+      if (inviteError) {
+        console.error('Error inviting dashboard admin:', inviteError);
+        return res.status(400).json({ error: `Failed to invite user: ${inviteError.message}` });
+      }
+      authUser = inviteData.user;
+      invited = true;
+    }
+
+    const { data: admin, error: insertError } = await supabase
+      .from('dashboard_admins')
+      .insert({
+        user_id: authUser.id,
+        email,
+        name,
+        role,
+        is_active: true,
+        invited_by: req.session.email,
+        invited_at: new Date().toISOString(),
+      })
+      .select(ADMIN_FIELDS)
+      .single();
+
+    if (insertError) {
+      // Rollback: only remove the auth user if we created it
+      if (invited) await supabase.auth.admin.deleteUser(authUser.id);
+      throw insertError;
+    }
+
+    console.log(`👤 Dashboard admin ${email} (${role}) ${invited ? 'invited' : 'added'} by ${req.session.email}`);
+
+    await recordAudit(req, {
+      action: 'admin.invite',
+      targetType: 'dashboard_admin',
+      targetId: admin.id,
+      after: { email, name, role, is_active: true },
+      details: { invited, existingAuthUser: !invited },
+    });
+
+    res.json({
+      success: true,
+      data: admin,
+      message: invited
+        ? `Invitation sent to ${email}`
+        : `${email} already had an account and can now sign in to the dashboard`,
+    });
+  } catch (error) {
+    console.error('Error inviting dashboard admin:', error);
+    res.status(500).json({ error: 'Failed to invite dashboard admin' });
+  }
+});
+
+/**
+ * PATCH /api/admins/:id
+ * Change an admin's role (and optionally name)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { role, name } = req.body;
+
+    const admin = await getAdmin(req.params.id);
+    if (!admin) return res.status(404).json({ error: 'Admin not found' });
+
+    const updates = {};
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      if (admin.id === req.session.adminId && role !== 'superadmin') {
+        return res.status(400).json({ error: 'You cannot remove your own superadmin role' });
+      }
+      if (normaliseRole(admin.role) === 'superadmin' && role !== 'superadmin' && admin.is_active) {
+        if (await countOtherActiveSuperadmins(admin.id) === 0) {
+          return res.status(400).json({ error: 'At least one active superadmin is required' });
+        }
+      }
+      updates.role = role;
+    }
+    if (name !== undefined) updates.name = String(name).trim() || null;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('dashboard_admins')
+      .update(updates)
+      .eq('id', admin.id)
+      .select(ADMIN_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    // Sessions carry the role they signed in with - make a changed role take effect now
+    let sessionsRevoked = 0;
+    if (updates.role && updates.role !== normaliseRole(admin.role)) {
+      sessionsRevoked = await revokeAdminSessions(admin.id);
+    }
+
+    console.log(`👤 Dashboard admin ${admin.email} updated by ${req.session.email}:`, updates);
+
+    await recordAudit(req, {
+      action: 'admin.update',
+      targetType: 'dashboard_admin',
+      targetId: admin.id,
+      before: { role: normaliseRole(admin.role), name: admin.name },
+      after: { role: normaliseRole(data.role), name: data.name },
+      details: { email: admin.email, sessionsRevoked },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error updating dashboard admin:', error);
+    res.status(500).json({ error: 'Failed to update dashboard admin' });
+  }
+});
+
+/**
+ * POST /api/admins/:id/deactivate
+ * Block an admin from signing in (is_active = false); the row is kept for the audit trail
+ */
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const admin = await getAdmin(req.params.id);
+    if (!admin) return res.status(404).json({ error: 'Admin not found' });
+
+    if (admin.id === req.session.adminId) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+    if (!admin.is_active) {
+      return res.status(400).json({ error: 'Admin is already deactivated' });
+    }
+    if (normaliseRole(admin.role) === 'superadmin' && await countOtherActiveSuperadmins(admin.id) === 0) {
+      return res.status(400).json({ error: 'At least one active superadmin is required' });
+    }
+
+    const { data, error } = await supabase
+      .from('dashboard_admins')
+      .update({
+        is_active: false,
+        deactivated_at: new Date().toISOString(),
+        deactivated_by: req.session.email,
+      })
+      .eq('id', admin.id)
+      .select(ADMIN_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    const sessionsRevoked = await revokeAdminSessions(admin.id);
+
+    console.log(`🚫 Dashboard admin ${admin.email} deactivated by ${req.session.email} (${sessionsRevoked} session(s) revoked)`);
+
+    await recordAudit(req, {
+      action: 'admin.deactivate',
+      targetType: 'dashboard_admin',
+      targetId: admin.id,
+      before: { is_active: true },
+      after: { is_active: false },
+      details: { email: admin.email, reason: req.body.reason || null, sessionsRevoked },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error deactivating dashboard admin:', error);
+    res.status(500).json({ error: 'Failed to deactivate dashboard admin' });
+  }
+});
+
+/**
+ * POST /api/admins/:id/reactivate
+ * Allow a previously deactivated admin to sign in again
+ */
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const admin = await getAdmin(req.params.id);
+    if (!admin) return res.status(404).json({ error: 'Admin not found' });
+
+    if (admin.is_active) {
+      return res.status(400).json({ error: 'Admin is already active' });
+    }
+
+    const { data, error } = await supabase
+      .from('dashboard_admins')
+      .update({ is_active: true, deactivated_at: null, deactivated_by: null })
+      .eq('id', admin.id)
+      .select(ADMIN_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`✅ Dashboard admin ${admin.email} reactivated by ${req.session.email}`);
+
+    await recordAudit(req, {
+      action: 'admin.reactivate',
+      targetType: 'dashboard_admin',
+      targetId: admin.id,
+      before: { is_active: false },
+      after: { is_active: true },
+      details: { email: admin.email },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error reactivating dashboard admin:', error);
+    res.status(500).json({ error: 'Failed to reactivate dashboard admin' });
+  }
+});
+
+export default router;
@@ -17,30 +17,19 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
-/**
- * Middleware to check authentication
- */
-function requireAuth(req, res, next) {
-  if (req.session && req.session.authenticated) {
-    return next();
-  }
-  if (req.xhr || req.headers.accept?.includes('application/json')) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  res.redirect('/login');
-}
+// Mounted behind requireAuth in server.js, which also applies the session idle and max-age limits
 
 /**
  * GET /analytics - Get analytics page
  */
-router.get('/', requireAuth, (req, res) => {
+router.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../../views/analytics.html'));
 });
 
 /**
  * GET /analytics/deepgram - Get Deepgram usage analytics
  */
-router.get('/deepgram', requireAuth, async (req, res) => {
+router.get('/deepgram', async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
     const analytics = await getDeepgramAnalytics(days);
@@ -56,7 +45,7 @@ router.get('/deepgram', requireAuth, async (req, res) => {
 /**
  * GET /analytics/render - Get Render.com service analytics
  */
-router.get('/render', requireAuth, async (req, res) => {
+router.get('/render', async (req, res) => {
   try {
     const analytics = await getRenderAnalytics();
     res.json(analytics);
@@ -71,7 +60,7 @@ router.get('/render', requireAuth, async (req, res) => {
 /**
  * GET /analytics/google - Get Google Cloud Translation analytics
  */
-router.get('/google', requireAuth, async (req, res) => {
+router.get('/google', async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 7;
     const analytics = await getGoogleAnalytics(days);
@@ -87,7 +76,7 @@ router.get('/google', requireAuth, async (req, res) => {
 /**
  * GET /analytics/vercel - Get Vercel deployment analytics
  */
-router.get('/vercel', requireAuth, async (req, res) => {
+router.get('/vercel', async (req, res) => {
   try {
     const analytics = await getVercelAnalytics();
     res.json(analytics);
@@ -102,7 +91,7 @@ router.get('/vercel', requireAuth, async (req, res) => {
 /**
  * GET /analytics/supabase - Get Supabase database analytics
  */
-router.get('/supabase', requireAuth, async (req, res) => {
+router.get('/supabase', async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
     const analytics = await getSupabaseAnalytics(days);
@@ -118,7 +107,7 @@ router.get('/supabase', requireAuth, async (req, res) => {
 /**
  * GET /analytics/all - Get all analytics in one call
  */
-router.get('/all', requireAuth, async (req, res) => {
+router.get('/all', async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 7;
 
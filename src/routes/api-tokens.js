@@ -0,0 +1,178 @@
+/**
+ * API Token Routes
+ *
+ * Lets an admin issue, list and revoke their own scoped bearer tokens (see
+ * services/api-tokens.js). Superadmins can see and revoke everyone's tokens.
+ * Tokens can only be managed from a signed-in browser session, never with a token.
+ */
+
+import express from 'express';
+import supabase from '../services/supabase.js';
+import { PERMISSIONS, hasPermission } from '../middleware/permissions.js';
+import {
+  TOKEN_SCOPES,
+  MAX_TOKEN_LIFETIME_DAYS,
+  generateToken,
+  getDisallowedScopes,
+} from '../services/api-tokens.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const TOKEN_FIELDS = 'id, created_at, name, token_prefix, scopes, admin_id, admin_email, expires_at, last_used_at, last_used_ip, revoked_at, revoked_by';
+
+const DEFAULT_LIFETIME_DAYS = 90;
+
+function canManageAll(req) {
+  return hasPermission(req.session.role, PERMISSIONS.ADMINS_MANAGE);
+}
+
+// Token management needs a real session - a leaked token must not be able to mint more
+router.use((req, res, next) => {
+  if (req.session.apiTokenId) {
+    return res.status(403).json({ error: 'API tokens cannot be managed with an API token' });
+  }
+  next();
+});
+
+/**
+ * GET /api/tokens?all=true
+ * List the current admin's tokens (superadmins can pass all=true for every admin's)
+ */
+router.get('/', async (req, res) => {
+  try {
+    let query = supabase
+      .from('admin_api_tokens')
+      .select(TOKEN_FIELDS)
+      .order('created_at', { ascending: false });
+
+    const all = req.query.all === 'true' && canManageAll(req);
+    if (!all) query = query.eq('admin_id', req.session.adminId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      scopes: Object.keys(TOKEN_SCOPES),
+      canManageAll: canManageAll(req),
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Issue a new token. Body: { name, scopes: ['read-only' | 'credits' | 'communications'], expiresInDays }
+ * The plain token is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes)] : [];
+    const expiresInDays = parseInt(req.body.expiresInDays) || DEFAULT_LIFETIME_DAYS;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+    if (scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required' });
+    }
+    const unknown = scopes.filter(s => !TOKEN_SCOPES[s]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${Object.keys(TOKEN_SCOPES).join(', ')}` });
+    }
+    const disallowed = getDisallowedScopes(req.session.role, scopes);
+    if (disallowed.length > 0) {
+      return res.status(403).json({ error: `Your role (${req.session.role}) cannot issue scope(s): ${disallowed.join(', ')}` });
+    }
+    if (expiresInDays < 1 || expiresInDays > MAX_TOKEN_LIFETIME_DAYS) {
+      return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_TOKEN_LIFETIME_DAYS} days` });
+    }
+
+    const { token, hash, prefix } = generateToken();
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('admin_api_tokens')
+      .insert({
+        name,
+        token_hash: hash,
+        token_prefix: prefix,
+        scopes,
+        admin_id: req.session.adminId,
+        admin_email: req.session.email,
+        expires_at: expiresAt,
+      })
+      .select(TOKEN_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔑 API token "${name}" issued to ${req.session.email} (${scopes.join(', ')}, expires ${expiresAt})`);
+
+    await recordAudit(req, {
+      action: 'api_token.create',
+      targetType: 'api_token',
+      targetId: data.id,
+      after: { name, scopes, expires_at: expiresAt },
+    });
+
+    res.json({ success: true, data, token });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+/**
+ * POST /api/tokens/:id/revoke
+ * Revoke a token immediately (own tokens, or any token for superadmins)
+ */
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('admin_api_tokens')
+      .select(TOKEN_FIELDS)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing || (existing.admin_id !== req.session.adminId && !canManageAll(req))) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    if (existing.revoked_at) {
+      return res.status(400).json({ error: 'Token is already revoked' });
+    }
+
+    const { data, error } = await supabase
+      .from('admin_api_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_by: req.session.email })
+      .eq('id', existing.id)
+      .select(TOKEN_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔑 API token "${existing.name}" (${existing.admin_email}) revoked by ${req.session.email}`);
+
+    await recordAudit(req, {
+      action: 'api_token.revoke',
+      targetType: 'api_token',
+      targetId: existing.id,
+      before: { revoked_at: null },
+      after: { revoked_at: data.revoked_at },
+      details: { name: existing.name, owner: existing.admin_email },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+export default router;
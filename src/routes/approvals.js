@@ -0,0 +1,237 @@
+/**
+ * Approvals Inbox Routes
+ *
+ * List, approve, reject and cancel the high-risk action requests held by
+ * middleware/approvals.js. An admin can never approve their own request, and
+ * approving needs the same permission as the action itself.
+ */
+
+import express from 'express';
+import supabase from '../services/supabase.js';
+import { getRequiredPermission, getSessionPermissions } from '../middleware/permissions.js';
+import { isExpired, getEnabledActions, APPROVAL_RULES } from '../middleware/approvals.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const OPEN_STATUSES = ['pending', 'approved'];
+
+// Expiry is applied when read rather than by a scheduler
+function withEffectiveStatus(approval) {
+  const expired = OPEN_STATUSES.includes(approval.status) && isExpired(approval);
+  return { ...approval, status: expired ? 'expired' : approval.status };
+}
+
+async function getApproval(id) {
+  const { data, error } = await supabase
+    .from('admin_approval_requests')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? withEffectiveStatus(data) : null;
+}
+
+/**
+ * Update an approval only if it is still in the expected status, so two admins
+ * deciding at the same moment can't both win
+ */
+async function transition(id, fromStatuses, updates) {
+  const { data, error } = await supabase
+    .from('admin_approval_requests')
+    .update(updates)
+    .eq('id', id)
+    .in('status', fromStatuses)
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+router.use((req, res, next) => {
+  if (req.session.apiTokenId && req.method !== 'GET') {
+    return res.status(403).json({ error: 'Approvals can only be decided from a signed-in session' });
+  }
+  next();
+});
+
+/**
+ * GET /api/approvals?view=inbox|mine|all
+ * inbox: open requests from other admins; mine: my requests; all: everything recent
+ */
+router.get('/', async (req, res) => {
+  try {
+    const view = req.query.view || 'inbox';
+
+    let query = supabase
+      .from('admin_approval_requests')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (view === 'inbox') {
+      query = query.eq('status', 'pending').neq('requested_by_admin_id', req.session.adminId);
+    } else if (view === 'mine') {
+      query = query.eq('requested_by_admin_id', req.session.adminId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    let approvals = (data || []).map(withEffectiveStatus);
+    if (view === 'inbox') approvals = approvals.filter(a => a.status === 'pending');
+
+    const permissions = getSessionPermissions(req.session);
+    approvals = approvals.map(a => ({
+      ...a,
+      canDecide: a.status === 'pending' &&
+        a.requested_by_admin_id !== req.session.adminId &&
+        permissions.includes(getRequiredPermission(a.method, a.path).permission),
+      isMine: a.requested_by_admin_id === req.session.adminId,
+    }));
+
+    res.json({
+      success: true,
+      data: approvals,
+      enabledActions: getEnabledActions(),
+      actionTypes: APPROVAL_RULES.map(r => ({ action: r.action, method: r.method, path: r.path })),
+    });
+  } catch (error) {
+    console.error('Error fetching approvals:', error);
+    res.status(500).json({ error: 'Failed to fetch approvals' });
+  }
+});
+
+/**
+ * POST /api/approvals/:id/approve
+ * Approve another admin's request so they can run it
+ */
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const approval = await getApproval(req.params.id);
+    if (!approval) return res.status(404).json({ error: 'Approval request not found' });
+
+    if (approval.status !== 'pending') {
+      return res.status(400).json({ error: `Approval request is ${approval.status}` });
+    }
+    if (approval.requested_by_admin_id === req.session.adminId) {
+      return res.status(403).json({ error: 'You cannot approve your own request' });
+    }
+    const { permission } = getRequiredPermission(approval.method, approval.path);
+    if (!getSessionPermissions(req.session).includes(permission)) {
+      return res.status(403).json({ error: `Approving this needs the '${permission}' permission` });
+    }
+
+    const updated = await transition(approval.id, ['pending'], {
+      status: 'approved',
+      decided_by_email: req.session.email,
+      decided_by_admin_id: req.session.adminId,
+      decided_at: new Date().toISOString(),
+      decision_note: req.body.note || null,
+    });
+    if (!updated) return res.status(409).json({ error: 'Approval request was already decided' });
+
+    console.log(`👍 ${req.session.email} approved ${approval.action} requested by ${approval.requested_by_email}`);
+
+    await recordAudit(req, {
+      action: 'approval.approve',
+      organisationId: approval.organisation_id,
+      targetType: 'approval_request',
+      targetId: approval.id,
+      before: { status: 'pending' },
+      after: { status: 'approved' },
+      details: { approvalAction: approval.action, requestedBy: approval.requested_by_email, note: req.body.note || null },
+    });
+
+    res.json({ success: true, data: withEffectiveStatus(updated) });
+  } catch (error) {
+    console.error('Error approving request:', error);
+    res.status(500).json({ error: 'Failed to approve request' });
+  }
+});
+
+/**
+ * POST /api/approvals/:id/reject
+ * Reject another admin's request
+ */
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const approval = await getApproval(req.params.id);
+    if (!approval) return res.status(404).json({ error: 'Approval request not found' });
+
+    if (approval.status !== 'pending') {
+      return res.status(400).json({ error: `Approval request is ${approval.status}` });
+    }
+    if (approval.requested_by_admin_id === req.session.adminId) {
+      return res.status(403).json({ error: 'Cancel your own request instead of rejecting it' });
+    }
+    const { permission } = getRequiredPermission(approval.method, approval.path);
+    if (!getSessionPermissions(req.session).includes(permission)) {
+      return res.status(403).json({ error: `Rejecting this needs the '${permission}' permission` });
+    }
+
+    const updated = await transition(approval.id, ['pending'], {
+      status: 'rejected',
+      decided_by_email: req.session.email,
+      decided_by_admin_id: req.session.adminId,
+      decided_at: new Date().toISOString(),
+      decision_note: req.body.note || null,
+    });
+    if (!updated) return res.status(409).json({ error: 'Approval request was already decided' });
+
+    console.log(`👎 ${req.session.email} rejected ${approval.action} requested by ${approval.requested_by_email}`);
+
+    await recordAudit(req, {
+      action: 'approval.reject',
+      organisationId: approval.organisation_id,
+      targetType: 'approval_request',
+      targetId: approval.id,
+      before: { status: 'pending' },
+      after: { status: 'rejected' },
+      details: { approvalAction: approval.action, requestedBy: approval.requested_by_email, note: req.body.note || null },
+    });
+
+    res.json({ success: true, data: withEffectiveStatus(updated) });
+  } catch (error) {
+    console.error('Error rejecting request:', error);
+    res.status(500).json({ error: 'Failed to reject request' });
+  }
+});
+
+/**
+ * POST /api/approvals/:id/cancel
+ * Withdraw your own pending or approved (not yet run) request
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const approval = await getApproval(req.params.id);
+    if (!approval) return res.status(404).json({ error: 'Approval request not found' });
+
+    if (approval.requested_by_admin_id !== req.session.adminId) {
+      return res.status(403).json({ error: 'Only the requester can cancel this request' });
+    }
+    if (!OPEN_STATUSES.includes(approval.status)) {
+      return res.status(400).json({ error: `Approval request is ${approval.status}` });
+    }
+
+    const updated = await transition(approval.id, OPEN_STATUSES, { status: 'cancelled' });
+    if (!updated) return res.status(409).json({ error: 'Approval request changed - refresh and try again' });
+
+    await recordAudit(req, {
+      action: 'approval.cancel',
+      organisationId: approval.organisation_id,
+      targetType: 'approval_request',
+      targetId: approval.id,
+      before: { status: approval.status },
+      after: { status: 'cancelled' },
+      details: { approvalAction: approval.action },
+    });
+
+    res.json({ success: true, data: withEffectiveStatus(updated) });
+  } catch (error) {
+    console.error('Error cancelling approval request:', error);
+    res.status(500).json({ error: 'Failed to cancel request' });
+  }
+});
+
+export default router;
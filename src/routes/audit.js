@@ -0,0 +1,118 @@
+/**
+ * Admin Audit Log Routes
+ *
+ * Search and export the admin_audit_log written by services/audit.js
+ */
+
+import express from 'express';
+import { buildAuditQuery } from '../services/audit.js';
+import { listCertificates, verifyCertificates } from '../services/customer-erasure.js';
+import { csvCell } from '../services/csv.js';
+
+const router = express.Router();
+
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  'created_at', 'admin_email', 'action', 'method', 'route', 'organisation_id', 'organisation_name',
+  'target_type', 'target_id', 'before', 'after', 'stripe_effects', 'details', 'ip_address',
+];
+
+function getFilters(query) {
+  return {
+    search: query.search || '',
+    adminEmail: query.adminEmail || '',
+    action: query.action || '',
+    organisationId: query.organisationId || '',
+    from: query.from || '',
+    to: query.to || '',
+  };
+}
+
+/**
+ * GET /api/audit?search=&adminEmail=&action=&organisationId=&from=&to=&page=1&limit=50
+ * Search the audit log, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = (page - 1) * limit;
+
+    const { data, count, error } = await buildAuditQuery(getFilters(req.query), { count: 'exact' })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit),
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch audit log' });
+  }
+});
+
+/**
+ * GET /api/audit/export?<same filters>
+ * Download the filtered audit log as CSV
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { data, error } = await buildAuditQuery(getFilters(req.query))
+      .range(0, EXPORT_LIMIT - 1);
+
+    if (error) throw error;
+
+    const lines = [CSV_COLUMNS.join(',')];
+    (data || []).forEach(row => {
+      lines.push(CSV_COLUMNS.map(col => csvCell(row[col])).join(','));
+    });
+
+    const filename = `openword-audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(lines.join('\n'));
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ success: false, error: 'Failed to export audit log' });
+  }
+});
+
+/**
+ * GET /api/audit/erasure-certificates?organisationId=&limit=50
+ * GDPR erasure certificates, newest first
+ */
+router.get('/erasure-certificates', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const data = await listCertificates({ organisationId: req.query.organisationId || null, limit });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching erasure certificates:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch erasure certificates' });
+  }
+});
+
+/**
+ * GET /api/audit/erasure-certificates/verify
+ * Check the erasure certificate hash chain hasn't been tampered with
+ */
+router.get('/erasure-certificates/verify', async (req, res) => {
+  try {
+    const result = await verifyCertificates();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error verifying erasure certificates:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify erasure certificates' });
+  }
+});
+
+export default router;
@@ -5,6 +5,27 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { normaliseRole, getRolePermissions } from '../middleware/permissions.js';
+import {
+  isTwoFactorRequired,
+  generateSecret,
+  verifyTotp,
+  buildProvisioning,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} from '../services/totp.js';
+import { validatePassword, describePasswordPolicy } from '../services/password-policy.js';
+import { revokeAdminSessions } from '../services/session-store.js';
+import { recordAudit } from '../services/audit.js';
+import { issueCsrfToken, needsCsrfToken } from '../middleware/csrf.js';
+import {
+  checkLockout,
+  recordLoginFailure,
+  recordLockedAttempt,
+  recordLoginSuccess,
+} from '../services/login-security.js';
 
 dotenv.config();
 
@@ -22,6 +43,102 @@ const supabaseAdmin = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+/**
+ * Mark the session authenticated for an admin who has passed every required factor.
+ * Regenerates the session id so a pre-login session cannot be fixated.
+ */
+function establishSession(req, admin, twoFactorEnabled) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      req.session.authenticated = true;
+      req.session.adminId = admin.adminId;
+      req.session.userId = admin.userId;
+      req.session.email = admin.email;
+      req.session.role = admin.role;
+      req.session.twoFactorEnabled = twoFactorEnabled;
+      req.session.loginTime = new Date().toISOString();
+      req.session.lastActivity = req.session.loginTime;
+      req.session.accessToken = admin.accessToken;
+      req.session.ipAddress = req.ip;
+      req.session.userAgent = req.headers['user-agent'] || null;
+      issueCsrfToken(req.session);
+
+      // Login history + new-IP alert; non-fatal and not awaited
+      recordLoginSuccess({
+        email: admin.email,
+        adminId: admin.adminId,
+        ip: req.ip,
+        userAgent: req.session.userAgent,
+        reason: twoFactorEnabled ? 'password+2fa' : 'password',
+      });
+
+      console.log(`✅ Admin logged in: ${admin.email} (${admin.role})${twoFactorEnabled ? ' with 2FA' : ''}`);
+
+      // Shown on the admin management page; never blocks the login
+      supabaseAdmin
+        .from('dashboard_admins')
+        .update({ last_login_at: req.session.loginTime })
+        .eq('id', admin.adminId)
+        .then(({ error }) => {
+          if (error) console.error('Failed to record last login:', error.message);
+        });
+
+      resolve();
+    });
+  });
+}
+
+/**
+ * Resolve who is enrolling: a signed-in admin, or one mid-login whose
+ * enrolment is being forced by REQUIRE_ADMIN_2FA
+ */
+function getEnrollingAdmin(req) {
+  if (req.session?.authenticated) {
+    return { adminId: req.session.adminId, email: req.session.email, pending: false };
+  }
+  const pending = req.session?.pendingLogin;
+  if (pending && pending.stage === 'enrol') {
+    return { adminId: pending.adminId, email: pending.email, pending: true };
+  }
+  return null;
+}
+
+/**
+ * Re-enrolling replaces an admin's existing second factor, so a signed-in admin
+ * who already has 2FA must prove the current one: a TOTP code (currentCode) or
+ * a recovery code (recoveryCode, used up).
+ * @returns {Promise<string|null>} error message
+ */
+async function checkCurrentFactor(admin, { currentCode, recoveryCode } = {}) {
+  if (admin.pending) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('dashboard_admins')
+    .select('totp_enabled, totp_secret, totp_recovery_codes')
+    .eq('id', admin.adminId)
+    .single();
+
+  if (error) throw error;
+  if (!data?.totp_enabled) return null;
+
+  if (currentCode) {
+    return verifyTotp(decryptSecret(data.totp_secret), currentCode) ? null : 'Invalid current authentication code';
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = data.totp_recovery_codes || [];
+    if (!remaining.includes(hash)) return 'Invalid recovery code';
+    const { error: updateError } = await supabaseAdmin
+      .from('dashboard_admins')
+      .update({ totp_recovery_codes: remaining.filter(h => h !== hash) })
+      .eq('id', admin.adminId);
+    if (updateError) throw updateError;
+    return null;
+  }
+  return 'Two-factor authentication is already enabled. Enter a current code or a recovery code to replace it.';
+}
+
 /**
  * POST /auth/login
  * Login with Supabase credentials
@@ -34,6 +151,20 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
+    const attempt = { email, ip: req.ip, userAgent: req.headers['user-agent'] || null };
+
+    // Progressive lockout per email and per IP (checked before touching Supabase Auth)
+    const lockout = await checkLockout(email, req.ip);
+    if (lockout.locked) {
+      console.log(`🔒 Login blocked for ${email} from ${req.ip} - ${lockout.scope} locked for ${lockout.retryAfterSeconds}s`);
+      await recordLockedAttempt({ ...attempt, reason: `${lockout.scope}_locked` });
+      res.set('Retry-After', String(lockout.retryAfterSeconds));
+      return res.status(429).json({
+        error: `Too many failed sign-in attempts. Try again in ${Math.ceil(lockout.retryAfterSeconds / 60)} minute(s).`,
+        retryAfterSeconds: lockout.retryAfterSeconds,
+      });
+    }
+
     // Authenticate with Supabase
     const { data, error } = await supabase.auth.signInWithPassword({
       email,
@@ -42,6 +173,7 @@ router.post('/login', async (req, res) => {
 
     if (error) {
       console.log(`❌ Login failed for ${email}: ${error.message}`);
+      await recordLoginFailure({ ...attempt, reason: 'invalid_credentials' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -55,25 +187,44 @@ router.post('/login', async (req, res) => {
 
     if (adminError || !adminUser) {
       console.log(`❌ User ${email} is not a dashboard admin`);
+      await recordLoginFailure({ ...attempt, reason: 'not_admin' });
       return res.status(403).json({ error: 'Access denied. You are not authorized to access this dashboard.' });
     }
 
-    // Set session
-    req.session.authenticated = true;
-    req.session.userId = data.user.id;
-    req.session.email = email;
-    req.session.role = adminUser.role;
-    req.session.loginTime = new Date().toISOString();
-    req.session.accessToken = data.session.access_token;
+    const role = normaliseRole(adminUser.role);
+    const pending = {
+      adminId: adminUser.id,
+      userId: data.user.id,
+      email,
+      role,
+      accessToken: data.session.access_token,
+      attempts: 0,
+    };
 
-    console.log(`✅ Admin logged in: ${email} (${adminUser.role})`);
+    // Password alone never authenticates an admin with TOTP enrolled (or when
+    // 2FA is enforced) - the session is held in a pending state until the
+    // second factor passes via /auth/2fa/verify or /auth/2fa/enable.
+    if (adminUser.totp_enabled) {
+      req.session.pendingLogin = { ...pending, stage: 'verify' };
+      console.log(`🔐 Password accepted for ${email}, awaiting TOTP code`);
+      return res.json({ success: true, twoFactorRequired: true });
+    }
+
+    if (isTwoFactorRequired()) {
+      req.session.pendingLogin = { ...pending, stage: 'enrol' };
+      console.log(`🔐 Password accepted for ${email}, 2FA enrolment required`);
+      return res.json({ success: true, enrolmentRequired: true });
+    }
+
+    await establishSession(req, pending, false);
 
     res.json({
       success: true,
       message: 'Login successful',
       user: {
         email: email,
-        role: adminUser.role,
+        role,
+        permissions: getRolePermissions(role),
       }
     });
   } catch (error) {
@@ -103,13 +254,31 @@ router.get('/status', (req, res) => {
       authenticated: true,
       email: req.session.email,
       role: req.session.role,
-      loginTime: req.session.loginTime
+      permissions: getRolePermissions(req.session.role),
+      twoFactorEnabled: !!req.session.twoFactorEnabled,
+      loginTime: req.session.loginTime,
+      csrfToken: issueCsrfToken(req.session)
     });
   } else {
-    res.json({ authenticated: false });
+    res.json({
+      authenticated: false,
+      pendingTwoFactor: req.session?.pendingLogin?.stage || null
+    });
   }
 });
 
+/**
+ * GET /auth/csrf-token
+ * CSRF token for the signed-in or pending-login session (sent as X-CSRF-Token on
+ * state-changing requests)
+ */
+router.get('/csrf-token', (req, res) => {
+  if (!needsCsrfToken(req.session)) {
+    return res.json({ csrfToken: null });
+  }
+  res.json({ csrfToken: issueCsrfToken(req.session) });
+});
+
 /**
  * POST /auth/forgot-password
  * Send password reset email
@@ -138,4 +307,428 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
+/**
+ * Read the issued-at time from a Supabase access token (already verified by getUser)
+ */
+function getTokenIssuedAt(accessToken) {
+  try {
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf8'));
+    return payload.iat ? payload.iat * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * GET /auth/password-policy
+ * Rules shown on the reset page
+ */
+router.get('/password-policy', (req, res) => {
+  res.json({ success: true, rules: describePasswordPolicy() });
+});
+
+/**
+ * POST /auth/reset-password
+ * Set a new password from a Supabase recovery (or invite) link.
+ * Accepts either the access token from the link's URL fragment or a token_hash.
+ * All existing sessions for the admin are ended so they must sign in again, and
+ * dashboard_admins.password_changed_at is recorded so the same link can't be reused.
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { accessToken, tokenHash, type, password, confirmPassword } = req.body;
+
+    if (!password || (!accessToken && !tokenHash)) {
+      return res.status(400).json({ error: 'Reset link and new password are required' });
+    }
+    if (confirmPassword !== undefined && password !== confirmPassword) {
+      return res.status(400).json({ error: 'Passwords do not match' });
+    }
+
+    // Resolve the user the link was issued for
+    let user = null;
+    let linkToken = accessToken;
+    if (tokenHash) {
+      const { data, error } = await supabase.auth.verifyOtp({
+        token_hash: tokenHash,
+        type: type === 'invite' ? 'invite' : 'recovery',
+      });
+      if (error || !data?.user) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+      }
+      user = data.user;
+      linkToken = data.session?.access_token || null;
+    } else {
+      const { data, error } = await supabaseAdmin.auth.getUser(accessToken);
+      if (error || !data?.user) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+      }
+      user = data.user;
+    }
+
+    const { data: adminUser } = await supabaseAdmin
+      .from('dashboard_admins')
+      .select('id, email, is_active, password_changed_at')
+      .eq('user_id', user.id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (!adminUser) {
+      return res.status(403).json({ error: 'This account does not have access to the dashboard.' });
+    }
+
+    // A link can only be used once: reject tokens issued before the last password change
+    const issuedAt = linkToken ? getTokenIssuedAt(linkToken) : null;
+    if (issuedAt && adminUser.password_changed_at && issuedAt <= new Date(adminUser.password_changed_at).getTime()) {
+      return res.status(400).json({ error: 'This reset link has already been used. Please request a new one.' });
+    }
+
+    const problems = validatePassword(password, user.email);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], problems });
+    }
+
+    const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(user.id, { password });
+    if (updateError) {
+      console.error('Password update error:', updateError);
+      return res.status(400).json({ error: updateError.message });
+    }
+
+    await supabaseAdmin
+      .from('dashboard_admins')
+      .update({ password_changed_at: new Date().toISOString() })
+      .eq('id', adminUser.id);
+
+    // Fresh login everywhere: dashboard sessions and Supabase refresh tokens
+    const sessionsRevoked = await revokeAdminSessions(adminUser.id);
+    if (linkToken) {
+      const { error: signOutError } = await supabaseAdmin.auth.admin.signOut(linkToken, 'global');
+      if (signOutError) console.error('Failed to sign out Supabase sessions after reset:', signOutError.message);
+    }
+
+    console.log(`🔑 Password reset for ${user.email} (${sessionsRevoked} session(s) ended)`);
+
+    await recordAudit(req, {
+      action: 'admin.password_reset',
+      targetType: 'dashboard_admin',
+      targetId: adminUser.id,
+      adminEmail: user.email,
+      details: { sessionsRevoked, via: tokenHash ? 'token_hash' : 'access_token' },
+    });
+
+    // Drop any session this browser had so the next page is the login form
+    if (req.session) {
+      req.session.destroy(() => res.json({ success: true, message: 'Password updated. Please sign in with your new password.' }));
+    } else {
+      res.json({ success: true, message: 'Password updated. Please sign in with your new password.' });
+    }
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * POST /auth/2fa/verify
+ * Second login step: accept a TOTP code or a one-time recovery code
+ */
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const pending = req.session?.pendingLogin;
+    if (!pending || pending.stage !== 'verify') {
+      return res.status(400).json({ error: 'No login awaiting verification. Please sign in again.' });
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Authentication code required' });
+    }
+
+    const { data: admin, error } = await supabaseAdmin
+      .from('dashboard_admins')
+      .select('id, is_active, totp_enabled, totp_secret, totp_recovery_codes')
+      .eq('id', pending.adminId)
+      .single();
+
+    if (error || !admin || !admin.is_active || !admin.totp_enabled) {
+      delete req.session.pendingLogin;
+      return res.status(403).json({ error: 'Access denied. Please sign in again.' });
+    }
+
+    let verified = false;
+    let usedRecoveryCode = false;
+
+    if (code) {
+      verified = verifyTotp(decryptSecret(admin.totp_secret), code);
+    } else {
+      const hash = hashRecoveryCode(recoveryCode);
+      const remaining = admin.totp_recovery_codes || [];
+      if (remaining.includes(hash)) {
+        // Recovery codes are single-use
+        const { error: updateError } = await supabaseAdmin
+          .from('dashboard_admins')
+          .update({ totp_recovery_codes: remaining.filter(h => h !== hash) })
+          .eq('id', admin.id);
+        if (updateError) throw updateError;
+        verified = true;
+        usedRecoveryCode = true;
+      }
+    }
+
+    if (!verified) {
+      pending.attempts = (pending.attempts || 0) + 1;
+      console.log(`❌ 2FA failed for ${pending.email} (attempt ${pending.attempts})`);
+      await recordLoginFailure({
+        email: pending.email,
+        adminId: pending.adminId,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+        reason: code ? 'invalid_2fa_code' : 'invalid_recovery_code',
+      });
+      if (pending.attempts >= 5) {
+        delete req.session.pendingLogin;
+        return res.status(401).json({ error: 'Too many invalid codes. Please sign in again.', restart: true });
+      }
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await establishSession(req, pending, true);
+
+    if (usedRecoveryCode) {
+      console.log(`🔑 Recovery code used by ${pending.email} (${(admin.totp_recovery_codes || []).length - 1} left)`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      usedRecoveryCode,
+      user: {
+        email: pending.email,
+        role: pending.role,
+        permissions: getRolePermissions(pending.role),
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Verification failed' });
+  }
+});
+
+/**
+ * GET /auth/2fa/status
+ * Current admin's enrolment state (for the account security page)
+ */
+router.get('/2fa/status', async (req, res) => {
+  try {
+    if (!req.session?.authenticated) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { data: admin, error } = await supabaseAdmin
+      .from('dashboard_admins')
+      .select('totp_enabled, totp_enrolled_at, totp_recovery_codes')
+      .eq('id', req.session.adminId)
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!admin?.totp_enabled,
+        enrolledAt: admin?.totp_enrolled_at || null,
+        recoveryCodesRemaining: (admin?.totp_recovery_codes || []).length,
+        required: isTwoFactorRequired(),
+      }
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ error: 'Failed to load 2FA status' });
+  }
+});
+
+/**
+ * POST /auth/2fa/setup
+ * Start enrolment: generate a secret and return its QR code. The secret is held
+ * in the session until confirmed with /auth/2fa/enable.
+ * Body (when 2FA is already enabled): { currentCode } or { recoveryCode }
+ */
+router.post('/2fa/setup', async (req, res) => {
+  try {
+    const admin = getEnrollingAdmin(req);
+    if (!admin) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const factorError = await checkCurrentFactor(admin, req.body || {});
+    if (factorError) {
+      return res.status(400).json({ error: factorError });
+    }
+
+    const secret = generateSecret();
+    req.session.totpSetupSecret = secret;
+
+    const { otpauthUrl, qrDataUrl } = await buildProvisioning(secret, admin.email);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUrl, qrDataUrl }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start 2FA setup' });
+  }
+});
+
+/**
+ * POST /auth/2fa/enable
+ * Confirm enrolment with a code from the authenticator app. Returns recovery
+ * codes (shown once). Completes the login when enrolment was forced.
+ * Body: { code } plus, when replacing an enabled 2FA, { currentCode } or { recoveryCode }
+ */
+router.post('/2fa/enable', async (req, res) => {
+  try {
+    const admin = getEnrollingAdmin(req);
+    if (!admin) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const factorError = await checkCurrentFactor(admin, req.body || {});
+    if (factorError) {
+      return res.status(400).json({ error: factorError });
+    }
+
+    const secret = req.session.totpSetupSecret;
+    if (!secret) {
+      return res.status(400).json({ error: 'Start 2FA setup first' });
+    }
+
+    if (!verifyTotp(secret, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code. Check your device clock and try again.' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { error } = await supabaseAdmin
+      .from('dashboard_admins')
+      .update({
+        totp_secret: encryptSecret(secret),
+        totp_enabled: true,
+        totp_enrolled_at: new Date().toISOString(),
+        totp_recovery_codes: hashes,
+      })
+      .eq('id', admin.adminId);
+
+    if (error) throw error;
+
+    delete req.session.totpSetupSecret;
+    console.log(`🔐 2FA enabled for ${admin.email}`);
+
+    if (admin.pending) {
+      await establishSession(req, req.session.pendingLogin, true);
+    } else {
+      req.session.twoFactorEnabled = true;
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable 2FA' });
+  }
+});
+
+/**
+ * POST /auth/2fa/recovery-codes
+ * Replace all recovery codes (requires a current TOTP code)
+ */
+router.post('/2fa/recovery-codes', async (req, res) => {
+  try {
+    if (!req.session?.authenticated) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { data: admin, error } = await supabaseAdmin
+      .from('dashboard_admins')
+      .select('totp_enabled, totp_secret')
+      .eq('id', req.session.adminId)
+      .single();
+
+    if (error) throw error;
+    if (!admin?.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!verifyTotp(decryptSecret(admin.totp_secret), req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    const { error: updateError } = await supabaseAdmin
+      .from('dashboard_admins')
+      .update({ totp_recovery_codes: hashes })
+      .eq('id', req.session.adminId);
+
+    if (updateError) throw updateError;
+
+    console.log(`🔑 Recovery codes regenerated for ${req.session.email}`);
+
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * POST /auth/2fa/disable
+ * Turn off 2FA for the current admin (not allowed while REQUIRE_ADMIN_2FA is on)
+ */
+router.post('/2fa/disable', async (req, res) => {
+  try {
+    if (!req.session?.authenticated) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (isTwoFactorRequired()) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for all dashboard admins' });
+    }
+
+    const { data: admin, error } = await supabaseAdmin
+      .from('dashboard_admins')
+      .select('totp_enabled, totp_secret')
+      .eq('id', req.session.adminId)
+      .single();
+
+    if (error) throw error;
+    if (!admin?.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!verifyTotp(decryptSecret(admin.totp_secret), req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('dashboard_admins')
+      .update({
+        totp_secret: null,
+        totp_enabled: false,
+        totp_enrolled_at: null,
+        totp_recovery_codes: null,
+      })
+      .eq('id', req.session.adminId);
+
+    if (updateError) throw updateError;
+
+    req.session.twoFactorEnabled = false;
+    console.log(`🔓 2FA disabled for ${req.session.email}`);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable 2FA' });
+  }
+});
+
 export default router;
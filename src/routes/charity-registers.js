@@ -9,9 +9,13 @@ import multer from 'multer';
 import { parse } from 'csv-parse/sync';
 import AdmZip from 'adm-zip';
 import * as XLSX from 'xlsx';
+import { recordAudit, getOrgSnapshot, pickFields } from '../services/audit.js';
 
 const router = express.Router();
 
+// Organisation fields captured before/after charity review decisions in the audit log
+const CHARITY_REVIEW_FIELDS = ['charity_review_requested', 'charity_verified', 'discount_percent', 'discount_type'];
+
 // Configure multer for file uploads (memory storage for CSV/ZIP/Excel processing)
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -250,6 +254,7 @@ router.post('/reviews/:id/approve', async (req, res) => {
     try {
         const { id } = req.params;
         const { registeredName, notes } = req.body;
+        const before = await getOrgSnapshot(id, CHARITY_REVIEW_FIELDS);
 
         const { data, error } = await supabase
             .from('organisations')
@@ -271,6 +276,15 @@ router.post('/reviews/:id/approve', async (req, res) => {
 
         console.log(`🏛️  Charity review APPROVED for organisation ${id}: ${data.name}`);
 
+        await recordAudit(req, {
+            action: 'charity_review.approve',
+            organisationId: id,
+            organisationName: data.name,
+            before: pickFields(before, CHARITY_REVIEW_FIELDS),
+            after: pickFields(data, CHARITY_REVIEW_FIELDS),
+            details: { registeredName: registeredName || null, notes: notes || null }
+        });
+
         res.json({
             success: true,
             message: 'Charity status approved - 50% discount applied',
@@ -291,6 +305,7 @@ router.post('/reviews/:id/reject', async (req, res) => {
     try {
         const { id } = req.params;
         const { reason } = req.body;
+        const before = await getOrgSnapshot(id, CHARITY_REVIEW_FIELDS);
 
         const { data, error } = await supabase
             .from('organisations')
@@ -310,6 +325,15 @@ router.post('/reviews/:id/reject', async (req, res) => {
 
         console.log(`🏛️  Charity review REJECTED for organisation ${id}: ${data.name}`);
 
+        await recordAudit(req, {
+            action: 'charity_review.reject',
+            organisationId: id,
+            organisationName: data.name,
+            before: pickFields(before, CHARITY_REVIEW_FIELDS),
+            after: pickFields(data, CHARITY_REVIEW_FIELDS),
+            details: { reason: reason || null }
+        });
+
         res.json({
             success: true,
             message: 'Charity review rejected',
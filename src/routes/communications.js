@@ -7,6 +7,9 @@
 import express from 'express';
 import supabase from '../services/supabase.js';
 import { sendCustomerEmail, sendBulkCustomerEmail } from '../services/email.js';
+import { recordAudit } from '../services/audit.js';
+import { parseAttributeCriteria, hasAttributeCriteria, resolveAudience, describeCriteria } from '../services/customer-attributes.js';
+import { getOrganisationsByIds } from '../services/customer-query.js';
 
 const router = express.Router();
 
@@ -19,7 +22,7 @@ router.get('/customers', async (req, res) => {
         // Get all organisations with user IDs
         const { data: orgs, error: orgsError } = await supabase
             .from('organisations')
-            .select('id, name, subscription_tier, subscription_status, email_opt_out, user_id, created_at')
+            .select('id, name, subscription_tier, subscription_status, email_opt_out, user_id, created_at, tags, custom_fields')
             .order('name');
 
         if (orgsError) throw orgsError;
@@ -43,6 +46,8 @@ router.get('/customers', async (req, res) => {
                     tier: org.subscription_tier || 'trial',
                     status: org.subscription_status || 'active',
                     emailOptOut: org.email_opt_out || false,
+                    tags: org.tags || [],
+                    customFields: org.custom_fields || {},
                     createdAt: org.created_at
                 };
             })
@@ -65,11 +70,27 @@ router.get('/customers', async (req, res) => {
 
 /**
  * POST /send-bulk
- * Send email to multiple customers
+ * Send email to multiple customers: either customerIds, or an audience of
+ * { tags, tagMatch, fields } criteria (see services/customer-attributes.js).
+ * Audience sends skip customers who opted out of emails.
  */
 router.post('/send-bulk', async (req, res) => {
     try {
-        const { customerIds, subject, body, emailType } = req.body;
+        const { subject, body, emailType, audience } = req.body;
+        let { customerIds } = req.body;
+
+        let audienceDescription = null;
+        if (audience) {
+            const { criteria, error: criteriaError } = parseAttributeCriteria(audience);
+            if (criteriaError) {
+                return res.status(400).json({ success: false, error: criteriaError });
+            }
+            if (!hasAttributeCriteria(criteria)) {
+                return res.status(400).json({ success: false, error: 'Audience needs at least one tag or custom field condition' });
+            }
+            customerIds = await resolveAudience(criteria);
+            audienceDescription = describeCriteria(criteria);
+        }
 
         if (!customerIds || !Array.isArray(customerIds) || customerIds.length === 0) {
             return res.status(400).json({ success: false, error: 'No customers selected' });
@@ -83,13 +104,11 @@ router.post('/send-bulk', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Email body is required' });
         }
 
-        // Get customer details
-        const { data: orgs, error: orgsError } = await supabase
-            .from('organisations')
-            .select('id, name, user_id')
-            .in('id', customerIds);
+        // Get customer details (an audience can run to thousands of IDs)
+        const matchedOrgs = await getOrganisationsByIds(customerIds, 'id, name, user_id, email_opt_out');
 
-        if (orgsError) throw orgsError;
+        // Hand-picked recipients were chosen knowingly; audience matches respect opt-outs
+        const orgs = audience ? matchedOrgs.filter(org => !org.email_opt_out) : matchedOrgs;
 
         // Fetch emails
         const recipients = [];
@@ -131,7 +150,7 @@ router.post('/send-bulk', async (req, res) => {
             recipient_name: r.name,
             subject: subject,
             body_preview: body.substring(0, 500),
-            sent_by: req.session.user?.email || 'admin',
+            sent_by: req.session.email || 'admin',
             status: results.errors.find(e => e.orgId === r.orgId) ? 'failed' : 'sent',
             email_type: emailType || 'bulk_announcement',
             error_message: results.errors.find(e => e.orgId === r.orgId)?.error || null
@@ -146,6 +165,19 @@ router.post('/send-bulk', async (req, res) => {
             console.error('Failed to log emails:', logError);
         }
 
+        await recordAudit(req, {
+            action: 'communication.send_bulk',
+            targetType: 'email',
+            details: {
+                subject,
+                emailType: emailType || 'bulk_announcement',
+                organisationIds: recipients.map(r => r.orgId),
+                audience: audienceDescription,
+                sent: results.sent,
+                failed: results.failed
+            }
+        });
+
         res.json({
             success: true,
             sent: results.sent,
@@ -217,7 +249,7 @@ router.post('/send-individual/:id', async (req, res) => {
                 recipient_name: org.name,
                 subject: subject,
                 body_preview: body.substring(0, 500),
-                sent_by: req.session.user?.email || 'admin',
+                sent_by: req.session.email || 'admin',
                 status: result.success ? 'sent' : 'failed',
                 email_type: emailType || 'individual',
                 error_message: result.error || null
@@ -227,6 +259,13 @@ router.post('/send-individual/:id', async (req, res) => {
             console.error('Failed to log email:', logError);
         }
 
+        await recordAudit(req, {
+            action: 'communication.send_individual',
+            organisationId: org.id,
+            organisationName: org.name,
+            details: { subject, email, emailType: emailType || 'individual', sent: result.success }
+        });
+
         if (result.success) {
             res.json({ success: true, message: `Email sent to ${email}` });
         } else {
@@ -281,7 +320,7 @@ router.post('/send-direct', async (req, res) => {
                 recipient_name: (toName || '').trim() || null,
                 subject: subject,
                 body_preview: body.substring(0, 500),
-                sent_by: req.session.user?.email || 'admin',
+                sent_by: req.session.email || 'admin',
                 status: result.success ? 'sent' : 'failed',
                 email_type: 'custom',
                 error_message: result.error || null
@@ -291,6 +330,12 @@ router.post('/send-direct', async (req, res) => {
             console.error('Failed to log direct email:', logError);
         }
 
+        await recordAudit(req, {
+            action: 'communication.send_direct',
+            targetType: 'email',
+            details: { subject, email, sent: result.success }
+        });
+
         if (result.success) {
             res.json({ success: true, message: `Email sent to ${email}` });
         } else {
@@ -13,30 +13,19 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
-/**
- * Middleware to check authentication
- */
-function requireAuth(req, res, next) {
-  if (req.session && req.session.authenticated) {
-    return next();
-  }
-  if (req.xhr || req.headers.accept?.includes('application/json')) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  res.redirect('/login');
-}
+// Mounted behind requireAuth in server.js, which also applies the session idle and max-age limits
 
 /**
  * GET /costs - Get costs page
  */
-router.get('/', requireAuth, (req, res) => {
+router.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../../views/costs.html'));
 });
 
 /**
  * GET /costs/summary - Get costs and revenue summary
  */
-router.get('/summary', requireAuth, async (req, res) => {
+router.get('/summary', async (req, res) => {
   try {
     const analytics = await getCostsAnalytics();
     res.json(analytics);
@@ -0,0 +1,122 @@
+/**
+ * Credit Ledger Routes
+ *
+ * Reversals, opening balances and the balance reconciliation report for the
+ * append-only credit ledger (see services/credit-ledger.js). A customer's
+ * entries are listed with GET /api/customers/:id/ledger.
+ */
+
+import express from 'express';
+import supabase from '../services/supabase.js';
+import { recordAudit } from '../services/audit.js';
+import { reverseLedgerEntry, openLedger, reconcileBalances } from '../services/credit-ledger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/credit-ledger/reconciliation
+ * Organisations whose current_balance disagrees with the ledger, or that have
+ * a balance but no ledger yet
+ */
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const report = await reconcileBalances();
+
+    if (report.mismatched > 0) {
+      console.log(`⚖️ Credit reconciliation: ${report.mismatched} of ${report.checked} balances disagree with the ledger`);
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error reconciling credit balances:', error);
+    res.status(500).json({ error: 'Failed to reconcile credit balances' });
+  }
+});
+
+/**
+ * POST /api/credit-ledger/entries/:entryId/reverse
+ * Undo a ledger entry with an equal and opposite one. Body: { reason }
+ */
+router.post('/entries/:entryId/reverse', async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to reverse a ledger entry' });
+    }
+
+    const result = await reverseLedgerEntry(req.params.entryId, { reason, createdBy: req.session.email });
+    if (result.error) {
+      return res.status(result.code === 'entry_not_found' ? 404 : 400).json({ error: result.error });
+    }
+
+    const { entry, original } = result;
+
+    const { data: org } = await supabase
+      .from('organisations')
+      .select('name')
+      .eq('id', original.organisation_id)
+      .single();
+
+    console.log(`↩️ Ledger entry ${original.id} (${original.entry_type}, ${original.credits} credits) reversed for ${org?.name || original.organisation_id} by ${req.session.email}`);
+
+    await recordAudit(req, {
+      action: 'credit_ledger.reverse',
+      organisationId: original.organisation_id,
+      organisationName: org?.name,
+      targetType: 'credit_ledger_entry',
+      targetId: original.id,
+      before: { current_balance: entry.balance_before },
+      after: { current_balance: Number(entry.balance_after) },
+      details: {
+        reason,
+        reversedEntry: { type: original.entry_type, credits: Number(original.credits), reason: original.reason },
+        reversalEntryId: entry.id,
+      },
+    });
+
+    res.json({ success: true, data: { entry, reversedEntryId: original.id, newBalance: Number(entry.balance_after) } });
+  } catch (error) {
+    console.error('Error reversing ledger entry:', error);
+    res.status(500).json({ error: 'Failed to reverse ledger entry' });
+  }
+});
+
+/**
+ * POST /api/credit-ledger/open
+ * Start the ledger for organisations that have a credit balance but no entries,
+ * recording each current balance as an opening entry. Body: { organisationIds? }
+ * (defaults to every organisation without a ledger)
+ */
+router.post('/open', async (req, res) => {
+  try {
+    let organisationIds = req.body.organisationIds;
+
+    if (!Array.isArray(organisationIds)) {
+      const report = await reconcileBalances();
+      organisationIds = report.organisations.filter(o => o.status === 'no_ledger').map(o => o.organisationId);
+    }
+
+    let opened = 0;
+    const skipped = [];
+    for (const organisationId of organisationIds) {
+      const result = await openLedger(organisationId, req.session.email);
+      if (result.error) skipped.push({ organisationId, reason: result.error });
+      else opened++;
+    }
+
+    console.log(`📒 Credit ledger opened for ${opened} organisation(s) by ${req.session.email}`);
+
+    await recordAudit(req, {
+      action: 'credit_ledger.open',
+      targetType: 'credit_ledger',
+      details: { opened, skipped: skipped.length, organisationIds },
+    });
+
+    res.json({ success: true, data: { opened, skipped } });
+  } catch (error) {
+    console.error('Error opening credit ledgers:', error);
+    res.status(500).json({ error: 'Failed to open credit ledgers' });
+  }
+});
+
+export default router;
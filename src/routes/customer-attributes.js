@@ -0,0 +1,273 @@
+/**
+ * Customer Tag and Custom Field Definition Routes
+ *
+ * Manage the tags and typed custom fields admins can set on customers (see
+ * services/customer-attributes.js). Values are set per customer with
+ * POST /api/customers/:id/attributes.
+ */
+
+import express from 'express';
+import supabase from '../services/supabase.js';
+import { recordAudit } from '../services/audit.js';
+import { normaliseTags } from '../services/customer-actions.js';
+import {
+  getTagDefinitions, getFieldDefinitions, FIELD_TYPES, FIELD_KEY_PATTERN,
+} from '../services/customer-attributes.js';
+
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function toFieldKey(label) {
+  return String(label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').replace(/^(\d)/, 'f_$1').slice(0, 40);
+}
+
+function normaliseOptions(options) {
+  const list = Array.isArray(options) ? options : String(options || '').split(',');
+  return [...new Set(list.map(o => String(o).trim()).filter(Boolean))];
+}
+
+/**
+ * GET /api/customer-attributes?includeArchived=true
+ * Defined tags (with usage counts) and custom fields
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [tags, fields, { data: tagged, error: taggedError }] = await Promise.all([
+      getTagDefinitions(),
+      getFieldDefinitions({ includeArchived: req.query.includeArchived === 'true' }),
+      supabase.from('organisations').select('tags').not('tags', 'is', null),
+    ]);
+
+    if (taggedError) throw taggedError;
+
+    const usage = {};
+    (tagged || []).forEach(row => (row.tags || []).forEach(tag => { usage[tag] = (usage[tag] || 0) + 1; }));
+
+    res.json({
+      success: true,
+      data: {
+        tags: tags.map(t => ({ ...t, customerCount: usage[t.name] || 0 })),
+        fields,
+        fieldTypes: FIELD_TYPES,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching customer attributes:', error);
+    res.status(500).json({ error: 'Failed to fetch tags and custom fields' });
+  }
+});
+
+/**
+ * POST /api/customer-attributes/tags
+ * Define a tag. Body: { name, color, description }
+ */
+router.post('/tags', async (req, res) => {
+  try {
+    const [name] = normaliseTags([req.body.name]);
+    if (!name || name.length > 40) {
+      return res.status(400).json({ error: 'Tag name is required (40 characters max)' });
+    }
+    const color = req.body.color || '#6b7280';
+    if (!COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ error: 'Colour must be a hex value like #2563eb' });
+    }
+
+    const { data, error } = await supabase
+      .from('customer_tags')
+      .insert({
+        name,
+        color,
+        description: req.body.description?.trim() || null,
+        created_by_email: req.session.email,
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: `Tag '${name}' already exists` });
+      throw error;
+    }
+
+    console.log(`🏷️ Tag defined by ${req.session.email}: ${name}`);
+
+    await recordAudit(req, {
+      action: 'customer_attributes.create_tag',
+      targetType: 'customer_tag',
+      targetId: data.id,
+      after: { name, color, description: data.description },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+/**
+ * DELETE /api/customer-attributes/tags/:id
+ * Delete a tag definition and remove it from every customer that has it
+ */
+router.delete('/tags/:id', async (req, res) => {
+  try {
+    const { data: tag, error: tagError } = await supabase
+      .from('customer_tags')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (tagError) throw tagError;
+    if (!tag) return res.status(404).json({ error: 'Tag not found' });
+
+    const { data: tagged, error: taggedError } = await supabase
+      .from('organisations')
+      .select('id, tags')
+      .contains('tags', [tag.name]);
+
+    if (taggedError) throw taggedError;
+
+    for (const org of tagged || []) {
+      const { error: updateError } = await supabase
+        .from('organisations')
+        .update({ tags: (org.tags || []).filter(t => t !== tag.name) })
+        .eq('id', org.id);
+      if (updateError) throw updateError;
+    }
+
+    const { error } = await supabase.from('customer_tags').delete().eq('id', tag.id);
+    if (error) throw error;
+
+    console.log(`🏷️ Tag deleted by ${req.session.email}: ${tag.name} (removed from ${tagged?.length || 0} customers)`);
+
+    await recordAudit(req, {
+      action: 'customer_attributes.delete_tag',
+      targetType: 'customer_tag',
+      targetId: tag.id,
+      before: { name: tag.name, color: tag.color, description: tag.description },
+      details: { removedFromOrganisationIds: (tagged || []).map(o => o.id) },
+    });
+
+    res.json({ success: true, removedFrom: tagged?.length || 0 });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+/**
+ * POST /api/customer-attributes/fields
+ * Define a custom field. Body: { label, key?, type, options? (for 'select') }
+ */
+router.post('/fields', async (req, res) => {
+  try {
+    const label = String(req.body.label || '').trim();
+    const key = req.body.key ? String(req.body.key).trim() : toFieldKey(label);
+    const type = req.body.type;
+    const options = type === 'select' ? normaliseOptions(req.body.options) : null;
+
+    if (!label || label.length > 80) {
+      return res.status(400).json({ error: 'Field label is required (80 characters max)' });
+    }
+    if (!FIELD_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'Field key must start with a letter and use only a-z, 0-9 and _' });
+    }
+    if (!FIELD_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Field type must be one of: ${FIELD_TYPES.join(', ')}` });
+    }
+    if (type === 'select' && options.length === 0) {
+      return res.status(400).json({ error: 'A select field needs at least one option' });
+    }
+
+    const { data, error } = await supabase
+      .from('customer_field_definitions')
+      .insert({ key, label, type, options, archived: false, created_by_email: req.session.email })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: `A field with key '${key}' already exists` });
+      throw error;
+    }
+
+    console.log(`🧩 Custom field defined by ${req.session.email}: ${label} (${key}, ${type})`);
+
+    await recordAudit(req, {
+      action: 'customer_attributes.create_field',
+      targetType: 'customer_field',
+      targetId: data.id,
+      after: { key, label, type, options },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error creating custom field:', error);
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+});
+
+/**
+ * PATCH /api/customer-attributes/fields/:id
+ * Rename a field, change select options, or archive/restore it.
+ * The key and type are fixed once values exist. Body: { label?, options?, archived? }
+ */
+router.patch('/fields/:id', async (req, res) => {
+  try {
+    const { data: field, error: fieldError } = await supabase
+      .from('customer_field_definitions')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fieldError) throw fieldError;
+    if (!field) return res.status(404).json({ error: 'Custom field not found' });
+
+    const updates = {};
+    if (req.body.label !== undefined) {
+      const label = String(req.body.label).trim();
+      if (!label || label.length > 80) {
+        return res.status(400).json({ error: 'Field label is required (80 characters max)' });
+      }
+      updates.label = label;
+    }
+    if (req.body.options !== undefined) {
+      if (field.type !== 'select') {
+        return res.status(400).json({ error: 'Only select fields have options' });
+      }
+      updates.options = normaliseOptions(req.body.options);
+      if (updates.options.length === 0) {
+        return res.status(400).json({ error: 'A select field needs at least one option' });
+      }
+    }
+    if (req.body.archived !== undefined) updates.archived = !!req.body.archived;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('customer_field_definitions')
+      .update(updates)
+      .eq('id', field.id)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'customer_attributes.update_field',
+      targetType: 'customer_field',
+      targetId: field.id,
+      before: Object.fromEntries(Object.keys(updates).map(k => [k, field[k]])),
+      after: Object.fromEntries(Object.keys(updates).map(k => [k, data[k]])),
+      details: { key: field.key },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error updating custom field:', error);
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+});
+
+export default router;
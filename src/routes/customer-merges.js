@@ -0,0 +1,111 @@
+/**
+ * Duplicate Organisation Routes
+ *
+ * Finding organisations that look like the same customer signing up twice,
+ * previewing a merge and merging one into the other (see services/customer-merge.js).
+ */
+
+import express from 'express';
+import { recordAudit } from '../services/audit.js';
+import { findDuplicates, previewMerge, mergeOrganisations } from '../services/customer-merge.js';
+
+const router = express.Router();
+
+// Merging archives an organisation; a leaked API token must not be able to do it
+router.use((req, res, next) => {
+  if (req.session.apiTokenId && req.method !== 'GET') {
+    return res.status(403).json({ error: 'Organisations can only be merged from a signed-in session' });
+  }
+  next();
+});
+
+/**
+ * GET /api/customer-merges/duplicates?limit=200
+ * Likely duplicate pairs, highest score first
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+    const result = await findDuplicates({ limit });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error finding duplicate organisations:', error);
+    res.status(500).json({ error: 'Failed to find duplicate organisations' });
+  }
+});
+
+/**
+ * GET /api/customer-merges/preview?sourceId=&targetId=
+ * What merging sourceId into targetId would move, with anything that blocks it
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const { sourceId, targetId } = req.query;
+    if (!sourceId || !targetId) {
+      return res.status(400).json({ error: 'sourceId and targetId are required' });
+    }
+
+    const preview = await previewMerge(sourceId, targetId);
+    if (!preview.source || !preview.target) {
+      return res.status(404).json({ error: 'Organisation not found' });
+    }
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('Error previewing organisation merge:', error);
+    res.status(500).json({ error: 'Failed to preview merge' });
+  }
+});
+
+/**
+ * POST /api/customer-merges
+ * Merge one organisation into another and archive it.
+ * Body: { sourceId, targetId, reason }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { sourceId, targetId } = req.body;
+    const reason = String(req.body.reason || '').trim();
+    if (!sourceId || !targetId) {
+      return res.status(400).json({ error: 'sourceId and targetId are required' });
+    }
+
+    const result = await mergeOrganisations(sourceId, targetId, { reason, mergedBy: req.session.email });
+    if (result.error) {
+      const notFound = !result.preview.source || !result.preview.target;
+      return res.status(notFound ? 404 : 400).json({ error: result.error, data: result.preview });
+    }
+
+    const { preview, moved, ledgerEntryIds } = result;
+
+    await recordAudit(req, {
+      action: 'customer.merge',
+      organisationId: preview.target.id,
+      organisationName: preview.target.name,
+      before: { current_balance: preview.credits.targetBalance },
+      after: { current_balance: preview.credits.targetBalanceAfter },
+      details: {
+        reason: reason || null,
+        mergedOrganisation: { id: preview.source.id, name: preview.source.name },
+        moved,
+        ledgerEntryIds,
+        warnings: preview.warnings,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'customer.archive',
+      organisationId: preview.source.id,
+      organisationName: preview.source.name,
+      after: { archived: true, merged_into_organisation_id: preview.target.id },
+      details: { reason: reason || null, mergedInto: preview.target.name },
+    });
+
+    res.json({ success: true, data: { source: preview.source, target: preview.target, moved, warnings: preview.warnings } });
+  } catch (error) {
+    console.error('Error merging organisations:', error);
+    res.status(500).json({ error: 'Failed to merge organisations: ' + error.message });
+  }
+});
+
+export default router;
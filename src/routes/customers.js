@@ -1,5 +1,8 @@
 /**
  * Customer Management Routes
+ *
+ * Saved list views live in admin_saved_views:
+ *   id, admin_id, name (unique per admin), params (jsonb), created_at, updated_at
  */
 
 import express from 'express';
@@ -7,265 +10,337 @@ import crypto from 'crypto';
 import supabase from '../services/supabase.js';
 import stripe from '../services/stripe.js';
 import { sendCustomerEmail } from '../services/email.js';
+import { recordAudit, getOrgSnapshot, pickFields } from '../services/audit.js';
+import * as XLSX from 'xlsx';
+import { listCustomers, parseListParams, toExportRows, CUSTOMER_LIST_PARAMS } from '../services/customer-query.js';
+import { csvCell } from '../services/csv.js';
+import {
+  pauseCustomer, unpauseCustomer, validatePauseOptions, giftCredits, deductCredits, setDiscount, removeDiscount,
+  applyStripeCoupon, removeStripeCoupon, getDiscountCouponId, STRIPE_CHARITY_COUPON,
+  validateDiscountOptions, describeDiscount, VALID_DISCOUNT_TYPES, DISCOUNT_AUDIT_FIELDS, CLEARED_DISCOUNT_FIELDS,
+} from '../services/customer-actions.js';
+import { BULK_ACTIONS, MAX_BULK_CUSTOMERS, startBulkJob } from '../services/bulk-actions.js';
+import { getLedger } from '../services/credit-ledger.js';
+import {
+  getBillingCustomer, listInvoices, listCharges, getInvoicePdf, resendReceipt, validateRefund, refundCharge,
+} from '../services/customer-billing.js';
+import { validateTags, mergeCustomFields } from '../services/customer-attributes.js';
+import { buildDataExport } from '../services/customer-data-export.js';
+import { previewErasure, eraseOrganisation } from '../services/customer-erasure.js';
+import {
+  addEnterpriseUser, changeEnterpriseUserRole, setEnterpriseUserActive, resendEnterpriseInvite,
+  deleteEnterpriseUser, getSeatUsage, generateSecurePassword, validateSeatLimit, SEAT_LIMIT_COLUMNS,
+} from '../services/enterprise-users.js';
+import {
+  listBillingRuns, finaliseBillingRun, discardBillingRun, regenerateBillingRun, billPeriod, BILLING_RUN_STATUSES,
+} from '../services/enterprise-billing.js';
+import {
+  getCustomerTimeline, TIMELINE_CATEGORIES, DEFAULT_TIMELINE_LIMIT, MAX_TIMELINE_LIMIT,
+} from '../services/customer-timeline.js';
+import { getSessionPermissions } from '../middleware/permissions.js';
 
 const router = express.Router();
 
 /**
- * Stripe Coupon ID Mapping
- * These coupons must exist in Stripe Dashboard
+ * GET /api/customers
+ * List customers with pagination, filters and sorting.
+ * Query: page, limit, search, status, plan, charity, sort, order, balanceBelow,
+ * inactiveDays, trialEndingDays (see services/customer-query.js). `all=true`
+ * returns every matching customer without paging.
  */
-const STRIPE_DISCOUNT_COUPONS = {
-  50: process.env.STRIPE_COUPON_50 || 'DISCOUNT_50',
-  40: process.env.STRIPE_COUPON_40 || 'DISCOUNT_40',
-  30: process.env.STRIPE_COUPON_30 || 'DISCOUNT_30',
-  20: process.env.STRIPE_COUPON_20 || 'DISCOUNT_20',
-  10: process.env.STRIPE_COUPON_10 || 'DISCOUNT_10'
-};
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 500);
+    const fetchAll = req.query.all === 'true';
+
+    const { params, error: paramsError } = parseListParams(req.query);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
+    }
 
-const STRIPE_CHARITY_COUPON = process.env.STRIPE_CHARITY_COUPON || 'CHARITY_50';
+    const { customers, total } = await listCustomers(params, { page, limit, all: fetchAll });
 
-/**
- * Get the Stripe coupon ID for a discount percentage
- */
-function getDiscountCouponId(discountPercent) {
-  // Find the nearest matching coupon
-  const percentages = [10, 20, 30, 40, 50];
-  const nearest = percentages.reduce((prev, curr) =>
-    Math.abs(curr - discountPercent) < Math.abs(prev - discountPercent) ? curr : prev
-  );
-  return STRIPE_DISCOUNT_COUPONS[nearest];
-}
+    res.json({
+      success: true,
+      data: customers,
+      sort: { field: params.sort || 'signup_date', order: params.sort ? params.order : 'desc' },
+      pagination: fetchAll
+        ? { page: 1, limit: total, total, pages: 1 }
+        : {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          }
+    });
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    res.status(500).json({ error: 'Failed to fetch customers' });
+  }
+});
 
 /**
- * Apply a discount coupon to a Stripe subscription
- * Works for both active subscriptions and subscriptions in trial
- * @returns {Object} { success, message, stripeCouponApplied }
+ * GET /api/customers/export?format=csv|xlsx&<same filters and sort as GET /api/customers>
+ * Download every customer matching the filters
  */
-async function applyStripeCoupon(stripeSubscriptionId, couponId, orgName) {
-  console.log(`🔄 Attempting to apply coupon to Stripe:`);
-  console.log(`   Organisation: ${orgName}`);
-  console.log(`   Subscription ID: ${stripeSubscriptionId || 'NOT SET'}`);
-  console.log(`   Coupon ID: ${couponId}`);
-
-  if (!stripeSubscriptionId) {
-    console.log(`   ⚠️ No stripe_subscription_id - cannot apply coupon`);
-    return { success: true, message: 'No Stripe subscription ID - customer may not have completed payment', stripeCouponApplied: false };
+router.get('/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: "format must be 'csv' or 'xlsx'" });
+    }
+
+    const { params, error: paramsError } = parseListParams(req.query);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
+    }
+
+    const { customers, total } = await listCustomers(params, { all: true });
+    const rows = toExportRows(customers);
+    const filename = `openword-customers-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    console.log(`📤 ${req.session.email} exported ${total} customers as ${format.toUpperCase()}`);
+
+    await recordAudit(req, {
+      action: 'customer.export',
+      targetType: 'customer_list',
+      details: { format, rowCount: total, filters: params },
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'xlsx') {
+      const workbook = XLSX.utils.book_new();
+      const sheet = XLSX.utils.aoa_to_sheet(rows);
+      sheet['!cols'] = rows[0].map(header => ({ wch: Math.max(header.length + 2, 14) }));
+      XLSX.utils.book_append_sheet(workbook, sheet, 'Customers');
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    }
+
+    // CSV goes out a row at a time rather than as one large string
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write('\uFEFF'); // BOM so Excel reads UTF-8 names correctly
+    for (const row of rows) {
+      res.write(row.map(csvCell).join(',') + '\r\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting customers:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to export customers' });
   }
+});
 
+/**
+ * POST /api/customers/bulk
+ * Start a background job applying one action to many customers.
+ * Body: { action, organisationIds: [...], params: {...} }
+ *   pause { reason }, unpause, add_credits { credits, reason },
+ *   set_discount { discountPercent, discountType, reason }, remove_discount { reason },
+ *   add_tags { tags }, remove_tags { tags }
+ */
+router.post('/bulk', async (req, res) => {
   try {
-    const result = await stripe.subscriptions.update(stripeSubscriptionId, {
-      discounts: [{ coupon: couponId }]
-    });
-    console.log(`   ✅ Coupon applied successfully`);
-    console.log(`   Subscription status: ${result.status}`);
-    return { success: true, message: 'Stripe coupon applied', stripeCouponApplied: true };
-  } catch (stripeError) {
-    console.error(`   ❌ Stripe error: ${stripeError.message}`);
-    if (stripeError.code) console.error(`   Error code: ${stripeError.code}`);
-    return { success: false, message: stripeError.message, stripeCouponApplied: false };
+    const { action, organisationIds, params = {} } = req.body;
+
+    const definition = BULK_ACTIONS[action];
+    if (!definition) {
+      return res.status(400).json({ error: `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+    }
+
+    // The route itself only needs read; the action decides what's really required
+    if (!getSessionPermissions(req.session).includes(definition.permission)) {
+      return res.status(403).json({
+        error: `Forbidden: bulk ${action} needs the '${definition.permission}' permission`,
+        requiredPermission: definition.permission,
+      });
+    }
+
+    const ids = [...new Set(Array.isArray(organisationIds) ? organisationIds.map(String).filter(Boolean) : [])];
+    if (ids.length === 0) {
+      return res.status(400).json({ error: 'organisationIds must list at least one customer' });
+    }
+    if (ids.length > MAX_BULK_CUSTOMERS) {
+      return res.status(400).json({ error: `A bulk action can include at most ${MAX_BULK_CUSTOMERS} customers` });
+    }
+
+    const paramsError = await definition.validate(params);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
+    }
+
+    const job = await startBulkJob(req, { action, organisationIds: ids, params });
+
+    res.status(202).json({
+      success: true,
+      message: `${definition.label} started for ${ids.length} customer(s)`,
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error starting bulk action:', error);
+    res.status(500).json({ error: 'Failed to start bulk action' });
   }
-}
+});
 
 /**
- * Remove all discount coupons from a Stripe subscription
- * @returns {Object} { success, message, stripeCouponRemoved }
+ * GET /api/customers/bulk
+ * Recent bulk jobs (without per-customer results)
  */
-async function removeStripeCoupon(stripeSubscriptionId, orgName) {
-  if (!stripeSubscriptionId) {
-    return { success: true, message: 'No Stripe subscription to update', stripeCouponRemoved: false };
+router.get('/bulk', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('admin_bulk_jobs')
+      .select('id, created_at, action, params, requested_by_email, status, total, processed, succeeded, failed, skipped, error, started_at, finished_at')
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      actions: Object.entries(BULK_ACTIONS).map(([action, d]) => ({ action, label: d.label, permission: d.permission })),
+    });
+  } catch (error) {
+    console.error('Error fetching bulk jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch bulk jobs' });
   }
+});
 
+/**
+ * GET /api/customers/bulk/:jobId
+ * A bulk job with its per-customer results
+ */
+router.get('/bulk/:jobId', async (req, res) => {
   try {
-    await stripe.subscriptions.update(stripeSubscriptionId, {
-      discounts: [] // Empty array removes all coupons
-    });
-    console.log(`💳 Removed coupon from Stripe subscription ${stripeSubscriptionId} (${orgName})`);
-    return { success: true, message: 'Stripe coupon removed', stripeCouponRemoved: true };
-  } catch (stripeError) {
-    console.error(`⚠️ Failed to remove coupon from Stripe subscription ${stripeSubscriptionId}:`, stripeError.message);
-    return { success: false, message: stripeError.message, stripeCouponRemoved: false };
+    const { data, error } = await supabase
+      .from('admin_bulk_jobs')
+      .select('*')
+      .eq('id', req.params.jobId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Bulk job not found' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching bulk job:', error);
+    res.status(500).json({ error: 'Failed to fetch bulk job' });
   }
-}
+});
 
 /**
- * GET /api/customers
- * List all customers with pagination and filters
+ * GET /api/customers/enterprise-billing-runs
+ * Enterprise billing runs across all customers, newest period first, for review.
+ * Query: status ('draft' for invoices awaiting review), limit
  */
-router.get('/', async (req, res) => {
+router.get('/enterprise-billing-runs', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    const search = req.query.search || '';
-    const status = req.query.status || '';
-    const plan = req.query.plan || '';
-
-    let query = supabase
-      .from('organisations')
-      .select('*', { count: 'exact' });
-
-    // Apply filters
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,organisation_key.ilike.%${search}%`);
-    }
-
-    if (status) {
-      const nowIso = new Date().toISOString();
-      if (status === 'paused') {
-        query = query.eq('is_paused', true);
-      } else if (status === 'cancelling') {
-        // Customers who have cancelled but still have access
-        query = query.not('subscription_cancelled_at', 'is', null)
-                     .gt('tier_expires_at', nowIso);
-      } else if (status === 'canceled') {
-        // Either Stripe reports canceled, OR cancellation flagged and access has lapsed.
-        // The strict subscription_status='canceled' filter misses customers whose Stripe
-        // webhook never fully synced the status back.
-        query = query.or(
-          `subscription_status.eq.canceled,and(subscription_cancelled_at.not.is.null,tier_expires_at.lte.${nowIso})`
-        );
-      } else if (status === 'trialing_short') {
-        // 10-min instant trial: subscription_tier='free_trial' (status is 'active')
-        query = query.eq('subscription_tier', 'free_trial');
-      } else if (status === 'trialing_extended') {
-        // 30-day extended trial: subscription_tier='extended_trial'
-        query = query.eq('subscription_tier', 'extended_trial');
-      } else {
-        query = query.eq('subscription_status', status);
-      }
+    const { status, limit } = req.query;
+    if (status && !BILLING_RUN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BILLING_RUN_STATUSES.join(', ')}` });
     }
 
-    if (plan) {
-      query = query.eq('subscription_tier', plan);
-    }
-
-    // Charity/Discount filter
-    const charity = req.query.charity || '';
-    if (charity) {
-      switch (charity) {
-        case 'verified':
-          query = query.eq('charity_verified', true);
-          break;
-        case 'discounted':
-          // Non-charity organisations with a discount
-          query = query.eq('charity_verified', false).gt('discount_percent', 0);
-          break;
-        case 'discount_pending':
-          // Non-charity organisations requesting a discount
-          query = query.eq('discount_review_requested', true).eq('discount_percent', 0);
-          break;
-        case 'pending':
-          query = query.eq('charity_review_requested', true).eq('charity_verified', false);
-          break;
-        case 'claimed':
-          query = query.eq('is_charity', true).eq('charity_verified', false);
-          break;
-        case 'none':
-          // No charity status AND no non-charity discount
-          query = query.eq('is_charity', false).eq('charity_verified', false);
-          // Note: We can't easily filter discount_percent = 0 OR NULL in this query builder
-          // So 'none' will show all non-charity orgs (some may have discounts)
-          break;
-      }
-    }
+    const runs = await listBillingRuns({ status, limit });
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    console.error('Error fetching enterprise billing runs:', error);
+    res.status(500).json({ error: 'Failed to fetch enterprise billing runs' });
+  }
+});
 
-    // Get total count first
-    const { count: totalCount } = await query;
+/**
+ * GET /api/customers/views
+ * The signed-in admin's saved customer list views
+ */
+router.get('/views', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('admin_saved_views')
+      .select('id, name, params, created_at, updated_at')
+      .eq('admin_id', req.session.adminId)
+      .order('name', { ascending: true });
 
-    // `all=true` returns every matching customer (no server pagination) so the
-    // dashboard can sort and paginate the full set client-side. Otherwise fall
-    // back to the classic server-side page window.
-    const fetchAll = req.query.all === 'true';
+    if (error) throw error;
 
-    let listQuery = query.order('created_at', { ascending: false });
-    if (!fetchAll) {
-      listQuery = listQuery.range(offset, offset + limit - 1);
+    res.json({ success: true, data: data || [] });
+  } catch (error) {
+    console.error('Error fetching saved views:', error);
+    res.status(500).json({ error: 'Failed to fetch saved views' });
+  }
+});
+
+/**
+ * POST /api/customers/views
+ * Save the current filters and sort as a named view (replaces a view of the same name)
+ * Body: { name, params }
+ */
+router.post('/views', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 80) {
+      return res.status(400).json({ error: 'View name is required (80 characters max)' });
     }
-    const { data: customers, error } = await listQuery;
 
-    if (error) throw error;
+    const source = req.body.params || {};
+    const { params, error: paramsError } = parseListParams(source);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
+    }
 
-    // Get customer IDs for batch fetching credits
-    const customerIds = customers.map(c => c.id);
+    // Only keep what was actually set, so the view reads back the way it was saved
+    const saved = Object.fromEntries(
+      CUSTOMER_LIST_PARAMS
+        .filter(key => source[key] !== undefined && source[key] !== null && source[key] !== '')
+        .map(key => [key, params[key]])
+    );
 
-    // Batch fetch credit balances
-    const { data: creditBalances } = await supabase
-      .from('credit_balances')
-      .select('organisation_id, current_balance')
-      .in('organisation_id', customerIds);
+    const { data, error } = await supabase
+      .from('admin_saved_views')
+      .upsert({
+        admin_id: req.session.adminId,
+        name,
+        params: saved,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'admin_id,name' })
+      .select('id, name, params, created_at, updated_at')
+      .single();
 
-    // Create a map of customer_id -> credit_balance
-    const creditMap = {};
-    creditBalances?.forEach(cb => {
-      creditMap[cb.organisation_id] = parseFloat(cb.current_balance) || 0;
-    });
+    if (error) throw error;
 
-    // Batch fetch most recent streaming session per customer.
-    // Persisted "Remember Me" sessions mean auth.users.last_sign_in_at can lag
-    // weeks behind real activity — pair it with the last streaming session so
-    // "Last Active" reflects when we actually last saw the customer.
-    const { data: recentSessions } = await supabase
-      .from('streaming_sessions')
-      .select('organisation_id, started_at')
-      .in('organisation_id', customerIds)
-      .order('started_at', { ascending: false });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error saving view:', error);
+    res.status(500).json({ error: 'Failed to save view' });
+  }
+});
 
-    const lastStreamingMap = {};
-    recentSessions?.forEach(s => {
-      if (!lastStreamingMap[s.organisation_id]) {
-        lastStreamingMap[s.organisation_id] = s.started_at;
-      }
-    });
+/**
+ * DELETE /api/customers/views/:viewId
+ * Delete one of the signed-in admin's saved views
+ */
+router.delete('/views/:viewId', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('admin_saved_views')
+      .delete()
+      .eq('id', req.params.viewId)
+      .eq('admin_id', req.session.adminId)
+      .select('id');
 
-    // Bulk-fetch auth sign-in times in one sweep (map user_id -> last_sign_in_at)
-    // instead of an auth.admin.getUserById call per customer (avoids an N+1 that
-    // would be prohibitive in all=true mode).
-    const authSignInMap = {};
-    try {
-      let authPage = 1;
-      const perPage = 1000;
-      while (true) {
-        const { data: usersPage } = await supabase.auth.admin.listUsers({ page: authPage, perPage });
-        const users = usersPage?.users || [];
-        for (const u of users) {
-          if (u.last_sign_in_at) authSignInMap[u.id] = u.last_sign_in_at;
-        }
-        if (users.length < perPage) break;
-        authPage++;
-      }
-    } catch (err) {
-      console.error('Bulk auth listUsers failed, last-sign-in may be missing:', err.message);
-    }
-
-    const customersWithLogin = customers.map((customer) => {
-      const lastSignIn = customer.user_id ? (authSignInMap[customer.user_id] || null) : null;
-      const lastStreaming = lastStreamingMap[customer.id] || null;
-      const candidates = [lastSignIn, lastStreaming].filter(Boolean);
-      const lastActive = candidates.length
-        ? candidates.reduce((a, b) => (a > b ? a : b))
-        : null;
-      return {
-        ...customer,
-        last_login: lastActive,
-        credit_balance: creditMap[customer.id] ?? 0
-      };
-    });
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Saved view not found' });
+    }
 
-    res.json({
-      success: true,
-      data: customersWithLogin,
-      pagination: fetchAll
-        ? { page: 1, limit: totalCount, total: totalCount, pages: 1 }
-        : {
-            page,
-            limit,
-            total: totalCount,
-            pages: Math.ceil(totalCount / limit),
-          }
-    });
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching customers:', error);
-    res.status(500).json({ error: 'Failed to fetch customers' });
+    console.error('Error deleting saved view:', error);
+    res.status(500).json({ error: 'Failed to delete saved view' });
   }
 });
 
@@ -356,6 +431,206 @@ router.get('/:id/emails', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/customers/:id/timeline
+ * Everything that happened to a customer in one chronological feed, newest first
+ * (see services/customer-timeline.js).
+ * Query: types (comma-separated categories), from, to (dates), limit,
+ * before (cursor: the previous page's nextBefore)
+ */
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const limit = req.query.limit === undefined ? DEFAULT_TIMELINE_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TIMELINE_LIMIT) {
+      return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_TIMELINE_LIMIT}` });
+    }
+
+    const categories = req.query.types
+      ? [...new Set(String(req.query.types).split(',').map(t => t.trim()).filter(Boolean))]
+      : TIMELINE_CATEGORIES;
+    const unknown = categories.filter(c => !TIMELINE_CATEGORIES.includes(c));
+    if (unknown.length || categories.length === 0) {
+      return res.status(400).json({ success: false, error: `types must be any of: ${TIMELINE_CATEGORIES.join(', ')}` });
+    }
+
+    const dates = {};
+    for (const key of ['before', 'from', 'to']) {
+      if (!req.query[key]) continue;
+      const date = new Date(req.query[key]);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ success: false, error: `${key} must be a date` });
+      }
+      dates[key] = date.toISOString();
+    }
+
+    const { data: org, error } = await supabase
+      .from('organisations')
+      .select('id, name, stripe_customer_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!org) return res.status(404).json({ success: false, error: 'Customer not found' });
+
+    const timeline = await getCustomerTimeline(org, { categories, limit, ...dates });
+
+    res.json({
+      success: true,
+      data: timeline.events,
+      pagination: { limit, hasMore: timeline.hasMore, nextBefore: timeline.nextBefore },
+      types: categories,
+      warnings: timeline.warnings,
+    });
+  } catch (error) {
+    console.error('Error fetching customer timeline:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch customer timeline' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/invoices
+ * The customer's Stripe invoices, newest first. Query: limit, startingAfter (invoice ID)
+ */
+router.get('/:id/invoices', async (req, res) => {
+  try {
+    const { org, error, status } = await getBillingCustomer(req.params.id);
+    if (error) return res.status(status).json({ success: false, error });
+
+    const { invoices, hasMore } = await listInvoices(org, req.query);
+    res.json({ success: true, data: invoices, hasMore });
+  } catch (error) {
+    console.error('Error fetching customer invoices:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch invoices from Stripe' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/invoices/:invoiceId/pdf
+ * Download an invoice PDF
+ */
+router.get('/:id/invoices/:invoiceId/pdf', async (req, res) => {
+  try {
+    const { org, error, status } = await getBillingCustomer(req.params.id);
+    if (error) return res.status(status).json({ success: false, error });
+
+    const result = await getInvoicePdf(org, req.params.invoiceId);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.pdf);
+  } catch (error) {
+    console.error('Error downloading invoice PDF:', error);
+    res.status(500).json({ success: false, error: 'Failed to download invoice PDF' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/charges
+ * The customer's Stripe charges and refunds, newest first, each with the credit
+ * purchase it probably paid for. Query: limit, startingAfter (charge ID)
+ */
+router.get('/:id/charges', async (req, res) => {
+  try {
+    const { org, error, status } = await getBillingCustomer(req.params.id);
+    if (error) return res.status(status).json({ success: false, error });
+
+    const { charges, hasMore } = await listCharges(org, req.query);
+    res.json({ success: true, data: charges, hasMore });
+  } catch (error) {
+    console.error('Error fetching customer charges:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch charges from Stripe' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/charges/:chargeId/resend-receipt
+ * Email the customer their receipt for a charge. Body: { email? }
+ */
+router.post('/:id/charges/:chargeId/resend-receipt', async (req, res) => {
+  try {
+    const { org, error, status } = await getBillingCustomer(req.params.id);
+    if (error) return res.status(status).json({ success: false, error });
+
+    const email = req.body.email ? String(req.body.email).trim() : null;
+    const result = await resendReceipt(org, req.params.chargeId, { email, sentBy: req.session.email });
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+    await recordAudit(req, {
+      action: 'customer.resend_receipt',
+      organisationId: org.id,
+      organisationName: org.name,
+      details: { chargeId: req.params.chargeId, sentTo: result.to },
+    });
+
+    res.json({ success: true, message: `Receipt sent to ${result.to}`, data: { sentTo: result.to } });
+  } catch (error) {
+    console.error('Error resending receipt:', error);
+    res.status(500).json({ success: false, error: 'Failed to resend receipt' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/charges/:chargeId/refund
+ * Refund a charge in full or in part, optionally clawing back credits.
+ * Body: { amount (pence; omit for everything not yet refunded), reason, note, clawbackCredits }
+ */
+router.post('/:id/charges/:chargeId/refund', async (req, res) => {
+  try {
+    const { amount, reason, note, clawbackCredits } = req.body;
+    const validationError = validateRefund({ amount, reason, clawbackCredits });
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+    const { org, error, status } = await getBillingCustomer(req.params.id);
+    if (error) return res.status(status).json({ success: false, error });
+
+    const result = await refundCharge(org, req.params.chargeId, {
+      amount: amount ? Number(amount) : null,
+      reason: reason || null,
+      note: note ? String(note).trim() : null,
+      clawbackCredits: Number(clawbackCredits) || 0,
+      refundedBy: req.session.email,
+      approvalId: req.get('X-Approval-Id') || null,
+    });
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+    await recordAudit(req, {
+      action: 'customer.refund',
+      organisationId: org.id,
+      organisationName: org.name,
+      before: result.clawback ? { current_balance: result.clawback.balanceBefore } : null,
+      after: result.clawback ? { current_balance: result.clawback.balanceAfter } : null,
+      stripeEffects: {
+        chargeId: result.charge.id,
+        refundId: result.refund.id,
+        amount: result.refund.amount,
+        currency: result.charge.currency,
+        status: result.refund.status,
+      },
+      details: {
+        reason: reason || null,
+        note: note || null,
+        clawbackCredits: Number(clawbackCredits) || 0,
+        ledgerEntryId: result.clawback?.ledgerEntryId || null,
+        clawbackError: result.clawbackError,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: result.clawbackError
+        ? `Refund issued, but the credits were not clawed back: ${result.clawbackError}`
+        : 'Refund issued',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error refunding charge:', error);
+    res.status(500).json({ success: false, error: error.type?.startsWith('Stripe') ? error.message : 'Failed to refund charge' });
+  }
+});
+
 /**
  * GET /api/customers/:id/usage
  * Get customer usage statistics from streaming_sessions (faster than translation_usage)
@@ -451,28 +726,86 @@ router.get('/:id/usage', async (req, res) => {
 });
 
 /**
- * POST /api/customers/:id/pause
- * Pause a customer's account
+ * POST /api/customers/:id/attributes
+ * Set a customer's tags and/or custom field values
+ * Body: { tags?: [...] (replaces the list), customFields?: { key: value } (empty value clears) }
  */
-router.post('/:id/pause', async (req, res) => {
+router.post('/:id/attributes', async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { tags, customFields } = req.body;
+
+    if (tags === undefined && customFields === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const before = await getOrgSnapshot(id, ['tags', 'custom_fields']);
+    if (!before) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const updates = {};
+    if (tags !== undefined) {
+      const result = await validateTags(tags);
+      if (result.error) return res.status(400).json({ error: result.error });
+      updates.tags = result.tags;
+    }
+    if (customFields !== undefined) {
+      const result = await mergeCustomFields(before.custom_fields, customFields);
+      if (result.error) return res.status(400).json({ error: result.error });
+      updates.custom_fields = result.customFields;
+    }
 
     const { data, error } = await supabase
       .from('organisations')
-      .update({
-        is_paused: true,
-        paused_at: new Date().toISOString(),
-        pause_reason: reason || 'Paused by admin',
-      })
+      .update(updates)
       .eq('id', id)
       .select()
       .single();
 
     if (error) throw error;
 
-    console.log(`⏸️ Customer paused: ${data.name} (${id})`);
+    console.log(`🏷️ Tags/fields updated for ${data.name} (${id})`);
+
+    await recordAudit(req, {
+      action: 'customer.update_attributes',
+      organisationId: id,
+      organisationName: data.name,
+      before: pickFields(before, Object.keys(updates)),
+      after: pickFields(data, Object.keys(updates)),
+    });
+
+    res.json({ success: true, data: { tags: data.tags || [], custom_fields: data.custom_fields || {} } });
+  } catch (error) {
+    console.error('Error updating customer tags/fields:', error);
+    res.status(500).json({ error: 'Failed to update tags and custom fields' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/pause
+ * Pause a customer's account. Body: { reason, category, resumeAt }
+ * With resumeAt the account is unpaused automatically on that date.
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, category, resumeAt } = req.body;
+
+    const validationError = validatePauseOptions({ resumeAt, category });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data, before, after } = await pauseCustomer(id, reason, { resumeAt, category });
+
+    await recordAudit(req, {
+      action: 'customer.pause',
+      organisationId: id,
+      organisationName: data.name,
+      before,
+      after,
+    });
 
     res.json({
       success: true,
@@ -492,21 +825,15 @@ router.post('/:id/pause', async (req, res) => {
 router.post('/:id/unpause', async (req, res) => {
   try {
     const { id } = req.params;
-
-    const { data, error } = await supabase
-      .from('organisations')
-      .update({
-        is_paused: false,
-        paused_at: null,
-        pause_reason: null,
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    console.log(`▶️ Customer unpaused: ${data.name} (${id})`);
+    const { data, before, after } = await unpauseCustomer(id);
+
+    await recordAudit(req, {
+      action: 'customer.unpause',
+      organisationId: id,
+      organisationName: data.name,
+      before,
+      after,
+    });
 
     res.json({
       success: true,
@@ -530,7 +857,7 @@ router.post('/:id/end-trial', async (req, res) => {
     // Get customer's Stripe subscription ID
     const { data: customer, error: custError } = await supabase
       .from('organisations')
-      .select('stripe_subscription_id, name')
+      .select('stripe_subscription_id, name, subscription_status, trial_ends_at')
       .eq('id', id)
       .single();
 
@@ -556,6 +883,15 @@ router.post('/:id/end-trial', async (req, res) => {
 
     console.log(`⏱️ Trial ended for: ${customer.name} (${id})`);
 
+    await recordAudit(req, {
+      action: 'customer.end_trial',
+      organisationId: id,
+      organisationName: customer.name,
+      before: { subscription_status: customer.subscription_status, trial_ends_at: customer.trial_ends_at },
+      after: { subscription_status: subscription.status, trial_ends_at: null },
+      stripeEffects: { subscriptionId: customer.stripe_subscription_id, update: { trial_end: 'now' }, status: subscription.status },
+    });
+
     res.json({
       success: true,
       message: 'Trial ended successfully',
@@ -654,6 +990,13 @@ router.post('/:id/reset-pin', async (req, res) => {
 
     console.log(`🔑 Admin PIN reset email sent to ${customerEmail} for ${customer.name}`);
 
+    await recordAudit(req, {
+      action: 'customer.reset_pin',
+      organisationId: id,
+      organisationName: customer.name,
+      details: { email: customerEmail, expiresAt: expiresAt.toISOString() },
+    });
+
     res.json({
       success: true,
       message: `Reset email sent to ${customerEmail}. Link expires in ${expiresHours} hours.`,
@@ -915,8 +1258,128 @@ router.get('/:id/credits', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error fetching customer credits:', error);
-    res.status(500).json({ error: 'Failed to fetch customer credits' });
+    console.error('Error fetching customer credits:', error);
+    res.status(500).json({ error: 'Failed to fetch customer credits' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/data-export
+ * Download everything held about a customer as a ZIP of JSON and CSV files,
+ * for GDPR subject-access requests (see services/customer-data-export.js)
+ */
+router.get('/:id/data-export', async (req, res) => {
+  try {
+    const result = await buildDataExport(req.params.id, { requestedBy: req.session.email });
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+    const { org, zip, filename, files } = result;
+
+    console.log(`📦 ${req.session.email} exported personal data for ${org.name} (${org.id})`);
+
+    await recordAudit(req, {
+      action: 'customer.data_export',
+      organisationId: org.id,
+      organisationName: org.name,
+      details: { filename, bytes: zip.length, files },
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(zip);
+  } catch (error) {
+    console.error('Error exporting customer data:', error);
+    res.status(500).json({ success: false, error: 'Failed to export customer data' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/erasure-preview
+ * What erasing the customer would do, with anything that blocks it
+ */
+router.get('/:id/erasure-preview', async (req, res) => {
+  try {
+    const result = await previewErasure(req.params.id);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error previewing erasure:', error);
+    res.status(500).json({ success: false, error: 'Failed to preview erasure' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/erase
+ * Erase a customer's personal data (GDPR right to erasure) and record an
+ * erasure certificate (see services/customer-erasure.js). Cannot be undone.
+ * Body: { reason, confirmName } - confirmName must match the organisation name
+ */
+router.post('/:id/erase', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = String(req.body.reason || '').trim();
+    const confirmName = String(req.body.confirmName || '').trim().toLowerCase();
+
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required (e.g. the request reference)' });
+    }
+
+    const preview = await previewErasure(id);
+    if (preview.error) return res.status(preview.status).json({ success: false, error: preview.error });
+    if (preview.blockers.length > 0) {
+      return res.status(409).json({ success: false, error: preview.blockers.join('; ') });
+    }
+    if (confirmName !== String(preview.organisation.name || '').trim().toLowerCase()) {
+      return res.status(400).json({ success: false, error: 'Type the organisation name exactly to confirm erasure' });
+    }
+
+    const result = await eraseOrganisation(id, { reason, erasedBy: req.session.email });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error, data: { steps: result.steps } });
+    }
+
+    const { certificate, organisationName, steps } = result;
+
+    // The audit entry names the anonymised organisation, not the erased one
+    await recordAudit(req, {
+      action: 'customer.erase',
+      organisationId: id,
+      organisationName,
+      stripeEffects: steps.stripe,
+      details: {
+        reason,
+        certificateId: certificate.id,
+        certificateHash: certificate.certificate_hash,
+        steps,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer data erased',
+      data: { certificate, steps },
+    });
+  } catch (error) {
+    console.error('Error erasing customer:', error);
+    res.status(500).json({ success: false, error: 'Failed to erase customer' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/ledger?limit=50&offset=0
+ * Credit ledger entries for a customer, newest first (see services/credit-ledger.js)
+ */
+router.get('/:id/ledger', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { entries, total } = await getLedger(req.params.id, { limit, offset });
+
+    res.json({ success: true, data: entries, total, limit, offset });
+  } catch (error) {
+    console.error('Error fetching credit ledger:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch credit ledger' });
   }
 });
 
@@ -933,70 +1396,25 @@ router.post('/:id/add-credits', async (req, res) => {
       return res.status(400).json({ error: 'Credits must be a positive number' });
     }
 
-    // Get current balance
-    const { data: existingBalance } = await supabase
-      .from('credit_balances')
-      .select('*')
-      .eq('organisation_id', id)
-      .single();
-
-    if (existingBalance) {
-      // Update existing balance
-      const { error: updateError } = await supabase
-        .from('credit_balances')
-        .update({
-          current_balance: parseFloat(existingBalance.current_balance) + credits,
-          lifetime_purchased: parseFloat(existingBalance.lifetime_purchased) + credits,
-          updated_at: new Date().toISOString()
-        })
-        .eq('organisation_id', id);
-
-      if (updateError) throw updateError;
-    } else {
-      // Create new balance record
-      const { error: insertError } = await supabase
-        .from('credit_balances')
-        .insert({
-          organisation_id: id,
-          current_balance: credits,
-          lifetime_purchased: credits,
-          lifetime_used: 0
-        });
-
-      if (insertError) throw insertError;
-    }
-
-    // Record the purchase as a gift
-    const { error: purchaseError } = await supabase
-      .from('credit_purchases')
-      .insert({
-        organisation_id: id,
-        credits_purchased: credits,
-        amount_paid_pence: 0,
-        unit_price_pence: 0,
-        purchase_type: 'gift',
-        notes: reason || 'Admin credit gift'
-      });
-
-    if (purchaseError) throw purchaseError;
-
-    // Get organisation name for logging
-    const { data: org } = await supabase
-      .from('organisations')
-      .select('name')
-      .eq('id', id)
-      .single();
+    const { organisationName, balanceBefore, balanceAfter, ledgerEntryId } = await giftCredits(id, credits, reason, {
+      createdBy: req.session.email,
+    });
 
-    console.log(`🎁 ${credits} credits gifted to ${org?.name || id}: ${reason || 'No reason provided'}`);
+    await recordAudit(req, {
+      action: 'customer.add_credits',
+      organisationId: id,
+      organisationName,
+      before: { current_balance: balanceBefore },
+      after: { current_balance: balanceAfter },
+      details: { credits, reason: reason || 'Admin credit gift', ledgerEntryId },
+    });
 
     res.json({
       success: true,
       message: `${credits} credits added successfully`,
       data: {
         creditsAdded: credits,
-        newBalance: existingBalance
-          ? parseFloat(existingBalance.current_balance) + credits
-          : credits
+        newBalance: balanceAfter
       }
     });
   } catch (error) {
@@ -1018,51 +1436,26 @@ router.post('/:id/deduct-credits', async (req, res) => {
       return res.status(400).json({ error: 'Credits must be a positive number' });
     }
 
-    // Get current balance
-    const { data: existingBalance, error: balanceError } = await supabase
-      .from('credit_balances')
-      .select('*')
-      .eq('organisation_id', id)
-      .single();
-
-    if (balanceError || !existingBalance) {
-      return res.status(400).json({ error: 'Customer has no credit balance' });
-    }
-
-    const currentBalance = parseFloat(existingBalance.current_balance);
-    if (credits > currentBalance) {
-      return res.status(400).json({
-        error: `Cannot deduct ${credits} credits. Current balance is only ${currentBalance}`
-      });
+    const result = await deductCredits(id, credits, reason, { createdBy: req.session.email });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
 
-    // Deduct credits
-    const { error: updateError } = await supabase
-      .from('credit_balances')
-      .update({
-        current_balance: currentBalance - credits,
-        lifetime_used: parseFloat(existingBalance.lifetime_used) + credits,
-        updated_at: new Date().toISOString()
-      })
-      .eq('organisation_id', id);
-
-    if (updateError) throw updateError;
-
-    // Get organisation name for logging
-    const { data: org } = await supabase
-      .from('organisations')
-      .select('name')
-      .eq('id', id)
-      .single();
-
-    console.log(`➖ ${credits} credits deducted from ${org?.name || id}: ${reason || 'No reason provided'}`);
+    await recordAudit(req, {
+      action: 'customer.deduct_credits',
+      organisationId: id,
+      organisationName: result.organisationName,
+      before: { current_balance: result.balanceBefore },
+      after: { current_balance: result.balanceAfter },
+      details: { credits, reason: reason || 'Admin adjustment', ledgerEntryId: result.ledgerEntryId },
+    });
 
     res.json({
       success: true,
       message: `${credits} credits deducted successfully`,
       data: {
         creditsDeducted: credits,
-        newBalance: currentBalance - credits,
+        newBalance: result.balanceAfter,
         reason: reason || 'Admin adjustment'
       }
     });
@@ -1084,7 +1477,7 @@ router.post('/:id/cancel-subscription', async (req, res) => {
     // Get customer's Stripe subscription ID
     const { data: customer, error: custError } = await supabase
       .from('organisations')
-      .select('stripe_subscription_id, name')
+      .select('stripe_subscription_id, name, subscription_status')
       .eq('id', id)
       .single();
 
@@ -1115,6 +1508,20 @@ router.post('/:id/cancel-subscription', async (req, res) => {
 
     console.log(`❌ Subscription cancelled for: ${customer.name} (${id}) - ${immediately ? 'immediately' : 'at period end'}`);
 
+    await recordAudit(req, {
+      action: 'customer.cancel_subscription',
+      organisationId: id,
+      organisationName: customer.name,
+      before: { subscription_status: customer.subscription_status },
+      after: { subscription_status: subscription.status },
+      stripeEffects: {
+        subscriptionId: customer.stripe_subscription_id,
+        operation: immediately ? 'cancel' : 'cancel_at_period_end',
+        status: subscription.status,
+        cancelAt: subscription.cancel_at ? new Date(subscription.cancel_at * 1000).toISOString() : null,
+      },
+    });
+
     res.json({
       success: true,
       message: immediately ? 'Subscription cancelled immediately' : 'Subscription will cancel at end of billing period',
@@ -1138,15 +1545,29 @@ router.post('/:id/grant-charity-discount', async (req, res) => {
   try {
     const { id } = req.params;
     const { discountPercent, reason } = req.body;
+    const before = await getOrgSnapshot(id, DISCOUNT_AUDIT_FIELDS);
 
     const discount = discountPercent || 50; // Default 50% discount
 
+    const discountError = validateDiscountOptions({ discountPercent: discount });
+    if (discountError) {
+      return res.status(400).json({ error: discountError });
+    }
+
+    // Create any non-standard coupon before saving, so a Stripe failure changes nothing
+    const couponId = discount === 50 ? STRIPE_CHARITY_COUPON : await getDiscountCouponId({ discountPercent: discount });
+
     const { data, error } = await supabase
       .from('organisations')
       .update({
         charity_verified: true,
-        // Use unified discount fields
+        // Use unified discount fields; charity discounts are percentages and don't expire
         discount_percent: discount,
+        discount_amount_pence: null,
+        discount_currency: null,
+        discount_ends_at: null,
+        discount_expiry_notice_sent_at: null,
+        discount_coupon_id: couponId,
         discount_type: 'charity',
         charity_review_requested: false,
         charity_review_completed_at: new Date().toISOString(),
@@ -1161,9 +1582,23 @@ router.post('/:id/grant-charity-discount', async (req, res) => {
     console.log(`💚 Charity discount (${discount}%) granted to: ${data.name} (${id}) - ${reason || 'No reason'}`);
 
     // Apply coupon to Stripe subscription (works for trial and active subscriptions)
-    const couponId = discount === 50 ? STRIPE_CHARITY_COUPON : getDiscountCouponId(discount);
     const stripeResult = await applyStripeCoupon(data.stripe_subscription_id, couponId, data.name);
 
+    await recordAudit(req, {
+      action: 'customer.grant_charity_discount',
+      organisationId: id,
+      organisationName: data.name,
+      before: pickFields(before, DISCOUNT_AUDIT_FIELDS),
+      after: pickFields(data, DISCOUNT_AUDIT_FIELDS),
+      stripeEffects: {
+        subscriptionId: data.stripe_subscription_id || null,
+        couponId,
+        applied: stripeResult.stripeCouponApplied,
+        message: stripeResult.message,
+      },
+      details: { reason: reason || null },
+    });
+
     res.json({
       success: true,
       message: `${discount}% charity discount granted successfully`,
@@ -1185,6 +1620,7 @@ router.post('/:id/deny-charity-review', async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
+    const before = await getOrgSnapshot(id, DISCOUNT_AUDIT_FIELDS);
 
     const { data, error } = await supabase
       .from('organisations')
@@ -1201,6 +1637,15 @@ router.post('/:id/deny-charity-review', async (req, res) => {
 
     console.log(`🚫 Charity review denied for: ${data.name} (${id}) - ${reason || 'No reason'}`);
 
+    await recordAudit(req, {
+      action: 'customer.deny_charity_review',
+      organisationId: id,
+      organisationName: data.name,
+      before: pickFields(before, DISCOUNT_AUDIT_FIELDS),
+      after: pickFields(data, DISCOUNT_AUDIT_FIELDS),
+      details: { reason: reason || null },
+    });
+
     res.json({
       success: true,
       message: 'Charity review denied',
@@ -1215,55 +1660,54 @@ router.post('/:id/deny-charity-review', async (req, res) => {
 /**
  * POST /api/customers/:id/set-discount
  * Set a non-charity discount for an organisation
- * Requires: discountPercent (10, 20, 30, 40, or 50), discountType, reason
- * Also updates Stripe subscription with the appropriate coupon
+ * Requires: discountPercent (e.g. 12.5) or discountAmountPence (fixed amount
+ * off each invoice), discountType, reason; optional endsAt
+ * Also updates Stripe subscription with a matching coupon, created if needed
  */
 router.post('/:id/set-discount', async (req, res) => {
   try {
     const { id } = req.params;
-    const { discountPercent, discountType, reason } = req.body;
+    const { discountPercent, discountAmountPence, discountType, reason, endsAt } = req.body;
 
-    // Validate discount percentage (must be one of the predefined values)
-    const validPercentages = [10, 20, 30, 40, 50];
-    if (!validPercentages.includes(discountPercent)) {
-      return res.status(400).json({
-        error: `Invalid discount percentage. Must be one of: ${validPercentages.join(', ')}`
-      });
+    const discountError = validateDiscountOptions({ discountPercent, discountAmountPence, endsAt });
+    if (discountError) {
+      return res.status(400).json({ error: discountError });
     }
 
     // Validate discount type
-    const validTypes = ['charity', 'church', 'partner', 'promotional', 'negotiated', 'nonprofit', 'educational', 'community', 'other'];
-    if (!validTypes.includes(discountType)) {
+    if (!VALID_DISCOUNT_TYPES.includes(discountType)) {
       return res.status(400).json({
-        error: `Invalid discount type. Must be one of: ${validTypes.join(', ')}`
+        error: `Invalid discount type. Must be one of: ${VALID_DISCOUNT_TYPES.join(', ')}`
       });
     }
 
-    const { data, error } = await supabase
-      .from('organisations')
-      .update({
-        discount_percent: discountPercent,
-        discount_type: discountType,
-        discount_reason: reason || null,
-        discount_approved_by: 'Admin Dashboard',
-        discount_approved_at: new Date().toISOString(),
-        discount_review_requested: false // Clear the review request when discount is approved
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    console.log(`💰 ${discountPercent}% ${discountType} discount set for: ${data.name} (${id}) - ${reason || 'No reason'}`);
+    const { data, before, after, couponId, stripeResult } = await setDiscount(id, {
+      discountPercent, discountAmountPence, discountType, reason, endsAt,
+    });
+    const label = describeDiscount({
+      discountPercent: data.discount_percent,
+      discountAmountPence: data.discount_amount_pence,
+      currency: data.discount_currency || undefined,
+    });
 
-    // Apply coupon to Stripe subscription (works for trial and active subscriptions)
-    const couponId = getDiscountCouponId(discountPercent);
-    const stripeResult = await applyStripeCoupon(data.stripe_subscription_id, couponId, data.name);
+    await recordAudit(req, {
+      action: 'customer.set_discount',
+      organisationId: id,
+      organisationName: data.name,
+      before,
+      after,
+      stripeEffects: {
+        subscriptionId: data.stripe_subscription_id || null,
+        couponId,
+        applied: stripeResult.stripeCouponApplied,
+        message: stripeResult.message,
+      },
+      details: { reason: reason || null, endsAt: data.discount_ends_at || null },
+    });
 
     res.json({
       success: true,
-      message: `${discountPercent}% ${discountType} discount applied successfully`,
+      message: `${label} ${discountType} discount applied successfully${data.discount_ends_at ? ` until ${new Date(data.discount_ends_at).toLocaleDateString('en-GB')}` : ''}`,
       data,
       stripeCouponApplied: stripeResult.stripeCouponApplied,
       stripeMessage: stripeResult.stripeCouponApplied ? null : stripeResult.message
@@ -1283,27 +1727,21 @@ router.post('/:id/remove-discount', async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
-
-    const { data, error } = await supabase
-      .from('organisations')
-      .update({
-        discount_percent: 0,
-        discount_type: null,
-        discount_reason: reason ? `Removed: ${reason}` : 'Discount removed by admin',
-        discount_approved_by: null,
-        discount_approved_at: null,
-        discount_review_requested: false
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    console.log(`❌ Discount removed from: ${data.name} (${id}) - ${reason || 'No reason'}`);
-
-    // Remove coupon from Stripe subscription
-    const stripeResult = await removeStripeCoupon(data.stripe_subscription_id, data.name);
+    const { data, before, after, stripeResult } = await removeDiscount(id, reason);
+
+    await recordAudit(req, {
+      action: 'customer.remove_discount',
+      organisationId: id,
+      organisationName: data.name,
+      before,
+      after,
+      stripeEffects: {
+        subscriptionId: data.stripe_subscription_id || null,
+        removed: stripeResult.stripeCouponRemoved,
+        message: stripeResult.message,
+      },
+      details: { reason: reason || null },
+    });
 
     res.json({
       success: true,
@@ -1326,6 +1764,7 @@ router.post('/:id/deny-discount-request', async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
+    const before = await getOrgSnapshot(id, DISCOUNT_AUDIT_FIELDS);
 
     const { data, error } = await supabase
       .from('organisations')
@@ -1341,6 +1780,15 @@ router.post('/:id/deny-discount-request', async (req, res) => {
 
     console.log(`🚫 Discount request denied for: ${data.name} (${id}) - ${reason || 'No reason'}`);
 
+    await recordAudit(req, {
+      action: 'customer.deny_discount_request',
+      organisationId: id,
+      organisationName: data.name,
+      before: pickFields(before, DISCOUNT_AUDIT_FIELDS),
+      after: pickFields(data, DISCOUNT_AUDIT_FIELDS),
+      details: { reason: reason || null },
+    });
+
     res.json({
       success: true,
       message: 'Discount request denied',
@@ -1361,14 +1809,13 @@ router.post('/:id/revoke-charity-discount', async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
+    const before = await getOrgSnapshot(id, DISCOUNT_AUDIT_FIELDS);
 
     const { data, error } = await supabase
       .from('organisations')
       .update({
         charity_verified: false,
-        // Clear unified discount fields
-        discount_percent: 0,
-        discount_type: null,
+        ...CLEARED_DISCOUNT_FIELDS,
         charity_review_notes: reason || 'Discount revoked by admin'
       })
       .eq('id', id)
@@ -1382,6 +1829,20 @@ router.post('/:id/revoke-charity-discount', async (req, res) => {
     // Remove coupon from Stripe subscription
     const stripeResult = await removeStripeCoupon(data.stripe_subscription_id, data.name);
 
+    await recordAudit(req, {
+      action: 'customer.revoke_charity_discount',
+      organisationId: id,
+      organisationName: data.name,
+      before: pickFields(before, DISCOUNT_AUDIT_FIELDS),
+      after: pickFields(data, DISCOUNT_AUDIT_FIELDS),
+      stripeEffects: {
+        subscriptionId: data.stripe_subscription_id || null,
+        removed: stripeResult.stripeCouponRemoved,
+        message: stripeResult.message,
+      },
+      details: { reason: reason || null },
+    });
+
     res.json({
       success: true,
       message: 'Charity discount revoked',
@@ -1493,30 +1954,6 @@ router.get('/:id/referrals', async (req, res) => {
   }
 });
 
-/**
- * Generate a secure random password
- * 14 characters: uppercase + lowercase + numbers + symbols
- */
-function generateSecurePassword() {
-  const uppercase = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
-  const lowercase = 'abcdefghjkmnpqrstuvwxyz';
-  const numbers = '23456789';
-  const symbols = '!@#$%&*';
-
-  let password = '';
-  password += uppercase[crypto.randomInt(uppercase.length)];
-  password += lowercase[crypto.randomInt(lowercase.length)];
-  password += numbers[crypto.randomInt(numbers.length)];
-  password += symbols[crypto.randomInt(symbols.length)];
-
-  const allChars = uppercase + lowercase + numbers + symbols;
-  for (let i = 0; i < 10; i++) {
-    password += allChars[crypto.randomInt(allChars.length)];
-  }
-
-  return password.split('').sort(() => crypto.randomInt(3) - 1).join('');
-}
-
 /**
  * Generate a unique org key for an enterprise organisation
  * @param {string} name - Organisation name
@@ -1708,6 +2145,22 @@ router.post('/:id/enable-enterprise', async (req, res) => {
 
     console.log(`🏢 Enterprise enabled for: ${org.name} (${id}) - Admin: ${adminName} (${adminEmail})`);
 
+    await recordAudit(req, {
+      action: 'customer.enable_enterprise',
+      organisationId: id,
+      organisationName: org.name,
+      before: { is_enterprise: false, organisation_key: org.organisation_key },
+      after: {
+        is_enterprise: true,
+        subscription_tier: 'enterprise',
+        organisation_key: orgKey,
+        enterprise_included_credits: credits,
+        enterprise_overage_rate_pence: overage,
+        enterprise_billing_day: billing
+      },
+      details: { adminName, adminEmail, enterpriseUserId: enterpriseUser.id, emailSent: emailResult.success },
+    });
+
     res.json({
       success: true,
       message: 'Enterprise enabled successfully' + (!emailResult.success ? ' (email failed to send)' : ''),
@@ -1731,7 +2184,7 @@ router.get('/:id/enterprise-info', async (req, res) => {
     // Get enterprise config from organisation
     const { data: org, error: orgError } = await supabase
       .from('organisations')
-      .select('is_enterprise, enterprise_included_credits, enterprise_overage_rate_pence, enterprise_billing_day, minimum_monthly_fee, enterprise_credit_charge_pence, enterprise_trial_days')
+      .select(`id, is_enterprise, enterprise_included_credits, enterprise_overage_rate_pence, enterprise_billing_day, minimum_monthly_fee, enterprise_credit_charge_pence, enterprise_trial_days, ${Object.values(SEAT_LIMIT_COLUMNS).join(', ')}`)
       .eq('id', id)
       .single();
 
@@ -1747,7 +2200,7 @@ router.get('/:id/enterprise-info', async (req, res) => {
     // Get enterprise users
     const { data: users, error: usersError } = await supabase
       .from('enterprise_users')
-      .select('id, email, name, role, is_active, last_login_at, created_at')
+      .select('id, email, name, role, is_active, last_login_at, invited_at, deactivated_at, created_at')
       .eq('organisation_id', id)
       .order('created_at', { ascending: true });
 
@@ -1774,7 +2227,8 @@ router.get('/:id/enterprise-info', async (req, res) => {
           billingDay: org.enterprise_billing_day
         },
         users: users || [],
-        counts
+        counts,
+        seats: await getSeatUsage(org)
       }
     });
   } catch (error) {
@@ -1783,6 +2237,335 @@ router.get('/:id/enterprise-info', async (req, res) => {
   }
 });
 
+// Fields recorded in the audit log for enterprise user changes
+const ENTERPRISE_USER_AUDIT_FIELDS = ['email', 'name', 'role', 'is_active'];
+
+/**
+ * POST /api/customers/:id/enterprise-users
+ * Add a controller, session user or admin and email them a temporary password
+ * Body: { name, email, role }
+ */
+router.post('/:id/enterprise-users', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await addEnterpriseUser(id, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { org, user, password, emailSent } = result;
+
+    await recordAudit(req, {
+      action: 'customer.add_enterprise_user',
+      organisationId: id,
+      organisationName: org.name,
+      targetType: 'enterprise_user',
+      targetId: user.id,
+      after: pickFields(user, ENTERPRISE_USER_AUDIT_FIELDS),
+      details: { emailSent },
+    });
+
+    res.json({
+      success: true,
+      message: `${user.email} added` + (emailSent ? ' and invited' : ' (invite email failed to send)'),
+      data: user,
+      generatedPassword: password,
+    });
+  } catch (error) {
+    console.error('Error adding enterprise user:', error);
+    res.status(500).json({ error: 'Failed to add enterprise user: ' + error.message });
+  }
+});
+
+/**
+ * PATCH /api/customers/:id/enterprise-users/:userId
+ * Change an enterprise user's role
+ * Body: { role }
+ */
+router.patch('/:id/enterprise-users/:userId', async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const result = await changeEnterpriseUserRole(id, userId, req.body.role);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { org, user, before } = result;
+
+    await recordAudit(req, {
+      action: 'customer.change_enterprise_user_role',
+      organisationId: id,
+      organisationName: org.name,
+      targetType: 'enterprise_user',
+      targetId: user.id,
+      before: { role: before.role },
+      after: { role: user.role },
+      details: { email: user.email },
+    });
+
+    res.json({ success: true, message: `${user.email} is now ${user.role.replace('_', ' ')}`, data: user });
+  } catch (error) {
+    console.error('Error changing enterprise user role:', error);
+    res.status(500).json({ error: 'Failed to change role: ' + error.message });
+  }
+});
+
+// Shared by the deactivate and reactivate routes
+async function updateEnterpriseUserActive(req, res, active) {
+  const action = active ? 'reactivate' : 'deactivate';
+  try {
+    const { id, userId } = req.params;
+    const result = await setEnterpriseUserActive(id, userId, active);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { org, user, before } = result;
+
+    await recordAudit(req, {
+      action: `customer.${action}_enterprise_user`,
+      organisationId: id,
+      organisationName: org.name,
+      targetType: 'enterprise_user',
+      targetId: user.id,
+      before: { is_active: before.is_active },
+      after: { is_active: user.is_active },
+      details: { email: user.email, role: user.role },
+    });
+
+    res.json({ success: true, message: `${user.email} ${action}d`, data: user });
+  } catch (error) {
+    console.error(`Error trying to ${action} enterprise user:`, error);
+    res.status(500).json({ error: `Failed to ${action} user: ` + error.message });
+  }
+}
+
+/**
+ * POST /api/customers/:id/enterprise-users/:userId/deactivate
+ * Block an enterprise user's sign-in (frees their seat)
+ */
+router.post('/:id/enterprise-users/:userId/deactivate', (req, res) => updateEnterpriseUserActive(req, res, false));
+
+/**
+ * POST /api/customers/:id/enterprise-users/:userId/reactivate
+ * Restore a deactivated enterprise user's sign-in (needs a free seat)
+ */
+router.post('/:id/enterprise-users/:userId/reactivate', (req, res) => updateEnterpriseUserActive(req, res, true));
+
+/**
+ * POST /api/customers/:id/enterprise-users/:userId/resend-invite
+ * Reset an enterprise user's password and email them a new invite
+ */
+router.post('/:id/enterprise-users/:userId/resend-invite', async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const result = await resendEnterpriseInvite(id, userId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { org, user, password } = result;
+
+    await recordAudit(req, {
+      action: 'customer.resend_enterprise_invite',
+      organisationId: id,
+      organisationName: org.name,
+      targetType: 'enterprise_user',
+      targetId: user.id,
+      details: { email: user.email, passwordRegenerated: true },
+    });
+
+    res.json({ success: true, message: `Invite re-sent to ${user.email}`, newPassword: password });
+  } catch (error) {
+    console.error('Error re-sending enterprise invite:', error);
+    res.status(500).json({ error: 'Failed to re-send invite: ' + error.message });
+  }
+});
+
+/**
+ * DELETE /api/customers/:id/enterprise-users/:userId
+ * Delete an enterprise user and their Supabase auth account
+ */
+router.delete('/:id/enterprise-users/:userId', async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const result = await deleteEnterpriseUser(id, userId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { org, user } = result;
+
+    await recordAudit(req, {
+      action: 'customer.delete_enterprise_user',
+      organisationId: id,
+      organisationName: org.name,
+      targetType: 'enterprise_user',
+      targetId: user.id,
+      before: pickFields(user, ENTERPRISE_USER_AUDIT_FIELDS),
+    });
+
+    res.json({ success: true, message: `${user.email} deleted` });
+  } catch (error) {
+    console.error('Error deleting enterprise user:', error);
+    res.status(500).json({ error: 'Failed to delete enterprise user: ' + error.message });
+  }
+});
+
+const BILLING_RUN_AUDIT_FIELDS = ['status', 'total_pence', 'stripe_invoice_id', 'stripe_invoice_number'];
+
+/**
+ * GET /api/customers/:id/enterprise-billing-runs
+ * The customer's enterprise billing runs (monthly draft invoices), newest first
+ */
+router.get('/:id/enterprise-billing-runs', async (req, res) => {
+  try {
+    const runs = await listBillingRuns({ organisationId: req.params.id, limit: req.query.limit });
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    console.error('Error fetching enterprise billing runs:', error);
+    res.status(500).json({ error: 'Failed to fetch enterprise billing runs' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/enterprise-billing-runs
+ * Bill an ended period by hand (e.g. one skipped while the customer was paused).
+ * Body: { periodStart: 'YYYY-MM-DD' } - a billing day
+ */
+router.post('/:id/enterprise-billing-runs', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await billPeriod(id, req.body.periodStart);
+    if (result.error && !result.run) return res.status(result.status).json({ error: result.error });
+
+    const { org, run, previous } = result;
+
+    await recordAudit(req, {
+      action: 'customer.create_enterprise_invoice',
+      organisationId: id,
+      organisationName: org.name,
+      targetType: 'enterprise_billing_run',
+      targetId: run.id,
+      before: previous ? pickFields(previous, BILLING_RUN_AUDIT_FIELDS) : null,
+      after: pickFields(run, BILLING_RUN_AUDIT_FIELDS),
+      stripeEffects: {
+        deletedDraftInvoiceId: previous?.stripe_invoice_id || null,
+        draftInvoiceId: run.stripe_invoice_id || null,
+      },
+      details: { periodStart: run.period_start, periodEnd: run.period_end, error: result.error || null },
+    });
+
+    if (result.error) return res.status(502).json({ error: 'Failed to create the draft invoice: ' + result.error });
+
+    res.json({ success: true, message: 'Draft invoice created', data: run });
+  } catch (error) {
+    console.error('Error creating enterprise invoice:', error);
+    res.status(500).json({ error: 'Failed to create enterprise invoice: ' + error.message });
+  }
+});
+
+/**
+ * POST /api/customers/:id/enterprise-billing-runs/:runId/finalise
+ * Finalise a reviewed draft invoice; Stripe emails it to the customer
+ */
+router.post('/:id/enterprise-billing-runs/:runId/finalise', async (req, res) => {
+  try {
+    const { id, runId } = req.params;
+    const result = await finaliseBillingRun(id, runId, { finalisedBy: req.session.email });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { run, before, organisationName, invoice, sendError } = result;
+
+    await recordAudit(req, {
+      action: 'customer.finalise_enterprise_invoice',
+      organisationId: id,
+      organisationName,
+      targetType: 'enterprise_billing_run',
+      targetId: run.id,
+      before: pickFields(before, BILLING_RUN_AUDIT_FIELDS),
+      after: pickFields(run, BILLING_RUN_AUDIT_FIELDS),
+      stripeEffects: {
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.number,
+        amountDue: invoice.amount_due,
+        currency: invoice.currency,
+        sent: !sendError,
+        sendError,
+      },
+      details: { periodStart: run.period_start, periodEnd: run.period_end },
+    });
+
+    res.json({
+      success: true,
+      message: `Invoice ${invoice.number || invoice.id} finalised` + (sendError ? `, but Stripe failed to email it: ${sendError}` : ' and sent'),
+      data: run,
+    });
+  } catch (error) {
+    console.error('Error finalising enterprise invoice:', error);
+    res.status(500).json({ error: 'Failed to finalise enterprise invoice: ' + error.message });
+  }
+});
+
+/**
+ * POST /api/customers/:id/enterprise-billing-runs/:runId/discard
+ * Delete a draft invoice without sending it. Body: { reason? }
+ */
+router.post('/:id/enterprise-billing-runs/:runId/discard', async (req, res) => {
+  try {
+    const { id, runId } = req.params;
+    const reason = req.body.reason ? String(req.body.reason).trim() : null;
+    const result = await discardBillingRun(id, runId, { discardedBy: req.session.email, reason });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { run, before, organisationName } = result;
+
+    await recordAudit(req, {
+      action: 'customer.discard_enterprise_invoice',
+      organisationId: id,
+      organisationName,
+      targetType: 'enterprise_billing_run',
+      targetId: run.id,
+      before: pickFields(before, BILLING_RUN_AUDIT_FIELDS),
+      after: pickFields(run, BILLING_RUN_AUDIT_FIELDS),
+      stripeEffects: before.stripe_invoice_id ? { deletedDraftInvoiceId: before.stripe_invoice_id } : null,
+      details: { periodStart: run.period_start, periodEnd: run.period_end, reason },
+    });
+
+    res.json({ success: true, message: 'Draft invoice discarded', data: run });
+  } catch (error) {
+    console.error('Error discarding enterprise invoice:', error);
+    res.status(500).json({ error: 'Failed to discard enterprise invoice: ' + error.message });
+  }
+});
+
+/**
+ * POST /api/customers/:id/enterprise-billing-runs/:runId/regenerate
+ * Recalculate a draft, discarded, failed or skipped run with the current
+ * enterprise config and usage, replacing its draft invoice
+ */
+router.post('/:id/enterprise-billing-runs/:runId/regenerate', async (req, res) => {
+  try {
+    const { id, runId } = req.params;
+    const result = await regenerateBillingRun(id, runId);
+    if (result.error && !result.run) return res.status(result.status).json({ error: result.error });
+
+    const { org, run, previous } = result;
+
+    await recordAudit(req, {
+      action: 'customer.regenerate_enterprise_invoice',
+      organisationId: id,
+      organisationName: org.name,
+      targetType: 'enterprise_billing_run',
+      targetId: run.id,
+      before: pickFields(previous, BILLING_RUN_AUDIT_FIELDS),
+      after: pickFields(run, BILLING_RUN_AUDIT_FIELDS),
+      stripeEffects: {
+        deletedDraftInvoiceId: previous?.stripe_invoice_id || null,
+        draftInvoiceId: run.stripe_invoice_id || null,
+      },
+      details: { periodStart: run.period_start, periodEnd: run.period_end, error: result.error || null },
+    });
+
+    if (result.error) return res.status(502).json({ error: 'Failed to create the draft invoice: ' + result.error });
+
+    res.json({ success: true, message: 'Draft invoice regenerated', data: run });
+  } catch (error) {
+    console.error('Error regenerating enterprise invoice:', error);
+    res.status(500).json({ error: 'Failed to regenerate enterprise invoice: ' + error.message });
+  }
+});
+
 /**
  * POST /api/customers/:id/update-enterprise-config
  * Update enterprise billing configuration
@@ -1790,7 +2573,7 @@ router.get('/:id/enterprise-info', async (req, res) => {
 router.post('/:id/update-enterprise-config', async (req, res) => {
   try {
     const { id } = req.params;
-    const { includedCredits, overageRatePence, billingDay, monthlyFee, creditChargePence, trialDays } = req.body;
+    const { includedCredits, overageRatePence, billingDay, monthlyFee, creditChargePence, trialDays, seatLimits } = req.body;
 
     const updates = {};
     if (includedCredits !== undefined) updates.enterprise_included_credits = includedCredits;
@@ -1800,10 +2583,20 @@ router.post('/:id/update-enterprise-config', async (req, res) => {
     if (creditChargePence !== undefined) updates.enterprise_credit_charge_pence = creditChargePence;
     if (trialDays !== undefined) updates.enterprise_trial_days = trialDays;
 
+    // seatLimits: { admin, controller, session_user } - null or '' for unlimited
+    for (const [role, column] of Object.entries(SEAT_LIMIT_COLUMNS)) {
+      if (seatLimits?.[role] === undefined) continue;
+      const seatError = validateSeatLimit(seatLimits[role]);
+      if (seatError) return res.status(400).json({ error: seatError });
+      updates[column] = seatLimits[role] === null || seatLimits[role] === '' ? null : Number(seatLimits[role]);
+    }
+
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
+    const before = await getOrgSnapshot(id, Object.keys(updates));
+
     const { data, error } = await supabase
       .from('organisations')
       .update(updates)
@@ -1815,6 +2608,14 @@ router.post('/:id/update-enterprise-config', async (req, res) => {
 
     console.log(`🏢 Enterprise config updated for org ${id}:`, updates);
 
+    await recordAudit(req, {
+      action: 'customer.update_enterprise_config',
+      organisationId: id,
+      organisationName: data.name,
+      before: pickFields(before, Object.keys(updates)),
+      after: pickFields(data, Object.keys(updates)),
+    });
+
     res.json({
       success: true,
       message: 'Enterprise config updated',
@@ -1962,6 +2763,18 @@ router.post('/create-enterprise', async (req, res) => {
 
     console.log(`🏢 Enterprise customer created from scratch: ${organisationName} (${orgKey}) - Admin: ${contactName} (${contactEmail})`);
 
+    await recordAudit(req, {
+      action: 'customer.create_enterprise',
+      organisationId: org.id,
+      organisationName,
+      after: pickFields(org, [
+        'organisation_key', 'subscription_tier', 'minimum_monthly_fee', 'enterprise_included_credits',
+        'enterprise_overage_rate_pence', 'enterprise_credit_charge_pence', 'enterprise_billing_day',
+        'enterprise_trial_days', 'charity_discount_percent'
+      ]),
+      details: { contactName, contactEmail, enterpriseUserId: enterpriseUser.id },
+    });
+
     res.json({
       success: true,
       message: 'Enterprise customer created successfully',
@@ -2063,6 +2876,13 @@ router.post('/:id/send-enterprise-credentials', async (req, res) => {
 
     console.log(`📧 Enterprise credentials email (account details) sent to ${adminUser.email} for org ${org.name}`);
 
+    await recordAudit(req, {
+      action: 'customer.send_enterprise_credentials',
+      organisationId: id,
+      organisationName: org.name,
+      details: { email: adminUser.email },
+    });
+
     res.json({ success: true, message: 'Account details email sent' });
   } catch (error) {
     console.error('Error sending enterprise credentials email:', error);
@@ -2167,6 +2987,13 @@ router.post('/:id/send-enterprise-password', async (req, res) => {
 
     console.log(`📧 Enterprise password email sent to ${adminUser.email} for org ${org.name}`);
 
+    await recordAudit(req, {
+      action: 'customer.send_enterprise_password',
+      organisationId: id,
+      organisationName: org.name,
+      details: { email: adminUser.email, passwordRegenerated: !!regenerate },
+    });
+
     res.json({
       success: true,
       message: 'Password email sent',
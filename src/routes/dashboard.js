@@ -5,6 +5,8 @@
 import express from 'express';
 import supabase from '../services/supabase.js';
 import stripe from '../services/stripe.js';
+import { getLastScoredAt } from '../services/health-score.js';
+import { runHealthScores } from '../services/health-score-scheduler.js';
 
 const router = express.Router();
 
@@ -520,4 +522,104 @@ router.get('/pending-discount-reviews', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/dashboard/at-risk-customers?limit=25
+ * Customers in the at_risk health band, lowest score first (see services/health-score.js)
+ */
+router.get('/at-risk-customers', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 25, 200);
+
+    const { data: orgs, count, error } = await supabase
+      .from('organisations')
+      .select('id, name, subscription_tier, health_score, health_components, health_scored_at', { count: 'exact' })
+      .eq('health_band', 'at_risk')
+      .is('subscription_cancelled_at', null)
+      .order('health_score', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: {
+        count: count || 0,
+        lastScoredAt: await getLastScoredAt(),
+        customers: (orgs || []).map(org => ({
+          id: org.id,
+          name: org.name,
+          tier: org.subscription_tier || 'basic',
+          score: org.health_score,
+          components: org.health_components || {},
+          scoredAt: org.health_scored_at
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching at-risk customers:', error);
+    res.status(500).json({ error: 'Failed to fetch at-risk customers' });
+  }
+});
+
+/**
+ * GET /api/dashboard/upcoming-resumes?days=30
+ * Paused accounts scheduled to resume automatically within the next N days
+ * (see services/pause-resume-scheduler.js)
+ */
+router.get('/upcoming-resumes', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: orgs, error } = await supabase
+      .from('organisations')
+      .select('id, name, subscription_tier, paused_at, pause_category, pause_reason, pause_resume_at, pause_resume_reminder_sent_at')
+      .eq('is_paused', true)
+      .not('pause_resume_at', 'is', null)
+      .lte('pause_resume_at', until)
+      .order('pause_resume_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        customers: (orgs || []).map(org => ({
+          id: org.id,
+          name: org.name,
+          tier: org.subscription_tier || 'basic',
+          pausedAt: org.paused_at,
+          category: org.pause_category,
+          reason: org.pause_reason,
+          resumeAt: org.pause_resume_at,
+          reminderSentAt: org.pause_resume_reminder_sent_at
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching upcoming resumes:', error);
+    res.status(500).json({ error: 'Failed to fetch upcoming resumes' });
+  }
+});
+
+/**
+ * POST /api/dashboard/health-scores/recalculate
+ * Recompute every customer's health score now instead of waiting for the daily run
+ */
+router.post('/health-scores/recalculate', async (req, res) => {
+  try {
+    const summary = await runHealthScores();
+    if (!summary) {
+      return res.status(409).json({ error: 'Health scores are already being calculated' });
+    }
+
+    console.log(`💓 Health scores recalculated by ${req.session.email}`);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error recalculating health scores:', error);
+    res.status(500).json({ error: 'Failed to recalculate health scores' });
+  }
+});
+
 export default router;
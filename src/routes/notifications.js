@@ -6,6 +6,8 @@
 
 import express from 'express';
 import supabase from '../services/supabase.js';
+import { recordAudit } from '../services/audit.js';
+import { parseAttributeCriteria, hasAttributeCriteria, resolveAudience, describeCriteria } from '../services/customer-attributes.js';
 
 const router = express.Router();
 
@@ -17,7 +19,7 @@ router.get('/customers', async (req, res) => {
     try {
         const { data: orgs, error: orgsError } = await supabase
             .from('organisations')
-            .select('id, name, subscription_tier, subscription_status, user_id, created_at')
+            .select('id, name, subscription_tier, subscription_status, user_id, created_at, tags, custom_fields')
             .order('name');
 
         if (orgsError) throw orgsError;
@@ -39,6 +41,8 @@ router.get('/customers', async (req, res) => {
                     email: email,
                     tier: org.subscription_tier || 'trial',
                     status: org.subscription_status || 'active',
+                    tags: org.tags || [],
+                    customFields: org.custom_fields || {},
                     createdAt: org.created_at
                 };
             })
@@ -59,11 +63,13 @@ router.get('/customers', async (req, res) => {
 
 /**
  * POST /send
- * Send notification to selected customers or all
+ * Send notification to selected customers, customers matching audience
+ * criteria ({ tags, tagMatch, fields } - see services/customer-attributes.js), or all
  */
 router.post('/send', async (req, res) => {
     try {
-        const { customerIds, title, message, type, sendToAll } = req.body;
+        const { title, message, type, sendToAll, audience } = req.body;
+        let { customerIds } = req.body;
 
         if (!title || !title.trim()) {
             return res.status(400).json({ success: false, error: 'Title is required' });
@@ -74,7 +80,7 @@ router.post('/send', async (req, res) => {
         }
 
         const notificationType = type || 'general';
-        const sentBy = req.session.user?.email || 'admin';
+        const sentBy = req.session.email || 'admin';
 
         if (sendToAll) {
             // Send as broadcast notification (single row, all orgs see it)
@@ -98,12 +104,35 @@ router.post('/send', async (req, res) => {
                 .from('organisations')
                 .select('id', { count: 'exact', head: true });
 
+            await recordAudit(req, {
+                action: 'notification.broadcast',
+                targetType: 'notification',
+                targetId: data.id,
+                details: { title: title.trim(), type: notificationType, recipients: count || 0 }
+            });
+
             res.json({
                 success: true,
                 sent: count || 0,
                 message: `Broadcast notification sent to all customers`
             });
         } else {
+            let audienceDescription = null;
+            if (audience) {
+                const { criteria, error: criteriaError } = parseAttributeCriteria(audience);
+                if (criteriaError) {
+                    return res.status(400).json({ success: false, error: criteriaError });
+                }
+                if (!hasAttributeCriteria(criteria)) {
+                    return res.status(400).json({ success: false, error: 'Audience needs at least one tag or custom field condition' });
+                }
+                customerIds = await resolveAudience(criteria);
+                audienceDescription = describeCriteria(criteria);
+                if (customerIds.length === 0) {
+                    return res.status(400).json({ success: false, error: `No customers match the audience (${audienceDescription})` });
+                }
+            }
+
             // Send individual notifications
             if (!customerIds || !Array.isArray(customerIds) || customerIds.length === 0) {
                 return res.status(400).json({ success: false, error: 'No customers selected' });
@@ -125,6 +154,12 @@ router.post('/send', async (req, res) => {
 
             if (error) throw error;
 
+            await recordAudit(req, {
+                action: 'notification.send',
+                targetType: 'notification',
+                details: { title: title.trim(), type: notificationType, organisationIds: customerIds, audience: audienceDescription }
+            });
+
             res.json({
                 success: true,
                 sent: data.length,
@@ -214,6 +249,12 @@ router.delete('/:id', async (req, res) => {
 
         if (error) throw error;
 
+        await recordAudit(req, {
+            action: 'notification.delete',
+            targetType: 'notification',
+            targetId: req.params.id
+        });
+
         res.json({ success: true });
     } catch (error) {
         console.error('Error deleting notification:', error);
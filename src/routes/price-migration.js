@@ -16,6 +16,7 @@ import {
 } from '../services/price-migration.js';
 import stripe from '../services/stripe.js';
 import supabase from '../services/supabase.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
@@ -258,7 +259,7 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Migration name is required' });
         }
 
-        const adminEmail = req.session.user?.email || 'admin';
+        const adminEmail = req.session.email || 'admin';
         const result = await createMigration({
             name,
             oldPricing,
@@ -271,6 +272,14 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ success: false, error: result.error });
         }
 
+        await recordAudit(req, {
+            action: 'price_migration.create',
+            targetType: 'price_migration',
+            targetId: result.migration?.id,
+            after: { name, oldPricing, newPricing, newPriceIds },
+            details: { selectedOrganisationIds: selectedOrganisationIds || null }
+        });
+
         res.json({
             success: true,
             message: 'Migration created successfully',
@@ -298,6 +307,13 @@ router.post('/:id/send-emails', async (req, res) => {
             return res.status(400).json({ success: false, error: result.error });
         }
 
+        await recordAudit(req, {
+            action: 'price_migration.send_emails',
+            targetType: 'price_migration',
+            targetId: id,
+            details: { sent: result.sent, failed: result.failed, customSubject: customSubject || null }
+        });
+
         res.json({
             success: true,
             message: `Emails sent: ${result.sent} successful, ${result.failed} failed`,
@@ -325,6 +341,17 @@ router.post('/:id/execute', async (req, res) => {
             return res.status(400).json({ success: false, error: result.error });
         }
 
+        await recordAudit(req, {
+            action: 'price_migration.execute',
+            targetType: 'price_migration',
+            targetId: id,
+            stripeEffects: {
+                subscriptionsUpdated: result.completed,
+                failed: result.failed,
+                errors: result.errors || []
+            }
+        });
+
         res.json({
             success: true,
             message: `Migration completed: ${result.completed} successful, ${result.failed} failed`,
@@ -351,6 +378,12 @@ router.post('/:id/cancel', async (req, res) => {
             return res.status(400).json({ success: false, error: result.error });
         }
 
+        await recordAudit(req, {
+            action: 'price_migration.cancel',
+            targetType: 'price_migration',
+            targetId: id
+        });
+
         res.json({
             success: true,
             message: 'Migration cancelled successfully'
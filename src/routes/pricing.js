@@ -7,6 +7,7 @@
 import express from 'express';
 import supabase from '../services/supabase.js';
 import stripe from '../services/stripe.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
@@ -266,6 +267,12 @@ router.put('/:id', async (req, res) => {
     if (isActive !== undefined) updateData.is_active = isActive;
     updateData.updated_at = new Date().toISOString();
 
+    const { data: before } = await supabase
+      .from('pricing_tiers')
+      .select('*')
+      .eq('id', id)
+      .single();
+
     const { data, error } = await supabase
       .from('pricing_tiers')
       .update(updateData)
@@ -280,6 +287,15 @@ router.put('/:id', async (req, res) => {
 
     console.log(`💰 Pricing tier updated: ${data.name} (${id})`);
 
+    const changedFields = Object.keys(updateData).filter(f => f !== 'updated_at');
+    await recordAudit(req, {
+      action: 'pricing.update_tier',
+      targetType: 'pricing_tier',
+      targetId: id,
+      before: before ? Object.fromEntries(changedFields.map(f => [f, before[f]])) : null,
+      after: Object.fromEntries(changedFields.map(f => [f, data[f]])),
+    });
+
     res.json({
       success: true,
       message: 'Pricing tier updated successfully',
@@ -341,6 +357,13 @@ router.post('/', async (req, res) => {
 
     console.log(`💰 New pricing tier created: ${name} (${id})`);
 
+    await recordAudit(req, {
+      action: 'pricing.create_tier',
+      targetType: 'pricing_tier',
+      targetId: id,
+      after: data,
+    });
+
     res.json({
       success: true,
       message: 'Pricing tier created successfully',
@@ -383,6 +406,14 @@ router.delete('/:id', async (req, res) => {
 
     console.log(`💰 Pricing tier disabled: ${id}`);
 
+    await recordAudit(req, {
+      action: 'pricing.disable_tier',
+      targetType: 'pricing_tier',
+      targetId: id,
+      before: { is_active: true },
+      after: { is_active: false },
+    });
+
     res.json({
       success: true,
       message: 'Pricing tier disabled successfully',
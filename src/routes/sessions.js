@@ -0,0 +1,126 @@
+/**
+ * Admin Session Routes
+ *
+ * List and revoke signed-in dashboard sessions stored in admin_sessions (see
+ * services/session-store.js). Every admin can see and revoke their own sessions;
+ * superadmins can see and revoke everyone's.
+ */
+
+import express from 'express';
+import supabase from '../services/supabase.js';
+import { PERMISSIONS, hasPermission } from '../middleware/permissions.js';
+import { getIdleTimeoutMs } from '../services/session-store.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+function canManageAll(req) {
+  return hasPermission(req.session.role, PERMISSIONS.ADMINS_MANAGE);
+}
+
+/**
+ * Shape a stored session for display - the sid itself is never sent to the browser
+ */
+function formatSession(row, currentSid) {
+  const sess = row.sess || {};
+  return {
+    id: row.id,
+    adminId: row.admin_id,
+    email: row.admin_email,
+    role: sess.role || null,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    signedInAt: sess.loginTime || row.created_at,
+    lastActivity: sess.lastActivity || row.last_seen_at,
+    expiresAt: row.expires_at,
+    twoFactor: !!sess.twoFactorEnabled,
+    current: row.sid === currentSid,
+  };
+}
+
+/**
+ * GET /api/sessions?all=true
+ * List active sessions for the current admin (superadmins can pass all=true)
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (req.session.apiTokenId) {
+      return res.status(403).json({ error: 'Sessions cannot be listed with an API token' });
+    }
+
+    let query = supabase
+      .from('admin_sessions')
+      .select('id, sid, sess, admin_id, admin_email, ip_address, user_agent, created_at, last_seen_at, expires_at')
+      .gt('expires_at', new Date().toISOString())
+      .not('admin_id', 'is', null)
+      .order('last_seen_at', { ascending: false });
+
+    const all = req.query.all === 'true' && canManageAll(req);
+    if (!all) query = query.eq('admin_id', req.session.adminId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Rows past the idle timeout are dead even if the cookie hasn't expired yet
+    const idleCutoff = Date.now() - getIdleTimeoutMs();
+    const sessions = (data || [])
+      .filter(row => row.sess?.authenticated)
+      .map(row => formatSession(row, req.sessionID))
+      .filter(s => new Date(s.lastActivity).getTime() > idleCutoff);
+
+    res.json({ success: true, data: sessions, canManageAll: canManageAll(req) });
+  } catch (error) {
+    console.error('Error fetching admin sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/revoke
+ * Sign a session out immediately
+ */
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    if (req.session.apiTokenId) {
+      return res.status(403).json({ error: 'Sessions cannot be revoked with an API token' });
+    }
+
+    const { data: row, error: fetchError } = await supabase
+      .from('admin_sessions')
+      .select('id, sid, sess, admin_id, admin_email, ip_address, user_agent, created_at, last_seen_at, expires_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!row || (row.admin_id !== req.session.adminId && !canManageAll(req))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (row.sid === req.sessionID) {
+      return res.status(400).json({ error: 'Use Sign Out to end your current session' });
+    }
+
+    const { error } = await supabase
+      .from('admin_sessions')
+      .delete()
+      .eq('id', row.id);
+
+    if (error) throw error;
+
+    const session = formatSession(row, req.sessionID);
+    console.log(`🔒 Session for ${row.admin_email} (${row.ip_address || 'unknown IP'}) revoked by ${req.session.email}`);
+
+    await recordAudit(req, {
+      action: 'session.revoke',
+      targetType: 'admin_session',
+      targetId: row.id,
+      details: { email: row.admin_email, ipAddress: session.ipAddress, userAgent: session.userAgent, signedInAt: session.signedInAt },
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking admin session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+export default router;
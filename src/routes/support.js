@@ -7,6 +7,7 @@
 import express from 'express';
 import supabase from '../services/supabase.js';
 import { sendCustomerEmail, logEmail } from '../services/email.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
@@ -82,11 +83,25 @@ router.patch('/:id', async (req, res) => {
     if (!VALID_STATUS.includes(status)) {
       return res.status(400).json({ success: false, error: 'Invalid status' });
     }
+    const { data: before } = await supabase
+      .from('support_requests')
+      .select('status, organisation_id, organisation_name')
+      .eq('id', req.params.id)
+      .single();
     const { error } = await supabase
       .from('support_requests')
       .update({ status })
       .eq('id', req.params.id);
     if (error) throw error;
+    await recordAudit(req, {
+      action: 'support.update_status',
+      organisationId: before?.organisation_id || null,
+      organisationName: before?.organisation_name || null,
+      targetType: 'support_request',
+      targetId: req.params.id,
+      before: before ? { status: before.status } : null,
+      after: { status },
+    });
     res.json({ success: true });
   } catch (e) {
     console.error('support update error:', e.message);
@@ -129,6 +144,12 @@ router.post('/:id/notes', async (req, res) => {
       .select('*')
       .single();
     if (error) throw error;
+    await recordAudit(req, {
+      action: 'support.add_note',
+      targetType: 'support_request',
+      targetId: req.params.id,
+      details: { noteId: data.id },
+    });
     res.json({ success: true, data });
   } catch (e) {
     console.error('support note add error:', e.message);
@@ -195,6 +216,17 @@ router.post('/:id/reply', async (req, res) => {
       await supabase.from('support_requests').update({ status: newStatus }).eq('id', reqRow.id);
     }
 
+    await recordAudit(req, {
+      action: 'support.reply',
+      organisationId: reqRow.organisation_id || null,
+      organisationName: reqRow.organisation_name || null,
+      targetType: 'support_request',
+      targetId: reqRow.id,
+      before: { status: reqRow.status },
+      after: { status: newStatus },
+      details: { subject, email: reqRow.contact_email },
+    });
+
     res.json({ success: true, status: newStatus });
   } catch (e) {
     console.error('support reply error:', e.message);
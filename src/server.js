@@ -16,6 +16,9 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import dashboardRoutes from './routes/dashboard.js';
 import customersRoutes from './routes/customers.js';
+import customerAttributesRoutes from './routes/customer-attributes.js';
+import creditLedgerRoutes from './routes/credit-ledger.js';
+import customerMergeRoutes from './routes/customer-merges.js';
 import pricingRoutes from './routes/pricing.js';
 import monitoringRoutes from './routes/monitoring.js';
 import analyticsRoutes from './routes/analytics.js';
@@ -26,6 +29,18 @@ import communicationsRoutes from './routes/communications.js';
 import notificationsRoutes from './routes/notifications.js';
 import priceMigrationRoutes from './routes/price-migration.js';
 import supportRoutes from './routes/support.js';
+import auditRoutes from './routes/audit.js';
+import adminsRoutes from './routes/admins.js';
+import apiTokensRoutes from './routes/api-tokens.js';
+import sessionsRoutes from './routes/sessions.js';
+import approvalsRoutes from './routes/approvals.js';
+
+// Import middleware
+import { authorize, requirePermission, PERMISSIONS } from './middleware/permissions.js';
+import { requireApproval } from './middleware/approvals.js';
+import { csrfProtection } from './middleware/csrf.js';
+import { getBearerToken, authenticateToken } from './services/api-tokens.js';
+import { SupabaseSessionStore, checkSessionActivity, SESSION_MAX_AGE_MS } from './services/session-store.js';
 
 // Import services
 import { startMonitoring } from './services/monitor.js';
@@ -34,6 +49,11 @@ import { startPriceMigrationScheduler } from './services/price-migration-schedul
 import { startTrialReminderScheduler } from './services/trial-reminder-scheduler.js';
 import { startTrialWinbackScheduler } from './services/trial-winback-scheduler.js';
 import { startAutoTopupReconcileScheduler } from './services/auto-topup-reconcile-scheduler.js';
+import { startHealthScoreScheduler } from './services/health-score-scheduler.js';
+import { startPauseResumeScheduler } from './services/pause-resume-scheduler.js';
+import { startDiscountExpiryScheduler } from './services/discount-expiry-scheduler.js';
+import { startEnterpriseBillingScheduler } from './services/enterprise-billing-scheduler.js';
+import { markInterruptedBulkJobs } from './services/bulk-actions.js';
 
 dotenv.config();
 
@@ -53,31 +73,72 @@ const limiter = rateLimit({
   message: { error: 'Too many requests, please try again later.' }
 });
 
+// Only the dashboard itself may make credentialed cross-origin calls
+const allowedOrigins = [
+  process.env.DASHBOARD_URL,
+  ...(process.env.NODE_ENV === 'production' ? [] : [`http://localhost:${PORT}`]),
+].filter(Boolean).map(url => new URL(url).origin);
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || allowedOrigins.includes(origin)),
+  credentials: true,
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(limiter);
 
-// Session configuration
-app.use(session({
+// Session configuration - persisted in Supabase so deploys don't sign everyone out
+const sessionMiddleware = session({
+  store: new SupabaseSessionStore(),
   secret: process.env.SESSION_SECRET || 'openword-dashboard-secret-change-me',
   resave: false,
   saveUninitialized: false,
   cookie: {
     secure: process.env.NODE_ENV === 'production',
     httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    sameSite: 'lax',
+    maxAge: SESSION_MAX_AGE_MS // 24 hours
   }
-}));
+});
+
+// API token requests are stateless - never create or touch a cookie session for them
+const isApiTokenRequest = (req) => req.originalUrl.startsWith('/api/') && !!getBearerToken(req);
+app.use((req, res, next) => (isApiTokenRequest(req) ? next() : sessionMiddleware(req, res, next)));
+
+// State-changing session requests must carry the session's CSRF token
+app.use(['/api', '/auth'], csrfProtection);
 
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Auth middleware for protected routes
-const requireAuth = (req, res, next) => {
+// Auth middleware for protected routes (browser session, or a bearer API token on /api)
+const requireAuth = async (req, res, next) => {
   if (req.session && req.session.authenticated) {
-    return next();
+    const ended = checkSessionActivity(req.session);
+    if (!ended) {
+      return next();
+    }
+    console.log(`⏱️ Session for ${req.session.email} ended (${ended === 'idle' ? 'idle timeout' : 'max age'})`);
+    return req.session.destroy(() => {
+      if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(401).json({ error: 'Session expired', reason: ended });
+      }
+      res.redirect(`/login?expired=${ended}`);
+    });
+  }
+  if (isApiTokenRequest(req)) {
+    try {
+      const tokenSession = await authenticateToken(getBearerToken(req), req.ip);
+      if (!tokenSession) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+      }
+      req.session = tokenSession;
+      return next();
+    } catch (error) {
+      console.error('API token authentication error:', error);
+      return res.status(500).json({ error: 'Failed to authenticate API token' });
+    }
   }
   if (req.xhr || req.headers.accept?.includes('application/json')) {
     return res.status(401).json({ error: 'Unauthorized' });
@@ -87,18 +148,28 @@ const requireAuth = (req, res, next) => {
 
 // Routes
 app.use('/auth', authRoutes);
-app.use('/api/dashboard', requireAuth, dashboardRoutes);
-app.use('/api/customers', requireAuth, customersRoutes);
-app.use('/api/pricing', requireAuth, pricingRoutes);
-app.use('/api/monitoring', requireAuth, monitoringRoutes);
-app.use('/api/logs', requireAuth, logsRoutes);
-app.use('/analytics', analyticsRoutes);
-app.use('/costs', costsRoutes);
-app.use('/api/charity-registers', requireAuth, charityRegistersRoutes);
-app.use('/api/communications', requireAuth, communicationsRoutes);
-app.use('/api/notifications', requireAuth, notificationsRoutes);
-app.use('/api/price-migration', requireAuth, priceMigrationRoutes);
-app.use('/api/support', requireAuth, supportRoutes);
+// API routers are gated by role via the permission map in middleware/permissions.js.
+// Routers with high-risk actions also pass through the two-person approval gate.
+app.use('/api/dashboard', requireAuth, authorize, dashboardRoutes);
+app.use('/api/customers', requireAuth, authorize, requireApproval, customersRoutes);
+app.use('/api/customer-attributes', requireAuth, authorize, customerAttributesRoutes);
+app.use('/api/credit-ledger', requireAuth, authorize, requireApproval, creditLedgerRoutes);
+app.use('/api/customer-merges', requireAuth, authorize, requireApproval, customerMergeRoutes);
+app.use('/api/pricing', requireAuth, authorize, requireApproval, pricingRoutes);
+app.use('/api/monitoring', requireAuth, authorize, monitoringRoutes);
+app.use('/api/logs', requireAuth, authorize, logsRoutes);
+app.use('/analytics', requireAuth, analyticsRoutes);
+app.use('/costs', requireAuth, costsRoutes);
+app.use('/api/charity-registers', requireAuth, authorize, charityRegistersRoutes);
+app.use('/api/communications', requireAuth, authorize, communicationsRoutes);
+app.use('/api/notifications', requireAuth, authorize, notificationsRoutes);
+app.use('/api/price-migration', requireAuth, authorize, requireApproval, priceMigrationRoutes);
+app.use('/api/support', requireAuth, authorize, supportRoutes);
+app.use('/api/audit', requireAuth, authorize, auditRoutes);
+app.use('/api/admins', requireAuth, authorize, adminsRoutes);
+app.use('/api/tokens', requireAuth, authorize, apiTokensRoutes);
+app.use('/api/sessions', requireAuth, authorize, sessionsRoutes);
+app.use('/api/approvals', requireAuth, authorize, approvalsRoutes);
 
 // Page routes
 app.get('/login', (req, res) => {
@@ -108,6 +179,10 @@ app.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, '../views/login.html'));
 });
 
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/reset-password.html'));
+});
+
 app.get('/', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, '../views/dashboard.html'));
 });
@@ -157,6 +232,22 @@ app.get('/support', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, '../views/support.html'));
 });
 
+app.get('/approvals', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/approvals.html'));
+});
+
+app.get('/audit', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/audit.html'));
+});
+
+app.get('/admins', requireAuth, requirePermission(PERMISSIONS.ADMINS_MANAGE), (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/admins.html'));
+});
+
+app.get('/account', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/account.html'));
+});
+
 app.get('/logout', (req, res) => {
   req.session.destroy();
   res.redirect('/login');
@@ -202,6 +293,13 @@ app.listen(PORT, () => {
   startTrialReminderScheduler();
   startTrialWinbackScheduler();
   startAutoTopupReconcileScheduler();
+  startHealthScoreScheduler();
+  startPauseResumeScheduler();
+  startDiscountExpiryScheduler();
+  startEnterpriseBillingScheduler();
+
+  // Bulk jobs run in-process, so any still marked running were cut short by a restart
+  markInterruptedBulkJobs();
 });
 
 export default app;
@@ -0,0 +1,140 @@
+/**
+ * Scoped API Tokens
+ *
+ * Admin-issued bearer tokens for scripting against the dashboard API without a
+ * browser session. Only a SHA-256 hash of each token is stored; the plain token
+ * is shown once when it is created.
+ *
+ * A token authenticates as the admin who issued it, limited to its scopes: the
+ * effective permissions are the scopes' permissions intersected with that admin's
+ * current role, so demoting or deactivating the admin narrows or kills their tokens.
+ *
+ * admin_api_tokens columns:
+ *   id, created_at, name, token_hash, token_prefix, scopes (text[]),
+ *   admin_id, admin_email, expires_at, last_used_at, last_used_ip,
+ *   revoked_at, revoked_by
+ */
+
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+import { PERMISSIONS, normaliseRole, getRolePermissions } from '../middleware/permissions.js';
+
+const TOKEN_PREFIX = 'owd_';
+
+// Don't write last_used_at on every request from a busy script
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+export const TOKEN_SCOPES = {
+  'read-only': [PERMISSIONS.READ],
+  credits: [PERMISSIONS.READ, PERMISSIONS.CREDITS_WRITE],
+  communications: [PERMISSIONS.READ, PERMISSIONS.COMMUNICATIONS_SEND],
+};
+
+export const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+/**
+ * Hash a plain token for storage/lookup
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a new plain token
+ * @returns {{ token: string, hash: string, prefix: string }}
+ */
+export function generateToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token), prefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+}
+
+/**
+ * Permissions granted by a set of scopes (before intersecting with the admin's role)
+ */
+export function getScopePermissions(scopes = []) {
+  const permissions = new Set();
+  for (const scope of scopes) {
+    (TOKEN_SCOPES[scope] || []).forEach(p => permissions.add(p));
+  }
+  return [...permissions];
+}
+
+/**
+ * Scopes the given role is not allowed to issue
+ */
+export function getDisallowedScopes(role, scopes) {
+  const rolePermissions = getRolePermissions(role);
+  return scopes.filter(scope => !(TOKEN_SCOPES[scope] || []).every(p => rolePermissions.includes(p)));
+}
+
+/**
+ * Read the bearer token from a request, if any
+ */
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve a bearer token to a stateless session-shaped object, or null if the
+ * token is unknown, revoked, expired or its admin is no longer active.
+ */
+export async function authenticateToken(token, ip = null) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const { data: row, error } = await supabase
+    .from('admin_api_tokens')
+    .select('id, name, scopes, admin_id, admin_email, expires_at, last_used_at, revoked_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row || row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+  const { data: admin } = await supabase
+    .from('dashboard_admins')
+    .select('id, user_id, email, role, is_active')
+    .eq('id', row.admin_id)
+    .single();
+
+  if (!admin || !admin.is_active) return null;
+
+  const role = normaliseRole(admin.role);
+  const rolePermissions = getRolePermissions(role);
+  const permissions = getScopePermissions(row.scopes).filter(p => rolePermissions.includes(p));
+
+  const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_THROTTLE_MS) {
+    supabase
+      .from('admin_api_tokens')
+      .update({ last_used_at: new Date().toISOString(), last_used_ip: ip })
+      .eq('id', row.id)
+      .then(({ error: updateError }) => {
+        if (updateError) console.error('Failed to record API token use:', updateError.message);
+      });
+  }
+
+  return {
+    authenticated: true,
+    adminId: admin.id,
+    userId: admin.user_id,
+    email: admin.email,
+    role,
+    apiTokenId: row.id,
+    apiTokenName: row.name,
+    tokenPermissions: permissions,
+  };
+}
+
+export default {
+  TOKEN_SCOPES,
+  MAX_TOKEN_LIFETIME_DAYS,
+  hashToken,
+  generateToken,
+  getScopePermissions,
+  getDisallowedScopes,
+  getBearerToken,
+  authenticateToken,
+};
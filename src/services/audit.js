@@ -0,0 +1,132 @@
+/**
+ * Admin Audit Trail
+ *
+ * Records every admin mutation (who, what route, which organisation, before/after
+ * values and any Stripe side-effects) in the admin_audit_log table so questions
+ * like "who gave this church 500 credits?" can be answered from the dashboard.
+ *
+ * admin_audit_log columns:
+ *   id, created_at, admin_email, admin_user_id, action, method, route, path,
+ *   organisation_id, organisation_name, target_type, target_id,
+ *   before (jsonb), after (jsonb), stripe_effects (jsonb), details (jsonb),
+ *   ip_address, user_agent, api_token_id (set when the action came from an API token)
+ */
+
+import { supabase } from './supabase.js';
+
+/**
+ * Pick a subset of fields from a row (for compact before/after snapshots)
+ */
+export function pickFields(row, fields) {
+  if (!row) return null;
+  if (!fields) return row;
+  const picked = {};
+  for (const field of fields) {
+    if (row[field] !== undefined) picked[field] = row[field];
+  }
+  return picked;
+}
+
+/**
+ * Fetch the current values of an organisation before it is changed.
+ * Returns null (never throws) so a failed snapshot never blocks the action.
+ */
+export async function getOrgSnapshot(organisationId, fields) {
+  try {
+    const columns = ['id', 'name', ...fields.filter(f => f !== 'id' && f !== 'name')].join(', ');
+    const { data } = await supabase
+      .from('organisations')
+      .select(columns)
+      .eq('id', organisationId)
+      .single();
+    return data || null;
+  } catch (e) {
+    console.error('Failed to snapshot organisation for audit:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Record an admin action in admin_audit_log (non-fatal — never throws).
+ *
+ * @param {object} req - Express request (used for the admin identity, route and client)
+ * @param {object} entry
+ * @param {string} entry.action - Short action name, e.g. 'customer.add_credits'
+ * @param {string} [entry.organisationId]
+ * @param {string} [entry.organisationName]
+ * @param {string} [entry.targetType] - e.g. 'organisation', 'pricing_tier', 'price_migration'
+ * @param {string} [entry.targetId]
+ * @param {object} [entry.before] - Values before the change
+ * @param {object} [entry.after] - Values after the change
+ * @param {object} [entry.stripeEffects] - What was changed in Stripe (ids, status, errors)
+ * @param {object} [entry.details] - Anything else worth keeping (reason, amounts)
+ * @param {string} [entry.adminEmail] - Acting admin when there is no signed-in session (e.g. password reset)
+ */
+export async function recordAudit(req, {
+  action,
+  organisationId = null,
+  organisationName = null,
+  targetType = null,
+  targetId = null,
+  before = null,
+  after = null,
+  stripeEffects = null,
+  details = null,
+  adminEmail = null,
+}) {
+  try {
+    const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : req.baseUrl + req.path;
+    const { error } = await supabase.from('admin_audit_log').insert({
+      admin_email: req.session?.email || adminEmail || 'unknown',
+      admin_user_id: req.session?.userId || null,
+      action,
+      method: req.method,
+      route,
+      path: req.originalUrl,
+      organisation_id: organisationId,
+      organisation_name: organisationName,
+      target_type: targetType || (organisationId ? 'organisation' : null),
+      target_id: targetId || organisationId,
+      before,
+      after,
+      stripe_effects: stripeEffects,
+      details,
+      ip_address: req.ip || null,
+      user_agent: req.headers?.['user-agent'] || null,
+      api_token_id: req.session?.apiTokenId || null,
+    });
+    if (error) throw error;
+  } catch (e) {
+    console.error(`Failed to write admin_audit_log entry (${action}):`, e.message);
+  }
+}
+
+/**
+ * Build a filtered admin_audit_log query from request-style filters
+ * @param {object} filters - { search, adminEmail, action, organisationId, from, to }
+ */
+export function buildAuditQuery(filters = {}, selectOptions = {}) {
+  let query = supabase
+    .from('admin_audit_log')
+    .select('*', selectOptions)
+    .order('created_at', { ascending: false });
+
+  if (filters.adminEmail) query = query.ilike('admin_email', `%${filters.adminEmail}%`);
+  if (filters.action) query = query.eq('action', filters.action);
+  if (filters.organisationId) query = query.eq('organisation_id', filters.organisationId);
+  if (filters.from) query = query.gte('created_at', new Date(filters.from).toISOString());
+  if (filters.to) {
+    // Inclusive of the whole "to" day when a plain date is given
+    const to = new Date(filters.to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setUTCHours(23, 59, 59, 999);
+    query = query.lte('created_at', to.toISOString());
+  }
+  if (filters.search) {
+    const term = String(filters.search).replace(/[,()]/g, ' ');
+    query = query.or(`admin_email.ilike.%${term}%,organisation_name.ilike.%${term}%,action.ilike.%${term}%,route.ilike.%${term}%`);
+  }
+
+  return query;
+}
+
+export default { recordAudit, getOrgSnapshot, pickFields, buildAuditQuery };
@@ -0,0 +1,343 @@
+/**
+ * Bulk Customer Actions
+ *
+ * Applies one customer action to a list of organisations as a background job.
+ * The request that starts a job returns straight away; the job then works
+ * through the customers one at a time (Stripe rate limits make parallel
+ * coupon updates a poor trade) and records a result per customer, including
+ * any Stripe error, so one bad row never stops the rest.
+ *
+ * Each changed customer gets its own audit entry, tagged with the job ID.
+ *
+ * admin_bulk_jobs columns:
+ *   id, created_at, action, params (jsonb), organisation_ids (uuid[]),
+ *   requested_by_email, requested_by_admin_id,
+ *   status ('queued' | 'running' | 'completed' | 'completed_with_errors' | 'failed' | 'interrupted'),
+ *   total, processed, succeeded, failed, skipped,
+ *   results (jsonb: [{ organisationId, organisationName, status: 'succeeded' | 'failed' | 'skipped',
+ *                      message, stripeError }]),
+ *   error, started_at, finished_at
+ */
+
+import { supabase } from './supabase.js';
+import { recordAudit } from './audit.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
+import { validateTags } from './customer-attributes.js';
+import { getOrganisationsByIds } from './customer-query.js';
+import {
+  pauseCustomer, unpauseCustomer, validatePauseOptions, giftCredits, setDiscount, removeDiscount, updateTags, normaliseTags,
+  validateDiscountOptions, describeDiscount, VALID_DISCOUNT_TYPES,
+} from './customer-actions.js';
+
+export const MAX_BULK_CUSTOMERS = 500;
+
+// Max credits per customer in one bulk gift; larger gifts go through the single-customer route
+const MAX_BULK_CREDITS = 1000;
+
+// Persist progress every N customers so the UI can show it while a job runs
+const PROGRESS_EVERY = 10;
+
+/**
+ * Supported bulk actions.
+ *   permission - needed to start the job (same as the single-customer route)
+ *   validate   - checks params, returns (or resolves to) an error message or null
+ *   run        - applies the action to one organisation (given the job for context);
+ *                returns { status, message, stripeError, audit }
+ */
+export const BULK_ACTIONS = {
+  pause: {
+    label: 'Pause',
+    permission: PERMISSIONS.CUSTOMERS_WRITE,
+    validate: (params) => validatePauseOptions(params),
+    run: async (org, params) => {
+      if (org.is_paused) return { status: 'skipped', message: 'Already paused' };
+      const { before, after } = await pauseCustomer(org.id, params.reason, params);
+      return {
+        message: params.resumeAt ? `Paused until ${String(params.resumeAt).split('T')[0]}` : 'Paused',
+        audit: { action: 'customer.pause', before, after },
+      };
+    },
+  },
+  unpause: {
+    label: 'Unpause',
+    permission: PERMISSIONS.CUSTOMERS_WRITE,
+    validate: () => null,
+    run: async (org) => {
+      if (!org.is_paused) return { status: 'skipped', message: 'Not paused' };
+      const { before, after } = await unpauseCustomer(org.id);
+      return { message: 'Unpaused', audit: { action: 'customer.unpause', before, after } };
+    },
+  },
+  add_credits: {
+    label: 'Gift credits',
+    permission: PERMISSIONS.CREDITS_WRITE,
+    validate: (params) => {
+      const credits = Number(params.credits);
+      if (!Number.isFinite(credits) || credits <= 0) return 'credits must be a positive number';
+      if (credits > MAX_BULK_CREDITS) return `Bulk gifts are limited to ${MAX_BULK_CREDITS} credits per customer`;
+      return null;
+    },
+    run: async (org, params, job) => {
+      const credits = Number(params.credits);
+      const { balanceBefore, balanceAfter, ledgerEntryId } = await giftCredits(org.id, credits, params.reason, {
+        createdBy: job.requested_by_email,
+      });
+      return {
+        message: `${credits} credits added (balance ${balanceAfter})`,
+        audit: {
+          action: 'customer.add_credits',
+          before: { current_balance: balanceBefore },
+          after: { current_balance: balanceAfter },
+          details: { credits, reason: params.reason || 'Admin credit gift', ledgerEntryId },
+        },
+      };
+    },
+  },
+  set_discount: {
+    label: 'Set discount',
+    permission: PERMISSIONS.BILLING_WRITE,
+    validate: (params) => {
+      const discountError = validateDiscountOptions(params);
+      if (discountError) return discountError;
+      if (!VALID_DISCOUNT_TYPES.includes(params.discountType)) {
+        return `discountType must be one of: ${VALID_DISCOUNT_TYPES.join(', ')}`;
+      }
+      return null;
+    },
+    run: async (org, params) => {
+      // Charity discounts have their own verification flow
+      if (org.charity_verified) return { status: 'skipped', message: 'Verified charity - manage from the customer page' };
+
+      const { data, before, after, couponId, stripeResult } = await setDiscount(org.id, {
+        discountPercent: params.discountPercent,
+        discountAmountPence: params.discountAmountPence,
+        discountType: params.discountType,
+        reason: params.reason,
+        endsAt: params.endsAt,
+      });
+      const label = describeDiscount({
+        discountPercent: data.discount_percent,
+        discountAmountPence: data.discount_amount_pence,
+        currency: data.discount_currency || undefined,
+      });
+      return {
+        status: stripeResult.success ? 'succeeded' : 'failed',
+        message: stripeResult.success
+          ? `${label} discount set${stripeResult.stripeCouponApplied ? '' : ` (${stripeResult.message})`}`
+          : `${label} discount saved, but the Stripe coupon was not applied`,
+        stripeError: stripeResult.success ? null : stripeResult.message,
+        audit: {
+          action: 'customer.set_discount',
+          before,
+          after,
+          stripeEffects: {
+            subscriptionId: data.stripe_subscription_id || null,
+            couponId,
+            applied: stripeResult.stripeCouponApplied,
+            message: stripeResult.message,
+          },
+          details: { reason: params.reason || null, endsAt: data.discount_ends_at || null },
+        },
+      };
+    },
+  },
+  remove_discount: {
+    label: 'Remove discount',
+    permission: PERMISSIONS.BILLING_WRITE,
+    validate: () => null,
+    run: async (org, params) => {
+      if (org.charity_verified) return { status: 'skipped', message: 'Verified charity - manage from the customer page' };
+      if (!(org.discount_percent > 0) && !(org.discount_amount_pence > 0)) return { status: 'skipped', message: 'No discount' };
+
+      const { data, before, after, stripeResult } = await removeDiscount(org.id, params.reason);
+      return {
+        status: stripeResult.success ? 'succeeded' : 'failed',
+        message: stripeResult.success ? 'Discount removed' : 'Discount removed, but the Stripe coupon is still attached',
+        stripeError: stripeResult.success ? null : stripeResult.message,
+        audit: {
+          action: 'customer.remove_discount',
+          before,
+          after,
+          stripeEffects: {
+            subscriptionId: data.stripe_subscription_id || null,
+            removed: stripeResult.stripeCouponRemoved,
+            message: stripeResult.message,
+          },
+          details: { reason: params.reason || null },
+        },
+      };
+    },
+  },
+  add_tags: {
+    label: 'Add tags',
+    permission: PERMISSIONS.CUSTOMERS_WRITE,
+    validate: async (params) => {
+      if (!normaliseTags(params.tags).length) return 'tags must list at least one tag';
+      return (await validateTags(params.tags)).error || null;
+    },
+    run: async (org, params) => {
+      const tags = normaliseTags(params.tags);
+      if (tags.every(t => (org.tags || []).includes(t))) return { status: 'skipped', message: 'Already tagged' };
+      const { before, after } = await updateTags(org.id, { add: tags });
+      return { message: `Tagged ${tags.join(', ')}`, audit: { action: 'customer.update_tags', before, after } };
+    },
+  },
+  remove_tags: {
+    label: 'Remove tags',
+    permission: PERMISSIONS.CUSTOMERS_WRITE,
+    validate: (params) => (normaliseTags(params.tags).length ? null : 'tags must list at least one tag'),
+    run: async (org, params) => {
+      const tags = normaliseTags(params.tags);
+      if (!tags.some(t => (org.tags || []).includes(t))) return { status: 'skipped', message: 'Not tagged' };
+      const { before, after } = await updateTags(org.id, { remove: tags });
+      return { message: `Removed ${tags.join(', ')}`, audit: { action: 'customer.update_tags', before, after } };
+    },
+  },
+};
+
+function summarise(results) {
+  return {
+    processed: results.length,
+    succeeded: results.filter(r => r.status === 'succeeded').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+  };
+}
+
+async function updateJob(jobId, updates) {
+  const { error } = await supabase.from('admin_bulk_jobs').update(updates).eq('id', jobId);
+  if (error) console.error(`Failed to update bulk job ${jobId}:`, error.message);
+}
+
+async function getOrganisations(ids) {
+  const orgs = await getOrganisationsByIds(ids, 'id, name, is_paused, discount_percent, discount_amount_pence, charity_verified, tags');
+  return new Map(orgs.map(org => [org.id, org]));
+}
+
+async function runJob(req, job) {
+  const definition = BULK_ACTIONS[job.action];
+  const results = [];
+
+  try {
+    await updateJob(job.id, { status: 'running', started_at: new Date().toISOString() });
+    const organisations = await getOrganisations(job.organisation_ids);
+
+    for (const organisationId of job.organisation_ids) {
+      const org = organisations.get(organisationId);
+      if (!org) {
+        results.push({ organisationId, organisationName: null, status: 'failed', message: 'Customer not found' });
+        continue;
+      }
+
+      try {
+        const outcome = await definition.run(org, job.params, job);
+        results.push({
+          organisationId,
+          organisationName: org.name,
+          status: outcome.status || 'succeeded',
+          message: outcome.message,
+          stripeError: outcome.stripeError || null,
+        });
+
+        if (outcome.audit) {
+          const { action, ...entry } = outcome.audit;
+          await recordAudit(req, {
+            action,
+            organisationId,
+            organisationName: org.name,
+            ...entry,
+            details: { ...(entry.details || {}), bulkJobId: job.id },
+          });
+        }
+      } catch (error) {
+        console.error(`Bulk ${job.action} failed for ${org.name} (${organisationId}):`, error.message);
+        results.push({
+          organisationId,
+          organisationName: org.name,
+          status: 'failed',
+          message: error.message || 'Unexpected error',
+          stripeError: error.type?.startsWith('Stripe') ? error.message : null,
+        });
+      }
+
+      if (results.length % PROGRESS_EVERY === 0) {
+        await updateJob(job.id, { ...summarise(results), results });
+      }
+    }
+
+    const summary = summarise(results);
+    await updateJob(job.id, {
+      ...summary,
+      results,
+      status: summary.failed > 0 ? 'completed_with_errors' : 'completed',
+      finished_at: new Date().toISOString(),
+    });
+    console.log(`📦 Bulk ${job.action} job ${job.id} finished: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.skipped} skipped`);
+  } catch (error) {
+    console.error(`Bulk ${job.action} job ${job.id} failed:`, error);
+    await updateJob(job.id, {
+      ...summarise(results),
+      results,
+      status: 'failed',
+      error: error.message,
+      finished_at: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Create a bulk job and start it in the background
+ * @param {object} req - the starting request (identity for the job and its audit entries)
+ * @returns {Promise<object>} the queued job row
+ */
+export async function startBulkJob(req, { action, organisationIds, params = {} }) {
+  const { data: job, error } = await supabase
+    .from('admin_bulk_jobs')
+    .insert({
+      action,
+      params,
+      organisation_ids: organisationIds,
+      requested_by_email: req.session.email,
+      requested_by_admin_id: req.session.adminId,
+      status: 'queued',
+      total: organisationIds.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      skipped: 0,
+      results: [],
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  console.log(`📦 Bulk ${action} queued by ${req.session.email} for ${organisationIds.length} customers (${job.id})`);
+
+  setImmediate(() => {
+    runJob(req, job).catch(err => console.error('Bulk job runner error:', err));
+  });
+
+  return job;
+}
+
+/**
+ * Mark jobs left running by a previous process (restart or crash) as interrupted.
+ * Their results so far are kept; customers after the last saved progress may or
+ * may not have been changed, which the audit log records.
+ */
+export async function markInterruptedBulkJobs() {
+  try {
+    const { data, error } = await supabase
+      .from('admin_bulk_jobs')
+      .update({ status: 'interrupted', finished_at: new Date().toISOString() })
+      .in('status', ['queued', 'running'])
+      .select('id');
+    if (error) throw error;
+    if (data?.length) console.log(`⚠️ Marked ${data.length} bulk job(s) as interrupted`);
+  } catch (e) {
+    console.error('Failed to mark interrupted bulk jobs:', e.message);
+  }
+}
+
+export default { BULK_ACTIONS, MAX_BULK_CUSTOMERS, startBulkJob, markInterruptedBulkJobs };
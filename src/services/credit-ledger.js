@@ -0,0 +1,304 @@
+/**
+ * Credit Ledger
+ *
+ * Append-only record of every admin or billing change to a customer's credit
+ * balance. Entries are never edited or deleted; a mistake is undone with a
+ * reversal entry that links back to the original.
+ *
+ * Balance changes go through the apply_credit_ledger_entry database function,
+ * which locks the organisation's credit_balances row, checks the result won't
+ * go negative, updates the balance and writes the ledger row in one
+ * transaction - so an admin adjustment can't interleave with live usage.
+ *
+ * Live streaming usage is still deducted by the streaming server and recorded
+ * in credit_usage, and customer self-serve purchases in credit_purchases; the
+ * reconciliation report counts both alongside the ledger.
+ *
+ * credit_ledger columns:
+ *   id, created_at, organisation_id,
+ *   entry_type ('opening_balance' | 'gift' | 'deduction' | 'purchase' | 'refund' | 'expiry' | 'transfer' | 'reversal'),
+ *   credits (signed: positive adds to the balance), balance_after,
+ *   reason, reference (e.g. 'credit_purchases:<id>', a Stripe refund ID),
+ *   reverses_entry_id (unique), reversed_by_entry_id, created_by_email
+ *
+ * apply_credit_ledger_entry(p_organisation_id uuid, p_entry_type text, p_credits numeric,
+ *   p_reason text, p_reference text, p_created_by text, p_reverses_entry_id uuid)
+ *   returns credit_ledger
+ *
+ * The table and function are defined in credit-ledger.sql next to this file:
+ *   - creates the credit_balances row if missing, then SELECT ... FOR UPDATE
+ *   - an organisation's first entry is preceded by an automatic 'opening_balance'
+ *     entry, so the ledger always sums to the balance it took over
+ *   - 'opening_balance': records the current balance as the entry's credits
+ *     without changing it (raises 'ledger_already_started' if the org has entries)
+ *   - 'reversal': credits = minus the original's; raises 'entry_not_found',
+ *     'entry_already_reversed' or 'cannot_reverse_entry' (opening balances and
+ *     reversals), then sets the original's reversed_by_entry_id
+ *   - raises 'insufficient_balance' if the new balance would be below zero
+ *   - gift/purchase/refund credits add to lifetime_purchased, deductions to
+ *     lifetime_used (a reversal undoes the original's effect); transfers
+ *     between organisations (merges) leave the lifetime counters alone
+ *   - sets current_balance, updated_at, and the entry's balance_after
+ */
+
+import { supabase } from './supabase.js';
+
+export const LEDGER_ENTRY_TYPES = ['opening_balance', 'gift', 'deduction', 'purchase', 'refund', 'expiry', 'transfer', 'reversal'];
+
+// Entry types an admin or billing flow can post directly, with the sign their credits must have
+const POSTABLE_TYPES = {
+  gift: 1,
+  purchase: 1,
+  refund: 0, // either: credits returned to the customer, or clawed back after a money refund
+  deduction: -1,
+  expiry: -1,
+  transfer: 0, // out of one organisation and into another, e.g. when merging duplicates
+};
+
+// Errors raised by apply_credit_ledger_entry that are the caller's fault
+const LEDGER_ERRORS = {
+  insufficient_balance: 'Not enough credits: the balance would go below zero',
+  entry_not_found: 'Ledger entry not found',
+  entry_already_reversed: 'This ledger entry has already been reversed',
+  cannot_reverse_entry: 'Opening balances and reversals cannot be reversed',
+  ledger_already_started: 'This customer already has ledger entries',
+};
+
+// Balances within this of the expected value are treated as matching (numeric rounding)
+const RECONCILE_TOLERANCE = 0.01;
+
+const FETCH_PAGE_SIZE = 1000;
+
+function toLedgerError(error) {
+  const key = Object.keys(LEDGER_ERRORS).find(k => error.message?.includes(k));
+  return key ? { error: LEDGER_ERRORS[key], code: key } : null;
+}
+
+async function callLedgerFunction(args) {
+  const { data, error } = await supabase.rpc('apply_credit_ledger_entry', {
+    p_reason: null,
+    p_reference: null,
+    p_created_by: null,
+    p_reverses_entry_id: null,
+    ...args,
+  });
+
+  if (error) {
+    const ledgerError = toLedgerError(error);
+    if (ledgerError) return ledgerError;
+    throw error;
+  }
+
+  const entry = Array.isArray(data) ? data[0] : data;
+  return { entry: { ...entry, balance_before: Number(entry.balance_after) - Number(entry.credits) } };
+}
+
+/**
+ * Post a ledger entry and update the balance atomically
+ * @param {object} entry - { organisationId, type, credits (signed), reason, reference, createdBy }
+ * @returns {Promise<{ entry?: object, error?: string, code?: string }>}
+ *   entry includes balance_before and balance_after
+ */
+export async function postLedgerEntry({ organisationId, type, credits, reason, reference, createdBy }) {
+  const sign = POSTABLE_TYPES[type];
+  const amount = Number(credits);
+  if (sign === undefined) {
+    return { error: `type must be one of: ${Object.keys(POSTABLE_TYPES).join(', ')}` };
+  }
+  if (!Number.isFinite(amount) || amount === 0 || (sign !== 0 && Math.sign(amount) !== sign)) {
+    return { error: `${type} credits must be a ${sign < 0 ? 'negative' : sign > 0 ? 'positive' : 'non-zero'} number` };
+  }
+
+  return callLedgerFunction({
+    p_organisation_id: organisationId,
+    p_entry_type: type,
+    p_credits: amount,
+    p_reason: reason || null,
+    p_reference: reference || null,
+    p_created_by: createdBy || null,
+  });
+}
+
+/**
+ * Reverse a ledger entry with an equal and opposite entry
+ * @returns {Promise<{ entry?: object, original?: object, error?: string, code?: string }>}
+ */
+export async function reverseLedgerEntry(entryId, { reason, createdBy } = {}) {
+  const { data: original, error } = await supabase
+    .from('credit_ledger')
+    .select('*')
+    .eq('id', entryId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!original) return { error: LEDGER_ERRORS.entry_not_found, code: 'entry_not_found' };
+
+  const result = await callLedgerFunction({
+    p_organisation_id: original.organisation_id,
+    p_entry_type: 'reversal',
+    p_credits: -Number(original.credits),
+    p_reason: reason || null,
+    p_reference: `credit_ledger:${original.id}`,
+    p_created_by: createdBy || null,
+    p_reverses_entry_id: original.id,
+  });
+
+  return result.error ? result : { ...result, original };
+}
+
+/**
+ * Record an organisation's current balance as its opening ledger entry
+ * @returns {Promise<{ entry?: object, error?: string, code?: string }>}
+ */
+export async function openLedger(organisationId, createdBy) {
+  return callLedgerFunction({
+    p_organisation_id: organisationId,
+    p_entry_type: 'opening_balance',
+    p_credits: 0,
+    p_reason: 'Balance when the ledger started',
+    p_created_by: createdBy || null,
+  });
+}
+
+/**
+ * Ledger entries for one organisation, newest first
+ */
+export async function getLedger(organisationId, { limit = 50, offset = 0 } = {}) {
+  const { data, count, error } = await supabase
+    .from('credit_ledger')
+    .select('*', { count: 'exact' })
+    .eq('organisation_id', organisationId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) throw error;
+  return { entries: data || [], total: count || 0 };
+}
+
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + FETCH_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < FETCH_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Compare every organisation's current_balance with what the ledger says it should be:
+ *   ledger sum (from the opening balance on)
+ *   + self-serve credit purchases since the ledger started that have no ledger entry
+ *   - credit usage since the ledger started
+ * Organisations with a balance but no ledger yet are listed as 'no_ledger'.
+ * @param {object} rows - { balances, ledger (oldest first), usage, purchases }
+ * @returns {{ checked, mismatched, missingLedger, organisations }}
+ *   organisations lists only the ones that need attention
+ */
+export function compareBalances({ balances, ledger, usage = [], purchases = [] }) {
+  const byOrg = {};
+  for (const entry of ledger) {
+    const org = byOrg[entry.organisation_id] || (byOrg[entry.organisation_id] = { sum: 0, startedAt: entry.created_at, references: new Set() });
+    org.sum += Number(entry.credits) || 0;
+    if (entry.reference) org.references.add(entry.reference);
+  }
+
+  for (const u of usage) {
+    const org = byOrg[u.organisation_id];
+    if (org && new Date(u.session_start) >= new Date(org.startedAt)) {
+      org.sum -= parseFloat(u.credits_used) || 0;
+    }
+  }
+  for (const p of purchases) {
+    const org = byOrg[p.organisation_id];
+    if (org && new Date(p.created_at) >= new Date(org.startedAt) && !org.references.has(`credit_purchases:${p.id}`)) {
+      org.sum += parseFloat(p.credits_purchased) || 0;
+    }
+  }
+
+  const organisations = [];
+  let mismatched = 0;
+  let missingLedger = 0;
+
+  for (const balance of balances) {
+    const currentBalance = parseFloat(balance.current_balance) || 0;
+    const org = byOrg[balance.organisation_id];
+
+    if (!org) {
+      if (currentBalance !== 0) {
+        missingLedger++;
+        organisations.push({
+          organisationId: balance.organisation_id,
+          name: balance.organisations?.name || 'Unknown',
+          status: 'no_ledger',
+          currentBalance,
+          expectedBalance: null,
+          difference: null,
+        });
+      }
+      continue;
+    }
+
+    const expectedBalance = Math.round(org.sum * 100) / 100;
+    const difference = Math.round((currentBalance - expectedBalance) * 100) / 100;
+    if (Math.abs(difference) > RECONCILE_TOLERANCE) {
+      mismatched++;
+      organisations.push({
+        organisationId: balance.organisation_id,
+        name: balance.organisations?.name || 'Unknown',
+        status: 'mismatch',
+        currentBalance,
+        expectedBalance,
+        difference,
+        ledgerStartedAt: org.startedAt,
+      });
+    }
+  }
+
+  organisations.sort((a, b) => Math.abs(b.difference ?? 0) - Math.abs(a.difference ?? 0));
+
+  return { checked: balances.length, mismatched, missingLedger, organisations };
+}
+
+/**
+ * Reconcile every organisation's balance against its ledger (see compareBalances)
+ * @returns {Promise<{ generatedAt, checked, mismatched, missingLedger, organisations }>}
+ */
+export async function reconcileBalances() {
+  const [balances, ledger] = await Promise.all([
+    fetchAll(() => supabase
+      .from('credit_balances')
+      .select('organisation_id, current_balance, updated_at, organisations (name)')
+      .order('organisation_id', { ascending: true })),
+    fetchAll(() => supabase
+      .from('credit_ledger')
+      .select('organisation_id, entry_type, credits, reference, created_at')
+      .order('created_at', { ascending: true })),
+  ]);
+
+  // Usage and self-serve purchases only matter from the earliest ledger start on
+  const earliestStart = ledger[0]?.created_at;
+  const [usage, purchases] = earliestStart
+    ? await Promise.all([
+      fetchAll(() => supabase
+        .from('credit_usage')
+        .select('organisation_id, credits_used, session_start')
+        .gte('session_start', earliestStart)
+        .order('session_start', { ascending: true })),
+      fetchAll(() => supabase
+        .from('credit_purchases')
+        .select('id, organisation_id, credits_purchased, created_at')
+        .gte('created_at', earliestStart)
+        .order('created_at', { ascending: true })),
+    ])
+    : [[], []];
+
+  return {
+    generatedAt: new Date().toISOString(),
+    ...compareBalances({ balances, ledger, usage, purchases }),
+  };
+}
+
+export default {
+  postLedgerEntry, reverseLedgerEntry, openLedger, getLedger, reconcileBalances, compareBalances, LEDGER_ENTRY_TYPES,
+};
@@ -0,0 +1,143 @@
+-- Credit ledger: the credit_ledger table and the apply_credit_ledger_entry
+-- function that src/services/credit-ledger.js posts every balance change through.
+-- Run in the Supabase SQL editor; safe to run again after changes.
+--
+-- The function locks the organisation's credit_balances row, so an admin
+-- adjustment can't interleave with live usage, and raises one of these errors
+-- (matched by LEDGER_ERRORS in credit-ledger.js) when the caller asks for
+-- something the ledger doesn't allow:
+--   insufficient_balance    the balance would go below zero
+--   entry_not_found         the entry to reverse doesn't exist for this organisation
+--   entry_already_reversed  the entry to reverse already has a reversal
+--   cannot_reverse_entry    opening balances and reversals can't be reversed
+--   ledger_already_started  an opening balance was posted after other entries
+
+create table if not exists credit_ledger (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default clock_timestamp(),
+  organisation_id uuid not null references organisations (id),
+  entry_type text not null check (entry_type in (
+    'opening_balance', 'gift', 'deduction', 'purchase', 'refund', 'expiry', 'transfer', 'reversal'
+  )),
+  credits numeric not null,
+  balance_after numeric not null,
+  reason text,
+  reference text,
+  reverses_entry_id uuid unique references credit_ledger (id),
+  reversed_by_entry_id uuid references credit_ledger (id),
+  created_by_email text
+);
+
+create index if not exists credit_ledger_organisation_created_at_idx
+  on credit_ledger (organisation_id, created_at desc);
+
+create index if not exists credit_ledger_reference_idx
+  on credit_ledger (reference);
+
+create or replace function apply_credit_ledger_entry(
+  p_organisation_id uuid,
+  p_entry_type text,
+  p_credits numeric,
+  p_reason text default null,
+  p_reference text default null,
+  p_created_by text default null,
+  p_reverses_entry_id uuid default null
+) returns credit_ledger
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_original credit_ledger%rowtype;
+  v_entry credit_ledger%rowtype;
+  v_credits numeric := p_credits;
+  v_counts_as text := p_entry_type; -- whose lifetime counters the entry moves
+  v_new_balance numeric;
+begin
+  insert into credit_balances (organisation_id, current_balance, lifetime_purchased, lifetime_used)
+  values (p_organisation_id, 0, 0, 0)
+  on conflict (organisation_id) do nothing;
+
+  -- Held until the transaction ends: every other ledger call for this
+  -- organisation waits here
+  select coalesce(current_balance, 0) into v_balance
+  from credit_balances
+  where organisation_id = p_organisation_id
+  for update;
+
+  if exists (select 1 from credit_ledger where organisation_id = p_organisation_id) then
+    if p_entry_type = 'opening_balance' then
+      raise exception 'ledger_already_started';
+    end if;
+  else
+    -- The first entry records the balance the ledger took over, without
+    -- changing it, so the ledger always sums to the balance
+    insert into credit_ledger (organisation_id, entry_type, credits, balance_after, reason, reference, created_by_email)
+    values (
+      p_organisation_id, 'opening_balance', v_balance, v_balance,
+      case when p_entry_type = 'opening_balance' then p_reason else 'Balance when the ledger started' end,
+      case when p_entry_type = 'opening_balance' then p_reference end,
+      p_created_by
+    )
+    returning * into v_entry;
+
+    if p_entry_type = 'opening_balance' then
+      return v_entry;
+    end if;
+  end if;
+
+  if p_entry_type = 'reversal' then
+    select * into v_original
+    from credit_ledger
+    where id = p_reverses_entry_id and organisation_id = p_organisation_id
+    for update;
+
+    if not found then
+      raise exception 'entry_not_found';
+    end if;
+    if v_original.entry_type in ('opening_balance', 'reversal') then
+      raise exception 'cannot_reverse_entry';
+    end if;
+    if v_original.reversed_by_entry_id is not null then
+      raise exception 'entry_already_reversed';
+    end if;
+
+    -- Equal and opposite, undoing the original's effect on the lifetime counters too
+    v_credits := -v_original.credits;
+    v_counts_as := v_original.entry_type;
+  end if;
+
+  v_new_balance := v_balance + v_credits;
+  if v_new_balance < 0 then
+    raise exception 'insufficient_balance';
+  end if;
+
+  -- Transfers between organisations (merges) leave the lifetime counters alone
+  update credit_balances
+  set current_balance = v_new_balance,
+      lifetime_purchased = coalesce(lifetime_purchased, 0)
+        + case when v_counts_as in ('gift', 'purchase', 'refund') then v_credits else 0 end,
+      lifetime_used = coalesce(lifetime_used, 0)
+        + case when v_counts_as = 'deduction' then -v_credits else 0 end,
+      updated_at = now()
+  where organisation_id = p_organisation_id;
+
+  insert into credit_ledger (
+    organisation_id, entry_type, credits, balance_after, reason, reference, created_by_email, reverses_entry_id
+  )
+  values (
+    p_organisation_id, p_entry_type, v_credits, v_new_balance, p_reason, p_reference, p_created_by,
+    case when p_entry_type = 'reversal' then v_original.id end
+  )
+  returning * into v_entry;
+
+  if p_entry_type = 'reversal' then
+    update credit_ledger set reversed_by_entry_id = v_entry.id where id = v_original.id;
+  end if;
+
+  return v_entry;
+end;
+$$;
+
+-- Only the dashboard's service role may post entries
+revoke execute on function apply_credit_ledger_entry(uuid, text, numeric, text, text, text, uuid) from public, anon, authenticated;
+grant execute on function apply_credit_ledger_entry(uuid, text, numeric, text, text, text, uuid) to service_role;
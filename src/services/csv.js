@@ -0,0 +1,19 @@
+/**
+ * CSV Cells
+ *
+ * Shared by every CSV download (customer list, audit log, subject-access
+ * exports), which may hold text a customer or admin typed in.
+ */
+
+/**
+ * One CSV cell: objects as JSON, quoted where needed, and text a spreadsheet
+ * would run as a formula (leading =, +, -, @, tab or CR) prefixed with '
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default { csvCell };
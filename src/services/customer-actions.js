@@ -0,0 +1,508 @@
+/**
+ * Customer Account Actions
+ *
+ * The per-customer changes shared by the single-customer routes in
+ * routes/customers.js and bulk jobs (services/bulk-actions.js). Each action
+ * returns what the caller needs for its response and audit record; auditing
+ * stays with the caller because it needs the request.
+ */
+
+import { supabase } from './supabase.js';
+import stripe from './stripe.js';
+import { getOrgSnapshot, pickFields } from './audit.js';
+import { postLedgerEntry } from './credit-ledger.js';
+
+export const STRIPE_CHARITY_COUPON = process.env.STRIPE_CHARITY_COUPON || 'CHARITY_50';
+
+// Prefix for coupons created on demand by getDiscountCouponId
+const COUPON_ID_PREFIX = 'OW';
+
+// Fixed-amount discounts above this (in pence) are almost certainly typos
+export const MAX_DISCOUNT_AMOUNT_PENCE = 100000;
+
+export const VALID_DISCOUNT_TYPES = ['charity', 'church', 'partner', 'promotional', 'negotiated', 'nonprofit', 'educational', 'community', 'other'];
+
+// Organisation fields captured before/after discount changes in the audit log
+export const DISCOUNT_AUDIT_FIELDS = [
+  'discount_percent', 'discount_amount_pence', 'discount_currency', 'discount_ends_at',
+  'discount_type', 'discount_reason', 'charity_verified',
+  'charity_review_requested', 'discount_review_requested'
+];
+
+// Organisation fields reset whenever a discount is taken off, whichever kind it was
+export const CLEARED_DISCOUNT_FIELDS = {
+  discount_percent: 0,
+  discount_amount_pence: null,
+  discount_currency: null,
+  discount_ends_at: null,
+  discount_expiry_notice_sent_at: null,
+  discount_coupon_id: null,
+  discount_type: null,
+};
+
+export const PAUSE_FIELDS = ['is_paused', 'paused_at', 'pause_reason', 'pause_category', 'pause_resume_at'];
+
+// Why an account was paused; 'seasonal' covers planned breaks like summer holidays
+export const PAUSE_CATEGORIES = ['seasonal', 'financial', 'low_usage', 'technical', 'requested', 'other'];
+
+/**
+ * Check pause options from a request or bulk job
+ * @param {object} options - { resumeAt, category }
+ * @returns {string|null} error message
+ */
+export function validatePauseOptions({ resumeAt, category } = {}) {
+  if (category && !PAUSE_CATEGORIES.includes(category)) {
+    return `category must be one of: ${PAUSE_CATEGORIES.join(', ')}`;
+  }
+  if (resumeAt) {
+    const date = new Date(resumeAt);
+    if (isNaN(date.getTime())) return 'resumeAt must be a valid date';
+    if (date.getTime() <= Date.now()) return 'resumeAt must be in the future';
+  }
+  return null;
+}
+
+/**
+ * Check discount options from a request or bulk job. Exactly one of
+ * discountPercent (up to two decimal places, as Stripe allows) or
+ * discountAmountPence (a fixed amount off each invoice) is required.
+ * @param {object} options - { discountPercent, discountAmountPence, endsAt }
+ * @returns {string|null} error message
+ */
+export function validateDiscountOptions({ discountPercent, discountAmountPence, endsAt } = {}) {
+  const hasPercent = discountPercent !== undefined && discountPercent !== null && discountPercent !== '';
+  const hasAmount = discountAmountPence !== undefined && discountAmountPence !== null && discountAmountPence !== '';
+
+  if (hasPercent === hasAmount) {
+    return 'Provide either discountPercent or discountAmountPence';
+  }
+  if (hasPercent) {
+    const percent = Number(discountPercent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      return 'discountPercent must be greater than 0 and at most 100';
+    }
+    if (Math.abs(Math.round(percent * 100) - percent * 100) > 1e-6) {
+      return 'discountPercent can have at most two decimal places';
+    }
+  }
+  if (hasAmount) {
+    const amount = Number(discountAmountPence);
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_DISCOUNT_AMOUNT_PENCE) {
+      return `discountAmountPence must be a whole number of pence between 1 and ${MAX_DISCOUNT_AMOUNT_PENCE}`;
+    }
+  }
+  if (endsAt) {
+    const date = new Date(endsAt);
+    if (isNaN(date.getTime())) return 'endsAt must be a valid date';
+    if (date.getTime() <= Date.now()) return 'endsAt must be in the future';
+  }
+  return null;
+}
+
+/**
+ * Describe a discount for messages and logs, e.g. "12.5%" or "£5.00/month"
+ */
+export function describeDiscount({ discountPercent, discountAmountPence, currency = 'gbp' }) {
+  if (discountAmountPence) {
+    const amount = new Intl.NumberFormat('en-GB', { style: 'currency', currency: currency.toUpperCase() })
+      .format(discountAmountPence / 100);
+    return `${amount}/month`;
+  }
+  return `${Number(discountPercent)}%`;
+}
+
+/**
+ * Whole billing months from now until a date, rounded up so the Stripe
+ * coupon never runs out before the local expiry removes it
+ */
+export function monthsUntil(endsAt) {
+  const now = new Date();
+  const end = new Date(endsAt);
+  let months = (end.getFullYear() - now.getFullYear()) * 12 + (end.getMonth() - now.getMonth());
+  if (end.getDate() > now.getDate()) months++;
+  return Math.max(months, 1);
+}
+
+/**
+ * Get the Stripe coupon for a discount, creating it the first time it's needed.
+ * Coupon IDs are derived from the discount (e.g. OW_PCT_12_5_FOREVER,
+ * OW_GBP_500_3M) so every customer on the same terms shares one coupon.
+ * A discount with an end date uses a 'repeating' coupon lasting until then;
+ * the discount-expiry scheduler removes it locally on the day itself.
+ * @param {object} discount - { discountPercent, discountAmountPence, currency, endsAt }
+ * @returns {Promise<string>} coupon ID
+ */
+export async function getDiscountCouponId({ discountPercent, discountAmountPence, currency = 'gbp', endsAt }) {
+  const durationInMonths = endsAt ? monthsUntil(endsAt) : null;
+  const amountPart = discountAmountPence
+    ? `${currency.toUpperCase()}_${discountAmountPence}`
+    : `PCT_${String(Number(discountPercent)).replace('.', '_')}`;
+  const couponId = `${COUPON_ID_PREFIX}_${amountPart}_${durationInMonths ? `${durationInMonths}M` : 'FOREVER'}`;
+
+  try {
+    await stripe.coupons.retrieve(couponId);
+    return couponId;
+  } catch (err) {
+    if (err.code !== 'resource_missing') throw err;
+  }
+
+  const params = {
+    id: couponId,
+    name: `${describeDiscount({ discountPercent, discountAmountPence, currency })} ${durationInMonths ? `for ${durationInMonths} month${durationInMonths === 1 ? '' : 's'}` : 'discount'}`,
+    ...(discountAmountPence
+      ? { amount_off: discountAmountPence, currency: currency.toLowerCase() }
+      : { percent_off: Number(discountPercent) }),
+    ...(durationInMonths
+      ? { duration: 'repeating', duration_in_months: durationInMonths }
+      : { duration: 'forever' }),
+    metadata: { created_by: 'admin_dashboard' },
+  };
+
+  try {
+    await stripe.coupons.create(params);
+    console.log(`🎟️ Created Stripe coupon ${couponId}`);
+  } catch (err) {
+    // Another request created it first
+    if (err.code !== 'resource_already_exists') throw err;
+  }
+  return couponId;
+}
+
+/**
+ * Currency of a Stripe subscription, which fixed-amount coupons must match
+ */
+async function getSubscriptionCurrency(stripeSubscriptionId) {
+  if (!stripeSubscriptionId) return 'gbp';
+  const subscription = await stripe.subscriptions.retrieve(stripeSubscriptionId);
+  return subscription.currency || 'gbp';
+}
+
+/**
+ * Apply a discount coupon to a Stripe subscription
+ * Works for both active subscriptions and subscriptions in trial
+ * @returns {Object} { success, message, stripeCouponApplied }
+ */
+export async function applyStripeCoupon(stripeSubscriptionId, couponId, orgName) {
+  console.log(`🔄 Attempting to apply coupon to Stripe:`);
+  console.log(`   Organisation: ${orgName}`);
+  console.log(`   Subscription ID: ${stripeSubscriptionId || 'NOT SET'}`);
+  console.log(`   Coupon ID: ${couponId}`);
+
+  if (!stripeSubscriptionId) {
+    console.log(`   ⚠️ No stripe_subscription_id - cannot apply coupon`);
+    return { success: true, message: 'No Stripe subscription ID - customer may not have completed payment', stripeCouponApplied: false };
+  }
+
+  try {
+    const result = await stripe.subscriptions.update(stripeSubscriptionId, {
+      discounts: [{ coupon: couponId }]
+    });
+    console.log(`   ✅ Coupon applied successfully`);
+    console.log(`   Subscription status: ${result.status}`);
+    return { success: true, message: 'Stripe coupon applied', stripeCouponApplied: true };
+  } catch (stripeError) {
+    console.error(`   ❌ Stripe error: ${stripeError.message}`);
+    if (stripeError.code) console.error(`   Error code: ${stripeError.code}`);
+    return { success: false, message: stripeError.message, stripeCouponApplied: false };
+  }
+}
+
+/**
+ * Remove all discount coupons from a Stripe subscription
+ * @returns {Object} { success, message, stripeCouponRemoved }
+ */
+export async function removeStripeCoupon(stripeSubscriptionId, orgName) {
+  if (!stripeSubscriptionId) {
+    return { success: true, message: 'No Stripe subscription to update', stripeCouponRemoved: false };
+  }
+
+  try {
+    await stripe.subscriptions.update(stripeSubscriptionId, {
+      discounts: [] // Empty array removes all coupons
+    });
+    console.log(`💳 Removed coupon from Stripe subscription ${stripeSubscriptionId} (${orgName})`);
+    return { success: true, message: 'Stripe coupon removed', stripeCouponRemoved: true };
+  } catch (stripeError) {
+    console.error(`⚠️ Failed to remove coupon from Stripe subscription ${stripeSubscriptionId}:`, stripeError.message);
+    return { success: false, message: stripeError.message, stripeCouponRemoved: false };
+  }
+}
+
+/**
+ * Pause a customer's account, optionally until a date (the pause-resume
+ * scheduler unpauses it then). Options are checked with validatePauseOptions.
+ * @param {object} [options] - { resumeAt, category }
+ * @returns {Promise<{ data, before, after }>}
+ */
+export async function pauseCustomer(id, reason, { resumeAt, category } = {}) {
+  const before = await getOrgSnapshot(id, PAUSE_FIELDS);
+
+  const { data, error } = await supabase
+    .from('organisations')
+    .update({
+      is_paused: true,
+      paused_at: new Date().toISOString(),
+      pause_reason: reason || 'Paused by admin',
+      pause_category: category || null,
+      pause_resume_at: resumeAt ? new Date(resumeAt).toISOString() : null,
+      pause_resume_reminder_sent_at: null,
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`⏸️ Customer paused: ${data.name} (${id})${data.pause_resume_at ? ` until ${data.pause_resume_at.split('T')[0]}` : ''}`);
+  return { data, before: pickFields(before, PAUSE_FIELDS), after: pickFields(data, PAUSE_FIELDS) };
+}
+
+/**
+ * Unpause a customer's account
+ * @returns {Promise<{ data, before, after }>}
+ */
+export async function unpauseCustomer(id) {
+  const before = await getOrgSnapshot(id, PAUSE_FIELDS);
+
+  const { data, error } = await supabase
+    .from('organisations')
+    .update({
+      is_paused: false,
+      paused_at: null,
+      pause_reason: null,
+      pause_category: null,
+      pause_resume_at: null,
+      pause_resume_reminder_sent_at: null,
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`▶️ Customer unpaused: ${data.name} (${id})`);
+  return { data, before: pickFields(before, PAUSE_FIELDS), after: pickFields(data, PAUSE_FIELDS) };
+}
+
+/**
+ * Gift credits to a customer. The gift is kept as a zero-cost 'gift' purchase
+ * (for the customer's purchase history) and posted to the credit ledger, which
+ * updates the balance atomically.
+ * @returns {Promise<{ organisationName, balanceBefore, balanceAfter, ledgerEntryId }>}
+ */
+export async function giftCredits(id, credits, reason, { createdBy } = {}) {
+  const { data: purchase, error: purchaseError } = await supabase
+    .from('credit_purchases')
+    .insert({
+      organisation_id: id,
+      credits_purchased: credits,
+      amount_paid_pence: 0,
+      unit_price_pence: 0,
+      purchase_type: 'gift',
+      notes: reason || 'Admin credit gift'
+    })
+    .select('id')
+    .single();
+
+  if (purchaseError) throw purchaseError;
+
+  const result = await postLedgerEntry({
+    organisationId: id,
+    type: 'gift',
+    credits,
+    reason: reason || 'Admin credit gift',
+    reference: `credit_purchases:${purchase.id}`,
+    createdBy,
+  }).catch(error => ({ thrown: error }));
+
+  if (result.thrown || result.error) {
+    // Without the ledger entry the balance didn't change, so drop the gift record too
+    await supabase.from('credit_purchases').delete().eq('id', purchase.id);
+    throw result.thrown || new Error(result.error);
+  }
+
+  // Get organisation name for logging
+  const { data: org } = await supabase
+    .from('organisations')
+    .select('name')
+    .eq('id', id)
+    .single();
+
+  console.log(`🎁 ${credits} credits gifted to ${org?.name || id}: ${reason || 'No reason provided'}`);
+
+  return {
+    organisationName: org?.name,
+    balanceBefore: result.entry.balance_before,
+    balanceAfter: Number(result.entry.balance_after),
+    ledgerEntryId: result.entry.id,
+  };
+}
+
+/**
+ * Deduct credits from a customer (admin adjustment) through the credit ledger
+ * @returns {Promise<{ organisationName?, balanceBefore?, balanceAfter?, ledgerEntryId?, error? }>}
+ *   error is set (and nothing changed) when the balance is too low
+ */
+export async function deductCredits(id, credits, reason, { createdBy } = {}) {
+  const result = await postLedgerEntry({
+    organisationId: id,
+    type: 'deduction',
+    credits: -credits,
+    reason: reason || 'Admin adjustment',
+    createdBy,
+  });
+  if (result.error) return { error: result.error };
+
+  const { data: org } = await supabase
+    .from('organisations')
+    .select('name')
+    .eq('id', id)
+    .single();
+
+  console.log(`➖ ${credits} credits deducted from ${org?.name || id}: ${reason || 'No reason provided'}`);
+
+  return {
+    organisationName: org?.name,
+    balanceBefore: result.entry.balance_before,
+    balanceAfter: Number(result.entry.balance_after),
+    ledgerEntryId: result.entry.id,
+  };
+}
+
+/**
+ * Set a non-charity discount and apply the matching coupon in Stripe.
+ * Options are checked with validateDiscountOptions; with an end date the
+ * discount-expiry scheduler warns the customer and then removes it.
+ * A Stripe failure doesn't undo the saved discount; it is reported in stripeResult.
+ * @param {object} options - { discountPercent | discountAmountPence, discountType, reason, endsAt }
+ * @returns {Promise<{ data, before, after, couponId, stripeResult }>}
+ */
+export async function setDiscount(id, { discountPercent, discountAmountPence, discountType, reason, endsAt }) {
+  const before = await getOrgSnapshot(id, [...DISCOUNT_AUDIT_FIELDS, 'stripe_subscription_id']);
+  const amountPence = discountAmountPence ? Number(discountAmountPence) : null;
+  const percent = amountPence ? 0 : Number(discountPercent);
+  const endsAtIso = endsAt ? new Date(endsAt).toISOString() : null;
+
+  // Fixed amounts are in the subscription's currency, so find that before saving
+  let currency = 'gbp';
+  let couponId = null;
+  let stripeResult;
+  try {
+    if (amountPence) {
+      currency = await getSubscriptionCurrency(before?.stripe_subscription_id);
+    }
+    couponId = await getDiscountCouponId({ discountPercent: percent, discountAmountPence: amountPence, currency, endsAt: endsAtIso });
+  } catch (stripeError) {
+    console.error(`   ❌ Failed to prepare Stripe coupon: ${stripeError.message}`);
+    stripeResult = { success: false, message: stripeError.message, stripeCouponApplied: false };
+  }
+
+  const { data, error } = await supabase
+    .from('organisations')
+    .update({
+      discount_percent: percent,
+      discount_amount_pence: amountPence,
+      discount_currency: amountPence ? currency : null,
+      discount_ends_at: endsAtIso,
+      discount_expiry_notice_sent_at: null,
+      discount_coupon_id: couponId,
+      discount_type: discountType,
+      discount_reason: reason || null,
+      discount_approved_by: 'Admin Dashboard',
+      discount_approved_at: new Date().toISOString(),
+      discount_review_requested: false // Clear the review request when discount is approved
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const label = describeDiscount({ discountPercent: percent, discountAmountPence: amountPence, currency });
+  console.log(`💰 ${label} ${discountType} discount set for: ${data.name} (${id})${endsAtIso ? ` until ${endsAtIso}` : ''} - ${reason || 'No reason'}`);
+
+  // Apply coupon to Stripe subscription (works for trial and active subscriptions)
+  if (couponId) {
+    stripeResult = await applyStripeCoupon(data.stripe_subscription_id, couponId, data.name);
+  }
+
+  return {
+    data,
+    before: pickFields(before, DISCOUNT_AUDIT_FIELDS),
+    after: pickFields(data, DISCOUNT_AUDIT_FIELDS),
+    couponId,
+    stripeResult,
+  };
+}
+
+/**
+ * Remove a non-charity discount and its Stripe coupon
+ * @returns {Promise<{ data, before, after, stripeResult }>}
+ */
+export async function removeDiscount(id, reason) {
+  const before = await getOrgSnapshot(id, DISCOUNT_AUDIT_FIELDS);
+
+  const { data, error } = await supabase
+    .from('organisations')
+    .update({
+      ...CLEARED_DISCOUNT_FIELDS,
+      discount_reason: reason ? `Removed: ${reason}` : 'Discount removed by admin',
+      discount_approved_by: null,
+      discount_approved_at: null,
+      discount_review_requested: false
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`❌ Discount removed from: ${data.name} (${id}) - ${reason || 'No reason'}`);
+
+  // Remove coupon from Stripe subscription
+  const stripeResult = await removeStripeCoupon(data.stripe_subscription_id, data.name);
+
+  return {
+    data,
+    before: pickFields(before, DISCOUNT_AUDIT_FIELDS),
+    after: pickFields(data, DISCOUNT_AUDIT_FIELDS),
+    stripeResult,
+  };
+}
+
+/**
+ * Normalise tag names: trimmed, lower-case, de-duplicated
+ */
+export function normaliseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Add and/or remove tags on a customer (organisations.tags, text[])
+ * @returns {Promise<{ data, before, after }>}
+ */
+export async function updateTags(id, { add = [], remove = [] }) {
+  const before = await getOrgSnapshot(id, ['tags']);
+  if (!before) throw new Error('Customer not found');
+
+  const current = before.tags || [];
+  const toRemove = normaliseTags(remove);
+  const tags = normaliseTags([...current, ...normaliseTags(add)]).filter(t => !toRemove.includes(t));
+
+  const { data, error } = await supabase
+    .from('organisations')
+    .update({ tags })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return { data, before: { tags: current }, after: { tags: data.tags || [] } };
+}
+
+export default {
+  pauseCustomer, unpauseCustomer, giftCredits, deductCredits, setDiscount, removeDiscount, updateTags,
+  applyStripeCoupon, removeStripeCoupon, getDiscountCouponId, validateDiscountOptions, describeDiscount,
+};
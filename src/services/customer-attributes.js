@@ -0,0 +1,249 @@
+/**
+ * Customer Tags and Custom Fields
+ *
+ * Admins define the tags and typed custom fields that can be set on a customer;
+ * values live on the organisation (organisations.tags text[] and
+ * organisations.custom_fields jsonb keyed by field key). The same criteria
+ * filter the customer list and pick communication/notification audiences.
+ *
+ * customer_tags columns:
+ *   id, name (unique, lower-case), color, description, created_by_email, created_at
+ *
+ * customer_field_definitions columns:
+ *   id, key (unique, a-z0-9_), label, type ('text' | 'number' | 'date' | 'boolean' | 'select'),
+ *   options (text[], for 'select'), archived (bool), created_by_email, created_at
+ *
+ * Audience / filter criteria:
+ *   { tags: ['pilot'], tagMatch: 'all' | 'any',
+ *     fields: [{ key: 'seats', op: 'eq' | 'gte' | 'lte', value: 10 }] }
+ */
+
+import { supabase } from './supabase.js';
+import { normaliseTags } from './customer-actions.js';
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select'];
+
+export const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const MAX_TEXT_LENGTH = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * All defined tags, by name
+ */
+export async function getTagDefinitions() {
+  const { data, error } = await supabase
+    .from('customer_tags')
+    .select('*')
+    .order('name', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Custom field definitions (archived ones only when asked for)
+ */
+export async function getFieldDefinitions({ includeArchived = false } = {}) {
+  let query = supabase
+    .from('customer_field_definitions')
+    .select('*')
+    .order('label', { ascending: true });
+  if (!includeArchived) query = query.eq('archived', false);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Check tags against the defined list
+ * @returns {Promise<{ tags?: string[], error?: string }>}
+ */
+export async function validateTags(tags) {
+  const normalised = normaliseTags(tags);
+  if (normalised.length === 0) return { tags: [] };
+
+  const defined = (await getTagDefinitions()).map(t => t.name);
+  const unknown = normalised.filter(t => !defined.includes(t));
+  if (unknown.length) {
+    return { error: `Unknown tag(s): ${unknown.join(', ')}. Define them under Tags & Fields first.` };
+  }
+  return { tags: normalised };
+}
+
+/**
+ * Coerce one custom field value to its definition's type
+ * @returns {{ value?: any, error?: string }} value null means "clear"
+ */
+export function coerceFieldValue(definition, raw) {
+  if (raw === null || raw === undefined || raw === '') return { value: null };
+
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(raw);
+      return Number.isFinite(number) ? { value: number } : { error: `${definition.label} must be a number` };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: `${definition.label} must be true or false` };
+    case 'date': {
+      const text = String(raw);
+      if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(text).getTime())) {
+        return { error: `${definition.label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value: text };
+    }
+    case 'select':
+      if (!(definition.options || []).includes(String(raw))) {
+        return { error: `${definition.label} must be one of: ${(definition.options || []).join(', ')}` };
+      }
+      return { value: String(raw) };
+    default: {
+      const text = String(raw).trim();
+      if (text.length > MAX_TEXT_LENGTH) return { error: `${definition.label} is limited to ${MAX_TEXT_LENGTH} characters` };
+      return { value: text || null };
+    }
+  }
+}
+
+/**
+ * Merge submitted custom field values into a customer's existing values.
+ * Only defined, non-archived keys can be set; empty values remove the key.
+ * @returns {Promise<{ customFields?: object, error?: string }>}
+ */
+export async function mergeCustomFields(existing, submitted) {
+  const definitions = await getFieldDefinitions();
+  const byKey = Object.fromEntries(definitions.map(d => [d.key, d]));
+  const merged = { ...(existing || {}) };
+
+  for (const [key, raw] of Object.entries(submitted || {})) {
+    const definition = byKey[key];
+    if (!definition) return { error: `Unknown custom field: ${key}` };
+
+    const { value, error } = coerceFieldValue(definition, raw);
+    if (error) return { error };
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+
+  return { customFields: merged };
+}
+
+/**
+ * Parse tag/field criteria from a query string or request body.
+ * Query strings use tags=a,b&tagMatch=any&field[key]=value&field[key][min]=1&field[key][max]=5;
+ * bodies may pass fields as [{ key, op, value }] instead.
+ * @returns {{ criteria?: object, error?: string }}
+ */
+export function parseAttributeCriteria(source = {}) {
+  const tags = normaliseTags(source.tags);
+  const tagMatch = String(source.tagMatch || 'all').toLowerCase();
+  if (!['all', 'any'].includes(tagMatch)) return { error: "tagMatch must be 'all' or 'any'" };
+
+  const fields = [];
+  if (Array.isArray(source.fields)) {
+    fields.push(...source.fields);
+  }
+  if (source.field && typeof source.field === 'object') {
+    for (const [key, value] of Object.entries(source.field)) {
+      if (value && typeof value === 'object') {
+        if (value.min !== undefined && value.min !== '') fields.push({ key, op: 'gte', value: value.min });
+        if (value.max !== undefined && value.max !== '') fields.push({ key, op: 'lte', value: value.max });
+      } else if (value !== undefined && value !== '') {
+        fields.push({ key, op: 'eq', value });
+      }
+    }
+  }
+
+  for (const field of fields) {
+    if (!FIELD_KEY_PATTERN.test(String(field.key || ''))) return { error: `Invalid custom field key: ${field.key}` };
+    if (!['eq', 'gte', 'lte'].includes(field.op || 'eq')) return { error: "Custom field op must be 'eq', 'gte' or 'lte'" };
+    field.op = field.op || 'eq';
+  }
+
+  return { criteria: { tags, tagMatch, fields } };
+}
+
+export function hasAttributeCriteria(criteria) {
+  return !!criteria && (criteria.tags?.length > 0 || criteria.fields?.length > 0);
+}
+
+/**
+ * Field types by key, for building typed filters
+ */
+export async function getFieldTypes() {
+  const definitions = await getFieldDefinitions({ includeArchived: true });
+  return Object.fromEntries(definitions.map(d => [d.key, d.type]));
+}
+
+/**
+ * Apply tag/field criteria to an organisations query. Numbers and booleans are
+ * compared as JSON values; text, select and dates (YYYY-MM-DD sorts correctly)
+ * as text.
+ */
+export function applyAttributeFilters(query, criteria, fieldTypes = {}) {
+  if (!criteria) return query;
+
+  if (criteria.tags?.length) {
+    query = criteria.tagMatch === 'any'
+      ? query.overlaps('tags', criteria.tags)
+      : query.contains('tags', criteria.tags);
+  }
+
+  for (const { key, op, value } of criteria.fields || []) {
+    const type = fieldTypes[key] || 'text';
+    if (type === 'number') {
+      query = query[op](`custom_fields->${key}`, Number(value));
+    } else if (type === 'boolean') {
+      query = query.eq(`custom_fields->${key}`, value === true || value === 'true');
+    } else {
+      query = query[op](`custom_fields->>${key}`, String(value));
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Organisation IDs matching audience criteria (for communications and notifications).
+ * Archived organisations (merged away or erased) are never included.
+ * @returns {Promise<string[]>}
+ */
+export async function resolveAudience(criteria) {
+  const fieldTypes = criteria.fields?.length ? await getFieldTypes() : {};
+  const ids = [];
+  const pageSize = 1000;
+
+  for (let from = 0; ; from += pageSize) {
+    const query = applyAttributeFilters(supabase.from('organisations').select('id').is('archived_at', null), criteria, fieldTypes)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+    const { data, error } = await query;
+    if (error) throw error;
+    ids.push(...(data || []).map(row => row.id));
+    if (!data || data.length < pageSize) break;
+  }
+
+  return ids;
+}
+
+/**
+ * Short human description of criteria, for audit details and confirmations
+ */
+export function describeCriteria(criteria) {
+  const parts = [];
+  if (criteria.tags?.length) {
+    parts.push(`tagged ${criteria.tags.join(criteria.tagMatch === 'any' ? ' or ' : ' and ')}`);
+  }
+  const ops = { eq: '=', gte: '>=', lte: '<=' };
+  for (const { key, op, value } of criteria.fields || []) {
+    parts.push(`${key} ${ops[op]} ${value}`);
+  }
+  return parts.join(', ') || 'everyone';
+}
+
+export default {
+  getTagDefinitions, getFieldDefinitions, validateTags, mergeCustomFields, parseAttributeCriteria,
+  applyAttributeFilters, resolveAudience, describeCriteria, FIELD_TYPES,
+};
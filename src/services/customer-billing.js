@@ -0,0 +1,385 @@
+/**
+ * Customer Billing (Stripe invoices, charges and refunds)
+ *
+ * What the customer modal shows of a customer's Stripe billing, and the
+ * actions on it: invoice PDFs, resending a receipt and refunding a charge.
+ * Every call checks the invoice or charge belongs to the organisation's
+ * stripe_customer_id, so an ID from another customer can't be acted on.
+ *
+ * A refund can claw back credits in the same action: the refund is made in
+ * Stripe first, then a negative 'refund' entry is posted to the credit ledger
+ * with the Stripe refund ID as its reference. Credit purchases aren't linked
+ * to Stripe charges, so the suggested clawback comes from the credit purchase
+ * with the same amount made within a day of the charge.
+ */
+
+import { supabase } from './supabase.js';
+import stripe from './stripe.js';
+import { sendCustomerEmail, logEmail } from './email.js';
+import { postLedgerEntry } from './credit-ledger.js';
+
+export const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+const MAX_PAGE_SIZE = 100;
+
+const PURCHASE_MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function formatPence(pence, currency = 'gbp') {
+  const symbol = currency === 'gbp' ? '£' : `${currency.toUpperCase()} `;
+  return `${symbol}${((pence || 0) / 100).toFixed(2)}`;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toIso(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function pageSize(limit) {
+  return Math.min(Math.max(parseInt(limit) || 25, 1), MAX_PAGE_SIZE);
+}
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+function toInvoice(inv) {
+  return {
+    id: inv.id,
+    number: inv.number,
+    status: inv.status,
+    created: toIso(inv.created),
+    dueDate: toIso(inv.due_date),
+    amountDue: inv.amount_due,
+    amountPaid: inv.amount_paid,
+    amountRemaining: inv.amount_remaining,
+    currency: inv.currency,
+    billingReason: inv.billing_reason,
+    description: inv.lines?.data?.[0]?.description || inv.description || null,
+    hostedInvoiceUrl: inv.hosted_invoice_url,
+    hasPdf: !!inv.invoice_pdf,
+    chargeId: idOf(inv.charge),
+    subscriptionId: idOf(inv.subscription),
+  };
+}
+
+function toCharge(charge, matchedPurchase = null) {
+  return {
+    id: charge.id,
+    created: toIso(charge.created),
+    amount: charge.amount,
+    amountRefunded: charge.amount_refunded,
+    refundable: charge.paid && charge.status === 'succeeded' && charge.amount_refunded < charge.amount,
+    currency: charge.currency,
+    status: charge.status,
+    refunded: charge.refunded,
+    description: charge.description,
+    receiptEmail: charge.receipt_email,
+    receiptUrl: charge.receipt_url,
+    invoiceId: idOf(charge.invoice),
+    paymentMethod: charge.payment_method_details?.card
+      ? `${charge.payment_method_details.card.brand} •••• ${charge.payment_method_details.card.last4}`
+      : charge.payment_method_details?.type || null,
+    refunds: (charge.refunds?.data || []).map(r => ({
+      id: r.id, amount: r.amount, status: r.status, reason: r.reason, created: toIso(r.created),
+    })),
+    matchedPurchase,
+  };
+}
+
+/**
+ * The organisation with its Stripe customer, or an error for the route to return
+ * @returns {Promise<{ org?: object, error?: string, status?: number }>}
+ */
+export async function getBillingCustomer(organisationId) {
+  const { data: org, error } = await supabase
+    .from('organisations')
+    .select('id, name, user_id, contact_email, stripe_customer_id')
+    .eq('id', organisationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!org) return { error: 'Customer not found', status: 404 };
+  if (!org.stripe_customer_id) return { error: 'Customer has no Stripe account', status: 400 };
+  return { org };
+}
+
+/**
+ * A customer's invoices, newest first
+ * @returns {Promise<{ invoices: object[], hasMore: boolean }>}
+ */
+export async function listInvoices(org, { limit, startingAfter } = {}) {
+  const result = await stripe.invoices.list({
+    customer: org.stripe_customer_id,
+    limit: pageSize(limit),
+    ...(startingAfter ? { starting_after: startingAfter } : {}),
+  });
+  return { invoices: result.data.map(toInvoice), hasMore: result.has_more };
+}
+
+// Credit purchases that could be the one paid for by each charge (same amount, within a day)
+async function matchPurchases(org, charges) {
+  if (charges.length === 0) return {};
+
+  const times = charges.map(c => c.created * 1000);
+  const { data: purchases, error } = await supabase
+    .from('credit_purchases')
+    .select('id, credits_purchased, amount_paid_pence, created_at')
+    .eq('organisation_id', org.id)
+    .gt('amount_paid_pence', 0)
+    .gte('created_at', new Date(Math.min(...times) - PURCHASE_MATCH_WINDOW_MS).toISOString())
+    .lte('created_at', new Date(Math.max(...times) + PURCHASE_MATCH_WINDOW_MS).toISOString());
+
+  if (error) throw error;
+
+  const matches = {};
+  const used = new Set();
+  for (const charge of charges) {
+    const candidates = (purchases || [])
+      .filter(p => !used.has(p.id) && p.amount_paid_pence === charge.amount)
+      .map(p => ({ ...p, gap: Math.abs(new Date(p.created_at).getTime() - charge.created * 1000) }))
+      .filter(p => p.gap <= PURCHASE_MATCH_WINDOW_MS)
+      .sort((a, b) => a.gap - b.gap);
+    if (candidates[0]) {
+      used.add(candidates[0].id);
+      matches[charge.id] = {
+        id: candidates[0].id,
+        credits: parseFloat(candidates[0].credits_purchased) || 0,
+        createdAt: candidates[0].created_at,
+      };
+    }
+  }
+  return matches;
+}
+
+/**
+ * A customer's charges, newest first, with the credit purchase each one
+ * probably paid for
+ * @returns {Promise<{ charges: object[], hasMore: boolean }>}
+ */
+export async function listCharges(org, { limit, startingAfter } = {}) {
+  const result = await stripe.charges.list({
+    customer: org.stripe_customer_id,
+    limit: pageSize(limit),
+    expand: ['data.refunds'],
+    ...(startingAfter ? { starting_after: startingAfter } : {}),
+  });
+  const matches = await matchPurchases(org, result.data);
+  return { charges: result.data.map(c => toCharge(c, matches[c.id] || null)), hasMore: result.has_more };
+}
+
+async function retrieveOwned(resource, id, org) {
+  let object;
+  try {
+    object = await stripe[resource].retrieve(id);
+  } catch (error) {
+    if (error.code === 'resource_missing') return null;
+    throw error;
+  }
+  return idOf(object.customer) === org.stripe_customer_id ? object : null;
+}
+
+/**
+ * Download an invoice's PDF from Stripe
+ * @returns {Promise<{ pdf?: Buffer, filename?: string, error?: string, status?: number }>}
+ */
+export async function getInvoicePdf(org, invoiceId) {
+  const invoice = await retrieveOwned('invoices', invoiceId, org);
+  if (!invoice) return { error: 'Invoice not found', status: 404 };
+  if (!invoice.invoice_pdf) return { error: 'This invoice has no PDF yet (draft invoices are finalised first)', status: 400 };
+
+  const response = await fetch(invoice.invoice_pdf);
+  if (!response.ok) throw new Error(`Stripe returned ${response.status} for the invoice PDF`);
+
+  return {
+    pdf: Buffer.from(await response.arrayBuffer()),
+    filename: `invoice-${invoice.number || invoice.id}.pdf`,
+  };
+}
+
+async function getOwnerEmail(org) {
+  if (!org.user_id) return null;
+  try {
+    const { data: authUser } = await supabase.auth.admin.getUserById(org.user_id);
+    return authUser?.user?.email || null;
+  } catch (authError) {
+    console.error('Error fetching auth user email:', authError);
+    return null;
+  }
+}
+
+/**
+ * Email the customer a link to a charge's Stripe receipt (and its invoice PDF).
+ * Receipts only go to addresses already on file for the customer: the charge's
+ * receipt email, the owner's login email or the contact email.
+ * @param {object} options - { email (defaults to the first of those), sentBy }
+ * @returns {Promise<{ to?: string, error?: string, status?: number }>}
+ */
+export async function resendReceipt(org, chargeId, { email, sentBy } = {}) {
+  const charge = await retrieveOwned('charges', chargeId, org);
+  if (!charge) return { error: 'Charge not found', status: 404 };
+  if (!charge.receipt_url) return { error: 'Stripe has no receipt for this charge', status: 400 };
+
+  const onFile = [charge.receipt_email, await getOwnerEmail(org), org.contact_email].filter(Boolean);
+  const to = email
+    ? onFile.find(address => address.toLowerCase() === email.toLowerCase())
+    : onFile[0];
+  if (email && !to) {
+    return { error: `Receipts can only be sent to an address on file for this customer: ${onFile.join(', ') || 'none'}`, status: 400 };
+  }
+  if (!to) return { error: 'No email address on file for this customer', status: 400 };
+
+  let invoicePdf = null;
+  const invoiceId = idOf(charge.invoice);
+  if (invoiceId) {
+    const invoice = await stripe.invoices.retrieve(invoiceId);
+    invoicePdf = invoice.invoice_pdf || null;
+  }
+
+  const paidOn = new Date(charge.created * 1000).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+  const subject = `Your Open Word receipt for ${formatPence(charge.amount, charge.currency)}`;
+  const body = `
+    <p>Hi ${escapeHtml(org.name) || 'there'},</p>
+
+    <p>As requested, here is your receipt for the payment of
+    <strong>${formatPence(charge.amount, charge.currency)}</strong> made on ${paidOn}.</p>
+
+    <p style="text-align: center;">
+      <a href="${charge.receipt_url}" class="button">View receipt</a>
+    </p>
+    ${invoicePdf ? `<p>You can also <a href="${invoicePdf}">download the invoice as a PDF</a>.</p>` : ''}
+
+    <p>Any questions, just reply to this email.</p>
+
+    <p>Thanks,<br>
+    The Open Word Team</p>
+  `;
+
+  const result = await sendCustomerEmail(to, subject, body, org.name || 'Customer');
+
+  await logEmail({
+    organisationId: org.id,
+    recipientEmail: to,
+    recipientName: org.name,
+    subject,
+    emailType: 'receipt',
+    status: result.success ? 'sent' : 'failed',
+    sentBy: sentBy || 'system',
+    error: result.error,
+  });
+
+  if (!result.success) return { error: `Failed to send receipt: ${result.error}`, status: 502 };
+  return { to };
+}
+
+/**
+ * Check refund parameters before any approval or Stripe call. The refund_charge
+ * approval rule runs this before an approval is requested, so an invalid refund
+ * never reaches an approver; the route runs it again for unapproved requests.
+ * @returns {string|null} error message
+ */
+export function validateRefund({ amount, reason, clawbackCredits }) {
+  if (amount !== undefined && amount !== null && amount !== '') {
+    if (!Number.isInteger(Number(amount)) || Number(amount) <= 0) return 'amount must be a whole number of pence above 0';
+  }
+  if (reason && !REFUND_REASONS.includes(reason)) return `reason must be one of: ${REFUND_REASONS.join(', ')}`;
+  if (clawbackCredits !== undefined && clawbackCredits !== null && clawbackCredits !== '') {
+    const credits = Number(clawbackCredits);
+    if (!Number.isFinite(credits) || credits < 0) return 'clawbackCredits must be a number of 0 or more';
+  }
+  return null;
+}
+
+/**
+ * Refund a charge in full or in part, optionally clawing back credits
+ * @param {object} options - { amount (pence, default: everything not yet refunded),
+ *                             reason, note, clawbackCredits, refundedBy, approvalId }
+ * @returns {Promise<{ refund?, charge?, clawback?, clawbackError?, error?, status? }>}
+ *   clawbackError is set when the money was refunded but the credits couldn't be
+ *   taken back (e.g. already spent)
+ */
+export async function refundCharge(org, chargeId, { amount, reason, note, clawbackCredits, refundedBy, approvalId } = {}) {
+  const charge = await retrieveOwned('charges', chargeId, org);
+  if (!charge) return { error: 'Charge not found', status: 404 };
+
+  const refundable = charge.amount - charge.amount_refunded;
+  if (!charge.paid || charge.status !== 'succeeded' || refundable <= 0) {
+    return { error: 'This charge has nothing left to refund', status: 400 };
+  }
+
+  const refundAmount = amount ? Number(amount) : refundable;
+  if (refundAmount > refundable) {
+    return { error: `At most ${formatPence(refundable, charge.currency)} of this charge can be refunded`, status: 400 };
+  }
+
+  const credits = Number(clawbackCredits) || 0;
+  if (credits > 0) {
+    const { data: balance } = await supabase
+      .from('credit_balances')
+      .select('current_balance')
+      .eq('organisation_id', org.id)
+      .maybeSingle();
+    if ((parseFloat(balance?.current_balance) || 0) < credits) {
+      return { error: `The customer only has ${parseFloat(balance?.current_balance) || 0} credits; lower the clawback or refund without one`, status: 400 };
+    }
+  }
+
+  // A retried request or replayed approval gets the original refund back from
+  // Stripe instead of refunding twice. Without an approval, the key is tied to
+  // what had been refunded so far, so only a deliberate second refund gets through.
+  const idempotencyKey = approvalId
+    ? `refund:${approvalId}:${charge.id}`
+    : `refund:${charge.id}:${charge.amount_refunded}:${refundAmount}`;
+
+  const refund = await stripe.refunds.create({
+    charge: charge.id,
+    amount: refundAmount,
+    ...(reason ? { reason } : {}),
+    metadata: {
+      organisation_id: org.id,
+      refunded_by: refundedBy || '',
+      note: note || '',
+      clawback_credits: String(credits),
+      ...(approvalId ? { approval_id: approvalId } : {}),
+    },
+  }, { idempotencyKey });
+
+  console.log(`💸 Refunded ${formatPence(refundAmount, charge.currency)} of ${charge.id} for ${org.name} (${refund.id})`);
+
+  let clawback = null;
+  let clawbackError = null;
+  if (credits > 0) {
+    const result = await postLedgerEntry({
+      organisationId: org.id,
+      type: 'refund',
+      credits: -credits,
+      reason: `Refund of ${formatPence(refundAmount, charge.currency)}${note ? `: ${note}` : ''}`,
+      reference: `stripe_refund:${refund.id}`,
+      createdBy: refundedBy,
+    });
+    if (result.error) {
+      clawbackError = result.error;
+      console.error(`   ⚠️ Refund ${refund.id} made but credit clawback failed: ${result.error}`);
+    } else {
+      clawback = {
+        credits,
+        balanceBefore: result.entry.balance_before,
+        balanceAfter: Number(result.entry.balance_after),
+        ledgerEntryId: result.entry.id,
+      };
+    }
+  }
+
+  return {
+    refund: { id: refund.id, amount: refund.amount, status: refund.status, reason: refund.reason },
+    charge: { id: charge.id, amount: charge.amount, currency: charge.currency, amountRefunded: charge.amount_refunded + refundAmount },
+    clawback,
+    clawbackError,
+  };
+}
+
+export default {
+  getBillingCustomer, listInvoices, listCharges, getInvoicePdf, resendReceipt, validateRefund, refundCharge, REFUND_REASONS,
+};
@@ -0,0 +1,160 @@
+/**
+ * Customer Data Export (GDPR subject-access requests)
+ *
+ * Gathers everything we hold about one organisation into a ZIP for the
+ * customer:
+ *   - organisation.json: the organisation row
+ *   - account.json: the owner's login account (null if there isn't one)
+ *   - <file>.json for every EXPORT_TABLES entry, always written (an empty
+ *     array when there's nothing), plus <file>.csv only when it has rows
+ *   - manifest.json: every other file in the ZIP with its row count
+ *
+ * Credentials never leave: columns that look like passwords, secrets, tokens
+ * or hashes are blanked, and purchase_pins isn't exported at all.
+ */
+
+import AdmZip from 'adm-zip';
+import { supabase } from './supabase.js';
+import { csvCell } from './csv.js';
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const PAGE_SIZE = 1000;
+
+// Column names that hold credentials rather than customer data
+const REDACTED_COLUMNS = /(password|secret|token|hash|api_key)/i;
+
+const REDACTED = '[redacted]';
+
+/**
+ * Tables exported per organisation. `scope` narrows the query to the
+ * organisation; `orderBy` (default created_at) keeps the files chronological.
+ */
+const EXPORT_TABLES = [
+  { file: 'credit-ledger', table: 'credit_ledger', scope: (q, org) => q.eq('organisation_id', org.id) },
+  { file: 'credit-purchases', table: 'credit_purchases', scope: (q, org) => q.eq('organisation_id', org.id) },
+  { file: 'credit-usage', table: 'credit_usage', orderBy: 'session_start', scope: (q, org) => q.eq('organisation_id', org.id) },
+  { file: 'streaming-sessions', table: 'streaming_sessions', orderBy: 'started_at', scope: (q, org) => q.eq('organisation_id', org.id) },
+  { file: 'translation-usage', table: 'translation_usage', scope: (q, org) => q.eq('organisation_id', org.id) },
+  { file: 'emails', table: 'email_log', orderBy: 'sent_at', scope: (q, org) => q.eq('organisation_id', org.id) },
+  // Broadcasts went to everyone and say nothing about this customer
+  { file: 'notifications', table: 'notifications', scope: (q, org) => q.eq('organisation_id', org.id) },
+  { file: 'support-requests', table: 'support_requests', scope: (q, org) => q.eq('organisation_id', org.id) },
+  {
+    file: 'support-notes', table: 'support_notes',
+    scope: (q, org, found) => q.in('request_id', (found['support-requests'] || []).map(r => r.id)),
+    skip: found => !(found['support-requests'] || []).length,
+  },
+  { file: 'referral-codes', table: 'referral_codes', scope: (q, org) => q.eq('organisation_id', org.id) },
+  {
+    file: 'referrals', table: 'referral_tracking',
+    scope: (q, org) => q.or(`referrer_organisation_id.eq.${org.id},referred_organisation_id.eq.${org.id}`),
+  },
+  { file: 'enterprise-users', table: 'enterprise_users', scope: (q, org) => q.eq('organisation_id', org.id) },
+];
+
+/**
+ * Blank credential-like columns in a row (recursing into nested objects)
+ */
+export function redactRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return row;
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => {
+    if (REDACTED_COLUMNS.test(key)) return [key, value === null || value === undefined ? value : REDACTED];
+    return [key, value && typeof value === 'object' && !Array.isArray(value) ? redactRow(value) : value];
+  }));
+}
+
+/**
+ * Rows as CSV, with a header of every column that appears in any row
+ */
+export function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(col => csvCell(row[col])).join(','));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'; // BOM so Excel reads UTF-8 correctly
+}
+
+async function fetchAll(spec, org, found) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const query = spec.scope(supabase.from(spec.table).select('*'), org, found)
+      .order(spec.orderBy || 'created_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    const { data, error } = await query;
+    if (error) throw new Error(`${spec.table}: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function getAccount(org) {
+  if (!org.user_id) return null;
+  const { data, error } = await supabase.auth.admin.getUserById(org.user_id);
+  if (error || !data?.user) return null;
+  const user = data.user;
+  return {
+    id: user.id,
+    email: user.email,
+    phone: user.phone || null,
+    created_at: user.created_at,
+    email_confirmed_at: user.email_confirmed_at || null,
+    last_sign_in_at: user.last_sign_in_at || null,
+    user_metadata: user.user_metadata || {},
+  };
+}
+
+/**
+ * Build the subject-access export for an organisation
+ * @returns {Promise<{ org, zip: Buffer, filename, files: Array<{ name, rows }> } | { error, status }>}
+ */
+export async function buildDataExport(organisationId, { requestedBy } = {}) {
+  const { data: org, error: orgError } = await supabase
+    .from('organisations')
+    .select('*')
+    .eq('id', organisationId)
+    .single();
+
+  if (orgError && orgError.code !== 'PGRST116') throw orgError;
+  if (!org) return { error: 'Customer not found', status: 404 };
+
+  const zip = new AdmZip();
+  const files = [];
+  const generatedAt = new Date().toISOString();
+
+  zip.addFile('organisation.json', Buffer.from(JSON.stringify(redactRow(org), null, 2)));
+  files.push({ name: 'organisation.json', rows: 1 });
+
+  const account = await getAccount(org);
+  zip.addFile('account.json', Buffer.from(JSON.stringify(account, null, 2)));
+  files.push({ name: 'account.json', rows: account ? 1 : 0 });
+
+  const found = {};
+  for (const spec of EXPORT_TABLES) {
+    const rows = spec.skip?.(found) ? [] : (await fetchAll(spec, org, found)).map(redactRow);
+    found[spec.file] = rows;
+
+    zip.addFile(`${spec.file}.json`, Buffer.from(JSON.stringify(rows, null, 2)));
+    files.push({ name: `${spec.file}.json`, rows: rows.length });
+    if (rows.length > 0) {
+      zip.addFile(`${spec.file}.csv`, Buffer.from(toCsv(rows)));
+      files.push({ name: `${spec.file}.csv`, rows: rows.length });
+    }
+  }
+
+  const manifest = {
+    organisation: { id: org.id, name: org.name },
+    generatedAt,
+    generatedBy: requestedBy || null,
+    note: 'Credential fields (passwords, secrets, tokens and hashes) are redacted.',
+    files,
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  const slug = String(org.name || org.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || org.id;
+  const filename = `openword-data-export-${slug}-${generatedAt.split('T')[0]}.zip`;
+
+  return { org, zip: zip.toBuffer(), filename, files };
+}
+
+export default { buildDataExport, redactRow, toCsv };
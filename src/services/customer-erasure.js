@@ -0,0 +1,416 @@
+/**
+ * Customer Erasure (GDPR right to erasure)
+ *
+ * Erasing an organisation:
+ *   1. cancels its Stripe subscription immediately (nothing else changes if
+ *      this fails)
+ *   2. deletes the Supabase auth users - the owner and every enterprise user -
+ *      and the enterprise_users rows
+ *   3. anonymises personal fields on the organisation, its email_log,
+ *      support_requests (and their support_notes) and referral_tracking rows
+ *   4. clears the before/after snapshots and details of its admin_audit_log
+ *      entries, and the request bodies of its admin_approval_requests. Who did
+ *      what and when (action, admin, route, Stripe IDs) is kept for accountability
+ *   5. archives the organisation and records an erasure certificate
+ *
+ * Aggregate usage and money records (credit_ledger, credit_purchases,
+ * credit_usage, streaming_sessions, translation_usage) stay, keyed only by the
+ * organisation ID, so accounting totals still add up. Stripe invoices are
+ * kept by Stripe as accounting records.
+ *
+ * Steps are safe to re-run: erased_at is only set once everything else has
+ * succeeded, so a failed erasure can simply be started again. The subject
+ * hashes for the certificate are saved on the organisation before anything is
+ * anonymised and reused on a re-run, when the emails they came from are gone.
+ *
+ * Certificates are tamper-evident: each one's certificate_hash is the SHA-256
+ * of the previous certificate's hash and its own content, so editing or
+ * deleting any certificate breaks the chain from that point on (see
+ * verifyCertificates). The people erased appear only as SHA-256 hashes of
+ * their email addresses, enough to answer "was this person erased?" later.
+ *
+ * erasure_certificates columns:
+ *   id, created_at, organisation_id, erased_by, reason, content (jsonb),
+ *   previous_hash (unique), certificate_hash
+ *
+ * organisations columns:
+ *   erased_at, erased_by, erasure_certificate_id,
+ *   erasure_started_at, erasure_subject_hashes (jsonb; set when erasure starts)
+ */
+
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+import stripe from './stripe.js';
+
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'unpaid'];
+
+// previous_hash of the first certificate in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+const ERASED_TEXT = '[erased]';
+
+// Personal fields cleared on the organisation (name is replaced separately)
+const ORG_PERSONAL_FIELDS = [
+  'contact_name', 'contact_email', 'contact_phone', 'address_line1', 'address_line2', 'city', 'postcode',
+  'charity_number', 'charity_review_reason', 'charity_review_notes',
+  'discount_review_reason', 'discount_reason', 'pause_reason',
+];
+
+// Tables left in place for accounting, listed on the certificate
+const RETAINED_TABLES = ['credit_ledger', 'credit_purchases', 'credit_usage', 'streaming_sessions', 'translation_usage'];
+
+const VERIFY_PAGE_SIZE = 1000;
+
+// Key order independent, so the hash survives a round trip through jsonb
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Hash linking a certificate to the one before it
+ */
+export function certificateHash(previousHash, content) {
+  return sha256(`${previousHash}\n${stableStringify(content)}`);
+}
+
+function hashEmail(email) {
+  return sha256(String(email).trim().toLowerCase());
+}
+
+function erasedName(org) {
+  return `Erased organisation ${org.id.slice(0, 8)}`;
+}
+
+async function getAuthEmail(userId) {
+  if (!userId) return null;
+  const { data } = await supabase.auth.admin.getUserById(userId);
+  return data?.user?.email || null;
+}
+
+async function loadErasureTarget(organisationId) {
+  const { data: org, error } = await supabase
+    .from('organisations')
+    .select('*')
+    .eq('id', organisationId)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!org) return {};
+
+  const { data: enterpriseUsers, error: euError } = await supabase
+    .from('enterprise_users')
+    .select('id, auth_user_id, email')
+    .eq('organisation_id', organisationId);
+  if (euError) throw euError;
+
+  return { org, enterpriseUsers: enterpriseUsers || [] };
+}
+
+async function countRows(table, scope) {
+  const { count, error } = await scope(supabase.from(table).select('*', { count: 'exact', head: true }));
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * What erasing an organisation would do
+ * @returns {Promise<{ organisation, blockers, warnings, counts } | { error, status }>}
+ */
+export async function previewErasure(organisationId) {
+  const { org, enterpriseUsers } = await loadErasureTarget(organisationId);
+  if (!org) return { error: 'Customer not found', status: 404 };
+
+  const blockers = [];
+  const warnings = [];
+
+  if (org.erased_at) blockers.push(`Already erased on ${new Date(org.erased_at).toLocaleDateString('en-GB')}`);
+
+  if (org.stripe_subscription_id && LIVE_SUBSCRIPTION_STATUSES.includes(org.subscription_status)) {
+    warnings.push(`The Stripe subscription (${org.subscription_status}) will be cancelled immediately, without proration`);
+  }
+
+  const { data: balance, error: balanceError } = await supabase
+    .from('credit_balances')
+    .select('current_balance')
+    .eq('organisation_id', organisationId)
+    .maybeSingle();
+  if (balanceError) throw balanceError;
+  const creditBalance = parseFloat(balance?.current_balance) || 0;
+  if (creditBalance > 0) warnings.push(`${creditBalance} unused credits will be forfeited`);
+
+  const supportRequests = await countRows('support_requests', q => q.eq('organisation_id', organisationId));
+
+  return {
+    organisation: { id: org.id, name: org.name, isEnterprise: !!org.is_enterprise, erasedAt: org.erased_at || null },
+    blockers,
+    warnings,
+    counts: {
+      authUsers: (org.user_id ? 1 : 0) + enterpriseUsers.filter(u => u.auth_user_id && u.auth_user_id !== org.user_id).length,
+      enterpriseUsers: enterpriseUsers.length,
+      emails: await countRows('email_log', q => q.eq('organisation_id', organisationId)),
+      supportRequests,
+      referrals: await countRows('referral_tracking', q => q.eq('referred_organisation_id', organisationId)),
+      auditEntries: await countRows('admin_audit_log', q => q.eq('organisation_id', organisationId)),
+      approvalRequests: await countRows('admin_approval_requests', q => q.eq('organisation_id', organisationId)),
+    },
+    retained: RETAINED_TABLES,
+  };
+}
+
+async function cancelSubscription(org) {
+  if (!org.stripe_subscription_id || !LIVE_SUBSCRIPTION_STATUSES.includes(org.subscription_status)) {
+    return { cancelled: false, subscriptionId: org.stripe_subscription_id || null };
+  }
+  let subscription;
+  try {
+    subscription = await stripe.subscriptions.retrieve(org.stripe_subscription_id);
+  } catch (err) {
+    if (err.code === 'resource_missing') return { cancelled: false, subscriptionId: org.stripe_subscription_id, missing: true };
+    throw err;
+  }
+
+  // Cancelled by an earlier run that failed further on, or in Stripe but not
+  // yet synced here; cancelling again would be rejected
+  const cancelled = subscription.status !== 'canceled';
+  if (cancelled) subscription = await stripe.subscriptions.cancel(subscription.id);
+
+  const { error } = await supabase
+    .from('organisations')
+    .update({ subscription_status: subscription.status })
+    .eq('id', org.id);
+  if (error) throw new Error(`organisations: ${error.message}`);
+
+  return { cancelled, subscriptionId: subscription.id, status: subscription.status };
+}
+
+async function deleteAuthUser(userId) {
+  const { error } = await supabase.auth.admin.deleteUser(userId);
+  if (error && error.status !== 404) throw new Error(`Failed to delete auth user ${userId}: ${error.message}`);
+  return !error;
+}
+
+async function anonymise(table, scope, values) {
+  const { data, error } = await scope(supabase.from(table).update(values)).select('id');
+  if (error) throw new Error(`${table}: ${error.message}`);
+  return (data || []).map(r => r.id);
+}
+
+// Hashes of everyone being erased, saved before anything is anonymised so a
+// re-run after a partial failure certifies the same people
+async function getSubjectHashes(org, enterpriseUsers) {
+  if (Array.isArray(org.erasure_subject_hashes)) return org.erasure_subject_hashes;
+
+  // Emails are gathered before the auth users that hold them are deleted
+  const emails = [
+    await getAuthEmail(org.user_id),
+    org.contact_email,
+    ...enterpriseUsers.map(u => u.email),
+  ].filter(Boolean);
+  const subjectHashes = [...new Set(emails.map(hashEmail))].sort();
+
+  const { error } = await supabase
+    .from('organisations')
+    .update({ erasure_subject_hashes: subjectHashes, erasure_started_at: new Date().toISOString() })
+    .eq('id', org.id);
+  if (error) throw new Error(`organisations: ${error.message}`);
+  return subjectHashes;
+}
+
+async function getLatestCertificateHash() {
+  const { data, error } = await supabase
+    .from('erasure_certificates')
+    .select('certificate_hash')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.certificate_hash || GENESIS_HASH;
+}
+
+async function insertCertificate(content, { organisationId, erasedBy, reason }) {
+  // previous_hash is unique, so a concurrent erasure that chained onto the
+  // same certificate fails here and retries on top of it
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const previousHash = await getLatestCertificateHash();
+    const { data, error } = await supabase
+      .from('erasure_certificates')
+      .insert({
+        organisation_id: organisationId,
+        erased_by: erasedBy,
+        reason,
+        content,
+        previous_hash: previousHash,
+        certificate_hash: certificateHash(previousHash, content),
+      })
+      .select()
+      .single();
+    if (!error) return data;
+    if (error.code !== '23505') throw error;
+  }
+  throw new Error('Could not chain the erasure certificate; try again');
+}
+
+/**
+ * Erase an organisation's personal data and record a certificate
+ * @param {object} options - { reason, erasedBy }
+ * @returns {Promise<{ certificate, organisationName, steps } | { error, status, steps? }>}
+ */
+export async function eraseOrganisation(organisationId, { reason, erasedBy }) {
+  const { org, enterpriseUsers } = await loadErasureTarget(organisationId);
+  if (!org) return { error: 'Customer not found', status: 404 };
+  if (org.erased_at) return { error: 'This organisation has already been erased', status: 409 };
+
+  const steps = {};
+  const anonymisedName = erasedName(org);
+
+  try {
+    const subjectHashes = await getSubjectHashes(org, enterpriseUsers);
+
+    steps.stripe = await cancelSubscription(org);
+
+    const authUserIds = [...new Set([org.user_id, ...enterpriseUsers.map(u => u.auth_user_id)].filter(Boolean))];
+    steps.authUsersDeleted = 0;
+    for (const userId of authUserIds) {
+      if (await deleteAuthUser(userId)) steps.authUsersDeleted++;
+    }
+
+    if (enterpriseUsers.length > 0) {
+      const { error } = await supabase.from('enterprise_users').delete().eq('organisation_id', org.id);
+      if (error) throw new Error(`enterprise_users: ${error.message}`);
+    }
+    steps.enterpriseUsersDeleted = enterpriseUsers.length;
+
+    steps.emailsAnonymised = (await anonymise('email_log', q => q.eq('organisation_id', org.id), {
+      recipient_email: ERASED_TEXT,
+      recipient_name: null,
+      body_preview: null,
+    })).length;
+
+    const supportRequestIds = await anonymise('support_requests', q => q.eq('organisation_id', org.id), {
+      organisation_name: anonymisedName,
+      contact_name: null,
+      contact_email: null,
+      subject: ERASED_TEXT,
+      message: ERASED_TEXT,
+    });
+    steps.supportRequestsAnonymised = supportRequestIds.length;
+    steps.supportNotesAnonymised = supportRequestIds.length
+      ? (await anonymise('support_notes', q => q.in('request_id', supportRequestIds), { note: ERASED_TEXT })).length
+      : 0;
+
+    steps.referralsAnonymised = (await anonymise('referral_tracking', q => q.eq('referred_organisation_id', org.id), {
+      referred_organisation_name: anonymisedName,
+    })).length;
+
+    steps.auditEntriesScrubbed = (await anonymise('admin_audit_log', q => q.eq('organisation_id', org.id), {
+      organisation_name: anonymisedName,
+      before: null,
+      after: null,
+      details: null,
+    })).length;
+
+    steps.approvalRequestsScrubbed = (await anonymise('admin_approval_requests', q => q.eq('organisation_id', org.id), {
+      summary: ERASED_TEXT,
+      body: {},
+      decision_note: null,
+    })).length;
+
+    const now = new Date().toISOString();
+    const { error: orgError } = await supabase
+      .from('organisations')
+      .update({
+        ...Object.fromEntries(ORG_PERSONAL_FIELDS.map(f => [f, null])),
+        name: anonymisedName,
+        user_id: null,
+        custom_fields: {},
+        email_opt_out: true,
+        is_paused: true,
+        paused_at: org.paused_at || now,
+        archived_at: org.archived_at || now,
+      })
+      .eq('id', org.id);
+    if (orgError) throw new Error(`organisations: ${orgError.message}`);
+    steps.organisationAnonymised = true;
+
+    const content = {
+      organisation_id: org.id,
+      erased_at: now,
+      erased_by: erasedBy,
+      reason,
+      subject_hashes: subjectHashes,
+      steps,
+      retained: RETAINED_TABLES,
+    };
+    const certificate = await insertCertificate(content, { organisationId: org.id, erasedBy, reason });
+
+    const { error: stampError } = await supabase
+      .from('organisations')
+      .update({ erased_at: now, erased_by: erasedBy, erasure_certificate_id: certificate.id })
+      .eq('id', org.id);
+    if (stampError) throw new Error(`organisations: ${stampError.message}`);
+
+    console.log(`🧹 Erased organisation ${org.id} for ${erasedBy} (certificate ${certificate.id})`);
+
+    return { certificate, organisationName: anonymisedName, steps };
+  } catch (err) {
+    console.error(`❌ Erasure of ${org.id} stopped part-way:`, err.message);
+    return { error: `Erasure stopped part-way (${err.message}). It is safe to run again.`, status: 500, steps };
+  }
+}
+
+/**
+ * Erasure certificates, newest first, optionally for one organisation
+ */
+export async function listCertificates({ organisationId, limit = 50 } = {}) {
+  let query = supabase
+    .from('erasure_certificates')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (organisationId) query = query.eq('organisation_id', organisationId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Walk the certificate chain oldest first and check every link
+ * @returns {Promise<{ valid, checked, brokenAt?, problem? }>}
+ */
+export async function verifyCertificates() {
+  let previousHash = GENESIS_HASH;
+  let checked = 0;
+
+  for (let from = 0; ; from += VERIFY_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('erasure_certificates')
+      .select('id, created_at, content, previous_hash, certificate_hash')
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + VERIFY_PAGE_SIZE - 1);
+    if (error) throw error;
+
+    for (const cert of data || []) {
+      if (cert.previous_hash !== previousHash) {
+        return { valid: false, checked, brokenAt: cert.id, problem: 'Does not follow the previous certificate (one was removed or reordered)' };
+      }
+      if (certificateHash(cert.previous_hash, cert.content) !== cert.certificate_hash) {
+        return { valid: false, checked, brokenAt: cert.id, problem: 'Content does not match its hash (the certificate was edited)' };
+      }
+      previousHash = cert.certificate_hash;
+      checked++;
+    }
+
+    if (!data || data.length < VERIFY_PAGE_SIZE) return { valid: true, checked };
+  }
+}
+
+export default { previewErasure, eraseOrganisation, listCertificates, verifyCertificates, certificateHash };
@@ -0,0 +1,494 @@
+/**
+ * Duplicate Organisations and Merging
+ *
+ * Customers occasionally sign up twice. findDuplicates() pairs up organisations
+ * that look like the same customer:
+ *   - the same contact/login email, or the same charity number
+ *   - the same email domain (ignoring free providers like gmail.com)
+ *   - similar names (bigram similarity of the normalised names)
+ *
+ * mergeOrganisations() moves the duplicate's (source's) records into the
+ * surviving organisation (target) and archives the duplicate:
+ *   - credit balance: a 'transfer' ledger entry out of the source and into the target
+ *   - streaming sessions, translation usage, support requests (notes follow
+ *     their request) and referral records
+ *   - the source is paused and stamped archived_at / merged_into_organisation_id,
+ *     so it drops out of the customer list
+ *
+ * Credit purchases and credit usage stay with the archived source: the balance
+ * they add up to moves through the ledger, and moving the rows too would count
+ * them twice in the target's reconciliation (and leave the source's short).
+ *
+ * The moves are separate updates, not one transaction; if one fails the merge
+ * stops and the error says what had already moved.
+ *
+ * organisations columns:
+ *   archived_at, merged_into_organisation_id
+ */
+
+import { supabase } from './supabase.js';
+import { enrichCustomers } from './customer-query.js';
+import { postLedgerEntry, reverseLedgerEntry } from './credit-ledger.js';
+
+// Consumer mailbox providers: a shared domain says nothing about the organisation
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com',
+  'live.co.uk', 'msn.com', 'yahoo.com', 'yahoo.co.uk', 'icloud.com', 'me.com', 'aol.com',
+  'btinternet.com', 'sky.com', 'virginmedia.com', 'talktalk.net', 'protonmail.com', 'proton.me',
+]);
+
+// Words too common in organisation names to suggest a match on their own
+const NAME_STOPWORDS = new Set([
+  'the', 'of', 'and', 'ltd', 'limited', 'cic', 'inc', 'uk', 'charity', 'trust', 'church', 'parish',
+]);
+
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+// Emails, domains or name words shared by more organisations than this are too
+// common to mean a duplicate (and would make the pairing quadratic)
+const MAX_GROUP_SIZE = 50;
+
+// Minimum score for a pair to be reported
+const MIN_DUPLICATE_SCORE = 30;
+
+const SCORES = { sameEmail: 50, sameCharityNumber: 50, sameDomain: 25, name: 40 };
+
+const FETCH_PAGE_SIZE = 1000;
+
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'unpaid'];
+
+/**
+ * Records moved by a merge.
+ *   exclude - skip rows whose other side is the target (a referral between the two)
+ *   onePerOrg - only moved when the target has none of its own
+ *   extra - other columns to set on moved rows
+ */
+export const MERGE_TABLES = [
+  { key: 'streaming_sessions', table: 'streaming_sessions', column: 'organisation_id', label: 'Streaming sessions' },
+  { key: 'translation_usage', table: 'translation_usage', column: 'organisation_id', label: 'Translation usage records' },
+  { key: 'support_requests', table: 'support_requests', column: 'organisation_id', label: 'Support requests' },
+  {
+    key: 'referrals_made', table: 'referral_tracking', column: 'referrer_organisation_id',
+    exclude: 'referred_organisation_id', label: 'Referrals made',
+  },
+  {
+    key: 'referred_by', table: 'referral_tracking', column: 'referred_organisation_id',
+    exclude: 'referrer_organisation_id', onePerOrg: true, label: 'Referred-by record',
+    extra: target => ({ referred_organisation_name: target.name }),
+  },
+];
+
+function normaliseName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function nameTokens(normalised) {
+  return [...new Set(normalised.split(' ').filter(t => t.length >= 3 && !NAME_STOPWORDS.has(t)))];
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient of two strings' character bigrams (0-1)
+ */
+export function nameSimilarity(a, b) {
+  const na = normaliseName(a);
+  const nb = normaliseName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ga = bigrams(na);
+  const gb = bigrams(nb);
+  let overlap = 0;
+  let total = 0;
+  ga.forEach((count, gram) => {
+    overlap += Math.min(count, gb.get(gram) || 0);
+    total += count;
+  });
+  gb.forEach(count => { total += count; });
+  return total ? (2 * overlap) / total : 0;
+}
+
+function normaliseCharityNumber(value) {
+  return String(value || '').toUpperCase().replace(/\s+/g, '');
+}
+
+function emailDomain(email) {
+  const domain = String(email || '').toLowerCase().split('@')[1];
+  return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+}
+
+function orgSummary(customer) {
+  return {
+    id: customer.id,
+    name: customer.name,
+    email: customer.email,
+    charityNumber: customer.charity_number || null,
+    subscriptionTier: customer.subscription_tier,
+    subscriptionStatus: customer.subscription_status,
+    creditBalance: customer.credit_balance,
+    lastActive: customer.last_login,
+    createdAt: customer.created_at,
+  };
+}
+
+function hasLiveSubscription(org) {
+  return !!org.stripe_subscription_id
+    && LIVE_SUBSCRIPTION_STATUSES.includes(org.subscription_status)
+    && !org.subscription_cancelled_at;
+}
+
+// The organisation to keep: the one paying, then the one used most recently, then the older one
+function suggestTarget(a, b) {
+  const rank = org => [
+    hasLiveSubscription(org) ? 1 : 0,
+    org.last_login ? new Date(org.last_login).getTime() : 0,
+    -new Date(org.created_at || 0).getTime(),
+  ];
+  const ra = rank(a);
+  const rb = rank(b);
+  for (let i = 0; i < ra.length; i++) {
+    if (ra[i] !== rb[i]) return ra[i] > rb[i] ? a.id : b.id;
+  }
+  return a.id;
+}
+
+function groupBy(customers, keyFn) {
+  const groups = new Map();
+  for (const customer of customers) {
+    for (const key of [].concat(keyFn(customer) || [])) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(customer);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Score every pair of customers that share an email, charity number, email
+ * domain or similar name
+ * @param {Array} customers - enriched customer rows
+ * @returns {object[]} pairs scoring at least MIN_DUPLICATE_SCORE, highest first
+ */
+export function scoreDuplicates(customers) {
+  const byId = new Map(customers.map(c => [c.id, c]));
+  const pairs = new Map();
+
+  function addSignal(a, b, reason, score) {
+    if (a.id === b.id) return;
+    const [first, second] = a.id < b.id ? [a, b] : [b, a];
+    const key = `${first.id}|${second.id}`;
+    const pair = pairs.get(key) || { a: first, b: second, reasons: [], score: 0 };
+    if (pair.reasons.includes(reason)) return;
+    pair.reasons.push(reason);
+    pair.score += score;
+    pairs.set(key, pair);
+  }
+
+  function eachPair(groups, fn) {
+    groups.forEach((group, key) => {
+      if (group.length < 2 || group.length > MAX_GROUP_SIZE) return;
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) fn(group[i], group[j], key);
+      }
+    });
+  }
+
+  const emails = c => [...new Set([c.email, c.contact_email].filter(Boolean).map(e => e.toLowerCase()))];
+  eachPair(groupBy(customers, emails), (a, b) => addSignal(a, b, 'Same email address', SCORES.sameEmail));
+
+  eachPair(
+    groupBy(customers, c => normaliseCharityNumber(c.charity_number) || null),
+    (a, b) => addSignal(a, b, 'Same charity number', SCORES.sameCharityNumber)
+  );
+
+  eachPair(
+    groupBy(customers, c => [...new Set(emails(c).map(emailDomain).filter(Boolean))]),
+    (a, b, domain) => addSignal(a, b, `Same email domain (${domain})`, SCORES.sameDomain)
+  );
+
+  // Only compare names that share an uncommon word
+  const compared = new Set();
+  eachPair(groupBy(customers, c => nameTokens(normaliseName(c.name))), (a, b) => {
+    const key = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+    if (compared.has(key)) return;
+    compared.add(key);
+    const similarity = nameSimilarity(a.name, b.name);
+    if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+      addSignal(a, b, `Similar names (${Math.round(similarity * 100)}%)`, Math.round(SCORES.name * similarity));
+    }
+  });
+
+  return [...pairs.values()]
+    .filter(pair => pair.score >= MIN_DUPLICATE_SCORE)
+    .map(pair => {
+      const score = Math.min(pair.score, 100);
+      return {
+        score,
+        confidence: score >= 70 ? 'high' : score >= 45 ? 'medium' : 'low',
+        reasons: pair.reasons,
+        organisations: [orgSummary(byId.get(pair.a.id)), orgSummary(byId.get(pair.b.id))],
+        suggestedTargetId: suggestTarget(pair.a, pair.b),
+      };
+    })
+    .sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Find likely duplicate organisations among those not archived
+ * @returns {Promise<{ checked: number, total: number, pairs: object[] }>}
+ *   pairs highest score first, at most `limit` of them
+ */
+export async function findDuplicates({ limit = 200 } = {}) {
+  const organisations = [];
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('organisations')
+      .select('*')
+      .is('archived_at', null)
+      .order('id', { ascending: true })
+      .range(from, from + FETCH_PAGE_SIZE - 1);
+    if (error) throw error;
+    organisations.push(...(data || []));
+    if (!data || data.length < FETCH_PAGE_SIZE) break;
+  }
+
+  const results = scoreDuplicates(await enrichCustomers(organisations));
+  return { checked: organisations.length, total: results.length, pairs: results.slice(0, limit) };
+}
+
+async function getOrganisation(id) {
+  const { data, error } = await supabase
+    .from('organisations')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function getBalance(organisationId) {
+  const { data, error } = await supabase
+    .from('credit_balances')
+    .select('current_balance')
+    .eq('organisation_id', organisationId)
+    .maybeSingle();
+  if (error) throw error;
+  return parseFloat(data?.current_balance) || 0;
+}
+
+function scopeRows(query, move, sourceId, targetId) {
+  query = query.eq(move.column, sourceId);
+  if (move.exclude) query = query.or(`${move.exclude}.is.null,${move.exclude}.neq.${targetId}`);
+  return query;
+}
+
+async function countRows(table, column, organisationId) {
+  const { count, error } = await supabase
+    .from(table)
+    .select('*', { count: 'exact', head: true })
+    .eq(column, organisationId);
+  if (error) throw error;
+  return count || 0;
+}
+
+async function getReferralCodes(sourceId, targetId) {
+  const { data, error } = await supabase
+    .from('referral_codes')
+    .select('id, organisation_id, code, is_active')
+    .in('organisation_id', [sourceId, targetId]);
+  if (error) throw error;
+  return {
+    source: (data || []).find(c => c.organisation_id === sourceId) || null,
+    target: (data || []).find(c => c.organisation_id === targetId) || null,
+  };
+}
+
+/**
+ * What merging source into target would move, and anything that stops it
+ * @returns {Promise<{ source, target, blockers, warnings, moves, credits, referralCode }>}
+ */
+export async function previewMerge(sourceId, targetId) {
+  const [source, target] = await Promise.all([getOrganisation(sourceId), getOrganisation(targetId)]);
+  const blockers = [];
+  const warnings = [];
+
+  if (!source || !target) {
+    return { blockers: ['Organisation not found'], warnings, moves: [], source, target };
+  }
+  if (source.id === target.id) blockers.push('Choose two different organisations');
+  if (source.archived_at) blockers.push(`${source.name} has already been merged or archived`);
+  if (target.archived_at) blockers.push(`${target.name} has been merged or archived and can't receive records`);
+  if (hasLiveSubscription(source)) {
+    blockers.push(`${source.name} has a live Stripe subscription (${source.subscription_status}) - cancel it before merging`);
+  }
+
+  const moves = [];
+  for (const move of MERGE_TABLES) {
+    const { count, error } = await scopeRows(
+      supabase.from(move.table).select('*', { count: 'exact', head: true }),
+      move, source.id, target.id
+    );
+    if (error) throw error;
+
+    let skipped = false;
+    if (move.onePerOrg && count > 0 && await countRows(move.table, move.column, target.id) > 0) {
+      skipped = true;
+      warnings.push(`${target.name} already has a ${move.label.toLowerCase()}, so ${source.name}'s stays with the archived organisation`);
+    }
+    moves.push({ key: move.key, label: move.label, count: count || 0, skipped });
+  }
+
+  const [sourceBalance, targetBalance, referralCodes, enterpriseUsers] = await Promise.all([
+    getBalance(source.id),
+    getBalance(target.id),
+    getReferralCodes(source.id, target.id),
+    countRows('enterprise_users', 'organisation_id', source.id),
+  ]);
+
+  if (sourceBalance < 0) warnings.push(`${source.name} has a negative balance (${sourceBalance}); it stays with the archived organisation`);
+
+  let referralCode = null;
+  if (referralCodes.source) {
+    referralCode = referralCodes.target
+      ? { code: referralCodes.source.code, action: 'deactivate' }
+      : { code: referralCodes.source.code, action: 'move' };
+    if (referralCodes.target) {
+      warnings.push(`${target.name} keeps its own referral code; ${source.name}'s code ${referralCodes.source.code} will be deactivated`);
+    }
+  }
+
+  if (enterpriseUsers > 0) {
+    warnings.push(`${enterpriseUsers} enterprise user(s) stay linked to the archived organisation`);
+  }
+  if (source.user_id) {
+    warnings.push(`${source.name}'s login stays linked to the archived organisation, which will be paused`);
+  }
+
+  return {
+    source: { id: source.id, name: source.name, createdAt: source.created_at, subscriptionTier: source.subscription_tier },
+    target: { id: target.id, name: target.name, createdAt: target.created_at, subscriptionTier: target.subscription_tier },
+    blockers,
+    warnings,
+    moves,
+    credits: {
+      sourceBalance,
+      targetBalance,
+      transfer: sourceBalance > 0 ? sourceBalance : 0,
+      targetBalanceAfter: targetBalance + (sourceBalance > 0 ? sourceBalance : 0),
+    },
+    referralCode,
+  };
+}
+
+async function transferCredits(source, target, credits, { reason, mergedBy }) {
+  const out = await postLedgerEntry({
+    organisationId: source.id,
+    type: 'transfer',
+    credits: -credits,
+    reason: `Merged into ${target.name}${reason ? `: ${reason}` : ''}`,
+    reference: `organisation:${target.id}`,
+    createdBy: mergedBy,
+  });
+  if (out.error) return out;
+
+  const into = await postLedgerEntry({
+    organisationId: target.id,
+    type: 'transfer',
+    credits,
+    reason: `Merged from ${source.name}${reason ? `: ${reason}` : ''}`,
+    reference: `credit_ledger:${out.entry.id}`,
+    createdBy: mergedBy,
+  });
+  if (into.error) {
+    await reverseLedgerEntry(out.entry.id, { reason: 'Merge credit transfer failed', createdBy: mergedBy });
+    return into;
+  }
+
+  return { out: out.entry, into: into.entry };
+}
+
+/**
+ * Merge the source organisation into the target and archive the source
+ * @param {object} options - { reason, mergedBy }
+ * @returns {Promise<{ error?: string, preview: object, moved?: object, ledgerEntryIds?: object }>}
+ */
+export async function mergeOrganisations(sourceId, targetId, { reason, mergedBy } = {}) {
+  const preview = await previewMerge(sourceId, targetId);
+  if (preview.blockers.length > 0) return { error: preview.blockers[0], preview };
+
+  const source = await getOrganisation(sourceId);
+  const target = await getOrganisation(targetId);
+  const moved = {};
+  let ledgerEntryIds = null;
+
+  try {
+    if (preview.credits.transfer > 0) {
+      const transfer = await transferCredits(source, target, preview.credits.transfer, { reason, mergedBy });
+      if (transfer.error) return { error: `Credit transfer failed: ${transfer.error}`, preview };
+      ledgerEntryIds = { out: transfer.out.id, in: transfer.into.id };
+      moved.credits = preview.credits.transfer;
+    }
+
+    for (const move of MERGE_TABLES) {
+      if (preview.moves.find(m => m.key === move.key)?.skipped) continue;
+      const { count, error } = await scopeRows(
+        supabase.from(move.table).update({ [move.column]: target.id, ...(move.extra ? move.extra(target) : {}) }, { count: 'exact' }),
+        move, source.id, target.id
+      );
+      if (error) throw error;
+      moved[move.key] = count || 0;
+    }
+
+    if (preview.referralCode) {
+      const { error } = await supabase
+        .from('referral_codes')
+        .update(preview.referralCode.action === 'move' ? { organisation_id: target.id } : { is_active: false })
+        .eq('organisation_id', source.id);
+      if (error) throw error;
+      moved.referral_code = preview.referralCode.action;
+    }
+
+    const targetUpdates = {};
+    if (!target.referred_by_code && source.referred_by_code) targetUpdates.referred_by_code = source.referred_by_code;
+    if (!target.charity_number && source.charity_number) targetUpdates.charity_number = source.charity_number;
+    if (Object.keys(targetUpdates).length > 0) {
+      const { error } = await supabase.from('organisations').update(targetUpdates).eq('id', target.id);
+      if (error) throw error;
+    }
+
+    const { error: archiveError } = await supabase
+      .from('organisations')
+      .update({
+        archived_at: new Date().toISOString(),
+        merged_into_organisation_id: target.id,
+        is_paused: true,
+        paused_at: new Date().toISOString(),
+        pause_reason: `Merged into ${target.name}`,
+        pause_category: 'other',
+        pause_resume_at: null,
+      })
+      .eq('id', source.id);
+    if (archiveError) throw archiveError;
+  } catch (error) {
+    error.message = `${error.message} (already moved: ${JSON.stringify(moved)})`;
+    throw error;
+  }
+
+  console.log(`🔀 Merged ${source.name} (${source.id}) into ${target.name} (${target.id}) by ${mergedBy}`);
+  return { preview, moved, ledgerEntryIds };
+}
+
+export default { findDuplicates, scoreDuplicates, previewMerge, mergeOrganisations, nameSimilarity };
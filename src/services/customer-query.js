@@ -0,0 +1,494 @@
+/**
+ * Customer List Queries
+ *
+ * The filter, sort and enrichment pipeline behind GET /api/customers.
+ *
+ * Filters and sorts on organisations columns run in Supabase and page there.
+ * Anything on a derived value (credit balance, last active, MRR, tier rank,
+ * account status) needs every matching customer enriched first, so those
+ * requests load the whole filtered set and sort/page it in memory - the same
+ * set the old `all=true` mode returned.
+ *
+ * List parameters (query string, and what saved views store):
+ *   search, status, plan, charity   - column filters (see applyColumnFilters)
+ *   sort, order                     - a SORT_FIELDS key and 'asc' | 'desc'
+ *   balanceBelow                    - credit balance strictly below this value
+ *   inactiveDays                    - not active (sign-in or stream) for N days
+ *   trialEndingDays                 - trial ends between now and N days from now
+ *   health                          - health band: healthy | watch | at_risk (see health-score.js)
+ *   tags, tagMatch, field[key]      - tags and custom field values (see customer-attributes.js)
+ */
+
+import { supabase } from './supabase.js';
+import { parseAttributeCriteria, applyAttributeFilters, getFieldTypes } from './customer-attributes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supabase returns at most 1000 rows per select, so full sets are read in pages
+const FETCH_PAGE_SIZE = 1000;
+
+// Keeps `.in()` filters well inside URL length limits
+const ID_CHUNK_SIZE = 200;
+
+export const CUSTOMER_LIST_PARAMS = [
+  'search', 'status', 'plan', 'charity', 'sort', 'order',
+  'balanceBelow', 'inactiveDays', 'trialEndingDays', 'tags', 'tagMatch', 'field', 'health',
+];
+
+const HEALTH_FILTERS = ['healthy', 'watch', 'at_risk'];
+
+const TIER_RANK = { free_trial: 0, extended_trial: 1, basic: 2, standard: 3, pro: 4, enterprise: 5 };
+
+const TRIAL_TIERS = ['free_trial', 'extended_trial'];
+
+function toEpoch(date) {
+  return date ? new Date(date).getTime() : null;
+}
+
+/**
+ * Account status as the customers page displays it (paused/cancelling/cancelled
+ * take priority over subscription_status)
+ */
+export function getAccountStatus(customer) {
+  if (customer.archived_at) return 'archived';
+  if (customer.is_paused) return 'paused';
+  if (customer.subscription_cancelled_at) {
+    const expiresAt = toEpoch(customer.tier_expires_at);
+    return expiresAt && expiresAt < Date.now() ? 'cancelled' : 'cancelling';
+  }
+  return (customer.subscription_status || 'unknown').toLowerCase();
+}
+
+/**
+ * Sortable fields. `column` sorts in Supabase; `value` sorts enriched rows in memory.
+ */
+export const SORT_FIELDS = {
+  signup_date: { column: 'created_at' },
+  name: { column: 'name' },
+  organisation_key: { column: 'organisation_key' },
+  discount: { column: 'discount_percent' },
+  payment: { column: 'payment_status' },
+  trial_ends: { column: 'trial_ends_at' },
+  health: { column: 'health_score' },
+  last_active: { value: c => toEpoch(c.last_login) },
+  credit_balance: { value: c => c.credit_balance },
+  mrr: { value: c => c.mrr },
+  tier: { value: c => TIER_RANK[c.subscription_tier] ?? TIER_RANK.basic },
+  account: { value: getAccountStatus },
+};
+
+function parseNonNegative(value, name, { integer = false } = {}) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    return { error: `${name} must be a ${integer ? 'whole ' : ''}number of 0 or more` };
+  }
+  return { value: number };
+}
+
+/**
+ * Validate and normalise list parameters from a query string or saved view
+ * @returns {{ params?: object, error?: string }}
+ */
+export function parseListParams(source = {}) {
+  const params = {
+    search: String(source.search || '').trim(),
+    status: String(source.status || ''),
+    plan: String(source.plan || ''),
+    charity: String(source.charity || ''),
+    health: String(source.health || ''),
+    sort: source.sort ? String(source.sort) : null,
+    order: String(source.order || 'asc').toLowerCase(),
+  };
+
+  if (params.sort && !SORT_FIELDS[params.sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(params.order)) {
+    return { error: "order must be 'asc' or 'desc'" };
+  }
+  if (params.health && !HEALTH_FILTERS.includes(params.health)) {
+    return { error: `health must be one of: ${HEALTH_FILTERS.join(', ')}` };
+  }
+
+  const ranges = [
+    ['balanceBelow', parseNonNegative(source.balanceBelow, 'balanceBelow')],
+    ['inactiveDays', parseNonNegative(source.inactiveDays, 'inactiveDays', { integer: true })],
+    ['trialEndingDays', parseNonNegative(source.trialEndingDays, 'trialEndingDays', { integer: true })],
+  ];
+  for (const [name, parsed] of ranges) {
+    if (parsed.error) return { error: parsed.error };
+    params[name] = parsed.value;
+  }
+
+  const { criteria, error: criteriaError } = parseAttributeCriteria(source);
+  if (criteriaError) return { error: criteriaError };
+  params.tags = criteria.tags;
+  params.tagMatch = criteria.tagMatch;
+  params.fields = criteria.fields;
+  params.field = source.field && typeof source.field === 'object' ? source.field : undefined;
+
+  return { params };
+}
+
+/**
+ * Apply the filters that map directly onto organisations columns
+ * @param {object} fieldTypes - custom field types by key (from getFieldTypes)
+ */
+export function applyColumnFilters(query, params, fieldTypes = {}) {
+  const { search, status, plan, charity } = params;
+
+  if (search) {
+    query = query.or(`name.ilike.%${search}%,organisation_key.ilike.%${search}%`);
+  }
+
+  // Organisations merged into another (see customer-merge.js) only show when asked for
+  query = status === 'archived'
+    ? query.not('archived_at', 'is', null)
+    : query.is('archived_at', null);
+
+  if (status && status !== 'archived') {
+    const nowIso = new Date().toISOString();
+    if (status === 'paused') {
+      query = query.eq('is_paused', true);
+    } else if (status === 'cancelling') {
+      // Customers who have cancelled but still have access
+      query = query.not('subscription_cancelled_at', 'is', null)
+                   .gt('tier_expires_at', nowIso);
+    } else if (status === 'canceled') {
+      // Either Stripe reports canceled, OR cancellation flagged and access has lapsed.
+      // The strict subscription_status='canceled' filter misses customers whose Stripe
+      // webhook never fully synced the status back.
+      query = query.or(
+        `subscription_status.eq.canceled,and(subscription_cancelled_at.not.is.null,tier_expires_at.lte.${nowIso})`
+      );
+    } else if (status === 'trialing_short') {
+      // 10-min instant trial: subscription_tier='free_trial' (status is 'active')
+      query = query.eq('subscription_tier', 'free_trial');
+    } else if (status === 'trialing_extended') {
+      // 30-day extended trial: subscription_tier='extended_trial'
+      query = query.eq('subscription_tier', 'extended_trial');
+    } else {
+      query = query.eq('subscription_status', status);
+    }
+  }
+
+  if (plan) {
+    query = query.eq('subscription_tier', plan);
+  }
+
+  if (params.health) {
+    query = query.eq('health_band', params.health);
+  }
+
+  // Charity/Discount filter
+  switch (charity) {
+    case 'verified':
+      query = query.eq('charity_verified', true);
+      break;
+    case 'discounted':
+      // Non-charity organisations with a percentage or fixed-amount discount
+      query = query.eq('charity_verified', false).or('discount_percent.gt.0,discount_amount_pence.gt.0');
+      break;
+    case 'discount_pending':
+      // Non-charity organisations requesting a discount
+      query = query.eq('discount_review_requested', true).eq('discount_percent', 0).is('discount_amount_pence', null);
+      break;
+    case 'pending':
+      query = query.eq('charity_review_requested', true).eq('charity_verified', false);
+      break;
+    case 'claimed':
+      query = query.eq('is_charity', true).eq('charity_verified', false);
+      break;
+    case 'none':
+      // No charity status AND no non-charity discount
+      query = query.eq('is_charity', false).eq('charity_verified', false);
+      // Note: We can't easily filter discount_percent = 0 OR NULL in this query builder
+      // So 'none' will show all non-charity orgs (some may have discounts)
+      break;
+  }
+
+  if (params.trialEndingDays !== null && params.trialEndingDays !== undefined) {
+    const now = Date.now();
+    query = query
+      .gte('trial_ends_at', new Date(now).toISOString())
+      .lte('trial_ends_at', new Date(now + params.trialEndingDays * DAY_MS).toISOString());
+  }
+
+  return applyAttributeFilters(query, params, fieldTypes);
+}
+
+function hasDerivedFilters(params) {
+  return params.balanceBelow !== null || params.inactiveDays !== null;
+}
+
+function matchesDerivedFilters(customer, params) {
+  if (params.balanceBelow !== null && !(customer.credit_balance < params.balanceBelow)) {
+    return false;
+  }
+  if (params.inactiveDays !== null) {
+    // Never-active customers count from signup, so a brand new account isn't "inactive"
+    const cutoff = Date.now() - params.inactiveDays * DAY_MS;
+    const lastSeen = toEpoch(customer.last_login) ?? toEpoch(customer.registered_at || customer.created_at);
+    if (lastSeen === null || lastSeen > cutoff) return false;
+  }
+  return true;
+}
+
+// Empty/null values always sort to the bottom regardless of direction
+function compareBy(field, order) {
+  const getValue = SORT_FIELDS[field].value;
+  return (a, b) => {
+    const va = getValue(a);
+    const vb = getValue(b);
+    const aEmpty = va === null || va === undefined || va === '';
+    const bEmpty = vb === null || vb === undefined || vb === '';
+    if (aEmpty && bEmpty) return 0;
+    if (aEmpty) return 1;
+    if (bEmpty) return -1;
+    const cmp = typeof va === 'number' && typeof vb === 'number'
+      ? va - vb
+      : String(va).localeCompare(String(vb));
+    return order === 'asc' ? cmp : -cmp;
+  };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Organisations by ID, looked up ID_CHUNK_SIZE at a time
+ * @returns {Promise<object[]>}
+ */
+export async function getOrganisationsByIds(ids, columns = '*') {
+  const organisations = [];
+  for (const part of chunk(ids, ID_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from('organisations')
+      .select(columns)
+      .in('id', part);
+    if (error) throw error;
+    organisations.push(...(data || []));
+  }
+  return organisations;
+}
+
+/**
+ * Estimated monthly recurring revenue in pounds: the tier's monthly fee (or the
+ * enterprise minimum fee) less the customer's discount. Trials, paused and
+ * cancelled customers contribute nothing.
+ */
+export function estimateMrr(customer, tierFeesPence) {
+  const status = getAccountStatus(customer);
+  if (['paused', 'cancelled', 'canceled'].includes(status)) return 0;
+  if (TRIAL_TIERS.includes(customer.subscription_tier)) return 0;
+
+  let monthly;
+  if (customer.is_enterprise) {
+    monthly = parseFloat(customer.minimum_monthly_fee) || 0;
+  } else {
+    if (!['active', 'past_due', 'cancelling'].includes(status)) return 0;
+    monthly = (tierFeesPence[customer.subscription_tier || 'basic'] || 0) / 100;
+  }
+
+  const discount = Math.min(Math.max(parseFloat(customer.discount_percent) || 0, 0), 100);
+  const amountOff = (customer.discount_amount_pence || 0) / 100;
+  return Math.max(Math.round((monthly * (1 - discount / 100) - amountOff) * 100) / 100, 0);
+}
+
+async function getTierFees() {
+  const { data, error } = await supabase
+    .from('pricing_tiers')
+    .select('id, monthly_fee_pence');
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(t => [t.id, t.monthly_fee_pence || 0]));
+}
+
+/**
+ * Attach email (auth user, else enterprise contact), credit_balance, last_login
+ * (latest of auth sign-in and streaming session) and mrr to organisations rows
+ */
+export async function enrichCustomers(customers) {
+  if (customers.length === 0) return [];
+
+  const customerIds = customers.map(c => c.id);
+  const creditMap = {};
+  const lastStreamingMap = {};
+
+  for (const ids of chunk(customerIds, ID_CHUNK_SIZE)) {
+    const { data: creditBalances } = await supabase
+      .from('credit_balances')
+      .select('organisation_id, current_balance')
+      .in('organisation_id', ids);
+
+    creditBalances?.forEach(cb => {
+      creditMap[cb.organisation_id] = parseFloat(cb.current_balance) || 0;
+    });
+
+    // Persisted "Remember Me" sessions mean auth.users.last_sign_in_at can lag
+    // weeks behind real activity — pair it with the last streaming session so
+    // "Last Active" reflects when we actually last saw the customer.
+    const { data: recentSessions } = await supabase
+      .from('streaming_sessions')
+      .select('organisation_id, started_at')
+      .in('organisation_id', ids)
+      .order('started_at', { ascending: false });
+
+    recentSessions?.forEach(s => {
+      if (!lastStreamingMap[s.organisation_id]) {
+        lastStreamingMap[s.organisation_id] = s.started_at;
+      }
+    });
+  }
+
+  // Bulk-fetch auth sign-in times and emails in one sweep (keyed by user_id)
+  // instead of an auth.admin.getUserById call per customer.
+  const authSignInMap = {};
+  const authEmailMap = {};
+  try {
+    let authPage = 1;
+    const perPage = 1000;
+    while (true) {
+      const { data: usersPage } = await supabase.auth.admin.listUsers({ page: authPage, perPage });
+      const users = usersPage?.users || [];
+      for (const u of users) {
+        if (u.last_sign_in_at) authSignInMap[u.id] = u.last_sign_in_at;
+        if (u.email) authEmailMap[u.id] = u.email;
+      }
+      if (users.length < perPage) break;
+      authPage++;
+    }
+  } catch (err) {
+    console.error('Bulk auth listUsers failed, last-sign-in may be missing:', err.message);
+  }
+
+  let tierFees = {};
+  try {
+    tierFees = await getTierFees();
+  } catch (err) {
+    console.error('Failed to load pricing tiers, MRR will read as 0:', err.message);
+  }
+
+  return customers.map((customer) => {
+    const lastSignIn = customer.user_id ? (authSignInMap[customer.user_id] || null) : null;
+    const lastStreaming = lastStreamingMap[customer.id] || null;
+    const candidates = [lastSignIn, lastStreaming].filter(Boolean);
+    const lastActive = candidates.length
+      ? candidates.reduce((a, b) => (a > b ? a : b))
+      : null;
+    return {
+      ...customer,
+      email: (customer.user_id && authEmailMap[customer.user_id]) || customer.contact_email || null,
+      last_login: lastActive,
+      credit_balance: creditMap[customer.id] ?? 0,
+      mrr: estimateMrr(customer, tierFees),
+    };
+  });
+}
+
+function orderQuery(query, params) {
+  const column = SORT_FIELDS[params.sort]?.column;
+  if (!column) {
+    return query.order('created_at', { ascending: false });
+  }
+  return query
+    .order(column, { ascending: params.order === 'asc', nullsFirst: false })
+    .order('id', { ascending: true });
+}
+
+async function fetchAllOrganisations(params, fieldTypes) {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const query = orderQuery(applyColumnFilters(supabase.from('organisations').select('*'), params, fieldTypes), params);
+    const { data, error } = await query.range(from, from + FETCH_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < FETCH_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * List customers for the given parameters
+ * @param {object} params - from parseListParams
+ * @param {object} options - { page, limit, all } (`all` skips paging)
+ * @returns {Promise<{ customers: object[], total: number }>}
+ */
+export async function listCustomers(params, { page = 1, limit = 20, all = false } = {}) {
+  const offset = (page - 1) * limit;
+  const derivedSort = !!SORT_FIELDS[params.sort]?.value;
+  const fieldTypes = params.fields?.length ? await getFieldTypes() : {};
+
+  // Column filters and sort only: let Supabase do the paging
+  if (!all && !derivedSort && !hasDerivedFilters(params)) {
+    const query = orderQuery(
+      applyColumnFilters(supabase.from('organisations').select('*', { count: 'exact' }), params, fieldTypes),
+      params
+    );
+    const { data, count, error } = await query.range(offset, offset + limit - 1);
+    if (error) throw error;
+    return { customers: await enrichCustomers(data || []), total: count || 0 };
+  }
+
+  const enriched = await enrichCustomers(await fetchAllOrganisations(params, fieldTypes));
+  const matching = enriched.filter(c => matchesDerivedFilters(c, params));
+  if (derivedSort) matching.sort(compareBy(params.sort, params.order));
+
+  return {
+    customers: all ? matching : matching.slice(offset, offset + limit),
+    total: matching.length,
+  };
+}
+
+function getCharityStatus(customer) {
+  if (customer.charity_verified) return 'Verified charity';
+  if (customer.charity_review_requested) return 'Charity review pending';
+  if (customer.is_charity) return 'Claims charity';
+  return '';
+}
+
+function formatExportDate(date) {
+  return date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) : '';
+}
+
+/**
+ * Spreadsheet columns for customer exports: [header, value getter]
+ */
+export const EXPORT_COLUMNS = [
+  ['Organisation', c => c.name || ''],
+  ['Key', c => c.organisation_key || ''],
+  ['Email', c => c.email || ''],
+  ['Tier', c => c.subscription_tier || 'basic'],
+  ['Status', c => getAccountStatus(c)],
+  ['Payment Status', c => c.payment_status || ''],
+  ['Credit Balance', c => c.credit_balance ?? 0],
+  ['Discount %', c => c.discount_percent || 0],
+  ['Discount Amount', c => (c.discount_amount_pence ? c.discount_amount_pence / 100 : '')],
+  ['Discount Ends', c => formatExportDate(c.discount_ends_at)],
+  ['Charity Status', c => getCharityStatus(c)],
+  ['Tags', c => (c.tags || []).join(', ')],
+  ['MRR (GBP)', c => c.mrr ?? 0],
+  ['Health Score', c => c.health_score ?? ''],
+  ['Enterprise', c => (c.is_enterprise ? 'Yes' : 'No')],
+  ['Signed Up', c => formatExportDate(c.registered_at || c.created_at)],
+  ['Last Active', c => formatExportDate(c.last_login)],
+  ['Trial Ends', c => formatExportDate(c.trial_ends_at)],
+];
+
+/**
+ * Customers as spreadsheet rows (header row first)
+ * @returns {Array<Array<string|number>>}
+ */
+export function toExportRows(customers) {
+  return [
+    EXPORT_COLUMNS.map(([header]) => header),
+    ...customers.map(c => EXPORT_COLUMNS.map(([, getValue]) => getValue(c))),
+  ];
+}
+
+export default {
+  listCustomers, toExportRows, parseListParams, enrichCustomers, estimateMrr, getOrganisationsByIds, SORT_FIELDS, CUSTOMER_LIST_PARAMS,
+};
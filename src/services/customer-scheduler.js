@@ -0,0 +1,119 @@
+/**
+ * Shared steps for the hourly customer schedulers (pause-resume-scheduler.js,
+ * discount-expiry-scheduler.js), which each find the organisations due for
+ * something and then:
+ *   - email the owner once ahead of a change, stamping a column so the email
+ *     isn't sent again and logging it to the customer's email history
+ *   - make the change when it falls due, recording it in the audit log as
+ *     the system
+ */
+
+import { supabase } from './supabase.js';
+import { sendCustomerEmail, logEmail } from './email.js';
+import { recordAudit } from './audit.js';
+
+// Stands in for the request when auditing a scheduler's changes
+function schedulerRequest(path) {
+  return {
+    method: 'CRON',
+    baseUrl: '',
+    path,
+    originalUrl: path,
+    headers: {},
+  };
+}
+
+export async function getOwnerEmail(org) {
+  if (!org.user_id) return null;
+  try {
+    const { data: authUser } = await supabase.auth.admin.getUserById(org.user_id);
+    return authUser?.user?.email || null;
+  } catch (authErr) {
+    console.error(`   ❌ Failed to fetch auth user for ${org.name}:`, authErr.message);
+    return null;
+  }
+}
+
+/**
+ * Email each organisation's owner and stamp `stampColumn` once sent. Owners who
+ * opted out or can't be found are skipped; failed sends are retried next run.
+ * @param {Array} orgs - rows with id, name, user_id and email_opt_out
+ * @param {object} options - { subject, emailType, stampColumn, buildBody(org) }
+ * @returns {Promise<{ sent, skipped, failed }>}
+ */
+export async function emailOwnersOnce(orgs, { subject, emailType, stampColumn, buildBody }) {
+  let sent = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const org of orgs) {
+    const email = org.email_opt_out ? null : await getOwnerEmail(org);
+    if (!email) {
+      skipped++;
+      continue;
+    }
+
+    const result = await sendCustomerEmail(email, subject, buildBody(org), org.name || 'Customer');
+
+    await logEmail({
+      organisationId: org.id,
+      recipientEmail: email,
+      recipientName: org.name,
+      subject,
+      emailType,
+      status: result.success ? 'sent' : 'failed',
+      error: result.error,
+    });
+
+    if (result.success) {
+      const { error: updateErr } = await supabase
+        .from('organisations')
+        .update({ [stampColumn]: new Date().toISOString() })
+        .eq('id', org.id);
+      if (updateErr) {
+        console.error(`   ⚠️  Email sent but failed to stamp ${stampColumn} for ${org.name}:`, updateErr.message);
+      }
+      sent++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { sent, skipped, failed };
+}
+
+/**
+ * Run `act` for each organisation and audit each change as the system.
+ * `act(org)` resolves to the audit entry's { before, after, stripeEffects, details },
+ * plus a `problem` message when the change was made but needs a follow-up.
+ * @param {Array} orgs - rows with id and name
+ * @param {object} options - { path, action, act(org), failureLabel }
+ * @returns {Promise<{ done, failures }>} failures are organisation names for the alert
+ */
+export async function actAndAuditAsSystem(orgs, { path, action, act, failureLabel }) {
+  const req = schedulerRequest(path);
+  let done = 0;
+  const failures = [];
+
+  for (const org of orgs) {
+    try {
+      const { problem, ...entry } = await act(org);
+      await recordAudit(req, {
+        action,
+        organisationId: org.id,
+        organisationName: org.name,
+        ...entry,
+        adminEmail: 'system',
+      });
+      if (problem) failures.push(`${org.name} (${problem})`);
+      done++;
+    } catch (err) {
+      console.error(`   ❌ ${failureLabel} for ${org.name}:`, err.message);
+      failures.push(org.name);
+    }
+  }
+
+  return { done, failures };
+}
+
+export default { getOwnerEmail, emailOwnersOnce, actAndAuditAsSystem };
@@ -0,0 +1,353 @@
+/**
+ * Customer Activity Timeline
+ *
+ * Merges everything that happened to one organisation - emails, credit
+ * purchases and usage, streaming sessions, support requests, notifications,
+ * discount/charity changes (from the audit log) and Stripe invoices and
+ * subscription changes - into one chronological feed, newest first.
+ *
+ * Each source is queried for the page window only, so the feed pages with a
+ * cursor: pass the `nextBefore` of one page as `before` for the next.
+ * A failing source (e.g. Stripe unreachable) is reported in `warnings`
+ * instead of failing the whole timeline.
+ *
+ * Event shape:
+ *   { id, category, type, occurredAt, title, description, data }
+ */
+
+import { supabase } from './supabase.js';
+import stripe from './stripe.js';
+
+export const DEFAULT_TIMELINE_LIMIT = 50;
+export const MAX_TIMELINE_LIMIT = 200;
+
+// Audit actions that change a customer's discount or charity status
+const DISCOUNT_ACTIONS = [
+  'customer.set_discount', 'customer.remove_discount', 'customer.deny_discount_request',
+  'customer.grant_charity_discount', 'customer.revoke_charity_discount', 'customer.deny_charity_review',
+  'charity_review.approve', 'charity_review.reject',
+];
+
+function formatPence(pence, currency = 'gbp') {
+  const symbol = currency === 'gbp' ? '£' : `${currency.toUpperCase()} `;
+  return `${symbol}${((pence || 0) / 100).toFixed(2)}`;
+}
+
+// Discount in an audit snapshot: "12.5%" or "£5.00/mo", with any end date
+function formatDiscountSnapshot(snapshot) {
+  const amount = snapshot?.discount_amount_pence
+    ? `${formatPence(snapshot.discount_amount_pence, snapshot.discount_currency || 'gbp')}/mo`
+    : `${snapshot?.discount_percent ?? 0}%`;
+  return snapshot?.discount_ends_at
+    ? `${amount} until ${new Date(snapshot.discount_ends_at).toLocaleDateString('en-GB')}`
+    : amount;
+}
+
+function toIso(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString();
+}
+
+function toUnix(iso, round = Math.floor) {
+  return round(new Date(iso).getTime() / 1000);
+}
+
+/**
+ * Apply the page window to a Supabase query on a timestamp column
+ */
+function windowed(query, column, { before, after, limit }) {
+  if (before) query = query.lt(column, before);
+  if (after) query = query.gte(column, after);
+  return query.order(column, { ascending: false }).limit(limit);
+}
+
+function inWindow(occurredAt, { before, after }) {
+  if (before && occurredAt >= before) return false;
+  if (after && occurredAt < after) return false;
+  return true;
+}
+
+/**
+ * Timeline sources by category. Each returns events for the window, newest first.
+ */
+const SOURCES = {
+  emails: async (org, window) => {
+    const { data, error } = await windowed(
+      supabase
+        .from('email_log')
+        .select('id, subject, email_type, status, sent_at, sent_by, recipient_email, error_message')
+        .eq('organisation_id', org.id),
+      'sent_at', window
+    );
+    if (error) throw error;
+    return (data || []).map(e => ({
+      id: `email:${e.id}`,
+      type: 'email',
+      occurredAt: e.sent_at,
+      title: `Email: ${e.subject || e.email_type || 'No subject'}`,
+      description: `${e.status || 'sent'} to ${e.recipient_email || 'unknown'}${e.sent_by ? ` by ${e.sent_by}` : ''}${e.error_message ? ` - ${e.error_message}` : ''}`,
+      data: e,
+    }));
+  },
+
+  credits: async (org, window) => {
+    const [purchases, usage, ledger] = await Promise.all([
+      windowed(
+        supabase
+          .from('credit_purchases')
+          .select('id, credits_purchased, amount_paid_pence, purchase_type, notes, created_at')
+          .eq('organisation_id', org.id),
+        'created_at', window
+      ),
+      windowed(
+        supabase
+          .from('credit_usage')
+          .select('id, session_start, credits_used, total_billable_characters')
+          .eq('organisation_id', org.id),
+        'session_start', window
+      ),
+      // Gifts already show as purchases; opening balances aren't activity
+      windowed(
+        supabase
+          .from('credit_ledger')
+          .select('id, created_at, entry_type, credits, balance_after, reason, reference, created_by_email')
+          .eq('organisation_id', org.id)
+          .neq('entry_type', 'opening_balance')
+          .or('reference.is.null,reference.not.like.credit_purchases:*'),
+        'created_at', window
+      ),
+    ]);
+    if (purchases.error) throw purchases.error;
+    if (usage.error) throw usage.error;
+    if (ledger.error) throw ledger.error;
+
+    return [
+      ...(purchases.data || []).map(p => ({
+        id: `credit_purchase:${p.id}`,
+        type: 'credit_purchase',
+        occurredAt: p.created_at,
+        title: p.purchase_type === 'gift'
+          ? `${p.credits_purchased} credits gifted`
+          : `${p.credits_purchased} credits purchased`,
+        description: p.amount_paid_pence ? `${formatPence(p.amount_paid_pence)}${p.notes ? ` - ${p.notes}` : ''}` : (p.notes || p.purchase_type || ''),
+        data: p,
+      })),
+      ...(usage.data || []).map(u => ({
+        id: `credit_usage:${u.id}`,
+        type: 'credit_usage',
+        occurredAt: u.session_start,
+        title: `${parseFloat(u.credits_used) || 0} credits used`,
+        description: `${(u.total_billable_characters || 0).toLocaleString()} billable characters`,
+        data: u,
+      })),
+      ...(ledger.data || []).map(l => ({
+        id: `credit_ledger:${l.id}`,
+        type: 'credit_adjustment',
+        occurredAt: l.created_at,
+        title: `Credit ${l.entry_type}: ${Number(l.credits) > 0 ? '+' : ''}${Number(l.credits)} credits`,
+        description: `${l.reason || 'No reason'} (balance ${Number(l.balance_after)})${l.created_by_email ? ` by ${l.created_by_email}` : ''}`,
+        data: l,
+      })),
+    ];
+  },
+
+  sessions: async (org, window) => {
+    const { data, error } = await windowed(
+      supabase
+        .from('streaming_sessions')
+        .select('id, started_at, ended_at, status, duration_minutes, characters_transcribed, characters_translated')
+        .eq('organisation_id', org.id),
+      'started_at', window
+    );
+    if (error) throw error;
+    return (data || []).map(s => ({
+      id: `session:${s.id}`,
+      type: 'session',
+      occurredAt: s.started_at,
+      title: s.status === 'active' ? 'Streaming session (live)' : 'Streaming session',
+      description: `${Math.round(s.duration_minutes || 0)} min, ${((s.characters_transcribed || 0) + (s.characters_translated || 0)).toLocaleString()} characters`,
+      data: s,
+    }));
+  },
+
+  support: async (org, window) => {
+    const { data, error } = await windowed(
+      supabase
+        .from('support_requests')
+        .select('id, ticket_ref, category, subject, status, created_at')
+        .eq('organisation_id', org.id),
+      'created_at', window
+    );
+    if (error) throw error;
+    return (data || []).map(s => ({
+      id: `support:${s.id}`,
+      type: 'support_request',
+      occurredAt: s.created_at,
+      title: `Support request${s.ticket_ref ? ` ${s.ticket_ref}` : ''}: ${s.subject || s.category || 'No subject'}`,
+      description: `Status: ${s.status || 'new'}`,
+      data: s,
+    }));
+  },
+
+  notifications: async (org, window) => {
+    const { data, error } = await windowed(
+      supabase
+        .from('notifications')
+        .select('id, title, message, type, sent_by, is_broadcast, created_at')
+        .or(`organisation_id.eq.${org.id},is_broadcast.eq.true`),
+      'created_at', window
+    );
+    if (error) throw error;
+    return (data || []).map(n => ({
+      id: `notification:${n.id}`,
+      type: 'notification',
+      occurredAt: n.created_at,
+      title: `${n.is_broadcast ? 'Broadcast notification' : 'Notification'}: ${n.title}`,
+      description: n.message,
+      data: n,
+    }));
+  },
+
+  discounts: async (org, window) => {
+    const { data, error } = await windowed(
+      supabase
+        .from('admin_audit_log')
+        .select('id, created_at, admin_email, action, before, after, details')
+        .eq('organisation_id', org.id)
+        .in('action', DISCOUNT_ACTIONS),
+      'created_at', window
+    );
+    if (error) throw error;
+    return (data || []).map(a => ({
+      id: `audit:${a.id}`,
+      type: 'discount_change',
+      occurredAt: a.created_at,
+      title: a.action.replace(/^[a-z_]+\./, '').replace(/_/g, ' ').replace(/^./, c => c.toUpperCase()),
+      description: `${formatDiscountSnapshot(a.before)} → ${formatDiscountSnapshot(a.after)}${a.admin_email ? ` by ${a.admin_email}` : ''}`,
+      data: a,
+    }));
+  },
+
+  billing: async (org, window) => {
+    if (!org.stripe_customer_id) return [];
+
+    const created = {};
+    if (window.before) created.lt = toUnix(window.before, Math.ceil);
+    if (window.after) created.gte = toUnix(window.after);
+
+    const [invoices, subscriptions] = await Promise.all([
+      stripe.invoices.list({
+        customer: org.stripe_customer_id,
+        limit: Math.min(window.limit, 100),
+        ...(Object.keys(created).length ? { created } : {}),
+      }),
+      stripe.subscriptions.list({ customer: org.stripe_customer_id, status: 'all', limit: 100 }),
+    ]);
+
+    const events = invoices.data.map(inv => ({
+      id: `stripe_invoice:${inv.id}`,
+      type: 'stripe_invoice',
+      occurredAt: toIso(inv.created),
+      title: `Invoice ${inv.number || inv.id} ${inv.status}`,
+      description: `${formatPence(inv.amount_due, inv.currency)} due, ${formatPence(inv.amount_paid, inv.currency)} paid${inv.billing_reason ? ` (${inv.billing_reason.replace(/_/g, ' ')})` : ''}`,
+      data: {
+        id: inv.id, number: inv.number, status: inv.status, amountDue: inv.amount_due, amountPaid: inv.amount_paid,
+        currency: inv.currency, hostedInvoiceUrl: inv.hosted_invoice_url, subscriptionId: inv.subscription,
+      },
+    }));
+
+    // Subscription lifecycle points are derived from the subscription objects
+    for (const sub of subscriptions.data) {
+      const data = { id: sub.id, status: sub.status, priceId: sub.items?.data?.[0]?.price?.id || null };
+      events.push({
+        id: `stripe_subscription:${sub.id}:created`,
+        type: 'stripe_subscription',
+        occurredAt: toIso(sub.created),
+        title: 'Subscription created',
+        description: sub.trial_end ? `Trial until ${toIso(sub.trial_end).split('T')[0]}` : `Status: ${sub.status}`,
+        data,
+      });
+      if (sub.trial_end && sub.trial_end * 1000 <= Date.now()) {
+        events.push({
+          id: `stripe_subscription:${sub.id}:trial_ended`,
+          type: 'stripe_subscription',
+          occurredAt: toIso(sub.trial_end),
+          title: 'Subscription trial ended',
+          description: `Status: ${sub.status}`,
+          data,
+        });
+      }
+      if (sub.canceled_at) {
+        events.push({
+          id: `stripe_subscription:${sub.id}:canceled`,
+          type: 'stripe_subscription',
+          occurredAt: toIso(sub.canceled_at),
+          title: sub.cancel_at_period_end ? 'Subscription set to cancel at period end' : 'Subscription cancelled',
+          description: sub.cancellation_details?.reason ? `Reason: ${sub.cancellation_details.reason.replace(/_/g, ' ')}` : `Status: ${sub.status}`,
+          data,
+        });
+      }
+    }
+
+    return events.filter(e => inWindow(e.occurredAt, window));
+  },
+};
+
+export const TIMELINE_CATEGORIES = Object.keys(SOURCES);
+
+/**
+ * Build one page of a customer's timeline
+ * @param {object} org - organisation row (id, stripe_customer_id)
+ * @param {object} options
+ * @param {string[]} [options.categories] - subset of TIMELINE_CATEGORIES (default all)
+ * @param {string} [options.before] - ISO cursor; only events strictly before it
+ * @param {string} [options.from] - ISO lower bound (inclusive)
+ * @param {string} [options.to] - ISO upper bound (exclusive)
+ * @param {number} [options.limit]
+ * @returns {Promise<{ events, hasMore, nextBefore, warnings }>}
+ */
+export async function getCustomerTimeline(org, { categories = TIMELINE_CATEGORIES, before, from, to, limit = DEFAULT_TIMELINE_LIMIT } = {}) {
+  const upper = [before, to].filter(Boolean).sort()[0] || null;
+  // One extra row per source tells us whether another page exists
+  const window = { before: upper, after: from || null, limit: limit + 1 };
+
+  const warnings = [];
+  const results = await Promise.all(categories.map(async category => {
+    try {
+      const events = await SOURCES[category](org, window);
+      // Supabase and Stripe timestamps differ in format; compare them as ISO strings
+      return events
+        .filter(e => e.occurredAt)
+        .map(e => ({ category, ...e, occurredAt: new Date(e.occurredAt).toISOString() }));
+    } catch (error) {
+      console.error(`Timeline source '${category}' failed for ${org.id}:`, error.message);
+      warnings.push({ category, error: error.message });
+      return [];
+    }
+  }));
+
+  const merged = results
+    .flat()
+    .sort((a, b) => (a.occurredAt < b.occurredAt ? 1 : a.occurredAt > b.occurredAt ? -1 : 0));
+
+  const hasMore = merged.length > limit;
+  let events = merged.slice(0, limit);
+  let nextBefore = null;
+
+  if (hasMore) {
+    // Don't split events sharing a timestamp across pages: end this page above it
+    // and start the next page just after it (the cursor is exclusive)
+    // (a page made up entirely of one timestamp is kept as it is)
+    const boundary = merged[limit].occurredAt;
+    const untied = events.filter(e => e.occurredAt !== boundary);
+    if (untied.length > 0) {
+      events = untied;
+      nextBefore = new Date(new Date(boundary).getTime() + 1).toISOString();
+    } else {
+      nextBefore = boundary;
+    }
+  }
+
+  return { events, hasMore, nextBefore, warnings };
+}
+
+export default { getCustomerTimeline, TIMELINE_CATEGORIES };
@@ -0,0 +1,158 @@
+/**
+ * Discount expiry scheduler
+ *
+ * Hourly cron for discounts set with an end date (see setDiscount in
+ * services/customer-actions.js):
+ *   - emails the customer EXPIRY_NOTICE_DAYS before the discount ends,
+ *     stamping discount_expiry_notice_sent_at so it's only sent once
+ *   - removes discounts whose end date has passed, both locally and from the
+ *     Stripe subscription, recording each removal in the audit log as the system
+ *
+ * The Stripe coupon is created with a matching 'repeating' duration, so it
+ * lapses on its own if this scheduler is ever behind; removing it here keeps
+ * the dashboard in step and handles end dates that fall mid-billing-period.
+ *
+ * organisations columns:
+ *   discount_amount_pence, discount_currency, discount_ends_at,
+ *   discount_expiry_notice_sent_at, discount_coupon_id
+ */
+
+import cron from 'node-cron';
+import { supabase } from './supabase.js';
+import { sendWarningAlert } from './email.js';
+import { removeDiscount, describeDiscount } from './customer-actions.js';
+import { emailOwnersOnce, actAndAuditAsSystem } from './customer-scheduler.js';
+
+const EXPIRY_NOTICE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || 'support@openword.live';
+const LOGIN_URL = (process.env.OPENWORD_SERVER_URL || 'https://server.openword.live') + '/login';
+
+let isRunning = false;
+
+function buildNoticeBody({ name, discount, endsAt }) {
+  const friendlyDate = new Date(endsAt).toLocaleDateString('en-GB', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric',
+  });
+
+  return `
+    <p>Hi ${name || 'there'},</p>
+
+    <p>Just a heads-up: the <strong>${discount} discount</strong> on your Open Word
+    subscription ends on <strong>${friendlyDate}</strong>.</p>
+
+    <p>From then on your subscription is billed at the standard price for your
+    plan. There's nothing you need to do.</p>
+
+    <p>If you have any questions about your pricing, just reply to this email or
+    write to <a href="mailto:${SUPPORT_EMAIL}">${SUPPORT_EMAIL}</a>.</p>
+
+    <p style="text-align: center;">
+      <a href="${LOGIN_URL}" class="button">Open Word Control Panel</a>
+    </p>
+
+    <p>Thanks for being with us,<br>
+    The Open Word Team</p>
+  `;
+}
+
+async function sendExpiryNotices() {
+  const { data: orgs, error } = await supabase
+    .from('organisations')
+    .select('id, name, user_id, email_opt_out, discount_percent, discount_amount_pence, discount_currency, discount_ends_at')
+    .gt('discount_ends_at', new Date().toISOString())
+    .lte('discount_ends_at', new Date(Date.now() + EXPIRY_NOTICE_DAYS * DAY_MS).toISOString())
+    .is('discount_expiry_notice_sent_at', null);
+
+  if (error) throw error;
+
+  return emailOwnersOnce(orgs || [], {
+    subject: 'Your Open Word discount ends soon',
+    emailType: 'discount_expiry_notice',
+    stampColumn: 'discount_expiry_notice_sent_at',
+    buildBody: org => buildNoticeBody({
+      name: org.name,
+      discount: describeDiscount({
+        discountPercent: org.discount_percent,
+        discountAmountPence: org.discount_amount_pence,
+        currency: org.discount_currency || undefined,
+      }),
+      endsAt: org.discount_ends_at,
+    }),
+  });
+}
+
+async function removeExpiredDiscounts() {
+  const { data: orgs, error } = await supabase
+    .from('organisations')
+    .select('id, name, discount_ends_at')
+    .lte('discount_ends_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  return actAndAuditAsSystem(orgs || [], {
+    path: '/scheduler/discount-expiry',
+    action: 'customer.remove_discount',
+    failureLabel: 'Failed to remove expired discount',
+    act: async (org) => {
+      const { data, before, after, stripeResult } = await removeDiscount(org.id, 'Discount period ended');
+      return {
+        before,
+        after,
+        stripeEffects: {
+          subscriptionId: data.stripe_subscription_id || null,
+          removed: stripeResult.stripeCouponRemoved,
+          message: stripeResult.message,
+        },
+        details: { automatic: true, endedAt: org.discount_ends_at },
+        problem: stripeResult.success ? null : `discount removed, but the Stripe coupon is still attached: ${stripeResult.message}`,
+      };
+    },
+  });
+}
+
+async function processDiscountExpiries() {
+  if (isRunning) {
+    console.log('⏳ Discount expiry scheduler already running, skipping...');
+    return;
+  }
+  isRunning = true;
+
+  try {
+    const { done: removed, failures } = await removeExpiredDiscounts();
+    const notices = await sendExpiryNotices();
+
+    if (removed || failures.length || notices.sent || notices.failed) {
+      console.log(`   ✅ Discount expiries: ${removed} removed, ${failures.length} problem(s); notices: ${notices.sent} sent, ${notices.skipped} skipped, ${notices.failed} failed`);
+    }
+
+    if (failures.length > 0) {
+      await sendWarningAlert(
+        'Expired discount removal problems',
+        `<p>${failures.length} expired discount(s) could not be fully removed: ${failures.join(', ')}. Discounts that are still saved will be retried next hour; Stripe coupons left attached need removing by hand.</p>`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Discount expiry scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+export function startDiscountExpiryScheduler() {
+  console.log('📅 Starting discount expiry scheduler (runs hourly)');
+
+  cron.schedule('15 * * * *', async () => {
+    await processDiscountExpiries();
+  });
+
+  // Catch up on startup in case discounts ended while the server was down
+  setTimeout(async () => {
+    console.log('\n🚀 Running initial discount expiry check...');
+    await processDiscountExpiries();
+  }, 25000);
+}
+
+export default { startDiscountExpiryScheduler };
@@ -0,0 +1,158 @@
+/**
+ * Enterprise billing scheduler
+ *
+ * Daily cron that creates each enterprise organisation's draft Stripe invoice
+ * on its billing day (see services/enterprise-billing.js), then emails the
+ * admins a billing summary to review before anything is sent to customers.
+ * Drafts are finalised or discarded from the customer's Enterprise section.
+ *
+ * Billing days missed while the server was down are caught up for
+ * MAX_CATCH_UP_DAYS. Periods older than that, and those of organisations paused
+ * on their billing day, are recorded as 'skipped' runs instead, for an admin to
+ * bill from the customer's Enterprise section or discard.
+ */
+
+import cron from 'node-cron';
+import { sendAlert, sendWarningAlert } from './email.js';
+import { listBillableOrgs, billingPeriodFor, createBillingRun, recordSkippedRun } from './enterprise-billing.js';
+
+const MAX_CATCH_UP_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'https://openword-dashboard.onrender.com';
+
+let isRunning = false;
+
+function formatPence(pence) {
+  return `${pence < 0 ? '-' : ''}£${(Math.abs(pence || 0) / 100).toFixed(2)}`;
+}
+
+function formatDay(date) {
+  return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildSummary(drafts) {
+  const total = drafts.reduce((sum, d) => sum + d.run.total_pence, 0);
+  const rows = drafts.map(({ org, run }) => `
+      <tr>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">
+          <a href="${DASHBOARD_URL}/customers/${org.id}">${escapeHtml(org.name)}</a>
+        </td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${formatDay(run.period_start)} – ${formatDay(new Date(run.period_end).getTime() - DAY_MS)}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: right;">${run.credits_used} / ${run.included_credits}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: right;">${run.overage_credits > 0 ? `${run.overage_credits} @ ${run.overage_rate_pence}p` : '-'}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: right;">${run.discount_pence > 0 ? `-${formatPence(run.discount_pence)}` : '-'}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: right;"><strong>${formatPence(run.total_pence)}</strong></td>
+      </tr>`).join('');
+
+  return `
+    <p>${drafts.length} enterprise invoice(s) totalling <strong>${formatPence(total)}</strong> have been created as
+    drafts in Stripe. Nothing has been sent to customers yet.</p>
+    <table style="border-collapse: collapse; width: 100%; font-size: 13px;">
+      <thead>
+        <tr style="text-align: left;">
+          <th style="padding: 6px;">Organisation</th>
+          <th style="padding: 6px;">Period</th>
+          <th style="padding: 6px; text-align: right;">Credits used / included</th>
+          <th style="padding: 6px; text-align: right;">Overage</th>
+          <th style="padding: 6px; text-align: right;">Discount</th>
+          <th style="padding: 6px; text-align: right;">Total</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <p>Review each invoice in the customer's Enterprise section, or all of them from
+    <a href="${DASHBOARD_URL}/customers">Customers &rarr; Enterprise Billing</a>, then finalise to send it or discard it.</p>
+  `;
+}
+
+async function runEnterpriseBilling() {
+  if (isRunning) {
+    console.log('⏳ Enterprise billing scheduler already running, skipping...');
+    return;
+  }
+  isRunning = true;
+
+  try {
+    const now = new Date();
+    const orgs = await listBillableOrgs();
+    const drafts = [];
+    const skipped = [];
+    const failures = [];
+
+    for (const org of orgs) {
+      const period = billingPeriodFor(org.enterprise_billing_day, now);
+
+      try {
+        // Periods that already have a run are left as they are
+        const skipReason = org.is_paused ? 'paused' : now - period.end > MAX_CATCH_UP_DAYS * DAY_MS ? 'missed' : null;
+        if (skipReason) {
+          const run = await recordSkippedRun(org, period, skipReason);
+          if (run) skipped.push(`${escapeHtml(org.name)}: ${formatDay(run.period_start)} (${escapeHtml(run.skip_reason)})`);
+          continue;
+        }
+
+        const result = await createBillingRun(org, period);
+        if (result.skipped) continue;
+        if (result.error) {
+          failures.push(`${escapeHtml(org.name)}: ${escapeHtml(result.error)}`);
+        } else {
+          drafts.push({ org, run: result.run });
+        }
+      } catch (err) {
+        console.error(`   ❌ Enterprise billing failed for ${org.name}:`, err.message);
+        failures.push(`${escapeHtml(org.name)}: ${escapeHtml(err.message)}`);
+      }
+    }
+
+    if (drafts.length || skipped.length || failures.length) {
+      console.log(`   ✅ Enterprise billing: ${drafts.length} draft invoice(s) created, ${skipped.length} period(s) skipped, ${failures.length} failed`);
+    }
+
+    if (drafts.length > 0) {
+      await sendAlert(`${drafts.length} enterprise invoice(s) ready for review`, buildSummary(drafts), 'info');
+    }
+
+    if (failures.length > 0) {
+      await sendWarningAlert(
+        'Enterprise billing failures',
+        `<p>${failures.length} enterprise invoice(s) could not be created and will be retried tomorrow:</p><ul>${failures.map(f => `<li>${f}</li>`).join('')}</ul>`
+      );
+    }
+
+    if (skipped.length > 0) {
+      await sendWarningAlert(
+        'Enterprise billing periods skipped',
+        `<p>${skipped.length} enterprise billing period(s) were not billed automatically:</p><ul>${skipped.map(s => `<li>${s}</li>`).join('')}</ul>
+         <p>Bill or discard them from <a href="${DASHBOARD_URL}/customers">Customers &rarr; Enterprise Billing</a>.</p>`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Enterprise billing scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+export function startEnterpriseBillingScheduler() {
+  console.log('📅 Starting enterprise billing scheduler (runs daily at 7:00 AM UTC)');
+
+  cron.schedule('0 7 * * *', async () => {
+    console.log('\n⏰ Enterprise billing triggered at', new Date().toISOString());
+    await runEnterpriseBilling();
+  });
+
+  // Catch up on startup in case a billing day passed while the server was down
+  setTimeout(async () => {
+    console.log('\n🚀 Running initial enterprise billing check...');
+    await runEnterpriseBilling();
+  }, 30000);
+}
+
+export default { startEnterpriseBillingScheduler };
@@ -0,0 +1,605 @@
+/**
+ * Enterprise Monthly Billing
+ *
+ * Enterprise organisations are billed in arrears on their billing day
+ * (enterprise_billing_day, 1-28) for the month that has just ended:
+ *   - the monthly fee (minimum_monthly_fee, in pounds), which covers
+ *     enterprise_included_credits
+ *   - overage: credits used (credit_usage.credits_used by session_start)
+ *     beyond the included credits, at enterprise_overage_rate_pence each
+ *   - less the organisation's discount: a charity percentage, or else the
+ *     percentage or fixed monthly amount set with setDiscount (see
+ *     services/customer-actions.js). A discount with discount_ends_at only
+ *     covers the part of the period before it ends; a fixed amount in another
+ *     currency isn't applied, as enterprise invoices are in pounds
+ *
+ * Nothing is billed while the enterprise trial (enterprise_trial_days from
+ * signup) lasts; the period the trial ends in is billed pro rata from its end.
+ *
+ * A billing run creates a draft Stripe invoice that Stripe never sends on its
+ * own. An admin reviews the run and then finalises it (Stripe sends the
+ * invoice), discards it (the draft is deleted), or regenerates it after
+ * correcting the enterprise config.
+ *
+ * Periods the scheduler doesn't bill (the organisation was paused on its
+ * billing day, or the billing day was missed for too long) are recorded as
+ * 'skipped' runs with a skip_reason, so they show up for an admin to bill
+ * (regenerate) or discard. Any ended period can also be billed by hand with
+ * billPeriod.
+ *
+ * enterprise_billing_runs columns:
+ *   id, organisation_id, period_start, period_end (unique with organisation_id),
+ *   status ('creating' | 'draft' | 'finalised' | 'discarded' | 'failed' | 'skipped'), skip_reason,
+ *   included_credits, credits_used, overage_credits, overage_rate_pence,
+ *   monthly_fee_pence, discount_percent, discount_amount_pence, discount_pence,
+ *   total_pence, currency,
+ *   line_items (jsonb), stripe_invoice_id, stripe_invoice_number,
+ *   hosted_invoice_url, error, created_at, updated_at,
+ *   finalised_at, finalised_by, discarded_at, discarded_by, discard_reason
+ */
+
+import { supabase } from './supabase.js';
+import stripe from './stripe.js';
+
+export const BILLING_RUN_STATUSES = ['creating', 'draft', 'finalised', 'discarded', 'failed', 'skipped'];
+
+// Runs that can be created again for the same period
+const REGENERABLE_STATUSES = ['draft', 'discarded', 'failed', 'skipped'];
+
+// Runs that can be discarded without ever being sent
+const DISCARDABLE_STATUSES = ['draft', 'failed', 'skipped'];
+
+export const SKIP_REASONS = {
+  paused: 'Paused on the billing day',
+  missed: 'Billing day missed while the scheduler was down',
+};
+
+const CURRENCY = 'gbp';
+
+// Enterprise invoices are paid on terms rather than charged to a card
+const DAYS_UNTIL_DUE = parseInt(process.env.ENTERPRISE_INVOICE_DAYS_UNTIL_DUE) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAGE_SIZE = 1000;
+
+// A run still 'creating' after this long was interrupted and can be retried
+const STALE_CREATING_MS = 60 * 60 * 1000;
+
+const BILLING_ORG_COLUMNS = 'id, name, created_at, is_enterprise, is_paused, archived_at, stripe_customer_id, '
+  + 'enterprise_included_credits, enterprise_overage_rate_pence, enterprise_billing_day, minimum_monthly_fee, '
+  + 'enterprise_trial_days, charity_discount_percent, discount_percent, discount_amount_pence, discount_currency, '
+  + 'discount_ends_at';
+
+function formatPence(pence, currency = CURRENCY) {
+  const symbol = currency === 'gbp' ? '£' : `${currency.toUpperCase()} `;
+  return `${pence < 0 ? '-' : ''}${symbol}${(Math.abs(pence || 0) / 100).toFixed(2)}`;
+}
+
+function formatDay(date) {
+  return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function roundCredits(credits) {
+  return Math.round(credits * 100) / 100;
+}
+
+function toUnix(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+/**
+ * The billing period that most recently ended on or before `asOf`: from the
+ * billing day of the month before up to (not including) the latest billing day
+ * @returns {{ start: Date, end: Date }}
+ */
+export function billingPeriodFor(billingDay, asOf = new Date()) {
+  const day = Math.min(Math.max(parseInt(billingDay) || 1, 1), 28);
+  let end = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), day));
+  if (end > asOf) end = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth() - 1, day));
+  const start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 1, day));
+  return { start, end };
+}
+
+/**
+ * When the organisation's enterprise trial ends, or null if it has none
+ */
+export function trialEndsAt(org) {
+  const days = parseInt(org.enterprise_trial_days) || 0;
+  if (days <= 0 || !org.created_at) return null;
+  return new Date(new Date(org.created_at).getTime() + days * DAY_MS);
+}
+
+// The discount on a bill of `subtotalPence` for the billed part of the period, or null
+function calculateDiscount(org, period, billedFrom, subtotalPence) {
+  const charityPercent = Number(org.charity_discount_percent) || 0;
+  if (charityPercent > 0) {
+    return {
+      percent: charityPercent,
+      amountPence: null,
+      pence: Math.round(subtotalPence * charityPercent / 100),
+      description: `Charity discount (${charityPercent}%)`,
+    };
+  }
+
+  const percent = Number(org.discount_percent) || 0;
+  const amountPence = parseInt(org.discount_amount_pence) || 0;
+  if (percent <= 0 && amountPence <= 0) return null;
+
+  const endsAt = org.discount_ends_at ? new Date(org.discount_ends_at) : null;
+  const activeUntil = endsAt && endsAt < period.end ? endsAt : period.end;
+  if (activeUntil <= billedFrom) return null;
+  const until = activeUntil < period.end ? ` until ${formatDay(activeUntil)}` : '';
+
+  if (percent > 0) {
+    const activeShare = (activeUntil - billedFrom) / (period.end - billedFrom);
+    return {
+      percent,
+      amountPence: null,
+      pence: Math.round(subtotalPence * percent / 100 * activeShare),
+      description: `Discount (${percent}%${until})`,
+    };
+  }
+
+  if ((org.discount_currency || CURRENCY) !== CURRENCY) return null;
+  // The amount is per month, so only the share of the month it covers comes off
+  const monthShare = (activeUntil - billedFrom) / (period.end - period.start);
+  return {
+    percent: 0,
+    amountPence,
+    pence: Math.min(subtotalPence, Math.round(amountPence * monthShare)),
+    description: `Discount (${formatPence(amountPence)}/month${until})`,
+  };
+}
+
+/**
+ * Work out a period's charges. Pure, so the summary and the invoice agree.
+ * @returns {{ billedFrom: Date, includedCredits, creditsUsed, overageCredits, overageRatePence,
+ *   monthlyFeePence, discountPercent, discountAmountPence, discountPence, totalPence,
+ *   lineItems: Array<{ description, amountPence }> }}
+ */
+export function calculateBill(org, period, creditsUsed) {
+  const trialEnd = trialEndsAt(org);
+  const billedFrom = trialEnd && trialEnd > period.start ? trialEnd : period.start;
+  const share = Math.max(0, period.end - billedFrom) / (period.end - period.start);
+  const proRata = share < 1;
+
+  const includedCredits = Math.round((Number(org.enterprise_included_credits) || 0) * share);
+  const overageRatePence = Number(org.enterprise_overage_rate_pence) || 0;
+  const monthlyFeePence = Math.round((Number(org.minimum_monthly_fee) || 0) * 100 * share);
+  const used = roundCredits(creditsUsed);
+  const overageCredits = roundCredits(Math.max(0, used - includedCredits));
+  const overagePence = Math.round(overageCredits * overageRatePence);
+
+  const discount = calculateDiscount(org, period, billedFrom, monthlyFeePence + overagePence);
+  const discountPence = discount?.pence || 0;
+
+  const periodLabel = `${formatDay(billedFrom)} – ${formatDay(period.end.getTime() - DAY_MS)}`;
+  const lineItems = [{
+    description: `Open Word Enterprise, ${periodLabel}${proRata ? ' (pro rata from end of trial)' : ''}: `
+      + `${includedCredits} credits included, ${used} used`,
+    amountPence: monthlyFeePence,
+  }];
+  if (overagePence > 0) {
+    lineItems.push({
+      description: `Overage: ${overageCredits} credits at ${overageRatePence}p`,
+      amountPence: overagePence,
+    });
+  }
+  if (discountPence > 0) {
+    lineItems.push({ description: discount.description, amountPence: -discountPence });
+  }
+
+  return {
+    billedFrom,
+    includedCredits,
+    creditsUsed: used,
+    overageCredits,
+    overageRatePence,
+    monthlyFeePence,
+    discountPercent: discount?.percent || 0,
+    discountAmountPence: discount?.amountPence || null,
+    discountPence,
+    totalPence: monthlyFeePence + overagePence - discountPence,
+    lineItems,
+  };
+}
+
+async function getCreditsUsed(organisationId, from, to) {
+  let total = 0;
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('credit_usage')
+      .select('credits_used')
+      .eq('organisation_id', organisationId)
+      .gte('session_start', from.toISOString())
+      .lt('session_start', to.toISOString())
+      .order('session_start', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    for (const row of data || []) total += parseFloat(row.credits_used) || 0;
+    if (!data || data.length < PAGE_SIZE) return total;
+  }
+}
+
+/**
+ * The enterprise organisation with the columns billing needs
+ * @returns {Promise<{ org?: object, error?: string, status?: number }>}
+ */
+export async function getBillingOrg(organisationId) {
+  const { data: org, error } = await supabase
+    .from('organisations')
+    .select(BILLING_ORG_COLUMNS)
+    .eq('id', organisationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!org) return { error: 'Customer not found', status: 404 };
+  if (!org.is_enterprise) return { error: 'Customer is not an enterprise customer', status: 400 };
+  return { org };
+}
+
+/**
+ * Enterprise organisations the billing scheduler considers
+ */
+export async function listBillableOrgs() {
+  const { data, error } = await supabase
+    .from('organisations')
+    .select(BILLING_ORG_COLUMNS)
+    .eq('is_enterprise', true)
+    .is('archived_at', null);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Claims the (organisation, period) slot so the invoice is only created once.
+// Returns null if there's already a run that shouldn't be replaced.
+async function claimRun(org, period, { replace }) {
+  const periodStart = period.start.toISOString();
+
+  const { data: existing, error: existingError } = await supabase
+    .from('enterprise_billing_runs')
+    .select('*')
+    .eq('organisation_id', org.id)
+    .eq('period_start', periodStart)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+
+  if (existing) {
+    // Failed runs are retried on the next pass; anything else needs an admin to ask
+    const interrupted = existing.status === 'creating'
+      && Date.now() - new Date(existing.updated_at || existing.created_at).getTime() > STALE_CREATING_MS;
+    const retry = existing.status === 'failed' || interrupted
+      || (replace && REGENERABLE_STATUSES.includes(existing.status));
+    if (!retry) return null;
+
+    const { data: claimed, error } = await supabase
+      .from('enterprise_billing_runs')
+      .update({ status: 'creating', error: null, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('status', existing.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return claimed ? { ...claimed, previous: existing } : null;
+  }
+
+  const { data: created, error } = await supabase
+    .from('enterprise_billing_runs')
+    .insert([{
+      organisation_id: org.id,
+      period_start: periodStart,
+      period_end: period.end.toISOString(),
+      status: 'creating',
+      currency: CURRENCY,
+    }])
+    .select()
+    .single();
+
+  if (error?.code === '23505') return null; // Another run got there first
+  if (error) throw error;
+  return created;
+}
+
+// Drafts are deleted rather than voided; Stripe only voids finalised invoices
+async function deleteStripeDraft(invoiceId) {
+  try {
+    const invoice = await stripe.invoices.retrieve(invoiceId);
+    if (invoice.status === 'draft') await stripe.invoices.del(invoiceId);
+  } catch (err) {
+    if (err.code !== 'resource_missing') throw err;
+  }
+}
+
+/**
+ * Create the draft Stripe invoice for one organisation and period.
+ * `replace` regenerates an existing draft, discarded or failed run.
+ * @returns {Promise<{ run?: object, bill?: object, previous?: object, error?: string, skipped?: string }>}
+ */
+export async function createBillingRun(org, period, { replace = false } = {}) {
+  const trialEnd = trialEndsAt(org);
+  if (trialEnd && trialEnd >= period.end) return { skipped: 'in trial' };
+
+  const run = await claimRun(org, period, { replace });
+  if (!run) return { skipped: 'already billed' };
+  const { previous, ...claimed } = run;
+
+  let invoiceId = null;
+  try {
+    if (!org.stripe_customer_id) throw new Error('Customer has no Stripe account');
+    if (previous?.stripe_invoice_id) await deleteStripeDraft(previous.stripe_invoice_id);
+
+    // Usage during the trial isn't billed
+    const usageFrom = trialEnd && trialEnd > period.start ? trialEnd : period.start;
+    const creditsUsed = await getCreditsUsed(org.id, usageFrom, period.end);
+    const bill = calculateBill(org, period, creditsUsed);
+
+    const invoice = await stripe.invoices.create({
+      customer: org.stripe_customer_id,
+      collection_method: 'send_invoice',
+      days_until_due: DAYS_UNTIL_DUE,
+      auto_advance: false,
+      pending_invoice_items_behavior: 'exclude',
+      currency: CURRENCY,
+      description: `Open Word Enterprise, ${formatDay(period.start)} – ${formatDay(period.end.getTime() - DAY_MS)}`,
+      metadata: {
+        organisation_id: org.id,
+        billing_run_id: claimed.id,
+        period_start: claimed.period_start,
+        period_end: claimed.period_end,
+      },
+    });
+    invoiceId = invoice.id;
+
+    // Saved straight away so an interrupted run's draft can be cleaned up on retry
+    await supabase.from('enterprise_billing_runs').update({ stripe_invoice_id: invoice.id }).eq('id', claimed.id);
+
+    for (const item of bill.lineItems) {
+      await stripe.invoiceItems.create({
+        customer: org.stripe_customer_id,
+        invoice: invoice.id,
+        amount: item.amountPence,
+        currency: CURRENCY,
+        description: item.description,
+        period: { start: toUnix(bill.billedFrom), end: toUnix(period.end) - 1 },
+      });
+    }
+
+    const { data: saved, error } = await supabase
+      .from('enterprise_billing_runs')
+      .update({
+        status: 'draft',
+        included_credits: bill.includedCredits,
+        credits_used: bill.creditsUsed,
+        overage_credits: bill.overageCredits,
+        overage_rate_pence: bill.overageRatePence,
+        monthly_fee_pence: bill.monthlyFeePence,
+        discount_percent: bill.discountPercent,
+        discount_amount_pence: bill.discountAmountPence,
+        discount_pence: bill.discountPence,
+        total_pence: bill.totalPence,
+        line_items: bill.lineItems,
+        stripe_invoice_id: invoice.id,
+        stripe_invoice_number: null,
+        hosted_invoice_url: null,
+        error: null,
+        skip_reason: null,
+        discarded_at: null,
+        discarded_by: null,
+        discard_reason: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', claimed.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🧾 Draft enterprise invoice ${invoice.id} for ${org.name}: ${formatPence(bill.totalPence)}`);
+    return { run: saved, bill, previous };
+  } catch (err) {
+    console.error(`❌ Enterprise billing run failed for ${org.name}:`, err.message);
+    if (invoiceId) {
+      try {
+        await deleteStripeDraft(invoiceId);
+        invoiceId = null;
+      } catch (delErr) {
+        console.error(`   ⚠️  Failed to delete partial draft invoice ${invoiceId}:`, delErr.message);
+      }
+    }
+    const { data: failed } = await supabase
+      .from('enterprise_billing_runs')
+      .update({ status: 'failed', error: err.message, stripe_invoice_id: invoiceId, updated_at: new Date().toISOString() })
+      .eq('id', claimed.id)
+      .select()
+      .maybeSingle();
+    return { run: failed || { ...claimed, status: 'failed', error: err.message }, error: err.message, previous };
+  }
+}
+
+/**
+ * Record a period the scheduler didn't bill as a 'skipped' run. Does nothing if
+ * the period already has a run or falls within the trial.
+ * @param {string} reason - a SKIP_REASONS key
+ * @returns {Promise<object|null>} the skipped run, if one was recorded
+ */
+export async function recordSkippedRun(org, period, reason) {
+  const trialEnd = trialEndsAt(org);
+  if (trialEnd && trialEnd >= period.end) return null;
+
+  const { data, error } = await supabase
+    .from('enterprise_billing_runs')
+    .insert([{
+      organisation_id: org.id,
+      period_start: period.start.toISOString(),
+      period_end: period.end.toISOString(),
+      status: 'skipped',
+      skip_reason: SKIP_REASONS[reason] || reason,
+      currency: CURRENCY,
+    }])
+    .select()
+    .single();
+
+  if (error?.code === '23505') return null; // The period already has a run
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Bill one ended period by hand: `periodStart` (YYYY-MM-DD) must fall on the
+ * organisation's billing day. A skipped, discarded, failed or draft run for the
+ * period is replaced; a finalised one is left alone.
+ * @returns {Promise<{ org, run?, bill?, previous?, error?, status? }>}
+ */
+export async function billPeriod(organisationId, periodStart) {
+  const start = new Date(`${periodStart}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(periodStart || '')) || isNaN(start)) {
+    return { error: 'periodStart must be a date (YYYY-MM-DD)', status: 400 };
+  }
+
+  const { org, error, status } = await getBillingOrg(organisationId);
+  if (error) return { error, status };
+
+  const billingDay = Math.min(Math.max(parseInt(org.enterprise_billing_day) || 1, 1), 28);
+  if (start.getUTCDate() !== billingDay) {
+    return { error: `Billing periods for ${org.name} start on day ${billingDay} of the month`, status: 400 };
+  }
+
+  const period = { start, end: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, billingDay)) };
+  if (period.end > new Date()) return { error: 'That period hasn\'t ended yet', status: 400 };
+
+  const result = await createBillingRun(org, period, { replace: true });
+  if (result.skipped === 'in trial') return { error: 'Nothing to bill: the period is within the enterprise trial', status: 400 };
+  if (result.skipped) return { error: 'That period already has a finalised or in-progress run', status: 409 };
+  return { org, ...result };
+}
+
+/**
+ * Billing runs, newest period first, with the organisation name
+ */
+export async function listBillingRuns({ organisationId, status, limit } = {}) {
+  let query = supabase
+    .from('enterprise_billing_runs')
+    .select('*, organisations(name)')
+    .order('period_start', { ascending: false })
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+  if (organisationId) query = query.eq('organisation_id', organisationId);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(({ organisations, ...run }) => ({ ...run, organisation_name: organisations?.name || null }));
+}
+
+async function getRun(organisationId, runId) {
+  const { data: run, error } = await supabase
+    .from('enterprise_billing_runs')
+    .select('*, organisations(name)')
+    .eq('id', runId)
+    .eq('organisation_id', organisationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!run) return { error: 'Billing run not found', status: 404 };
+  const { organisations, ...fields } = run;
+  return { run: fields, organisationName: organisations?.name || null };
+}
+
+/**
+ * Finalise a reviewed draft: Stripe numbers the invoice and emails it
+ * @returns {Promise<{ run?, before?, organisationName?, invoice?, sendError?: string|null, error?, status? }>}
+ */
+export async function finaliseBillingRun(organisationId, runId, { finalisedBy } = {}) {
+  const { run, organisationName, error, status } = await getRun(organisationId, runId);
+  if (error) return { error, status };
+  if (run.status !== 'draft') return { error: `Only draft invoices can be finalised (this one is ${run.status})`, status: 400 };
+
+  const invoice = await stripe.invoices.finalizeInvoice(run.stripe_invoice_id, { auto_advance: true });
+
+  let sendError = null;
+  try {
+    await stripe.invoices.sendInvoice(invoice.id);
+  } catch (err) {
+    console.error(`⚠️  Finalised ${invoice.id} but failed to send it:`, err.message);
+    sendError = err.message;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('enterprise_billing_runs')
+    .update({
+      status: 'finalised',
+      stripe_invoice_number: invoice.number || null,
+      hosted_invoice_url: invoice.hosted_invoice_url || null,
+      total_pence: invoice.amount_due ?? run.total_pence,
+      finalised_at: new Date().toISOString(),
+      finalised_by: finalisedBy || null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', run.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+  return { run: updated, before: run, organisationName, invoice, sendError };
+}
+
+/**
+ * Discard a draft (or failed or skipped) run. Its Stripe draft is deleted and the scheduler
+ * won't bill the period again; regenerate it to bill the period after all.
+ */
+export async function discardBillingRun(organisationId, runId, { discardedBy, reason } = {}) {
+  const { run, organisationName, error, status } = await getRun(organisationId, runId);
+  if (error) return { error, status };
+  if (!DISCARDABLE_STATUSES.includes(run.status)) {
+    return { error: `Only draft, failed or skipped runs can be discarded (this one is ${run.status})`, status: 400 };
+  }
+
+  if (run.stripe_invoice_id) await deleteStripeDraft(run.stripe_invoice_id);
+
+  const { data: updated, error: updateError } = await supabase
+    .from('enterprise_billing_runs')
+    .update({
+      status: 'discarded',
+      stripe_invoice_id: null,
+      discarded_at: new Date().toISOString(),
+      discarded_by: discardedBy || null,
+      discard_reason: reason || null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', run.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+  return { run: updated, before: run, organisationName };
+}
+
+/**
+ * Recalculate a run's period with the current enterprise config and usage,
+ * replacing its draft invoice
+ */
+export async function regenerateBillingRun(organisationId, runId) {
+  const { run, error, status } = await getRun(organisationId, runId);
+  if (error) return { error, status };
+  if (!REGENERABLE_STATUSES.includes(run.status)) {
+    return { error: `A ${run.status} run can't be regenerated`, status: 400 };
+  }
+
+  const { org, error: orgError, status: orgStatus } = await getBillingOrg(organisationId);
+  if (orgError) return { error: orgError, status: orgStatus };
+
+  const result = await createBillingRun(org, { start: new Date(run.period_start), end: new Date(run.period_end) }, { replace: true });
+  if (result.skipped) return { error: `Nothing to bill (${result.skipped})`, status: 400 };
+  return { org, ...result };
+}
+
+export default {
+  billingPeriodFor, trialEndsAt, calculateBill, getBillingOrg, listBillableOrgs, createBillingRun,
+  recordSkippedRun, billPeriod, listBillingRuns, finaliseBillingRun, discardBillingRun, regenerateBillingRun,
+};
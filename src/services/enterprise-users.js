@@ -0,0 +1,422 @@
+/**
+ * Enterprise User Management
+ *
+ * The people who sign in to an enterprise organisation's control panel, each
+ * with a Supabase auth account and an enterprise_users row:
+ *   - admin: manages the organisation, its users and billing
+ *   - controller: runs sessions and controls translation
+ *   - session_user: joins sessions only
+ *
+ * Every organisation keeps at least one active admin. Seat limits per role
+ * live on the organisation (null = unlimited) and count active users only,
+ * so deactivating someone frees their seat. Seats are counted again after
+ * every add, role change or reactivation, and the change is undone if a
+ * parallel request took the last seat first. Deactivated users are banned in
+ * Supabase auth as well, so existing sign-ins stop working.
+ *
+ * enterprise_users columns:
+ *   id, created_at, organisation_id, auth_user_id, email, name, role,
+ *   is_active, last_login_at, invited_at, deactivated_at
+ *
+ * organisations columns:
+ *   enterprise_max_admins, enterprise_max_controllers, enterprise_max_session_users
+ */
+
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+import { sendCustomerEmail } from './email.js';
+
+export const ENTERPRISE_ROLES = ['admin', 'controller', 'session_user'];
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  controller: 'Controller',
+  session_user: 'Session user',
+};
+
+// Seat limit column on organisations for each role
+export const SEAT_LIMIT_COLUMNS = {
+  admin: 'enterprise_max_admins',
+  controller: 'enterprise_max_controllers',
+  session_user: 'enterprise_max_session_users',
+};
+
+// Supabase has no permanent ban; a century is long enough
+const DEACTIVATED_BAN_DURATION = '876000h';
+
+const USER_FIELDS = 'id, organisation_id, auth_user_id, email, name, role, is_active, last_login_at, invited_at, deactivated_at, created_at';
+
+/**
+ * Generate a secure random password
+ * 14 characters: uppercase + lowercase + numbers + symbols
+ */
+export function generateSecurePassword() {
+  const uppercase = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+  const lowercase = 'abcdefghjkmnpqrstuvwxyz';
+  const numbers = '23456789';
+  const symbols = '!@#$%&*';
+
+  let password = '';
+  password += uppercase[crypto.randomInt(uppercase.length)];
+  password += lowercase[crypto.randomInt(lowercase.length)];
+  password += numbers[crypto.randomInt(numbers.length)];
+  password += symbols[crypto.randomInt(symbols.length)];
+
+  const allChars = uppercase + lowercase + numbers + symbols;
+  for (let i = 0; i < 10; i++) {
+    password += allChars[crypto.randomInt(allChars.length)];
+  }
+
+  return password.split('').sort(() => crypto.randomInt(3) - 1).join('');
+}
+
+/**
+ * Check a seat limit value from a request: a whole number >= 0, or null/'' for unlimited
+ * @returns {string|null} error message
+ */
+export function validateSeatLimit(value) {
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) return 'Seat limits must be whole numbers of 0 or more (leave empty for unlimited)';
+  return null;
+}
+
+async function getEnterpriseOrg(organisationId) {
+  const { data: org, error } = await supabase
+    .from('organisations')
+    .select(`id, name, is_enterprise, ${Object.values(SEAT_LIMIT_COLUMNS).join(', ')}`)
+    .eq('id', organisationId)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!org) return { error: 'Organisation not found', status: 404 };
+  if (!org.is_enterprise) return { error: 'Organisation is not enterprise', status: 400 };
+  return { org };
+}
+
+async function getUser(organisationId, userId) {
+  const { data: user, error } = await supabase
+    .from('enterprise_users')
+    .select(USER_FIELDS)
+    .eq('id', userId)
+    .eq('organisation_id', organisationId)
+    .maybeSingle();
+  if (error) throw error;
+  return user;
+}
+
+async function listActiveUsers(organisationId) {
+  const { data, error } = await supabase
+    .from('enterprise_users')
+    .select('id, role')
+    .eq('organisation_id', organisationId)
+    .eq('is_active', true);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Active users and limit per role
+ * @returns {Promise<Object<string, { used, limit }>>}
+ */
+export async function getSeatUsage(org) {
+  const active = await listActiveUsers(org.id);
+  return Object.fromEntries(ENTERPRISE_ROLES.map(role => [role, {
+    used: active.filter(u => u.role === role).length,
+    limit: org[SEAT_LIMIT_COLUMNS[role]] ?? null,
+  }]));
+}
+
+function seatsFullMessage(role, limit) {
+  return `All ${limit} ${ROLE_LABELS[role].toLowerCase()} seat${limit === 1 ? '' : 's'} are in use. Raise the seat limit or deactivate someone first.`;
+}
+
+async function checkSeat(org, role) {
+  const usage = (await getSeatUsage(org))[role];
+  if (usage.limit !== null && usage.used >= usage.limit) return seatsFullMessage(role, usage.limit);
+  return null;
+}
+
+// checkSeat and the write that follows aren't atomic, so parallel requests can
+// both pass it. Called after the write: the caller undoes its change if over.
+async function checkSeatAfterWrite(org, role) {
+  const usage = (await getSeatUsage(org))[role];
+  if (usage.limit !== null && usage.used > usage.limit) return seatsFullMessage(role, usage.limit);
+  return null;
+}
+
+// Blocks changes that would leave the organisation with no active admin
+async function checkKeepsAdmin(user) {
+  if (user.role !== 'admin' || !user.is_active) return null;
+  const admins = (await listActiveUsers(user.organisation_id)).filter(u => u.role === 'admin');
+  if (admins.length <= 1) return 'This is the only active admin. Make someone else an admin first.';
+  return null;
+}
+
+function buildInviteBody({ org, user, password, loginUrl }) {
+  return `
+      <h2>You've been added to ${org.name} on Open Word</h2>
+      <p>Hi ${user.name},</p>
+      <p>You now have <strong>${ROLE_LABELS[user.role]}</strong> access to the <strong>${org.name}</strong> Enterprise account.</p>
+
+      <h3>Your Login Credentials</h3>
+      <table style="border-collapse: collapse; margin: 15px 0;">
+        <tr><td style="padding: 8px; font-weight: bold;">Login URL:</td><td style="padding: 8px;"><a href="${loginUrl}/login">${loginUrl}/login</a></td></tr>
+        <tr><td style="padding: 8px; font-weight: bold;">Email:</td><td style="padding: 8px;">${user.email}</td></tr>
+        <tr><td style="padding: 8px; font-weight: bold;">Password:</td><td style="padding: 8px; font-family: monospace; background: #f3f4f6; border-radius: 4px;">${password}</td></tr>
+      </table>
+      <p style="color: #dc2626; font-weight: 600;">Please change your password after first login.</p>
+
+      <p>If you have any questions, please contact us at <a href="mailto:support@openword.live">support@openword.live</a>.</p>
+    `;
+}
+
+async function sendInvite(org, user, password) {
+  const loginUrl = process.env.OPENWORD_SERVER_URL || 'https://openword.onrender.com';
+  const result = await sendCustomerEmail(
+    user.email,
+    `You've been invited to ${org.name} on Open Word`,
+    buildInviteBody({ org, user, password, loginUrl }),
+    user.name
+  );
+  if (result.success) {
+    await supabase.from('enterprise_users').update({ invited_at: new Date().toISOString() }).eq('id', user.id);
+  } else {
+    console.warn(`Warning: invite email to ${user.email} failed: ${result.error}`);
+  }
+  return result;
+}
+
+/**
+ * Add a user to an enterprise organisation and email them a temporary password
+ * @returns {Promise<{ org, user, password, emailSent } | { error, status }>}
+ */
+export async function addEnterpriseUser(organisationId, { name, email, role }) {
+  name = String(name || '').trim();
+  email = String(email || '').trim().toLowerCase();
+  if (!name || !email) return { error: 'Name and email are required', status: 400 };
+  if (!email.includes('@')) return { error: 'Invalid email address', status: 400 };
+  if (!ENTERPRISE_ROLES.includes(role)) return { error: `role must be one of: ${ENTERPRISE_ROLES.join(', ')}`, status: 400 };
+
+  const { org, error, status } = await getEnterpriseOrg(organisationId);
+  if (error) return { error, status };
+
+  const { data: existing, error: existingError } = await supabase
+    .from('enterprise_users')
+    .select('id')
+    .eq('organisation_id', organisationId)
+    .ilike('email', email)
+    .limit(1);
+  if (existingError) throw existingError;
+  if (existing?.length) return { error: `${email} is already a user of this organisation`, status: 409 };
+
+  const seatError = await checkSeat(org, role);
+  if (seatError) return { error: seatError, status: 400 };
+
+  const password = generateSecurePassword();
+  const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+    email,
+    password,
+    email_confirm: true,
+    user_metadata: { name, enterprise_role: role, enterprise_org_id: organisationId },
+  });
+  if (authError) return { error: `Failed to create auth user: ${authError.message}`, status: 400 };
+
+  const { data: user, error: insertError } = await supabase
+    .from('enterprise_users')
+    .insert({
+      organisation_id: organisationId,
+      auth_user_id: authData.user.id,
+      email,
+      name,
+      role,
+      is_active: true,
+    })
+    .select(USER_FIELDS)
+    .single();
+
+  if (insertError) {
+    // Rollback: delete the auth user
+    await supabase.auth.admin.deleteUser(authData.user.id);
+    throw insertError;
+  }
+
+  const raceError = await checkSeatAfterWrite(org, role);
+  if (raceError) {
+    await supabase.from('enterprise_users').delete().eq('id', user.id);
+    await supabase.auth.admin.deleteUser(authData.user.id);
+    return { error: raceError, status: 400 };
+  }
+
+  const emailResult = await sendInvite(org, user, password);
+
+  console.log(`👤 ${ROLE_LABELS[role]} ${email} added to enterprise ${org.name} (${org.id})`);
+
+  return { org, user, password, emailSent: emailResult.success };
+}
+
+/**
+ * Change a user's role (seat limits apply to the new role)
+ * @returns {Promise<{ org, user, before } | { error, status }>}
+ */
+export async function changeEnterpriseUserRole(organisationId, userId, role) {
+  if (!ENTERPRISE_ROLES.includes(role)) return { error: `role must be one of: ${ENTERPRISE_ROLES.join(', ')}`, status: 400 };
+
+  const { org, error, status } = await getEnterpriseOrg(organisationId);
+  if (error) return { error, status };
+
+  const before = await getUser(organisationId, userId);
+  if (!before) return { error: 'Enterprise user not found', status: 404 };
+  if (before.role === role) return { error: `${before.email} is already ${ROLE_LABELS[role].toLowerCase()}`, status: 400 };
+
+  const adminError = await checkKeepsAdmin(before);
+  if (adminError) return { error: adminError, status: 400 };
+
+  if (before.is_active) {
+    const seatError = await checkSeat(org, role);
+    if (seatError) return { error: seatError, status: 400 };
+  }
+
+  const { data: user, error: updateError } = await supabase
+    .from('enterprise_users')
+    .update({ role })
+    .eq('id', userId)
+    .select(USER_FIELDS)
+    .single();
+  if (updateError) throw updateError;
+
+  if (before.is_active) {
+    const raceError = await checkSeatAfterWrite(org, role);
+    if (raceError) {
+      await supabase.from('enterprise_users').update({ role: before.role }).eq('id', userId);
+      return { error: raceError, status: 400 };
+    }
+  }
+
+  // The control panel reads the role from the auth metadata too
+  if (user.auth_user_id) {
+    const { data: authUser } = await supabase.auth.admin.getUserById(user.auth_user_id);
+    const { error: metaError } = await supabase.auth.admin.updateUserById(user.auth_user_id, {
+      user_metadata: { ...(authUser?.user?.user_metadata || {}), enterprise_role: role },
+    });
+    if (metaError) console.warn(`Warning: role changed but auth metadata not updated for ${user.email}: ${metaError.message}`);
+  }
+
+  console.log(`👤 ${user.email} (${org.name}) role changed: ${before.role} → ${role}`);
+
+  return { org, user, before };
+}
+
+/**
+ * Deactivate or reactivate a user. Deactivating bans the auth account;
+ * reactivating needs a free seat for their role.
+ * @returns {Promise<{ org, user, before } | { error, status }>}
+ */
+export async function setEnterpriseUserActive(organisationId, userId, active) {
+  const { org, error, status } = await getEnterpriseOrg(organisationId);
+  if (error) return { error, status };
+
+  const before = await getUser(organisationId, userId);
+  if (!before) return { error: 'Enterprise user not found', status: 404 };
+  if (before.is_active === active) {
+    return { error: `${before.email} is already ${active ? 'active' : 'deactivated'}`, status: 400 };
+  }
+
+  if (active) {
+    const seatError = await checkSeat(org, before.role);
+    if (seatError) return { error: seatError, status: 400 };
+  } else {
+    const adminError = await checkKeepsAdmin(before);
+    if (adminError) return { error: adminError, status: 400 };
+  }
+
+  if (before.auth_user_id) {
+    const { error: banError } = await supabase.auth.admin.updateUserById(before.auth_user_id, {
+      ban_duration: active ? 'none' : DEACTIVATED_BAN_DURATION,
+    });
+    if (banError) throw new Error(`Failed to ${active ? 'unban' : 'ban'} auth user: ${banError.message}`);
+  }
+
+  const { data: user, error: updateError } = await supabase
+    .from('enterprise_users')
+    .update({ is_active: active, deactivated_at: active ? null : new Date().toISOString() })
+    .eq('id', userId)
+    .select(USER_FIELDS)
+    .single();
+  if (updateError) throw updateError;
+
+  if (active) {
+    const raceError = await checkSeatAfterWrite(org, user.role);
+    if (raceError) {
+      await supabase.from('enterprise_users')
+        .update({ is_active: false, deactivated_at: before.deactivated_at })
+        .eq('id', userId);
+      if (before.auth_user_id) {
+        await supabase.auth.admin.updateUserById(before.auth_user_id, { ban_duration: DEACTIVATED_BAN_DURATION });
+      }
+      return { error: raceError, status: 400 };
+    }
+  }
+
+  console.log(`👤 ${user.email} (${org.name}) ${active ? 'reactivated' : 'deactivated'}`);
+
+  return { org, user, before };
+}
+
+/**
+ * Reset a user's password and email them a fresh invite
+ * @returns {Promise<{ org, user, password } | { error, status }>}
+ */
+export async function resendEnterpriseInvite(organisationId, userId) {
+  const { org, error, status } = await getEnterpriseOrg(organisationId);
+  if (error) return { error, status };
+
+  const user = await getUser(organisationId, userId);
+  if (!user) return { error: 'Enterprise user not found', status: 404 };
+  if (!user.is_active) return { error: 'Reactivate this user before re-sending their invite', status: 400 };
+  if (!user.auth_user_id) return { error: 'This user has no login account', status: 400 };
+
+  const password = generateSecurePassword();
+  const { error: updateError } = await supabase.auth.admin.updateUserById(user.auth_user_id, { password });
+  if (updateError) return { error: `Failed to reset password: ${updateError.message}`, status: 500 };
+
+  const emailResult = await sendInvite(org, user, password);
+  if (!emailResult.success) {
+    return { error: `Password reset, but the invite email failed: ${emailResult.error || 'Unknown error'}`, status: 500 };
+  }
+
+  console.log(`📧 Enterprise invite re-sent to ${user.email} (${org.name})`);
+
+  return { org, user, password };
+}
+
+/**
+ * Delete a user and their Supabase auth account
+ * @returns {Promise<{ org, user } | { error, status }>}
+ */
+export async function deleteEnterpriseUser(organisationId, userId) {
+  const { org, error, status } = await getEnterpriseOrg(organisationId);
+  if (error) return { error, status };
+
+  const user = await getUser(organisationId, userId);
+  if (!user) return { error: 'Enterprise user not found', status: 404 };
+
+  const adminError = await checkKeepsAdmin(user);
+  if (adminError) return { error: adminError, status: 400 };
+
+  if (user.auth_user_id) {
+    const { error: authError } = await supabase.auth.admin.deleteUser(user.auth_user_id);
+    if (authError && authError.status !== 404) throw new Error(`Failed to delete auth user: ${authError.message}`);
+  }
+
+  const { error: deleteError } = await supabase.from('enterprise_users').delete().eq('id', userId);
+  if (deleteError) throw deleteError;
+
+  console.log(`🗑️ Enterprise user ${user.email} deleted from ${org.name}`);
+
+  return { org, user };
+}
+
+export default {
+  addEnterpriseUser, changeEnterpriseUserRole, setEnterpriseUserActive, resendEnterpriseInvite,
+  deleteEnterpriseUser, getSeatUsage, generateSecurePassword, validateSeatLimit,
+};
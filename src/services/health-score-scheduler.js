@@ -0,0 +1,54 @@
+/**
+ * Customer health score scheduler
+ *
+ * Daily cron that recomputes every customer's health score (see
+ * services/health-score.js). On startup it catches up if today's scores
+ * haven't been computed yet.
+ */
+
+import cron from 'node-cron';
+import { computeHealthScores, getLastScoredAt } from './health-score.js';
+
+let isRunning = false;
+
+export async function runHealthScores() {
+  if (isRunning) {
+    console.log('⏳ Health score scheduler already running, skipping...');
+    return null;
+  }
+  isRunning = true;
+
+  try {
+    const summary = await computeHealthScores();
+    console.log(`   ✅ Health scores: ${summary.scored} scored (${summary.healthy} healthy, ${summary.watch} watch, ${summary.at_risk} at risk)`);
+    return summary;
+  } catch (error) {
+    console.error('❌ Health score scheduler error:', error);
+    throw error;
+  } finally {
+    isRunning = false;
+  }
+}
+
+export function startHealthScoreScheduler() {
+  console.log('📅 Starting health score scheduler (runs daily at 6:00 AM UTC)');
+
+  cron.schedule('0 6 * * *', async () => {
+    console.log('\n⏰ Health score scheduler triggered at', new Date().toISOString());
+    await runHealthScores().catch(() => {});
+  });
+
+  // Catch up on startup in case the server was down at 6:00 AM
+  setTimeout(async () => {
+    try {
+      const lastScoredAt = await getLastScoredAt();
+      if (lastScoredAt && lastScoredAt.split('T')[0] === new Date().toISOString().split('T')[0]) return;
+      console.log('\n🚀 Running initial health score calculation...');
+      await runHealthScores();
+    } catch (error) {
+      console.error('❌ Initial health score calculation failed:', error.message);
+    }
+  }, 30000);
+}
+
+export default { startHealthScoreScheduler, runHealthScores };
@@ -0,0 +1,238 @@
+/**
+ * Customer Health Scores
+ *
+ * A 0-100 score per organisation, so churn risk shows up before
+ * subscription_cancelled_at does. Five components, each worth up to its weight:
+ *
+ *   sessions (25) - streaming sessions in the last 14 days against the
+ *                   fortnightly average of the 28 days before
+ *   runway   (20) - days of credit left at the last 30 days' burn rate
+ *                   (full marks at 30+ days, or when nothing is being used)
+ *   recency  (25) - days since last active (sign-in or stream); full marks
+ *                   within 3 days, none after 30
+ *   payment  (20) - no failed payment and no past_due/unpaid subscription
+ *   support  (10) - open support requests (new or in progress): 0 = 10, 1 = 5
+ *
+ * Bands: healthy (70+), watch (40-69), at_risk (under 40).
+ *
+ * Scores are computed daily (services/health-score-scheduler.js), kept as
+ * history in customer_health_scores and copied onto the organisation for the
+ * customer list and dashboard.
+ *
+ * customer_health_scores columns:
+ *   id, organisation_id, score_date (date, unique with organisation_id),
+ *   score, band, components (jsonb), created_at
+ *
+ * organisations columns:
+ *   health_score, health_band, health_components (jsonb), health_scored_at
+ */
+
+import { supabase } from './supabase.js';
+import { enrichCustomers, getAccountStatus } from './customer-query.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FETCH_PAGE_SIZE = 1000;
+
+const UPSERT_CHUNK_SIZE = 500;
+
+export const HEALTH_BANDS = ['healthy', 'watch', 'at_risk'];
+
+const WEIGHTS = { sessions: 25, runway: 20, recency: 25, payment: 20, support: 10 };
+
+const RECENT_DAYS = 14;
+const BASELINE_DAYS = 28;
+const BURN_DAYS = 30;
+const FULL_RUNWAY_DAYS = 30;
+const ACTIVE_GRACE_DAYS = 3;
+const INACTIVE_CUTOFF_DAYS = 30;
+
+export function getHealthBand(score) {
+  if (score >= 70) return 'healthy';
+  if (score >= 40) return 'watch';
+  return 'at_risk';
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Score one customer from its activity numbers
+ * @param {object} input - { recentSessions, baselineSessions, balance, creditsUsed30d,
+ *                           daysSinceActive, paymentIssue, openTickets }
+ * @returns {{ score: number, band: string, components: object }}
+ */
+export function scoreCustomer(input) {
+  const { recentSessions, baselineSessions, balance, creditsUsed30d, daysSinceActive, paymentIssue, openTickets } = input;
+
+  // Fortnightly average over the baseline window
+  const baselineRate = baselineSessions / (BASELINE_DAYS / RECENT_DAYS);
+  let sessionRatio;
+  if (recentSessions === 0 && baselineSessions === 0) sessionRatio = 0;
+  else if (baselineRate === 0) sessionRatio = 1;
+  else sessionRatio = clamp01(recentSessions / baselineRate);
+
+  const dailyBurn = creditsUsed30d / BURN_DAYS;
+  const runwayDays = dailyBurn > 0 ? Math.max(balance, 0) / dailyBurn : null;
+  const runwayRatio = runwayDays === null ? 1 : clamp01(runwayDays / FULL_RUNWAY_DAYS);
+
+  const recencyRatio = daysSinceActive === null
+    ? 0
+    : clamp01((INACTIVE_CUTOFF_DAYS - daysSinceActive) / (INACTIVE_CUTOFF_DAYS - ACTIVE_GRACE_DAYS));
+
+  const supportRatio = openTickets === 0 ? 1 : openTickets === 1 ? 0.5 : 0;
+
+  const components = {
+    sessions: { score: Math.round(WEIGHTS.sessions * sessionRatio), max: WEIGHTS.sessions, recent: recentSessions, baseline: baselineSessions },
+    runway: {
+      score: Math.round(WEIGHTS.runway * runwayRatio), max: WEIGHTS.runway,
+      balance: round1(balance), dailyBurn: round1(dailyBurn), days: runwayDays === null ? null : Math.floor(runwayDays),
+    },
+    recency: { score: Math.round(WEIGHTS.recency * recencyRatio), max: WEIGHTS.recency, daysSinceActive },
+    payment: { score: paymentIssue ? 0 : WEIGHTS.payment, max: WEIGHTS.payment, issue: paymentIssue },
+    support: { score: Math.round(WEIGHTS.support * supportRatio), max: WEIGHTS.support, openTickets },
+  };
+
+  const score = Object.values(components).reduce((sum, c) => sum + c.score, 0);
+  return { score, band: getHealthBand(score), components };
+}
+
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + FETCH_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < FETCH_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+function countBy(rows, key) {
+  const counts = {};
+  rows.forEach(row => { counts[row[key]] = (counts[row[key]] || 0) + 1; });
+  return counts;
+}
+
+/**
+ * Compute today's score for every organisation that hasn't cancelled or been merged away,
+ * store the history rows and update the organisations
+ * @returns {Promise<{ scored: number, healthy: number, watch: number, at_risk: number }>}
+ */
+export async function computeHealthScores() {
+  const now = Date.now();
+  const recentSince = now - RECENT_DAYS * DAY_MS;
+  const baselineSince = new Date(now - (RECENT_DAYS + BASELINE_DAYS) * DAY_MS).toISOString();
+  const burnSince = new Date(now - BURN_DAYS * DAY_MS).toISOString();
+
+  const organisations = await fetchAll(() => supabase
+    .from('organisations')
+    .select('*')
+    .order('id', { ascending: true }));
+
+  const active = organisations.filter(org => !['cancelled', 'canceled', 'archived'].includes(getAccountStatus(org)));
+  if (active.length === 0) return { scored: 0, healthy: 0, watch: 0, at_risk: 0 };
+
+  const [customers, sessions, usage, tickets] = await Promise.all([
+    enrichCustomers(active),
+    fetchAll(() => supabase
+      .from('streaming_sessions')
+      .select('organisation_id, started_at')
+      .gte('started_at', baselineSince)
+      .order('started_at', { ascending: true })),
+    fetchAll(() => supabase
+      .from('credit_usage')
+      .select('organisation_id, credits_used')
+      .gte('session_start', burnSince)
+      .order('session_start', { ascending: true })),
+    fetchAll(() => supabase
+      .from('support_requests')
+      .select('organisation_id')
+      .in('status', ['new', 'in_progress'])
+      .order('created_at', { ascending: true })),
+  ]);
+
+  const isRecent = s => new Date(s.started_at).getTime() >= recentSince;
+  const recentCounts = countBy(sessions.filter(isRecent), 'organisation_id');
+  const baselineCounts = countBy(sessions.filter(s => !isRecent(s)), 'organisation_id');
+  const ticketCounts = countBy(tickets, 'organisation_id');
+  const creditsUsed = {};
+  usage.forEach(u => {
+    creditsUsed[u.organisation_id] = (creditsUsed[u.organisation_id] || 0) + (parseFloat(u.credits_used) || 0);
+  });
+
+  const scoredAt = new Date(now).toISOString();
+  const scoreDate = scoredAt.split('T')[0];
+  const summary = { scored: 0, healthy: 0, watch: 0, at_risk: 0 };
+  const history = [];
+
+  for (const customer of customers) {
+    // Never-active customers count from signup, as in the inactiveDays list filter
+    const lastSeen = customer.last_login || customer.registered_at || customer.created_at;
+    const result = scoreCustomer({
+      recentSessions: recentCounts[customer.id] || 0,
+      baselineSessions: baselineCounts[customer.id] || 0,
+      balance: customer.credit_balance ?? 0,
+      creditsUsed30d: creditsUsed[customer.id] || 0,
+      daysSinceActive: lastSeen ? Math.floor((now - new Date(lastSeen).getTime()) / DAY_MS) : null,
+      paymentIssue: customer.payment_status === 'failed' || ['past_due', 'unpaid'].includes(customer.subscription_status),
+      openTickets: ticketCounts[customer.id] || 0,
+    });
+
+    history.push({
+      organisation_id: customer.id,
+      score_date: scoreDate,
+      score: result.score,
+      band: result.band,
+      components: result.components,
+    });
+
+    const { error } = await supabase
+      .from('organisations')
+      .update({
+        health_score: result.score,
+        health_band: result.band,
+        health_components: result.components,
+        health_scored_at: scoredAt,
+      })
+      .eq('id', customer.id);
+
+    if (error) {
+      console.error(`   ⚠️ Failed to save health score for ${customer.name}:`, error.message);
+      continue;
+    }
+
+    summary.scored++;
+    summary[result.band]++;
+  }
+
+  for (let i = 0; i < history.length; i += UPSERT_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from('customer_health_scores')
+      .upsert(history.slice(i, i + UPSERT_CHUNK_SIZE), { onConflict: 'organisation_id,score_date' });
+    if (error) throw error;
+  }
+
+  return summary;
+}
+
+/**
+ * When scores were last computed (null if never)
+ */
+export async function getLastScoredAt() {
+  const { data, error } = await supabase
+    .from('organisations')
+    .select('health_scored_at')
+    .not('health_scored_at', 'is', null)
+    .order('health_scored_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.health_scored_at || null;
+}
+
+export default { computeHealthScores, scoreCustomer, getHealthBand, getLastScoredAt, HEALTH_BANDS };
@@ -0,0 +1,235 @@
+/**
+ * Dashboard Login Security
+ *
+ * Persists every sign-in attempt to admin_login_history and derives progressive
+ * lockouts from it, so limits survive restarts and apply across instances:
+ *
+ *   - per email: after 5 failures since the last success (within 24h) the account
+ *     is locked for 1 minute, doubling with each further failure up to 1 hour
+ *   - per IP:    after 20 failures in the last hour the IP is locked the same way
+ *
+ * Warning alerts go to ALERT_EMAIL when an email or IP crosses its threshold
+ * (and every 10 failures after), and when an existing admin signs in from an IP
+ * they haven't signed in from in the last 90 days.
+ *
+ * admin_login_history columns:
+ *   id, created_at, email, admin_id, ip_address, user_agent,
+ *   outcome ('success' | 'failure' | 'locked'), reason
+ */
+
+import { supabase } from './supabase.js';
+import { sendWarningAlert } from './email.js';
+
+const EMAIL_FAILURE_THRESHOLD = 5;
+const EMAIL_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const IP_FAILURE_THRESHOLD = 20;
+const IP_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const ALERT_EVERY_N_FAILURES = 10;
+const KNOWN_IP_WINDOW_MS = 90 * 24 * 60 * 60 * 1000;
+
+function normaliseEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Lockout length after `failures` failures against a threshold (doubles per extra failure)
+ */
+function lockoutDuration(failures, threshold) {
+  if (failures < threshold) return 0;
+  return Math.min(BASE_LOCKOUT_MS * 2 ** (failures - threshold), MAX_LOCKOUT_MS);
+}
+
+function shouldAlert(failures, threshold) {
+  return failures === threshold || (failures > threshold && (failures - threshold) % ALERT_EVERY_N_FAILURES === 0);
+}
+
+/**
+ * Failures for an email since its last successful login (within the window)
+ */
+async function getEmailFailures(email) {
+  const since = new Date(Date.now() - EMAIL_FAILURE_WINDOW_MS).toISOString();
+  const { data, error } = await supabase
+    .from('admin_login_history')
+    .select('outcome, created_at')
+    .eq('email', email)
+    .in('outcome', ['success', 'failure'])
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(200);
+  if (error) throw error;
+
+  const failures = [];
+  for (const row of data || []) {
+    if (row.outcome === 'success') break;
+    failures.push(row);
+  }
+  return failures;
+}
+
+async function getIpFailures(ip) {
+  if (!ip) return [];
+  const since = new Date(Date.now() - IP_FAILURE_WINDOW_MS).toISOString();
+  const { data, error } = await supabase
+    .from('admin_login_history')
+    .select('created_at')
+    .eq('ip_address', ip)
+    .eq('outcome', 'failure')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(500);
+  if (error) throw error;
+  return data || [];
+}
+
+function lockedUntil(failures, threshold) {
+  const duration = lockoutDuration(failures.length, threshold);
+  if (!duration) return null;
+  const until = new Date(failures[0].created_at).getTime() + duration;
+  return until > Date.now() ? until : null;
+}
+
+/**
+ * Check whether a login attempt for this email/IP is currently locked out.
+ * Fails open (never locks) if the history can't be read.
+ * @returns {Promise<{ locked: boolean, retryAfterSeconds?: number, scope?: 'email' | 'ip' }>}
+ */
+export async function checkLockout(email, ip) {
+  try {
+    const normalised = normaliseEmail(email);
+    const [emailFailures, ipFailures] = await Promise.all([getEmailFailures(normalised), getIpFailures(ip)]);
+
+    const emailUntil = lockedUntil(emailFailures, EMAIL_FAILURE_THRESHOLD);
+    const ipUntil = lockedUntil(ipFailures, IP_FAILURE_THRESHOLD);
+    const until = Math.max(emailUntil || 0, ipUntil || 0);
+
+    if (!until) return { locked: false };
+    return {
+      locked: true,
+      retryAfterSeconds: Math.ceil((until - Date.now()) / 1000),
+      scope: (emailUntil || 0) >= (ipUntil || 0) ? 'email' : 'ip',
+    };
+  } catch (e) {
+    console.error('Failed to check login lockout:', e.message);
+    return { locked: false };
+  }
+}
+
+async function insertAttempt({ email, adminId = null, ip, userAgent, outcome, reason = null }) {
+  const { error } = await supabase.from('admin_login_history').insert({
+    email: normaliseEmail(email),
+    admin_id: adminId,
+    ip_address: ip || null,
+    user_agent: userAgent || null,
+    outcome,
+    reason,
+  });
+  if (error) throw error;
+}
+
+/**
+ * Record a failed attempt and alert when the email or IP crosses its threshold
+ * @param {object} attempt - { email, adminId, ip, userAgent, reason }
+ */
+export async function recordLoginFailure(attempt) {
+  try {
+    await insertAttempt({ ...attempt, outcome: 'failure' });
+
+    const email = normaliseEmail(attempt.email);
+    const [emailFailures, ipFailures] = await Promise.all([getEmailFailures(email), getIpFailures(attempt.ip)]);
+
+    if (shouldAlert(emailFailures.length, EMAIL_FAILURE_THRESHOLD)) {
+      const minutes = Math.round(lockoutDuration(emailFailures.length, EMAIL_FAILURE_THRESHOLD) / 60000);
+      await sendWarningAlert(
+        'Repeated failed dashboard logins',
+        `<p><strong>${emailFailures.length}</strong> failed sign-in attempts for <strong>${escapeHtml(email)}</strong> since its last successful login.</p>
+         <p>Latest from IP ${escapeHtml(attempt.ip || 'unknown')} (${escapeHtml(attempt.reason || 'failed')}). The account is locked for ${minutes} minute(s).</p>`
+      );
+    }
+    if (shouldAlert(ipFailures.length, IP_FAILURE_THRESHOLD)) {
+      await sendWarningAlert(
+        'Dashboard login failures from one IP',
+        `<p><strong>${ipFailures.length}</strong> failed sign-in attempts from IP <strong>${escapeHtml(attempt.ip)}</strong> in the last hour (latest for ${escapeHtml(email)}).</p>
+         <p>Sign-ins from this IP are temporarily locked.</p>`
+      );
+    }
+  } catch (e) {
+    console.error('Failed to record login failure:', e.message);
+  }
+}
+
+/**
+ * Record an attempt rejected because of an active lockout (not counted as a failure)
+ */
+export async function recordLockedAttempt(attempt) {
+  try {
+    await insertAttempt({ ...attempt, outcome: 'locked' });
+  } catch (e) {
+    console.error('Failed to record locked login attempt:', e.message);
+  }
+}
+
+/**
+ * Record a completed sign-in and alert if an existing admin used an IP not seen
+ * in their recent successful logins
+ * @param {object} attempt - { email, adminId, ip, userAgent, reason }
+ */
+export async function recordLoginSuccess(attempt) {
+  try {
+    let knownIp = true;
+    let hasHistory = false;
+    if (attempt.adminId && attempt.ip) {
+      const since = new Date(Date.now() - KNOWN_IP_WINDOW_MS).toISOString();
+      const { data, error } = await supabase
+        .from('admin_login_history')
+        .select('ip_address')
+        .eq('admin_id', attempt.adminId)
+        .eq('outcome', 'success')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+      if (error) throw error;
+      hasHistory = (data || []).length > 0;
+      knownIp = (data || []).some(row => row.ip_address === attempt.ip);
+    }
+
+    await insertAttempt({ ...attempt, outcome: 'success' });
+
+    // First login in the window has nothing to compare against
+    if (hasHistory && !knownIp) {
+      await sendWarningAlert(
+        'Dashboard login from a new IP',
+        `<p><strong>${escapeHtml(attempt.email)}</strong> signed in to the dashboard from an IP address they have not used before.</p>
+         <p>IP: ${escapeHtml(attempt.ip)}<br>Browser: ${escapeHtml(attempt.userAgent || 'unknown')}</p>
+         <p>If this wasn't them, revoke the session from Account Security and reset their password.</p>`
+      );
+    }
+  } catch (e) {
+    console.error('Failed to record login success:', e.message);
+  }
+}
+
+/**
+ * Recent login history, newest first
+ * @param {object} filters - { email, adminId, outcome, limit }
+ */
+export async function getLoginHistory({ email, adminId, outcome, limit = 100 } = {}) {
+  let query = supabase
+    .from('admin_login_history')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(limit, 500));
+  if (email) query = query.eq('email', normaliseEmail(email));
+  if (adminId) query = query.eq('admin_id', adminId);
+  if (outcome) query = query.eq('outcome', outcome);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+export default { checkLockout, recordLoginFailure, recordLockedAttempt, recordLoginSuccess, getLoginHistory };
@@ -0,0 +1,62 @@
+/**
+ * Dashboard Admin Password Policy
+ *
+ * Applied when an admin sets a password through /reset-password (both recovery
+ * and first-time invite links). Supabase's own minimum length still applies on top.
+ */
+
+export const PASSWORD_POLICY = {
+  minLength: 12,
+  maxLength: 128,
+  minCharacterClasses: 3,
+};
+
+// A few obvious choices that would otherwise satisfy the rules
+const COMMON_PASSWORDS = [
+  'password', 'passw0rd', 'qwerty', 'letmein', 'welcome', 'admin', 'openword', 'iloveyou', 'changeme',
+];
+
+/**
+ * Human-readable rules, for showing on the reset page
+ */
+export function describePasswordPolicy() {
+  return [
+    `At least ${PASSWORD_POLICY.minLength} characters`,
+    `At least ${PASSWORD_POLICY.minCharacterClasses} of: lowercase, uppercase, number, symbol`,
+    'Must not contain your email name or common words like "password"',
+  ];
+}
+
+/**
+ * Check a password against the policy
+ * @returns {string[]} list of problems (empty when the password is acceptable)
+ */
+export function validatePassword(password, email = '') {
+  const errors = [];
+  const value = String(password || '');
+
+  if (value.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters`);
+  }
+  if (value.length > PASSWORD_POLICY.maxLength) {
+    errors.push(`Password must be at most ${PASSWORD_POLICY.maxLength} characters`);
+  }
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(value)).length;
+  if (classes < PASSWORD_POLICY.minCharacterClasses) {
+    errors.push(`Password must use at least ${PASSWORD_POLICY.minCharacterClasses} of: lowercase, uppercase, number, symbol`);
+  }
+
+  const lower = value.toLowerCase();
+  const localPart = String(email || '').split('@')[0].toLowerCase();
+  if (localPart.length >= 3 && lower.includes(localPart)) {
+    errors.push('Password must not contain your email name');
+  }
+  if (COMMON_PASSWORDS.some(word => lower.includes(word))) {
+    errors.push('Password must not contain common words like "password"');
+  }
+
+  return errors;
+}
+
+export default { PASSWORD_POLICY, describePasswordPolicy, validatePassword };
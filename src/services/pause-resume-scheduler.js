@@ -0,0 +1,139 @@
+/**
+ * Scheduled pause resume scheduler
+ *
+ * Hourly cron for accounts paused with a resume date (see pauseCustomer in
+ * services/customer-actions.js):
+ *   - emails the customer RESUME_REMINDER_DAYS before the account resumes,
+ *     stamping pause_resume_reminder_sent_at so it's only sent once
+ *   - unpauses accounts whose resume date has passed, recording each resume
+ *     in the audit log as the system
+ *
+ * organisations columns:
+ *   pause_category, pause_resume_at, pause_resume_reminder_sent_at
+ */
+
+import cron from 'node-cron';
+import { supabase } from './supabase.js';
+import { sendWarningAlert } from './email.js';
+import { unpauseCustomer } from './customer-actions.js';
+import { emailOwnersOnce, actAndAuditAsSystem } from './customer-scheduler.js';
+
+const RESUME_REMINDER_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || 'support@openword.live';
+const LOGIN_URL = (process.env.OPENWORD_SERVER_URL || 'https://server.openword.live') + '/login';
+
+let isRunning = false;
+
+function buildReminderBody({ name, resumeAt }) {
+  const friendlyDate = new Date(resumeAt).toLocaleDateString('en-GB', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric',
+  });
+
+  return `
+    <p>Hi ${name || 'there'},</p>
+
+    <p>Your Open Word account is paused and will <strong>resume automatically
+    on ${friendlyDate}</strong>.</p>
+
+    <p>From then on everything works as before: your services, credit balance
+    and any subscription carry on where they left off, and normal billing
+    restarts.</p>
+
+    <p>If you need the pause extended, or would like to resume sooner, just
+    reply to this email or write to
+    <a href="mailto:${SUPPORT_EMAIL}">${SUPPORT_EMAIL}</a>.</p>
+
+    <p style="text-align: center;">
+      <a href="${LOGIN_URL}" class="button">Open Word Control Panel</a>
+    </p>
+
+    <p>Welcome back,<br>
+    The Open Word Team</p>
+  `;
+}
+
+async function sendResumeReminders() {
+  const { data: orgs, error } = await supabase
+    .from('organisations')
+    .select('id, name, user_id, pause_resume_at, email_opt_out')
+    .eq('is_paused', true)
+    .gt('pause_resume_at', new Date().toISOString())
+    .lte('pause_resume_at', new Date(Date.now() + RESUME_REMINDER_DAYS * DAY_MS).toISOString())
+    .is('pause_resume_reminder_sent_at', null);
+
+  if (error) throw error;
+
+  return emailOwnersOnce(orgs || [], {
+    subject: 'Your Open Word account resumes soon',
+    emailType: 'pause_resume_reminder',
+    stampColumn: 'pause_resume_reminder_sent_at',
+    buildBody: org => buildReminderBody({ name: org.name, resumeAt: org.pause_resume_at }),
+  });
+}
+
+async function resumeDueAccounts() {
+  const { data: orgs, error } = await supabase
+    .from('organisations')
+    .select('id, name, pause_resume_at')
+    .eq('is_paused', true)
+    .lte('pause_resume_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  return actAndAuditAsSystem(orgs || [], {
+    path: '/scheduler/pause-resume',
+    action: 'customer.unpause',
+    failureLabel: 'Failed to resume',
+    act: async (org) => {
+      const { before, after } = await unpauseCustomer(org.id);
+      return { before, after, details: { automatic: true, scheduledFor: org.pause_resume_at } };
+    },
+  });
+}
+
+async function processScheduledResumes() {
+  if (isRunning) {
+    console.log('⏳ Pause resume scheduler already running, skipping...');
+    return;
+  }
+  isRunning = true;
+
+  try {
+    const { done: resumed, failures } = await resumeDueAccounts();
+    const reminders = await sendResumeReminders();
+
+    if (resumed || failures.length || reminders.sent || reminders.failed) {
+      console.log(`   ✅ Scheduled resumes: ${resumed} resumed, ${failures.length} failed; reminders: ${reminders.sent} sent, ${reminders.skipped} skipped, ${reminders.failed} failed`);
+    }
+
+    if (failures.length > 0) {
+      await sendWarningAlert(
+        'Scheduled account resume failures',
+        `<p>${failures.length} paused account(s) could not be resumed automatically: ${failures.join(', ')}. They will be retried next hour.</p>`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Pause resume scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+export function startPauseResumeScheduler() {
+  console.log('📅 Starting pause resume scheduler (runs hourly)');
+
+  cron.schedule('5 * * * *', async () => {
+    await processScheduledResumes();
+  });
+
+  // Catch up on startup in case resumes fell due while the server was down
+  setTimeout(async () => {
+    console.log('\n🚀 Running initial scheduled resume check...');
+    await processScheduledResumes();
+  }, 20000);
+}
+
+export default { startPauseResumeScheduler };
@@ -0,0 +1,149 @@
+/**
+ * Durable Admin Session Store
+ *
+ * express-session store backed by the admin_sessions table in Supabase, so a
+ * deploy or restart no longer signs every admin out, and active sessions can be
+ * listed and revoked from the dashboard. Revoking a session deletes its row; the
+ * next request with that cookie finds nothing and is sent back to /login.
+ *
+ * Also enforces two limits on authenticated sessions (see checkSessionActivity):
+ *   - idle timeout (SESSION_IDLE_TIMEOUT_MINUTES, default 30)
+ *   - absolute max age from sign-in (SESSION_MAX_AGE_MS, 24 hours)
+ *
+ * admin_sessions columns:
+ *   id (uuid), sid (unique), sess (jsonb), expires_at, admin_id, admin_email,
+ *   ip_address, user_agent, created_at, last_seen_at
+ */
+
+import session from 'express-session';
+import { supabase } from './supabase.js';
+
+export const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Activity is recorded at most once a minute to avoid a write on every request
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+export function getIdleTimeoutMs() {
+  const minutes = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30;
+  return minutes * 60 * 1000;
+}
+
+function expiryFor(sess) {
+  if (sess?.cookie?.expires) return new Date(sess.cookie.expires).toISOString();
+  return new Date(Date.now() + SESSION_MAX_AGE_MS).toISOString();
+}
+
+export class SupabaseSessionStore extends session.Store {
+  constructor() {
+    super();
+    this.lastTouched = new Map();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  get(sid, callback) {
+    supabase
+      .from('admin_sessions')
+      .select('sess, expires_at')
+      .eq('sid', sid)
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (error) return callback(error);
+        if (!data || new Date(data.expires_at) <= new Date()) return callback(null, null);
+        callback(null, data.sess);
+      }, callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const now = new Date().toISOString();
+    supabase
+      .from('admin_sessions')
+      .upsert({
+        sid,
+        sess,
+        expires_at: expiryFor(sess),
+        admin_id: sess.adminId || null,
+        admin_email: sess.email || null,
+        ip_address: sess.ipAddress || null,
+        user_agent: sess.userAgent || null,
+        last_seen_at: now,
+      }, { onConflict: 'sid' })
+      .then(({ error }) => {
+        if (!error) this.lastTouched.set(sid, Date.now());
+        callback(error || null);
+      }, callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    if (Date.now() - (this.lastTouched.get(sid) || 0) < ACTIVITY_WRITE_INTERVAL_MS) {
+      return callback(null);
+    }
+    this.lastTouched.set(sid, Date.now());
+    supabase
+      .from('admin_sessions')
+      .update({ expires_at: expiryFor(sess), last_seen_at: new Date().toISOString() })
+      .eq('sid', sid)
+      .then(({ error }) => callback(error || null), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.lastTouched.delete(sid);
+    supabase
+      .from('admin_sessions')
+      .delete()
+      .eq('sid', sid)
+      .then(({ error }) => callback(error || null), callback);
+  }
+
+  async prune() {
+    try {
+      const { error } = await supabase
+        .from('admin_sessions')
+        .delete()
+        .lt('expires_at', new Date().toISOString());
+      if (error) throw error;
+      const cutoff = Date.now() - ACTIVITY_WRITE_INTERVAL_MS;
+      for (const [sid, touchedAt] of this.lastTouched) {
+        if (touchedAt < cutoff) this.lastTouched.delete(sid);
+      }
+    } catch (e) {
+      console.error('Failed to prune expired admin sessions:', e.message);
+    }
+  }
+}
+
+/**
+ * Check an authenticated session against the idle timeout and max age, and
+ * record activity on it (throttled).
+ * @returns {'idle' | 'max_age' | null} why the session has ended, or null if still valid
+ */
+export function checkSessionActivity(sess) {
+  const now = Date.now();
+  const loginTime = sess.loginTime ? new Date(sess.loginTime).getTime() : now;
+  const lastActivity = sess.lastActivity ? new Date(sess.lastActivity).getTime() : loginTime;
+
+  if (now - loginTime > SESSION_MAX_AGE_MS) return 'max_age';
+  if (now - lastActivity > getIdleTimeoutMs()) return 'idle';
+
+  if (now - lastActivity > ACTIVITY_WRITE_INTERVAL_MS || !sess.lastActivity) {
+    sess.lastActivity = new Date(now).toISOString();
+  }
+  return null;
+}
+
+/**
+ * Revoke every session belonging to an admin (e.g. when they are deactivated)
+ * @returns {Promise<number>} number of sessions revoked
+ */
+export async function revokeAdminSessions(adminId) {
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .delete()
+    .eq('admin_id', adminId)
+    .select('id');
+  if (error) throw error;
+  return (data || []).length;
+}
+
+export default { SupabaseSessionStore, checkSessionActivity, revokeAdminSessions, getIdleTimeoutMs, SESSION_MAX_AGE_MS };
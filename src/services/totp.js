@@ -0,0 +1,180 @@
+/**
+ * TOTP Two-Factor Authentication for Dashboard Admins
+ *
+ * RFC 6238 time-based one-time passwords (30s step, 6 digits, SHA-1) compatible
+ * with Google Authenticator, 1Password, Authy etc. Secrets are encrypted at rest
+ * in dashboard_admins.totp_secret and recovery codes are stored as SHA-256 hashes.
+ *
+ * dashboard_admins columns used:
+ *   totp_secret          text     (encrypted base32 secret)
+ *   totp_enabled         boolean
+ *   totp_enrolled_at     timestamptz
+ *   totp_recovery_codes  text[]   (sha256 hashes of unused codes)
+ *
+ * Env vars:
+ *   TOTP_ENCRYPTION_KEY  - key for encrypting secrets (falls back to SESSION_SECRET)
+ *   REQUIRE_ADMIN_2FA    - 'true' forces every admin to enrol before signing in
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+const ISSUER = 'Open Word Dashboard';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Whether every admin must have TOTP enrolled before a session is authenticated
+ */
+export function isTwoFactorRequired() {
+  return process.env.REQUIRE_ADMIN_2FA === 'true';
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(secretBase32, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secretBase32)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Generate a new random base32 TOTP secret (160 bits)
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Verify a 6-digit code, allowing one step of clock drift either side
+ * @returns {boolean}
+ */
+export function verifyTotp(secretBase32, code, window = 1) {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(token)) return false;
+
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let i = -window; i <= window; i++) {
+    const expected = hotp(secretBase32, counter + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build the otpauth:// provisioning URI and a QR code data URL for it
+ * @returns {Promise<{ otpauthUrl: string, qrDataUrl: string }>}
+ */
+export async function buildProvisioning(secretBase32, email) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret: secretBase32,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+  const qrDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+  return { otpauthUrl, qrDataUrl };
+}
+
+function encryptionKey() {
+  const source = process.env.TOTP_ENCRYPTION_KEY || process.env.SESSION_SECRET || 'openword-dashboard-secret-change-me';
+  return crypto.createHash('sha256').update(source).digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ */
+export function encryptSecret(secretBase32) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secretBase32, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `v1:${iv.toString('base64')}:${tag.toString('base64')}:${encrypted.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+export function decryptSecret(stored) {
+  const [version, iv, tag, encrypted] = String(stored || '').split(':');
+  if (version !== 'v1') throw new Error('Unsupported TOTP secret format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Hash a recovery code for storage/comparison (case and dash insensitive)
+ */
+export function hashRecoveryCode(code) {
+  const normalised = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} plain codes (show once) and hashes (store)
+ */
+export function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+export default {
+  isTwoFactorRequired,
+  generateSecret,
+  verifyTotp,
+  buildProvisioning,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
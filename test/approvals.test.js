@@ -0,0 +1,91 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The middleware's services create their Supabase and Stripe clients on import
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_x';
+
+const { hashBody, matchApprovalRule, getEnabledActions, isExpired, APPROVAL_RULES } = await import('../src/middleware/approvals.js');
+
+afterEach(() => {
+  delete process.env.APPROVAL_REQUIRED_ACTIONS;
+  delete process.env.APPROVAL_DEDUCT_CREDITS_THRESHOLD;
+});
+
+function request(method, fullPath, body = {}, extra = {}) {
+  const [, baseUrl, path] = fullPath.match(/^(\/api\/[^/]+)(.*)$/);
+  return { method, baseUrl, path, body, ...extra };
+}
+
+test('hashBody ignores key order', () => {
+  const a = hashBody({ credits: 600, reason: 'x', meta: { b: 2, a: 1 } });
+  const b = hashBody({ meta: { a: 1, b: 2 }, reason: 'x', credits: 600 });
+  assert.equal(a, b);
+  assert.match(a, /^[0-9a-f]{64}$/);
+});
+
+test('hashBody changes with any value', () => {
+  assert.notEqual(hashBody({ credits: 600 }), hashBody({ credits: 601 }));
+  assert.notEqual(hashBody({ credits: 600 }), hashBody({ credits: '600' }));
+  assert.notEqual(hashBody({ ids: [1, 2] }), hashBody({ ids: [2, 1] }));
+});
+
+test('hashBody treats a missing body as empty', () => {
+  assert.equal(hashBody(undefined), hashBody({}));
+  assert.equal(hashBody(null), hashBody({}));
+});
+
+test('only immediate cancellations need approval', async () => {
+  const immediate = await matchApprovalRule(request('POST', '/api/customers/org-1/cancel-subscription', { immediately: true }));
+  assert.equal(immediate?.action, 'cancel_subscription_immediately');
+  assert.equal(await matchApprovalRule(request('POST', '/api/customers/org-1/cancel-subscription', {})), null);
+});
+
+test('deductions need approval from the threshold up', async () => {
+  process.env.APPROVAL_DEDUCT_CREDITS_THRESHOLD = '100';
+  const deduct = credits => matchApprovalRule(request('POST', '/api/customers/org-1/deduct-credits', { credits }));
+  assert.equal(await deduct(99), null);
+  assert.equal((await deduct(100))?.action, 'deduct_credits_large');
+  assert.equal((await deduct('250'))?.action, 'deduct_credits_large');
+});
+
+test('reversals of large positive entries need approval like deductions', async () => {
+  process.env.APPROVAL_DEDUCT_CREDITS_THRESHOLD = '100';
+  const reverse = credits => matchApprovalRule(request('POST', '/api/credit-ledger/entries/e-1/reverse', {}, {
+    reversedLedgerEntry: { id: 'e-1', organisation_id: 'org-1', entry_type: 'gift', credits },
+  }));
+  assert.equal(await reverse(50), null);
+  assert.equal(await reverse(-500), null);
+
+  const rule = await reverse(500);
+  assert.equal(rule?.action, 'deduct_credits_large');
+  assert.equal(rule.organisationId({ reversedLedgerEntry: { organisation_id: 'org-1' } }), 'org-1');
+});
+
+test('rules match on method and path', async () => {
+  assert.equal((await matchApprovalRule(request('DELETE', '/api/pricing/tier-1')))?.action, 'delete_pricing_tier');
+  assert.equal(await matchApprovalRule(request('PUT', '/api/pricing/tier-1')), null);
+  assert.equal((await matchApprovalRule(request('POST', '/api/customer-merges')))?.action, 'merge_organisations');
+  assert.equal(await matchApprovalRule(request('POST', '/api/customers/org-1/pause')), null);
+});
+
+test('APPROVAL_REQUIRED_ACTIONS narrows the rules', async () => {
+  process.env.APPROVAL_REQUIRED_ACTIONS = 'refund_charge, erase_organisation';
+  assert.deepEqual(getEnabledActions(), ['refund_charge', 'erase_organisation']);
+  assert.equal(await matchApprovalRule(request('DELETE', '/api/pricing/tier-1')), null);
+  assert.equal((await matchApprovalRule(request('POST', '/api/customers/org-1/erase')))?.action, 'erase_organisation');
+
+  process.env.APPROVAL_REQUIRED_ACTIONS = 'none';
+  assert.deepEqual(getEnabledActions(), []);
+  assert.equal(await matchApprovalRule(request('POST', '/api/customers/org-1/erase')), null);
+
+  process.env.APPROVAL_REQUIRED_ACTIONS = 'all';
+  assert.deepEqual(getEnabledActions(), APPROVAL_RULES.map(rule => rule.action));
+});
+
+test('isExpired', () => {
+  assert.equal(isExpired({ expires_at: new Date(Date.now() - 1000).toISOString() }), true);
+  assert.equal(isExpired({ expires_at: new Date(Date.now() + 60000).toISOString() }), false);
+  assert.ok(!isExpired({ expires_at: null }));
+});
@@ -0,0 +1,92 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The service creates its Supabase and Stripe clients on import
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_x';
+
+const { supabase } = await import('../src/services/supabase.js');
+const { certificateHash, verifyCertificates } = await import('../src/services/customer-erasure.js');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+afterEach(() => mock.restoreAll());
+
+// Certificates as erasure_certificates would return them, oldest first
+function chain(...contents) {
+  let previousHash = GENESIS_HASH;
+  return contents.map((content, i) => {
+    const cert = { id: `cert-${i + 1}`, content, previous_hash: previousHash, certificate_hash: certificateHash(previousHash, content) };
+    previousHash = cert.certificate_hash;
+    return cert;
+  });
+}
+
+// Serves `rows` to verifyCertificates' paged select
+function serve(rows) {
+  mock.method(supabase, 'from', () => {
+    const query = {
+      select: () => query,
+      order: () => query,
+      range: (from, to) => Promise.resolve({ data: rows.slice(from, to + 1), error: null }),
+    };
+    return query;
+  });
+}
+
+const first = { organisation_id: 'org-1', reason: 'Customer request', subject_hashes: ['a'], steps: { authUsersDeleted: 1 } };
+const second = { organisation_id: 'org-2', reason: 'Closed account', subject_hashes: ['b', 'c'], steps: { authUsersDeleted: 2 } };
+const third = { organisation_id: 'org-3', reason: 'Customer request', subject_hashes: [], steps: {} };
+
+test('certificateHash is a SHA-256 of the previous hash and the content', () => {
+  const hash = certificateHash(GENESIS_HASH, first);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(certificateHash('1'.repeat(64), first), hash);
+  assert.notEqual(certificateHash(GENESIS_HASH, { ...first, reason: 'Edited' }), hash);
+});
+
+test('certificateHash ignores key order, as jsonb does not keep it', () => {
+  const reordered = { steps: { authUsersDeleted: 1 }, subject_hashes: ['a'], reason: 'Customer request', organisation_id: 'org-1' };
+  assert.equal(certificateHash(GENESIS_HASH, reordered), certificateHash(GENESIS_HASH, first));
+});
+
+test('an intact chain verifies', async () => {
+  serve(chain(first, second, third));
+  assert.deepEqual(await verifyCertificates(), { valid: true, checked: 3 });
+});
+
+test('no certificates verifies', async () => {
+  serve([]);
+  assert.deepEqual(await verifyCertificates(), { valid: true, checked: 0 });
+});
+
+test('an edited certificate breaks the chain', async () => {
+  const certs = chain(first, second, third);
+  certs[1].content = { ...second, reason: 'Something else' };
+  serve(certs);
+  const result = await verifyCertificates();
+  assert.equal(result.valid, false);
+  assert.equal(result.checked, 1);
+  assert.equal(result.brokenAt, 'cert-2');
+  assert.match(result.problem, /edited/);
+});
+
+test('a removed certificate breaks the chain', async () => {
+  const certs = chain(first, second, third);
+  serve([certs[0], certs[2]]);
+  const result = await verifyCertificates();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 'cert-3');
+  assert.match(result.problem, /removed or reordered/);
+});
+
+test('a rehashed edit still breaks the link to the next certificate', async () => {
+  const certs = chain(first, second, third);
+  certs[1].content = { ...second, subject_hashes: [] };
+  certs[1].certificate_hash = certificateHash(certs[1].previous_hash, certs[1].content);
+  serve(certs);
+  const result = await verifyCertificates();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 'cert-3');
+});
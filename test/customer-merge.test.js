@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The services create their Supabase clients on import
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_x';
+
+const { MERGE_TABLES, nameSimilarity, scoreDuplicates } = await import('../src/services/customer-merge.js');
+const { compareBalances } = await import('../src/services/credit-ledger.js');
+
+const SOURCE = 'org-source';
+const TARGET = 'org-target';
+
+// Rows as they stand after a merge: whatever MERGE_TABLES moves now belongs to the target
+function afterMerge(table, rows) {
+  const moves = MERGE_TABLES.some(move => move.table === table && move.column === 'organisation_id');
+  return rows.map(row => (moves && row.organisation_id === SOURCE ? { ...row, organisation_id: TARGET } : row));
+}
+
+test('merged pair still reconciles on both sides', () => {
+  // Both ledgers started in January. The source bought 100 credits through
+  // self-serve and used 30, then its 70 moved to the target when merged.
+  const ledger = [
+    { organisation_id: SOURCE, entry_type: 'opening_balance', credits: 0, reference: null, created_at: '2026-01-01T00:00:00Z' },
+    { organisation_id: TARGET, entry_type: 'opening_balance', credits: 50, reference: null, created_at: '2026-01-02T00:00:00Z' },
+    { organisation_id: SOURCE, entry_type: 'transfer', credits: -70, reference: `organisation:${TARGET}`, created_at: '2026-03-01T00:00:00Z' },
+    { organisation_id: TARGET, entry_type: 'transfer', credits: 70, reference: 'credit_ledger:out', created_at: '2026-03-01T00:00:01Z' },
+  ];
+  const purchases = [
+    { id: 'p1', organisation_id: SOURCE, credits_purchased: 100, created_at: '2026-01-10T00:00:00Z' },
+  ];
+  const usage = [
+    { organisation_id: SOURCE, credits_used: 30, session_start: '2026-02-01T00:00:00Z' },
+  ];
+  const balances = [
+    { organisation_id: SOURCE, current_balance: 0 },
+    { organisation_id: TARGET, current_balance: 120 },
+  ];
+
+  const result = compareBalances({
+    balances,
+    ledger,
+    purchases: afterMerge('credit_purchases', purchases),
+    usage: afterMerge('credit_usage', usage),
+  });
+
+  assert.equal(result.mismatched, 0);
+  assert.deepEqual(result.organisations, []);
+});
+
+test('merge leaves credit purchases and usage on the source', () => {
+  const tables = MERGE_TABLES.map(move => move.table);
+  assert.ok(!tables.includes('credit_purchases'));
+  assert.ok(!tables.includes('credit_usage'));
+});
+
+test('nameSimilarity ignores case, punctuation and spacing', () => {
+  assert.equal(nameSimilarity('Open Word', 'OPENWORD'), 1);
+  assert.equal(nameSimilarity("St Mary's Church Hall", 'St Marys Church Hall'), 1);
+  assert.equal(nameSimilarity('Hope Foodbank', 'Hope Food Bank Ltd'), 0.88);
+  assert.ok(nameSimilarity('Hope Foodbank', 'Hope Community Centre') < 0.8);
+  assert.equal(nameSimilarity('', 'Hope'), 0);
+  assert.equal(nameSimilarity(null, null), 0);
+});
+
+function customer(id, fields = {}) {
+  return { id, name: null, email: null, contact_email: null, charity_number: null, created_at: '2026-01-01T00:00:00Z', ...fields };
+}
+
+function scoreOf(pairs, a, b) {
+  const pair = pairs.find(p => p.organisations.some(o => o.id === a) && p.organisations.some(o => o.id === b));
+  return pair && { score: pair.score, confidence: pair.confidence, reasons: pair.reasons };
+}
+
+test('findDuplicates scoring adds up the signals for a pair', () => {
+  const pairs = scoreDuplicates([
+    customer('a', { name: 'Hope Foodbank', email: 'Office@hope.org.uk' }),
+    customer('b', { name: 'Hope Food Bank Ltd', email: 'office@hope.org.uk' }),
+    customer('c', { name: 'Hope Trading', email: 'finance@hope.org.uk' }),
+    customer('d', { name: 'Glasgow Lunch Club', charity_number: 'SC 012345' }),
+    customer('e', { name: 'Govan Seniors', charity_number: 'sc012345' }),
+  ]);
+
+  // Same email (50) + similar names at 88% (35) + same domain (25), capped at 100
+  assert.deepEqual(scoreOf(pairs, 'a', 'b'), {
+    score: 100,
+    confidence: 'high',
+    reasons: ['Same email address', 'Same email domain (hope.org.uk)', 'Similar names (88%)'],
+  });
+  assert.deepEqual(scoreOf(pairs, 'd', 'e'), { score: 50, confidence: 'medium', reasons: ['Same charity number'] });
+  // A shared domain alone (25) is below the reporting threshold
+  assert.equal(scoreOf(pairs, 'a', 'c'), undefined);
+  assert.equal(pairs[0].score, 100);
+});
+
+test('findDuplicates scoring ignores free email domains and common name words', () => {
+  const pairs = scoreDuplicates([
+    customer('a', { name: 'The Parish Trust', email: 'one@gmail.com' }),
+    customer('b', { name: 'The Parish Trust Ltd', email: 'two@gmail.com' }),
+    customer('c', { name: 'Riverside Singers' }),
+    customer('d', { name: 'Riverside Singers' }),
+  ]);
+  assert.equal(scoreOf(pairs, 'a', 'b'), undefined);
+  assert.deepEqual(scoreOf(pairs, 'c', 'd'), { score: 40, confidence: 'low', reasons: ['Similar names (100%)'] });
+});
+
+test('findDuplicates suggests keeping the paying organisation', () => {
+  const [pair] = scoreDuplicates([
+    customer('a', { email: 'office@hope.org.uk', last_login: '2026-10-01T00:00:00Z' }),
+    customer('b', { email: 'office@hope.org.uk', stripe_subscription_id: 'sub_1', subscription_status: 'active' }),
+  ]);
+  assert.equal(pair.suggestedTargetId, 'b');
+});
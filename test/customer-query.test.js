@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The service creates its Supabase client on import
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_x';
+
+const { parseListParams, SORT_FIELDS } = await import('../src/services/customer-query.js');
+
+test('defaults for an empty query', () => {
+  const { params, error } = parseListParams({});
+  assert.equal(error, undefined);
+  assert.equal(params.search, '');
+  assert.equal(params.sort, null);
+  assert.equal(params.order, 'asc');
+  assert.equal(params.balanceBelow, null);
+  assert.equal(params.inactiveDays, null);
+  assert.equal(params.trialEndingDays, null);
+  assert.deepEqual(params.tags, []);
+  assert.equal(params.tagMatch, 'all');
+  assert.deepEqual(params.fields, []);
+});
+
+test('trims the search and lowercases the order', () => {
+  const { params } = parseListParams({ search: '  Acme ', sort: 'mrr', order: 'DESC' });
+  assert.equal(params.search, 'Acme');
+  assert.equal(params.sort, 'mrr');
+  assert.equal(params.order, 'desc');
+});
+
+test('rejects unknown sorts, orders and health filters', () => {
+  assert.match(parseListParams({ sort: 'password' }).error, /^sort must be one of: /);
+  assert.ok(Object.keys(SORT_FIELDS).every(sort => !parseListParams({ sort }).error));
+  assert.equal(parseListParams({ order: 'up' }).error, "order must be 'asc' or 'desc'");
+  assert.match(parseListParams({ health: 'great' }).error, /^health must be one of: /);
+  assert.equal(parseListParams({ health: 'at_risk' }).params.health, 'at_risk');
+});
+
+test('parses range filters as numbers', () => {
+  const { params } = parseListParams({ balanceBelow: '12.5', inactiveDays: '30', trialEndingDays: '0' });
+  assert.equal(params.balanceBelow, 12.5);
+  assert.equal(params.inactiveDays, 30);
+  assert.equal(params.trialEndingDays, 0);
+});
+
+test('rejects negative, non-numeric and fractional day ranges', () => {
+  assert.equal(parseListParams({ balanceBelow: '-1' }).error, 'balanceBelow must be a number of 0 or more');
+  assert.equal(parseListParams({ balanceBelow: 'lots' }).error, 'balanceBelow must be a number of 0 or more');
+  assert.equal(parseListParams({ inactiveDays: '1.5' }).error, 'inactiveDays must be a whole number of 0 or more');
+  assert.equal(parseListParams({ trialEndingDays: 'Infinity' }).error, 'trialEndingDays must be a whole number of 0 or more');
+});
+
+test('normalises tags from a comma list or an array', () => {
+  assert.deepEqual(parseListParams({ tags: 'VIP, schools,,vip' }).params.tags, ['vip', 'schools']);
+  assert.deepEqual(parseListParams({ tags: ['Schools'], tagMatch: 'ANY' }).params, {
+    ...parseListParams({}).params,
+    tags: ['schools'],
+    tagMatch: 'any',
+  });
+  assert.equal(parseListParams({ tagMatch: 'some' }).error, "tagMatch must be 'all' or 'any'");
+});
+
+test('turns custom field filters into criteria', () => {
+  const field = { region: 'north', seats: { min: '5', max: '' } };
+  const { params } = parseListParams({ field });
+  assert.deepEqual(params.fields, [
+    { key: 'region', op: 'eq', value: 'north' },
+    { key: 'seats', op: 'gte', value: '5' },
+  ]);
+  assert.equal(params.field, field);
+  assert.equal(parseListParams({ field: { 'Bad Key': 'x' } }).error, 'Invalid custom field key: Bad Key');
+});
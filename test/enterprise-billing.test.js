@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The service creates its Supabase and Stripe clients on import
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_x';
+
+const { calculateBill, billingPeriodFor, billPeriod } = await import('../src/services/enterprise-billing.js');
+
+// 15 Sep - 15 Oct 2026: 30 days
+const period = billingPeriodFor(15, new Date('2026-10-19T08:00:00Z'));
+
+const baseOrg = {
+  created_at: '2025-01-01T00:00:00Z',
+  enterprise_trial_days: 0,
+  enterprise_included_credits: 200,
+  enterprise_overage_rate_pence: 100,
+  minimum_monthly_fee: 300,
+};
+
+// £300 fee + 50 overage credits at 100p = £350
+const USED = 250;
+const SUBTOTAL = 35000;
+
+function discountLine(bill) {
+  return bill.lineItems.find(item => item.amountPence < 0);
+}
+
+test('no discount bills the full subtotal', () => {
+  const bill = calculateBill(baseOrg, period, USED);
+  assert.equal(bill.discountPence, 0);
+  assert.equal(bill.totalPence, SUBTOTAL);
+  assert.equal(discountLine(bill), undefined);
+});
+
+test('charity percentage comes off the whole bill', () => {
+  const bill = calculateBill({ ...baseOrg, charity_discount_percent: 50 }, period, USED);
+  assert.equal(bill.discountPercent, 50);
+  assert.equal(bill.discountPence, 17500);
+  assert.equal(bill.totalPence, 17500);
+  assert.match(discountLine(bill).description, /Charity discount \(50%\)/);
+});
+
+test('charity percentage takes priority over a general discount', () => {
+  const bill = calculateBill({ ...baseOrg, charity_discount_percent: 50, discount_amount_pence: 1000 }, period, USED);
+  assert.equal(bill.discountPence, 17500);
+});
+
+test('general percentage discount', () => {
+  const bill = calculateBill({ ...baseOrg, discount_percent: 12.5 }, period, USED);
+  assert.equal(bill.discountPence, 4375);
+  assert.equal(bill.totalPence, SUBTOTAL - 4375);
+  assert.match(discountLine(bill).description, /Discount \(12.5%\)/);
+});
+
+test('fixed-amount discount is a discount line', () => {
+  const bill = calculateBill({ ...baseOrg, discount_amount_pence: 5000, discount_currency: 'gbp' }, period, USED);
+  assert.equal(bill.discountPence, 5000);
+  assert.equal(bill.discountAmountPence, 5000);
+  assert.equal(bill.totalPence, SUBTOTAL - 5000);
+  assert.deepEqual(discountLine(bill), { description: 'Discount (£50.00/month)', amountPence: -5000 });
+});
+
+test('fixed-amount discount never takes the bill below zero', () => {
+  const bill = calculateBill({ ...baseOrg, discount_amount_pence: 100000 }, period, USED);
+  assert.equal(bill.discountPence, SUBTOTAL);
+  assert.equal(bill.totalPence, 0);
+});
+
+test('fixed-amount discount in another currency is not applied', () => {
+  const bill = calculateBill({ ...baseOrg, discount_amount_pence: 5000, discount_currency: 'eur' }, period, USED);
+  assert.equal(bill.discountPence, 0);
+  assert.equal(bill.totalPence, SUBTOTAL);
+});
+
+test('percentage discount ending mid-period is pro rata', () => {
+  // Ends 10 days into the 30-day period
+  const bill = calculateBill({ ...baseOrg, discount_percent: 30, discount_ends_at: '2026-09-25T00:00:00Z' }, period, USED);
+  assert.equal(bill.discountPence, 3500);
+  assert.match(discountLine(bill).description, /Discount \(30% until 25 Sept 2026\)/);
+});
+
+test('fixed-amount discount ending mid-period is pro rata', () => {
+  const bill = calculateBill({ ...baseOrg, discount_amount_pence: 6000, discount_ends_at: '2026-09-25T00:00:00Z' }, period, USED);
+  assert.equal(bill.discountPence, 2000);
+});
+
+test('discount that ended before the period is not applied', () => {
+  const percent = calculateBill({ ...baseOrg, discount_percent: 30, discount_ends_at: '2026-09-01T00:00:00Z' }, period, USED);
+  const amount = calculateBill({ ...baseOrg, discount_amount_pence: 5000, discount_ends_at: '2026-09-15T00:00:00Z' }, period, USED);
+  assert.equal(percent.discountPence, 0);
+  assert.equal(amount.discountPence, 0);
+});
+
+test('discount ending after the period applies in full', () => {
+  const bill = calculateBill({ ...baseOrg, discount_percent: 10, discount_ends_at: '2026-12-01T00:00:00Z' }, period, USED);
+  assert.equal(bill.discountPence, 3500);
+  assert.doesNotMatch(discountLine(bill).description, /until/);
+});
+
+test('billing a period by hand needs a YYYY-MM-DD start date', async () => {
+  for (const periodStart of [undefined, '', '15/09/2026', '2026-9-15']) {
+    const result = await billPeriod('org-id', periodStart);
+    assert.equal(result.status, 400);
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validatePassword, PASSWORD_POLICY } from '../src/services/password-policy.js';
+
+test('accepts a long password with three character classes', () => {
+  assert.deepEqual(validatePassword('Tangerine-kites9', 'sam@example.org'), []);
+  assert.deepEqual(validatePassword('tangerine kites 9', 'sam@example.org'), []);
+});
+
+test('enforces the length limits', () => {
+  assert.deepEqual(validatePassword('Tang-kites9', ''), [`Password must be at least ${PASSWORD_POLICY.minLength} characters`]);
+  assert.deepEqual(validatePassword(`Aa1-${'x'.repeat(PASSWORD_POLICY.maxLength)}`, ''), [`Password must be at most ${PASSWORD_POLICY.maxLength} characters`]);
+});
+
+test('needs three of lowercase, uppercase, number and symbol', () => {
+  const [error] = validatePassword('tangerinekites', '');
+  assert.match(error, /at least 3 of/);
+  assert.deepEqual(validatePassword('tangerinekites9', ''), validatePassword('tangerinekitesX', ''));
+  assert.equal(validatePassword('TANGERINEKITES9', '').length, 1);
+  assert.deepEqual(validatePassword('TANGERINEKITES9!', ''), []);
+});
+
+test('rejects the email name, ignoring case', () => {
+  assert.deepEqual(validatePassword('Hello-Jordan-2026', 'jordan@example.org'), ['Password must not contain your email name']);
+  // Names too short to be meaningful are allowed
+  assert.deepEqual(validatePassword('Hello-Jo-2026!', 'jo@example.org'), []);
+});
+
+test('rejects common words anywhere in the password', () => {
+  assert.deepEqual(validatePassword('MyPassword-2026', ''), ['Password must not contain common words like "password"']);
+  assert.equal(validatePassword('Open-Word-Openword1', '').length, 1);
+});
+
+test('lists every problem at once', () => {
+  assert.equal(validatePassword('password', 'password@example.org').length, 4);
+  assert.equal(validatePassword(undefined).length, 2);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PERMISSIONS as P,
+  getRequiredPermission,
+  getRolePermissions,
+  normaliseRole,
+  compilePath,
+  authorize,
+} from '../src/middleware/permissions.js';
+
+test('mapped routes need the permission in the map', () => {
+  assert.equal(getRequiredPermission('POST', '/api/customers/org-1/pause').permission, P.CUSTOMERS_WRITE);
+  assert.equal(getRequiredPermission('POST', '/api/customers/org-1/deduct-credits').permission, P.CREDITS_WRITE);
+  assert.equal(getRequiredPermission('POST', '/api/customers/org-1/charges/ch_1/refund').permission, P.BILLING_WRITE);
+  assert.equal(getRequiredPermission('POST', '/api/customers/org-1/enterprise-billing-runs').permission, P.BILLING_WRITE);
+  assert.equal(getRequiredPermission('POST', '/api/customers/org-1/erase').permission, P.SYSTEM_ADMIN);
+  assert.equal(getRequiredPermission('POST', '/api/customer-merges').permission, P.SYSTEM_ADMIN);
+  assert.equal(getRequiredPermission('GET', '/api/customers/org-1/data-export').permission, P.CUSTOMERS_WRITE);
+});
+
+test('matches on the method as well as the path', () => {
+  assert.equal(getRequiredPermission('PATCH', '/api/customer-attributes/fields/f-1').permission, P.CUSTOMERS_WRITE);
+  assert.equal(getRequiredPermission('DELETE', '/api/customer-attributes/fields/f-1').permission, P.SYSTEM_ADMIN);
+  assert.equal(getRequiredPermission('post', '/api/pricing').permission, P.BILLING_WRITE);
+});
+
+test('reports the mapped route pattern', () => {
+  const { path } = getRequiredPermission('POST', '/api/customers/org-1/enterprise-users/u-1/deactivate');
+  assert.equal(path, '/api/customers/:id/enterprise-users/:userId/deactivate');
+});
+
+test('unmapped non-GET requests default to system admin', () => {
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    const { permission, path } = getRequiredPermission(method, '/api/something-new');
+    assert.equal(permission, P.SYSTEM_ADMIN, method);
+    assert.equal(path, '/api/something-new');
+  }
+});
+
+test('unmapped reads default to read', () => {
+  for (const method of ['GET', 'HEAD', 'OPTIONS']) {
+    assert.equal(getRequiredPermission(method, '/api/something-new').permission, P.READ, method);
+  }
+});
+
+test(':params match a single path segment', () => {
+  const regex = compilePath('/api/customers/:id/pause');
+  assert.ok(regex.test('/api/customers/org-1/pause'));
+  assert.ok(regex.test('/api/customers/org-1/pause/'));
+  assert.ok(!regex.test('/api/customers/org-1/extra/pause'));
+  assert.ok(!regex.test('/api/customers/org-1/pause/now'));
+  assert.equal(getRequiredPermission('POST', '/api/customers/a/b/pause').permission, P.SYSTEM_ADMIN);
+});
+
+test('roles and legacy role names', () => {
+  assert.deepEqual(getRolePermissions('viewer'), [P.READ]);
+  assert.ok(!getRolePermissions('billing').includes(P.SYSTEM_ADMIN));
+  assert.deepEqual(getRolePermissions('superadmin'), Object.values(P));
+  assert.equal(normaliseRole('Admin'), 'superadmin');
+  assert.equal(normaliseRole('read_only'), 'viewer');
+  assert.equal(normaliseRole('made-up'), 'viewer');
+  assert.equal(normaliseRole(null), 'viewer');
+});
+
+function runAuthorize(session, method, path) {
+  const req = { session, method, baseUrl: '/api', path, headers: {} };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  authorize(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('authorize lets a role through only with the required permission', () => {
+  assert.ok(runAuthorize({ role: 'billing' }, 'POST', '/customers/org-1/set-discount').passed);
+
+  const { passed, res } = runAuthorize({ role: 'support' }, 'POST', '/customers/org-1/set-discount');
+  assert.ok(!passed);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.requiredPermission, P.BILLING_WRITE);
+});
+
+test('authorize refuses an unmapped write to everyone but superadmins', () => {
+  assert.ok(!runAuthorize({ role: 'billing' }, 'POST', '/something-new').passed);
+  assert.ok(runAuthorize({ role: 'superadmin' }, 'POST', '/something-new').passed);
+});
+
+test('authorize checks API tokens against their scopes', () => {
+  const session = { role: 'superadmin', apiTokenId: 't-1', apiTokenName: 'ci', tokenPermissions: [P.READ] };
+  assert.ok(runAuthorize(session, 'GET', '/customers').passed);
+  assert.ok(!runAuthorize(session, 'POST', '/customers/org-1/pause').passed);
+});
@@ -0,0 +1,82 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  verifyTotp,
+  generateSecret,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} from '../src/services/totp.js';
+
+// RFC 6238 SHA-1 test secret ("12345678901234567890"). At T=1111111109s the
+// 8-digit code is 07081804, so the 6-digit code is 081804.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = 1111111109;
+const CODE = '081804';
+
+function at(seconds) {
+  mock.method(Date, 'now', () => seconds * 1000);
+}
+
+afterEach(() => mock.restoreAll());
+
+test('accepts the code for the current step', () => {
+  at(NOW);
+  assert.equal(verifyTotp(SECRET, CODE), true);
+  at(59);
+  assert.equal(verifyTotp(SECRET, '287082'), true); // RFC 6238 vector 94287082
+});
+
+test('allows one step of drift either side', () => {
+  at(NOW - 30);
+  assert.equal(verifyTotp(SECRET, CODE), true);
+  at(NOW + 30);
+  assert.equal(verifyTotp(SECRET, CODE), true);
+});
+
+test('rejects codes two steps away', () => {
+  at(NOW - 60);
+  assert.equal(verifyTotp(SECRET, CODE), false);
+  at(NOW + 60);
+  assert.equal(verifyTotp(SECRET, CODE), false);
+});
+
+test('a window of 0 only accepts the current step', () => {
+  at(NOW + 30);
+  assert.equal(verifyTotp(SECRET, CODE, 0), false);
+  at(NOW);
+  assert.equal(verifyTotp(SECRET, CODE, 0), true);
+});
+
+test('ignores spaces and rejects anything but six digits', () => {
+  at(NOW);
+  assert.equal(verifyTotp(SECRET, '081 804'), true);
+  assert.equal(verifyTotp(SECRET, '08180'), false);
+  assert.equal(verifyTotp(SECRET, '0818040'), false);
+  assert.equal(verifyTotp(SECRET, 'abcdef'), false);
+  assert.equal(verifyTotp(SECRET, null), false);
+});
+
+test('generated secrets are 160-bit base32', () => {
+  assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), generateSecret());
+});
+
+test('secrets round-trip through encryption', () => {
+  const stored = encryptSecret(SECRET);
+  assert.ok(stored.startsWith('v1:'));
+  assert.ok(!stored.includes(SECRET));
+  assert.notEqual(encryptSecret(SECRET), stored);
+  assert.equal(decryptSecret(stored), SECRET);
+  assert.throws(() => decryptSecret('v0:x:y:z'), /Unsupported/);
+});
+
+test('recovery codes hash the same whatever the case and dashes', () => {
+  const { codes, hashes } = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  assert.match(codes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  assert.equal(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')), hashes[0]);
+});